@@ -0,0 +1,297 @@
+/**
+ * Content-addressed cache of synthesized chunks
+ *
+ * A chunk's audio depends only on the text the model reads (after normalization and
+ * lexicons), the voice style, the denoising steps, the speed, the noise seed and the
+ * model itself, so a SHA-256 hash of those is its address. ChunkCache keeps the size
+ * accounting and least-recently-used eviction; subclasses store the entries:
+ * MemoryCache here, DiskCache in Node.js (disk_cache.js) and IndexedDbCache in the
+ * browser (idb_cache.js). Storage errors never fail synthesis: a failed read is a
+ * miss, a failed write is skipped, and the last error is kept in lastError.
+ */
+
+// Bump when the meaning of cached audio changes, so old entries stop matching
+const CACHE_VERSION = 1;
+
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * SHA-256 of a list of byte arrays, as if they were concatenated
+ * @param {Uint8Array[]} parts
+ * @returns {string} Lowercase hex digest
+ */
+export function sha256(parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    // Message, 0x80, zero padding and the 64-bit bit length fill whole 64-byte blocks
+    const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+    let offset = 0;
+    for (const part of parts) {
+        padded.set(part, offset);
+        offset += part.length;
+    }
+    padded[length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+    view.setUint32(padded.length - 4, (length * 8) >>> 0);
+
+    const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let block = 0; block < padded.length; block += 64) {
+        for (let t = 0; t < 16; t++) {
+            w[t] = view.getUint32(block + t * 4);
+        }
+        for (let t = 16; t < 64; t++) {
+            const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+            const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+            w[t] = w[t - 16] + s0 + w[t - 7] + s1;
+        }
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let t = 0; t < 64; t++) {
+            const t1 = hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + w[t];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            hh = g;
+            g = f;
+            f = e;
+            e = (d + t1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) >>> 0;
+        }
+        h[0] += a;
+        h[1] += b;
+        h[2] += c;
+        h[3] += d;
+        h[4] += e;
+        h[5] += f;
+        h[6] += g;
+        h[7] += hh;
+    }
+    return Array.from(h, word => word.toString(16).padStart(8, '0')).join('');
+}
+
+const utf8 = text => new TextEncoder().encode(text);
+const bytesOf = array => new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+
+// Styles are reused across calls, so each is hashed once
+const styleDigests = new WeakMap();
+
+/**
+ * Content hash of a voice style (its TTL and DP tensors)
+ * @param {{ttl: {dims: number[], data: Float32Array}, dp: {dims: number[], data: Float32Array}}} style
+ * @returns {string}
+ */
+export function styleDigest(style) {
+    let digest = styleDigests.get(style);
+    if (!digest) {
+        digest = sha256([utf8(JSON.stringify([style.ttl.dims, style.dp.dims])), bytesOf(style.ttl.data), bytesOf(style.dp.data)]);
+        styleDigests.set(style, digest);
+    }
+    return digest;
+}
+
+/**
+ * Cache key of one chunk
+ * @param {Object} params
+ * @param {string} params.text - The text exactly as the model reads it
+ * @param {Object} params.style - Voice style of the chunk
+ * @param {number} params.totalStep
+ * @param {number} params.speed
+ * @param {number} params.seed
+ * @param {string} [params.model=''] - Identifies the model, e.g. its serialized config
+ * @returns {string} Hex SHA-256
+ */
+export function chunkCacheKey({ text, style, totalStep, speed, seed, model = '' }) {
+    return sha256([utf8(JSON.stringify([CACHE_VERSION, model, text, styleDigest(style), totalStep, speed, seed]))]);
+}
+
+/**
+ * Bytes an entry takes in a cache: its samples and the duration
+ */
+export function entryBytes(entry) {
+    return entry.samples.length * 4 + 8;
+}
+
+/**
+ * Size-limited LRU cache of { samples: Float32Array, duration } entries. Subclasses
+ * implement _load (existing [key, bytes] pairs, least recently used first), _read,
+ * _write, _remove, _clear and optionally _touch (persist that an entry was used).
+ */
+export class ChunkCache {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxBytes=268435456] - Size limit (256 MB); least recently used entries go first
+     * @param {number} [options.maxEntries=Infinity] - Entry limit
+     */
+    constructor({ maxBytes = 256 * 1024 * 1024, maxEntries = Infinity } = {}) {
+        if (!(maxBytes > 0)) {
+            throw new Error(`Cache maxBytes must be a positive number, got ${maxBytes}`);
+        }
+        if (!(maxEntries > 0)) {
+            throw new Error(`Cache maxEntries must be a positive number, got ${maxEntries}`);
+        }
+        this.maxBytes = maxBytes;
+        this.maxEntries = maxEntries;
+        // Key -> size in bytes, in least recently used first order
+        this.index = new Map();
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.lastError = null;
+        this.opened = null;
+    }
+
+    async _open() {
+        if (!this.opened) {
+            // A store that cannot open behaves as an empty cache whose reads and writes fail
+            this.opened = Promise.resolve().then(() => this._load()).then(entries => {
+                for (const [key, size] of entries) {
+                    this.index.set(key, size);
+                    this.bytes += size;
+                }
+            }, err => {
+                this.lastError = err;
+            });
+        }
+        await this.opened;
+    }
+
+    _forget(key) {
+        this.bytes -= this.index.get(key);
+        this.index.delete(key);
+    }
+
+    /**
+     * @param {string} key - See chunkCacheKey
+     * @returns {Promise<{samples: Float32Array, duration: number}|null>}
+     */
+    async get(key) {
+        await this._open();
+        let entry = null;
+        // Storage is read even for unknown keys, since other processes or tabs may share it
+        try {
+            entry = await this._read(key);
+        } catch (err) {
+            this.lastError = err;
+        }
+        if (this.index.has(key)) {
+            this._forget(key);
+        }
+        if (!entry) {
+            this.misses++;
+            return null;
+        }
+        this.index.set(key, entryBytes(entry));
+        this.bytes += entryBytes(entry);
+        try {
+            await this._touch(key);
+        } catch (err) {
+            this.lastError = err;
+        }
+        this.hits++;
+        return entry;
+    }
+
+    /**
+     * Store an entry, evicting least recently used ones to stay within the limits
+     * @returns {Promise<boolean>} false when the entry is larger than the cache or could not be written
+     */
+    async set(key, entry) {
+        await this._open();
+        const size = entryBytes(entry);
+        if (size > this.maxBytes) {
+            return false;
+        }
+        if (this.index.has(key)) {
+            this._forget(key);
+        }
+        try {
+            await this._write(key, entry);
+        } catch (err) {
+            this.lastError = err;
+            return false;
+        }
+        this.index.set(key, size);
+        this.bytes += size;
+
+        for (const [oldest] of this.index) {
+            if (this.bytes <= this.maxBytes && this.index.size <= this.maxEntries) {
+                break;
+            }
+            this._forget(oldest);
+            try {
+                await this._remove(oldest);
+            } catch (err) {
+                this.lastError = err;
+            }
+        }
+        return true;
+    }
+
+    async delete(key) {
+        await this._open();
+        if (this.index.has(key)) {
+            this._forget(key);
+            await this._remove(key);
+        }
+    }
+
+    async clear() {
+        await this._open();
+        await this._clear();
+        this.index.clear();
+        this.bytes = 0;
+    }
+
+    /**
+     * Entry count, size and hit counts, e.g. for logs and health checks
+     */
+    async stats() {
+        await this._open();
+        return { entries: this.index.size, bytes: this.bytes, maxBytes: this.maxBytes, hits: this.hits, misses: this.misses };
+    }
+
+    async _touch() {}
+}
+
+/**
+ * In-process cache, e.g. for a long-running server without disk or for tests
+ */
+export class MemoryCache extends ChunkCache {
+    constructor(options = {}) {
+        super(options);
+        this.entries = new Map();
+    }
+
+    _load() {
+        return [];
+    }
+
+    // Copies, so callers cannot change what later hits return
+    async _read(key) {
+        const entry = this.entries.get(key);
+        return entry ? { samples: entry.samples.slice(), duration: entry.duration } : null;
+    }
+
+    async _write(key, entry) {
+        this.entries.set(key, { samples: Float32Array.from(entry.samples), duration: entry.duration });
+    }
+
+    async _remove(key) {
+        this.entries.delete(key);
+    }
+
+    async _clear() {
+        this.entries.clear();
+    }
+}
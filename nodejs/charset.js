@@ -0,0 +1,139 @@
+/**
+ * Character coverage checks against unicode_indexer.json
+ *
+ * The indexer maps a code point to a token id; code points past its end or mapped
+ * to a negative id are unsupported. Text is walked by full code points, so astral
+ * characters are reported once rather than as two surrogate halves.
+ */
+
+// Readable stand-ins for characters that do not decompose into supported ones
+const TRANSLITERATIONS = {
+    'ß': 'ss',
+    'æ': 'ae',
+    'Æ': 'AE',
+    'œ': 'oe',
+    'Œ': 'OE',
+    'ø': 'o',
+    'Ø': 'O',
+    'ł': 'l',
+    'Ł': 'L',
+    'đ': 'd',
+    'Đ': 'D',
+    'ð': 'd',
+    'Ð': 'D',
+    'þ': 'th',
+    'Þ': 'Th',
+    'ı': 'i',
+    '“': '"',
+    '”': '"',
+    '„': '"',
+    '«': '"',
+    '»': '"',
+    '‘': "'",
+    '’': "'",
+    '‚': "'",
+    '…': '...',
+    '–': '-',
+    '—': '-',
+    '\u00A0': ' '
+};
+
+const VALIDATION_MODES = ['strict', 'lenient'];
+
+/**
+ * Thrown in strict mode when text contains characters the indexer does not cover
+ */
+export class UnsupportedCharacterError extends Error {
+    constructor(unsupported) {
+        const list = unsupported
+            .map(u => `'${u.char}' (${formatCodePoint(u.codePoint)}) at ${u.index}`)
+            .join(', ');
+        super(`Unsupported characters: ${list}`);
+        this.name = 'UnsupportedCharacterError';
+        this.unsupported = unsupported;
+    }
+}
+
+function formatCodePoint(codePoint) {
+    return `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * Whether the indexer has a token for a code point
+ */
+export function isSupported(indexer, codePoint) {
+    const id = indexer[codePoint];
+    return Number.isInteger(id) && id >= 0;
+}
+
+function isSupportedText(indexer, text) {
+    return Array.from(text).every(c => isSupported(indexer, c.codePointAt(0)));
+}
+
+/**
+ * Find a supported spelling for a character: a known transliteration, or the
+ * character with its accents removed. Returns null when there is none.
+ */
+export function transliterate(char, indexer) {
+    const candidates = [
+        TRANSLITERATIONS[char],
+        char.normalize('NFKD').replace(/\p{M}/gu, '')
+    ];
+    for (const candidate of candidates) {
+        if (candidate && isSupportedText(indexer, candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * List the characters of a text that the indexer does not cover
+ * @param {string} text
+ * @param {number[]} indexer - Code point to token id table
+ * @returns {Array<{char: string, codePoint: number, index: number, replacement: string|null}>}
+ *   index counts code points from the start of text; replacement is the suggested transliteration
+ */
+export function findUnsupportedChars(text, indexer) {
+    const unsupported = [];
+    Array.from(text).forEach((char, index) => {
+        const codePoint = char.codePointAt(0);
+        if (!isSupported(indexer, codePoint)) {
+            unsupported.push({ char, codePoint, index, replacement: transliterate(char, indexer) });
+        }
+    });
+    return unsupported;
+}
+
+/**
+ * Make a text safe to index.
+ * 'strict' throws UnsupportedCharacterError; 'lenient' transliterates what it can
+ * and replaces the rest with fallback (dropped by default).
+ * @param {string} text
+ * @param {number[]} indexer
+ * @param {Object} options
+ * @param {string} [options.validation='lenient'] - 'strict' or 'lenient'
+ * @param {string} [options.fallback=''] - Replacement for characters without a transliteration
+ * @returns {string}
+ */
+export function replaceUnsupportedChars(text, indexer, { validation = 'lenient', fallback = '' } = {}) {
+    if (!VALIDATION_MODES.includes(validation)) {
+        throw new Error(`Unknown validation mode '${validation}', expected 'strict' or 'lenient'`);
+    }
+    const unsupported = findUnsupportedChars(text, indexer);
+    if (unsupported.length === 0) {
+        return text;
+    }
+    if (validation === 'strict') {
+        throw new UnsupportedCharacterError(unsupported);
+    }
+    if (!isSupportedText(indexer, fallback)) {
+        throw new Error(`Fallback '${fallback}' contains unsupported characters`);
+    }
+
+    const chars = Array.from(text);
+    for (const u of unsupported) {
+        chars[u.index] = u.replacement ?? fallback;
+    }
+    return chars.join('');
+}
@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { DiskCache } from './disk_cache.js';
+import { audioFormatInfo, checkAudioFormat, synthesisMetadata } from './encoders.js';
+import { loadLexicon, loadTextToSpeech, loadVoiceStyle, timer, writeAudioFile } from './helper.js';
+import { LANGUAGE_PROFILES } from './languages.js';
+import { LexiconError } from './lexicon.js';
+import { UsageError, optionsHelp, parseOptions } from './options.js';
+import { BOUNDARIES } from './pauses.js';
+import { describeProgress, formatRemaining } from './progress.js';
+import { toSrt, toWebVtt } from './subtitles.js';
+
+/**
+ * Command line interface: synth, voices, info and lexicon subcommands
+ *
+ * Options are declared once per command and drive parsing, validation and --help.
+ * Usage errors exit with code 2, failures during synthesis with code 1.
+ * Default paths (models, voice styles) are relative to this directory; paths given
+ * on the command line are relative to the working directory.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROGRAM = 'supertonic';
+const DEFAULT_TEXT = 'This morning, I took a walk in the park, and the sound of the birds and the breeze was so pleasant that I stopped for a long time just to listen.';
+const MODEL_FILES = ['duration_predictor.onnx', 'text_encoder.onnx', 'vector_estimator.onnx', 'vocoder.onnx', 'tts.json', 'unicode_indexer.json'];
+const FORMAT_EXTENSIONS = { '.wav': 'wav', '.flac': 'flac', '.pcm': 'pcm', '.raw': 'pcm' };
+
+function parsePauses(value) {
+    const seconds = value.split(',').map(Number);
+    if (seconds.length !== BOUNDARIES.length || seconds.some(s => !Number.isFinite(s) || s < 0)) {
+        throw new Error(`expected ${BOUNDARIES.length} non-negative seconds as ${BOUNDARIES.join(',')}, got '${value}'`);
+    }
+    return Object.fromEntries(BOUNDARIES.map((kind, i) => [kind, seconds[i]]));
+}
+
+const HELP_OPTION = { name: 'help', alias: 'h', flag: true, description: 'Show this help' };
+const JSON_OPTION = { name: 'json', flag: true, description: 'Print JSON instead of text' };
+const ONNX_DIR_OPTION = { name: 'onnx-dir', value: 'dir', path: true, default: 'assets/onnx', description: 'ONNX model directory' };
+const VOICE_DIR_OPTION = { name: 'voice-style-dir', value: 'dir', path: true, default: 'assets/voice_styles', description: 'Directory of voice style JSON files' };
+const LEXICON_OPTION = { name: 'lexicon', alias: 'l', value: 'path', repeat: true, description: 'Pronunciation lexicon JSON file; repeat for several (earlier files win)' };
+
+const SYNTH_OPTIONS = [
+    { name: 'text', alias: 't', value: 'text', repeat: true, description: 'Text to synthesize; repeat for several outputs' },
+    { name: 'text-file', alias: 'f', value: 'path', repeat: true, key: 'text', parse: readTextInput, description: "Read text from a file ('-' for stdin); repeat for several outputs" },
+    { name: 'ssml', flag: true, description: 'Read the input as SSML' },
+    { name: 'voice', alias: 'v', value: 'name|path', repeat: true, description: 'Voice style name (see voices) or JSON file; one for all texts or one per text (default: M1)' },
+    { name: 'output', alias: 'o', value: 'path', repeat: true, description: 'Output file, one per text; the extension picks the format unless --format is given' },
+    { name: 'save-dir', value: 'dir', default: 'results', description: 'Directory for outputs named after their text when --output is not given' },
+    { name: 'n-test', value: 'n', type: 'integer', min: 1, max: 1000, description: 'Number of generations per text (default: 4, or 1 with --output)' },
+    { name: 'batch', flag: true, description: 'Synthesize all texts in one batch (no long-form chunking)' },
+    { name: 'total-step', value: 'n', type: 'integer', min: 1, max: 100, default: 5, description: 'Denoising steps (higher = better quality, slower)' },
+    { name: 'speed', value: 'x', type: 'number', min: 0.5, max: 2, default: 1.05, description: 'Speech speed' },
+    { name: 'seed', value: 'n', type: 'integer', min: 0, max: 4294967295, description: 'Noise seed for reproducible output (default: random)' },
+    { name: 'language', value: 'code', choices: Object.keys(LANGUAGE_PROFILES), default: 'en', description: 'Text preprocessing profile' },
+    { name: 'strict', flag: true, description: 'Fail on characters the model cannot read' },
+    LEXICON_OPTION,
+    { name: 'batch-size', value: 'n', type: 'integer', min: 1, max: 64, default: 4, description: 'Long-form chunks synthesized together in one model run (1 runs them one by one)' },
+    { name: 'silence', value: 'seconds', type: 'number', min: 0, max: 5, default: 0.3, description: 'Pause between sentences' },
+    { name: 'pauses', value: 'c,s,p', parse: parsePauses, description: 'Pauses in seconds before a clause split, sentence and paragraph (default: from --silence)' },
+    { name: 'crossfade', value: 'seconds', type: 'number', min: 0, max: 0.5, default: 0.02, description: 'Overlap where chunks meet without a pause' },
+    { name: 'no-trim', flag: true, description: "Keep each chunk's leading and trailing silence" },
+    { name: 'loudness', value: 'LUFS', type: 'number', min: -70, max: 0, description: 'Normalize to this integrated loudness, e.g. -16 or -23 (default: off)' },
+    { name: 'true-peak', value: 'dBTP', type: 'number', min: -20, max: 0, default: -1, description: 'True-peak ceiling used with --loudness' },
+    { name: 'format', value: 'format', choices: ['wav', 'flac', 'pcm'], description: 'Output format (default: from the --output extension, else wav)' },
+    { name: 'bit-depth', value: 'bits', type: 'integer', choices: [16, 24, 32], default: 16, description: 'Sample size; 32 is float (WAV and PCM only)' },
+    { name: 'no-dither', flag: true, description: 'Round to integer samples without TPDF dither' },
+    { name: 'sample-rate', value: 'Hz', type: 'integer', min: 8000, max: 192000, description: 'Resample the output (default: model rate)' },
+    { name: 'subtitles', flag: true, description: 'Also write .srt and .vtt captions next to each output' },
+    { name: 'cache', value: 'dir', description: 'Reuse chunks synthesized before with the same text, voice and settings (needs --seed)' },
+    { name: 'cache-size', value: 'MB', type: 'number', min: 1, max: 1048576, default: 256, description: 'Size limit of the --cache directory; least recently used chunks go first' },
+    ONNX_DIR_OPTION,
+    VOICE_DIR_OPTION,
+    { name: 'use-gpu', flag: true, description: 'Use GPU for inference (not supported yet)' },
+    HELP_OPTION
+];
+
+const COMMANDS = {
+    synth: {
+        usage: 'synth [options] [text...]',
+        summary: 'Synthesize speech to audio files (default command)',
+        options: SYNTH_OPTIONS,
+        positionalKey: 'text',
+        run: runSynth
+    },
+    voices: {
+        usage: 'voices [options]',
+        summary: 'List the available voice styles',
+        options: [VOICE_DIR_OPTION, JSON_OPTION, HELP_OPTION],
+        run: runVoices
+    },
+    info: {
+        usage: 'info [options]',
+        summary: 'Show model files, sample rate, voices, languages and output formats',
+        options: [ONNX_DIR_OPTION, VOICE_DIR_OPTION, JSON_OPTION, HELP_OPTION],
+        run: runInfo
+    },
+    lexicon: {
+        usage: 'lexicon --lexicon <path> [options] [text...]',
+        summary: 'Show which lexicon entries match a text and how it is rewritten',
+        positionalKey: 'text',
+        options: [
+            LEXICON_OPTION,
+            { name: 'text', alias: 't', value: 'text', repeat: true, description: 'Text to check; repeat for several' },
+            { name: 'text-file', alias: 'f', value: 'path', repeat: true, key: 'text', parse: readTextInput, description: "Read text from a file ('-' for stdin)" },
+            JSON_OPTION,
+            HELP_OPTION
+        ],
+        run: runLexicon
+    }
+};
+
+function commandHelp(command) {
+    const { usage, summary, options } = COMMANDS[command];
+    return [
+        `Usage: ${PROGRAM} ${usage}`,
+        '',
+        summary,
+        '',
+        'Options:',
+        ...optionsHelp(options)
+    ].join('\n');
+}
+
+function mainHelp() {
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length)) + 2;
+    return [
+        `Usage: ${PROGRAM} <command> [options]`,
+        '',
+        `Without a command, options run synth; text to synthesize needs the command: ${PROGRAM} synth "Hello."`,
+        '',
+        'Commands:',
+        ...Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(width)}${summary}`),
+        '',
+        `Run '${PROGRAM} <command> --help' for the options of a command.`
+    ].join('\n');
+}
+
+function listVoiceStyles(voiceStyleDir) {
+    if (!fs.existsSync(voiceStyleDir)) {
+        throw new Error(`Voice style directory not found: ${voiceStyleDir}`);
+    }
+    return fs.readdirSync(voiceStyleDir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => name.slice(0, -'.json'.length))
+        .sort();
+}
+
+/**
+ * Resolve a --voice value: a path to a JSON file, or the name of a style in voiceStyleDir
+ */
+function resolveVoice(voice, voiceStyleDir) {
+    const file = voice.endsWith('.json') ? path.resolve(voice) : path.join(voiceStyleDir, `${voice}.json`);
+    if (!fs.existsSync(file)) {
+        const hint = voice.endsWith('.json') ? '' : ` Available voices: ${listVoiceStyles(voiceStyleDir).join(', ')}`;
+        throw new UsageError(`Voice style not found: ${file}.${hint}`, 'synth');
+    }
+    return file;
+}
+
+function readTextInput(source) {
+    const label = source === '-' ? 'stdin' : source;
+    let text;
+    try {
+        text = fs.readFileSync(source === '-' ? 0 : source, 'utf8');
+    } catch (err) {
+        throw new UsageError(`Cannot read text from ${label}: ${err.message}`, 'synth');
+    }
+    if (!text.trim()) {
+        throw new UsageError(`No text in ${label}`, 'synth');
+    }
+    return text;
+}
+
+/**
+ * Load the --lexicon files; unreadable or invalid lexicons are usage errors
+ */
+function readLexicons(paths, command) {
+    try {
+        return loadLexicon(paths.map(file => path.resolve(file)));
+    } catch (err) {
+        throw err instanceof LexiconError ? new UsageError(err.message, command) : err;
+    }
+}
+
+/**
+ * Output path for generation n (0-based) of text b; repeated generations get a _<n> suffix
+ */
+function outputPath(options, texts, b, n, nTest, extension) {
+    if (options.output.length === 0) {
+        const stem = texts[b].substring(0, 20).replace(/[^a-zA-Z0-9]/g, '_');
+        return path.resolve(options.saveDir, `${stem}_${n + 1}.${extension}`);
+    }
+    const file = path.resolve(options.output[b]);
+    if (nTest === 1) {
+        return file;
+    }
+    const ext = path.extname(file);
+    return `${file.slice(0, file.length - ext.length)}_${n + 1}${ext}`;
+}
+
+async function runSynth(options) {
+    // Positional texts, --text and --text-file values share one list, in command line order
+    const texts = options.text;
+    if (texts.length === 0) {
+        texts.push(DEFAULT_TEXT);
+    }
+    if (texts.some(text => !text.trim())) {
+        throw new UsageError('Text to synthesize must not be empty', 'synth');
+    }
+
+    const voices = options.voice.length > 0 ? options.voice : ['M1'];
+    if (voices.length !== 1 && voices.length !== texts.length) {
+        throw new UsageError(`Got ${voices.length} voices for ${texts.length} texts; give one voice for all texts or one per text`, 'synth');
+    }
+    const voicePaths = texts.map((_, b) => resolveVoice(voices[voices.length === 1 ? 0 : b], options.voiceStyleDir));
+
+    if (options.output.length > 0 && options.output.length !== texts.length) {
+        throw new UsageError(`Got ${options.output.length} --output paths for ${texts.length} texts`, 'synth');
+    }
+    const formats = texts.map((_, b) => options.format ?? FORMAT_EXTENSIONS[path.extname(options.output[b] ?? '').toLowerCase()] ?? 'wav');
+    for (const format of new Set(formats)) {
+        try {
+            checkAudioFormat(format, options.bitDepth);
+        } catch (err) {
+            throw new UsageError(err.message, 'synth');
+        }
+    }
+    if (options.batch) {
+        const unsupported = ['ssml', 'subtitles', 'loudness', 'cache'].filter(key => options[key]);
+        if (unsupported.length > 0) {
+            throw new UsageError(`--${unsupported[0]} is not available with --batch`, 'synth');
+        }
+    }
+    if (options.cache && options.seed === null) {
+        throw new UsageError('--cache needs --seed, since every unseeded run draws new noise', 'synth');
+    }
+    const nTest = options.nTest ?? (options.output.length > 0 ? 1 : 4);
+    const lexicon = options.lexicon.length > 0 ? readLexicons(options.lexicon, 'synth') : null;
+
+    const cache = options.cache ? new DiskCache(path.resolve(options.cache), { maxBytes: options.cacheSize * 1024 * 1024 }) : null;
+    const textToSpeech = await loadTextToSpeech(options.onnxDir, options.useGpu, { lexicon, cache });
+    const synthOptions = {
+        seed: options.seed,
+        language: options.language,
+        validation: options.strict ? 'strict' : 'lenient',
+        batchSize: options.batchSize,
+        pauses: options.pauses ?? {},
+        crossfade: options.crossfade,
+        trimSilence: !options.noTrim,
+        loudness: options.loudness === null ? null : { target: options.loudness, truePeak: options.truePeak }
+    };
+    // A live progress line on terminals; redirected output stays free of it
+    const showProgress = Boolean(process.stderr.isTTY);
+    if (showProgress) {
+        synthOptions.onProgress = (event) => {
+            const eta = formatRemaining(event.remaining);
+            process.stderr.write(`\r\x1b[K  ${Math.floor(event.progress * 100)}% ${describeProgress(event)}${eta ? `, ~${eta} left` : ''}`);
+        };
+    }
+    if (options.ssml) {
+        synthOptions.voices = Object.fromEntries(listVoiceStyles(options.voiceStyleDir).map(name => [
+            name, loadVoiceStyle([path.join(options.voiceStyleDir, `${name}.json`)])
+        ]));
+    }
+
+    // Each job produces one output per generation: the whole batch, or a single text
+    const jobs = options.batch
+        ? [{ indices: texts.map((_, b) => b), style: loadVoiceStyle(voicePaths, true) }]
+        : texts.map((_, b) => ({ indices: [b], style: loadVoiceStyle([voicePaths[b]], true) }));
+
+    for (let n = 0; n < nTest; n++) {
+        for (const { indices, style } of jobs) {
+            console.log(`\n[${n + 1}/${nTest}] Synthesizing ${indices.length === 1 ? `text ${indices[0] + 1}` : `${indices.length} texts`}...`);
+            const result = await timer('Generating speech from text', async () => {
+                try {
+                    if (options.batch) {
+                        return await textToSpeech.batch(indices.map(b => texts[b]), style, options.totalStep, options.speed, synthOptions);
+                    }
+                    const text = texts[indices[0]];
+                    return options.ssml
+                        ? await textToSpeech.callSsml(text, style, options.totalStep, options.speed, options.silence, synthOptions)
+                        : await textToSpeech.call(text, style, options.totalStep, options.speed, options.silence, synthOptions);
+                } finally {
+                    if (showProgress) {
+                        process.stderr.write('\r\x1b[K');
+                    }
+                }
+            });
+            const { wav, duration, seed, timings, loudness } = result;
+            console.log(`Seed: ${seed}`);
+            if (result.cache) {
+                console.log(`Cache: reused ${result.cache.hits} of ${result.cache.hits + result.cache.misses} chunks`);
+            }
+            if (loudness) {
+                console.log(`Loudness: ${loudness.integrated.toFixed(1)} LUFS, true peak ${loudness.truePeak.toFixed(1)} dBTP (gain ${loudness.gain.toFixed(1)} dB)`);
+            }
+
+            const rowLen = wav.length / indices.length;
+            indices.forEach((b, k) => {
+                const { extension } = audioFormatInfo(formats[b]);
+                const file = outputPath(options, texts, b, n, nTest, extension);
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                const wavLen = Math.floor(textToSpeech.sampleRate * duration[k]);
+                writeAudioFile(file, wav.slice(k * rowLen, k * rowLen + wavLen), textToSpeech.sampleRate, {
+                    format: formats[b],
+                    bitDepth: options.bitDepth,
+                    dither: !options.noDither,
+                    outputSampleRate: options.sampleRate ?? textToSpeech.sampleRate,
+                    metadata: synthesisMetadata({
+                        text: texts[b],
+                        voice: path.basename(voicePaths[b], '.json'),
+                        totalStep: options.totalStep,
+                        speed: options.speed,
+                        seed,
+                        language: options.language
+                    })
+                });
+                console.log(`Saved: ${file}`);
+
+                if (options.subtitles) {
+                    const basePath = file.slice(0, file.length - path.extname(file).length);
+                    fs.writeFileSync(`${basePath}.srt`, toSrt(timings));
+                    fs.writeFileSync(`${basePath}.vtt`, toWebVtt(timings));
+                    console.log(`Saved: ${basePath}.srt, ${basePath}.vtt`);
+                }
+            });
+        }
+    }
+}
+
+async function runVoices(options, positionals) {
+    if (positionals.length > 0) {
+        throw new UsageError(`Unexpected argument '${positionals[0]}'`, 'voices');
+    }
+    const voices = listVoiceStyles(options.voiceStyleDir);
+    if (options.json) {
+        console.log(JSON.stringify({ voiceStyleDir: options.voiceStyleDir, voices }, null, 2));
+    } else if (voices.length === 0) {
+        console.log(`No voice styles in ${options.voiceStyleDir}`);
+    } else {
+        console.log(voices.join('\n'));
+    }
+}
+
+/**
+ * Report what is installed without loading the models; fails when model files are missing
+ */
+async function runInfo(options, positionals) {
+    if (positionals.length > 0) {
+        throw new UsageError(`Unexpected argument '${positionals[0]}'`, 'info');
+    }
+    const { version } = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'));
+    const models = MODEL_FILES.map(name => {
+        const file = path.join(options.onnxDir, name);
+        return { name, size: fs.existsSync(file) ? fs.statSync(file).size : null };
+    });
+    const configPath = path.join(options.onnxDir, 'tts.json');
+    const sampleRate = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')).ae.sample_rate : null;
+    const info = {
+        version,
+        onnxDir: options.onnxDir,
+        sampleRate,
+        models,
+        voiceStyleDir: options.voiceStyleDir,
+        voices: fs.existsSync(options.voiceStyleDir) ? listVoiceStyles(options.voiceStyleDir) : [],
+        languages: Object.keys(LANGUAGE_PROFILES),
+        formats: { wav: [16, 24, 32], flac: [16, 24], pcm: [16, 24, 32] }
+    };
+
+    if (options.json) {
+        console.log(JSON.stringify(info, null, 2));
+    } else {
+        console.log(`${PROGRAM} ${version}`);
+        console.log(`Models: ${info.onnxDir}`);
+        for (const { name, size } of models) {
+            console.log(`  ${name.padEnd(24)}${size === null ? 'missing' : `${(size / 1024 / 1024).toFixed(1)} MB`}`);
+        }
+        console.log(`Sample rate: ${sampleRate === null ? 'unknown' : `${sampleRate} Hz`}`);
+        console.log(`Voices: ${info.voices.length > 0 ? info.voices.join(', ') : 'none'} (${info.voiceStyleDir})`);
+        console.log(`Languages: ${info.languages.join(', ')}`);
+        console.log(`Formats: ${Object.entries(info.formats).map(([format, depths]) => `${format} (${depths.join('/')}-bit)`).join(', ')}`);
+    }
+    const missing = models.filter(model => model.size === null);
+    if (missing.length > 0) {
+        throw new Error(`Missing model files in ${info.onnxDir}: ${missing.map(model => model.name).join(', ')}`);
+    }
+}
+
+/**
+ * Apply lexicons to texts without loading the models, listing every match
+ */
+async function runLexicon(options) {
+    if (options.lexicon.length === 0) {
+        throw new UsageError('Give at least one --lexicon file', 'lexicon');
+    }
+    const texts = options.text;
+    if (texts.length === 0) {
+        throw new UsageError('Give a text to check', 'lexicon');
+    }
+    const lexicon = readLexicons(options.lexicon, 'lexicon');
+    const results = texts.map(text => ({ input: text, ...lexicon.apply(text) }));
+
+    if (options.json) {
+        console.log(JSON.stringify(texts.length === 1 ? results[0] : results, null, 2));
+        return;
+    }
+    results.forEach(({ text, matches }, i) => {
+        if (i > 0) {
+            console.log('');
+        }
+        if (matches.length === 0) {
+            console.log('No lexicon entries matched');
+        }
+        for (const match of matches) {
+            const where = match.source ? `${path.relative(process.cwd(), match.source)} #${match.entry + 1}` : `#${match.entry + 1}`;
+            console.log(`${String(match.offset).padStart(6)}  ${JSON.stringify(match.match)} -> ${JSON.stringify(match.replacement)}  (${where})`);
+        }
+        console.log(`Text: ${text}`);
+    });
+}
+
+/**
+ * Run the CLI with the given arguments (without node and the script path)
+ * @param {string[]} argv
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on failure, 2 on usage errors
+ */
+export async function runCli(argv) {
+    let command = null;
+    try {
+        if (argv[0] === '--help' || argv[0] === '-h' || argv[0] === 'help') {
+            console.log(argv[1] && COMMANDS[argv[1]] ? commandHelp(argv[1]) : mainHelp());
+            return 0;
+        }
+        // Options without a command run synth, so plain invocations keep working
+        const explicit = argv.length > 0 && !argv[0].startsWith('-');
+        command = explicit ? argv[0] : 'synth';
+        if (!COMMANDS[command]) {
+            command = null;
+            // Text needs an explicit synth, so a mistyped command is not read aloud
+            throw new UsageError(`Unknown command '${argv[0]}'. Commands: ${Object.keys(COMMANDS).join(', ')}. To synthesize text, run '${PROGRAM} synth "<text>"'`);
+        }
+        const { options, positionals } = parseOptions(COMMANDS[command].options, explicit ? argv.slice(1) : argv, { command, baseDir: __dirname, positionalKey: COMMANDS[command].positionalKey });
+        if (options.help) {
+            console.log(commandHelp(command));
+            return 0;
+        }
+        await COMMANDS[command].run(options, positionals);
+        return 0;
+    } catch (err) {
+        if (err instanceof UsageError) {
+            console.error(`${PROGRAM}: ${err.message}`);
+            console.error(`Run '${PROGRAM} ${err.command ? `${err.command} ` : ''}--help' for usage.`);
+            return 2;
+        }
+        console.error(`${PROGRAM}: ${err.message}`);
+        return 1;
+    }
+}
+
+// Run only when executed directly (also through the npm bin link), so runCli can be imported
+if (process.argv[1] && fs.existsSync(process.argv[1]) && fs.realpathSync(process.argv[1]) === __filename) {
+    process.exitCode = await runCli(process.argv.slice(2));
+}
@@ -0,0 +1,58 @@
+/**
+ * Click-free joining of synthesized chunks
+ *
+ * A chunk that starts or stops at a non-zero sample clicks against the silence next
+ * to it, so chunk edges get short raised-cosine fades. Chunks joined without a pause
+ * overlap instead: the tail of one fades out while the head of the next fades in
+ * along equal-power (sine/cosine) curves, which keeps the level steady through
+ * the join.
+ */
+
+/**
+ * Fade in samples[start ...] over length samples, in place
+ * @param {Float32Array|number[]} samples
+ * @param {number} length - Fade length in samples
+ * @param {number} [start=0] - First sample of the region to fade
+ * @param {number} [end=samples.length] - End (exclusive) of the region; the fade never runs past it
+ */
+export function fadeIn(samples, length, start = 0, end = samples.length) {
+    const n = Math.min(length, end - start);
+    for (let i = 0; i < n; i++) {
+        samples[start + i] *= 0.5 - 0.5 * Math.cos(Math.PI * (i + 0.5) / n);
+    }
+}
+
+/**
+ * Fade out samples[... end - 1] over length samples, in place
+ * @param {Float32Array|number[]} samples
+ * @param {number} length - Fade length in samples
+ * @param {number} [start=0] - Start of the region; the fade never runs before it
+ * @param {number} [end=samples.length] - End (exclusive) of the region to fade
+ */
+export function fadeOut(samples, length, start = 0, end = samples.length) {
+    const n = Math.min(length, end - start);
+    for (let i = 0; i < n; i++) {
+        samples[end - n + i] *= 0.5 + 0.5 * Math.cos(Math.PI * (i + 0.5) / n);
+    }
+}
+
+/**
+ * Append samples to target (an array that grows with push), overlapping the last
+ * overlap samples of target with an equal-power crossfade
+ * @param {number[]} target
+ * @param {Float32Array|number[]} samples
+ * @param {number} overlap - Crossfade length in samples, at most the length of either side
+ */
+export function appendCrossfaded(target, samples, overlap) {
+    if (overlap > Math.min(target.length, samples.length)) {
+        throw new Error(`Crossfade of ${overlap} samples is longer than the audio it joins`);
+    }
+    const offset = target.length - overlap;
+    for (let i = 0; i < overlap; i++) {
+        const angle = Math.PI / 2 * (i + 0.5) / overlap;
+        target[offset + i] = target[offset + i] * Math.cos(angle) + samples[i] * Math.sin(angle);
+    }
+    for (let i = overlap; i < samples.length; i++) {
+        target.push(samples[i]);
+    }
+}
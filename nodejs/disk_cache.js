@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+
+import { ChunkCache } from './cache.js';
+
+/**
+ * Chunk cache on disk (see cache.js)
+ *
+ * Each entry is one file, <dir>/<first two hex digits>/<key>.chunk, holding the
+ * duration as a little-endian float64 followed by the float32 samples. A file's
+ * modification time records when it was last used, so recency survives restarts.
+ * Files are written to a temporary name and renamed, so several processes can share
+ * a directory; each keeps its own size estimate, which makes the limit approximate
+ * there. A pool shares one DiskCache among its workers (see pool.js).
+ */
+
+const EXTENSION = '.chunk';
+
+// Temporary files older than this are leftovers of writes that never finished;
+// younger ones may still be written by another process
+const STALE_TEMP_MS = 10 * 60 * 1000;
+
+export class DiskCache extends ChunkCache {
+    /**
+     * @param {string} dir - Cache directory, created when missing
+     * @param {Object} options - See ChunkCache (maxBytes, maxEntries)
+     */
+    constructor(dir, options = {}) {
+        super(options);
+        this.dir = dir;
+    }
+
+    _path(key) {
+        return path.join(this.dir, key.slice(0, 2), `${key}${EXTENSION}`);
+    }
+
+    async _load() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const files = [];
+        for (const shard of await fs.promises.readdir(this.dir)) {
+            const shardDir = path.join(this.dir, shard);
+            if (!/^[0-9a-f]{2}$/.test(shard) || !(await fs.promises.stat(shardDir)).isDirectory()) {
+                continue;
+            }
+            for (const name of await fs.promises.readdir(shardDir)) {
+                const file = path.join(shardDir, name);
+                if (name.endsWith('.tmp')) {
+                    const stat = await fs.promises.stat(file).catch(() => null);
+                    if (stat && Date.now() - stat.mtimeMs > STALE_TEMP_MS) {
+                        await fs.promises.rm(file, { force: true });
+                    }
+                    continue;
+                }
+                if (name.endsWith(EXTENSION)) {
+                    const { size, mtimeMs } = await fs.promises.stat(file);
+                    files.push({ key: name.slice(0, -EXTENSION.length), size, mtimeMs });
+                }
+            }
+        }
+        files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        return files.map(({ key, size }) => [key, size]);
+    }
+
+    async _read(key) {
+        let data;
+        try {
+            data = await fs.promises.readFile(this._path(key));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            throw err;
+        }
+        if (data.length < 8 || (data.length - 8) % 4 !== 0) {
+            return null;
+        }
+        const samples = new Float32Array((data.length - 8) / 4);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = data.readFloatLE(8 + i * 4);
+        }
+        return { samples, duration: data.readDoubleLE(0) };
+    }
+
+    async _write(key, { samples, duration }) {
+        const data = Buffer.alloc(8 + samples.length * 4);
+        data.writeDoubleLE(duration, 0);
+        for (let i = 0; i < samples.length; i++) {
+            data.writeFloatLE(samples[i], 8 + i * 4);
+        }
+        const file = this._path(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+        await fs.promises.writeFile(temp, data);
+        await fs.promises.rename(temp, file);
+    }
+
+    async _remove(key) {
+        await fs.promises.rm(this._path(key), { force: true });
+    }
+
+    async _touch(key) {
+        const now = new Date();
+        await fs.promises.utimes(this._path(key), now, now);
+    }
+
+    async _clear() {
+        for (const shard of await fs.promises.readdir(this.dir)) {
+            if (/^[0-9a-f]{2}$/.test(shard)) {
+                await fs.promises.rm(path.join(this.dir, shard), { recursive: true, force: true });
+            }
+        }
+    }
+}
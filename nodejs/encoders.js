@@ -0,0 +1,642 @@
+/**
+ * Audio export: WAV (16/24-bit PCM, 32-bit float), raw PCM and FLAC
+ *
+ * Encoders take mono float samples in [-1, 1] and return a Uint8Array, so the same
+ * code serves Node (Buffer.from(bytes)) and the browser (new Blob([bytes])).
+ * Integer output is TPDF-dithered by default: two uniform random values, one LSB
+ * wide each, are summed before rounding so quantization error does not correlate
+ * with the signal. The dither generator has a fixed seed, so the same samples
+ * always encode to the same bytes.
+ */
+
+import { createRng } from './random.js';
+import { resample } from './resampler.js';
+
+const FORMATS = {
+    wav: [16, 24, 32],
+    pcm: [16, 24, 32],
+    flac: [16, 24]
+};
+
+// RIFF INFO chunk ids for the metadata fields we write
+const INFO_IDS = {
+    title: 'INAM',
+    artist: 'IART',
+    comment: 'ICMT',
+    software: 'ISFT',
+    date: 'ICRD'
+};
+
+// Vorbis comment names used by FLAC for the same fields
+const VORBIS_NAMES = {
+    title: 'TITLE',
+    artist: 'ARTIST',
+    comment: 'COMMENT',
+    software: 'ENCODER',
+    date: 'DATE'
+};
+
+const textEncoder = new TextEncoder();
+
+const DITHER_SEED = 0x2545F491;
+
+/**
+ * Throw unless a format supports a bit depth ('wav' and 'pcm': 16, 24, 32; 'flac': 16, 24)
+ */
+export function checkAudioFormat(format, bitDepth) {
+    if (!FORMATS[format]) {
+        throw new Error(`Unknown audio format '${format}'. Available formats: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    if (!FORMATS[format].includes(bitDepth)) {
+        throw new Error(`${format} does not support ${bitDepth}-bit samples, expected one of ${FORMATS[format].join(', ')}`);
+    }
+}
+
+/**
+ * Convert float samples to signed integers of the given bit depth
+ * @param {Float32Array|number[]} samples
+ * @param {number} bitDepth
+ * @param {Object} options
+ * @param {boolean} [options.dither=true] - Add TPDF dither before rounding
+ * @param {Function} [options.rng] - Uniform [0, 1) generator for the dither (fixed-seed by default)
+ * @returns {Int32Array}
+ */
+export function quantize(samples, bitDepth, { dither = true, rng = createRng(DITHER_SEED) } = {}) {
+    const max = 2 ** (bitDepth - 1) - 1;
+    const min = -max - 1;
+    const out = new Int32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        let value = Math.max(-1, Math.min(1, samples[i])) * max;
+        if (dither) {
+            value += rng() - rng();
+        }
+        out[i] = Math.max(min, Math.min(max, Math.round(value)));
+    }
+    return out;
+}
+
+/**
+ * Little-endian sample bytes without any header
+ */
+function packSamples(samples, bitDepth, options) {
+    if (bitDepth === 32) {
+        const floats = Float32Array.from(samples, s => Math.max(-1, Math.min(1, s)));
+        const bytes = new Uint8Array(floats.length * 4);
+        const view = new DataView(bytes.buffer);
+        floats.forEach((s, i) => view.setFloat32(i * 4, s, true));
+        return bytes;
+    }
+
+    const ints = quantize(samples, bitDepth, options);
+    const width = bitDepth / 8;
+    const bytes = new Uint8Array(ints.length * width);
+    for (let i = 0; i < ints.length; i++) {
+        for (let b = 0; b < width; b++) {
+            bytes[i * width + b] = (ints[i] >> (8 * b)) & 0xff;
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Encode raw little-endian PCM (signed integers, or IEEE float for 32-bit)
+ * @param {Float32Array|number[]} samples
+ * @param {Object} options
+ * @param {number} [options.bitDepth=16] - 16, 24 or 32 (float)
+ * @param {boolean} [options.dither=true]
+ * @returns {Uint8Array}
+ */
+export function encodePcm(samples, { bitDepth = 16, ...options } = {}) {
+    checkAudioFormat('pcm', bitDepth);
+    return packSamples(samples, bitDepth, options);
+}
+
+/**
+ * Build a RIFF LIST/INFO chunk from metadata fields; empty when there are none
+ */
+function infoChunk(metadata) {
+    const entries = Object.entries(INFO_IDS)
+        .filter(([field]) => metadata[field])
+        .map(([field, id]) => {
+            const text = textEncoder.encode(String(metadata[field]));
+            // Strings are NUL-terminated and chunks are padded to an even size
+            const size = text.length + 1;
+            const chunk = new Uint8Array(8 + size + (size % 2));
+            const view = new DataView(chunk.buffer);
+            writeAscii(chunk, 0, id);
+            view.setUint32(4, size, true);
+            chunk.set(text, 8);
+            return chunk;
+        });
+    if (entries.length === 0) {
+        return new Uint8Array(0);
+    }
+    const bodySize = 4 + entries.reduce((sum, e) => sum + e.length, 0);
+    const chunk = new Uint8Array(8 + bodySize);
+    writeAscii(chunk, 0, 'LIST');
+    new DataView(chunk.buffer).setUint32(4, bodySize, true);
+    writeAscii(chunk, 8, 'INFO');
+    let offset = 12;
+    for (const entry of entries) {
+        chunk.set(entry, offset);
+        offset += entry.length;
+    }
+    return chunk;
+}
+
+function writeAscii(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        bytes[offset + i] = text.charCodeAt(i);
+    }
+}
+
+/**
+ * Encode a mono WAV file
+ * @param {Float32Array|number[]} samples
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {number} [options.bitDepth=16] - 16 or 24 (integer PCM) or 32 (IEEE float)
+ * @param {boolean} [options.dither=true] - TPDF dither for integer output
+ * @param {Object} [options.metadata] - { title, artist, comment, software, date } written as LIST/INFO
+ * @returns {Uint8Array}
+ */
+export function encodeWav(samples, sampleRate, { bitDepth = 16, metadata = {}, ...options } = {}) {
+    checkAudioFormat('wav', bitDepth);
+    const isFloat = bitDepth === 32;
+    const data = packSamples(samples, bitDepth, options);
+    const info = infoChunk(metadata);
+
+    // Float WAV carries an extension size field and a fact chunk with the frame count
+    const fmtSize = isFloat ? 18 : 16;
+    const factSize = isFloat ? 12 : 0;
+    const dataPad = data.length % 2;
+    const size = 12 + (8 + fmtSize) + factSize + info.length + 8 + data.length + dataPad;
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    const ascii = (text) => {
+        writeAscii(bytes, offset, text);
+        offset += text.length;
+    };
+    const u32 = (value) => {
+        view.setUint32(offset, value, true);
+        offset += 4;
+    };
+    const u16 = (value) => {
+        view.setUint16(offset, value, true);
+        offset += 2;
+    };
+
+    ascii('RIFF');
+    u32(size - 8);
+    ascii('WAVE');
+
+    ascii('fmt ');
+    u32(fmtSize);
+    u16(isFloat ? 3 : 1);
+    u16(1);
+    u32(sampleRate);
+    u32(sampleRate * bitDepth / 8);
+    u16(bitDepth / 8);
+    u16(bitDepth);
+    if (isFloat) {
+        u16(0);
+        ascii('fact');
+        u32(4);
+        u32(samples.length);
+    }
+
+    bytes.set(info, offset);
+    offset += info.length;
+
+    ascii('data');
+    u32(data.length);
+    bytes.set(data, offset);
+    return bytes;
+}
+
+/**
+ * MSB-first bit writer for FLAC
+ */
+class BitWriter {
+    constructor(capacity = 1024) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+        this.acc = 0;
+        this.accBits = 0;
+    }
+
+    _pushByte(byte) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = byte;
+    }
+
+    /**
+     * Write the low n bits of value (n <= 32; value may be negative for two's complement)
+     */
+    write(value, n) {
+        while (n > 0) {
+            const take = Math.min(n, 8 - this.accBits);
+            const shift = n - take;
+            const bits = Math.floor(value / 2 ** shift) & ((1 << take) - 1);
+            this.acc = (this.acc << take) | bits;
+            this.accBits += take;
+            n -= take;
+            if (this.accBits === 8) {
+                this._pushByte(this.acc);
+                this.acc = 0;
+                this.accBits = 0;
+            }
+        }
+    }
+
+    writeUnary(zeros) {
+        for (; zeros >= 8 && this.accBits === 0; zeros -= 8) {
+            this._pushByte(0);
+        }
+        for (; zeros > 0; zeros--) {
+            this.write(0, 1);
+        }
+        this.write(1, 1);
+    }
+
+    alignToByte() {
+        if (this.accBits > 0) {
+            this.write(0, 8 - this.accBits);
+        }
+    }
+
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_PARTITION_ORDER = 8;
+const FLAC_MAX_RICE_PARAMETER = 14;
+
+// Frame header codes for common sample rates (other rates are written explicitly)
+const FLAC_SAMPLE_RATE_CODES = {
+    88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+    24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+};
+
+const FLAC_BIT_DEPTH_CODES = { 16: 4, 24: 6 };
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i];
+        for (let b = 0; b < 8; b++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+        }
+    }
+    return crc;
+}
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i] << 8;
+        for (let b = 0; b < 8; b++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return crc;
+}
+
+/**
+ * Residuals of the fixed polynomial predictor of a given order (0-4)
+ */
+function fixedResidual(block, order) {
+    const residual = new Int32Array(block.length - order);
+    for (let i = order; i < block.length; i++) {
+        let prediction = 0;
+        if (order === 1) {
+            prediction = block[i - 1];
+        } else if (order === 2) {
+            prediction = 2 * block[i - 1] - block[i - 2];
+        } else if (order === 3) {
+            prediction = 3 * block[i - 1] - 3 * block[i - 2] + block[i - 3];
+        } else if (order === 4) {
+            prediction = 4 * block[i - 1] - 6 * block[i - 2] + 4 * block[i - 3] - block[i - 4];
+        }
+        residual[i - order] = block[i] - prediction;
+    }
+    return residual;
+}
+
+/**
+ * Cheapest Rice parameter for a run of zigzag-coded residuals, and its cost in bits
+ */
+function bestRiceParameter(values, start, end) {
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+        sum += values[i];
+    }
+    const count = end - start;
+    const guess = sum > count ? Math.floor(Math.log2(sum / count)) : 0;
+    let best = { parameter: 0, bits: Infinity };
+    const first = Math.min(FLAC_MAX_RICE_PARAMETER, Math.max(0, guess - 1));
+    for (let k = first; k <= Math.min(FLAC_MAX_RICE_PARAMETER, guess + 1); k++) {
+        let bits = count * (k + 1);
+        for (let i = start; i < end; i++) {
+            bits += values[i] >>> k;
+        }
+        if (bits < best.bits) {
+            best = { parameter: k, bits };
+        }
+    }
+    return best;
+}
+
+/**
+ * Choose the partition order and Rice parameters for a residual
+ */
+function planResidual(residual, blockSize, predictorOrder) {
+    const zigzag = Uint32Array.from(residual, r => (r >= 0 ? 2 * r : -2 * r - 1));
+    let best = null;
+    for (let order = 0; order <= FLAC_MAX_PARTITION_ORDER; order++) {
+        const partitions = 2 ** order;
+        if (blockSize % partitions !== 0 || blockSize / partitions <= predictorOrder) {
+            break;
+        }
+        const partitionSize = blockSize / partitions;
+        const parameters = [];
+        let bits = 0;
+        for (let p = 0; p < partitions; p++) {
+            const start = p === 0 ? 0 : p * partitionSize - predictorOrder;
+            const end = (p + 1) * partitionSize - predictorOrder;
+            const { parameter, bits: cost } = bestRiceParameter(zigzag, start, end);
+            parameters.push(parameter);
+            bits += 4 + cost;
+        }
+        if (!best || bits < best.bits) {
+            best = { order, parameters, bits };
+        }
+    }
+    return { zigzag, ...best };
+}
+
+function writeSubframe(writer, block, bitDepth) {
+    // CONSTANT subframe for digital silence and other flat blocks
+    if (block.every(s => s === block[0])) {
+        writer.write(0, 8);
+        writer.write(block[0], bitDepth);
+        return;
+    }
+
+    // Like the reference encoder, pick the predictor order with the smallest residual
+    let order = 0;
+    let residual = null;
+    let smallest = Infinity;
+    for (let candidate = 0; candidate <= Math.min(4, block.length - 1); candidate++) {
+        const r = fixedResidual(block, candidate);
+        let magnitude = 0;
+        for (let i = 0; i < r.length; i++) {
+            magnitude += Math.abs(r[i]);
+        }
+        if (magnitude < smallest) {
+            smallest = magnitude;
+            order = candidate;
+            residual = r;
+        }
+    }
+    const plan = planResidual(residual, block.length, order);
+    const bits = plan.bits + order * bitDepth;
+
+    // VERBATIM when prediction does not pay off
+    if (bits >= block.length * bitDepth) {
+        writer.write(0b00000010, 8);
+        for (const s of block) {
+            writer.write(s, bitDepth);
+        }
+        return;
+    }
+
+    writer.write((0b001000 | order) << 1, 8);
+    for (let i = 0; i < order; i++) {
+        writer.write(block[i], bitDepth);
+    }
+    writer.write(0, 2);
+    writer.write(plan.order, 4);
+    const partitionSize = block.length / 2 ** plan.order;
+    plan.parameters.forEach((parameter, p) => {
+        const start = p === 0 ? 0 : p * partitionSize - order;
+        const end = (p + 1) * partitionSize - order;
+        writer.write(parameter, 4);
+        for (let i = start; i < end; i++) {
+            const value = plan.zigzag[i];
+            writer.writeUnary(value >>> parameter);
+            if (parameter > 0) {
+                writer.write(value & ((1 << parameter) - 1), parameter);
+            }
+        }
+    });
+}
+
+/**
+ * Frame number in FLAC's extended UTF-8 style coding
+ */
+function writeFrameNumber(writer, n) {
+    if (n < 0x80) {
+        writer.write(n, 8);
+        return;
+    }
+    const continuation = [];
+    let rest = n;
+    while (rest >= 2 ** (6 - continuation.length)) {
+        continuation.unshift(0x80 | (rest & 0x3f));
+        rest = Math.floor(rest / 64);
+    }
+    const lead = (0xff00 >> (continuation.length + 1)) & 0xff;
+    writer.write(lead | rest, 8);
+    for (const byte of continuation) {
+        writer.write(byte, 8);
+    }
+}
+
+function writeFrame(writer, block, frameNumber, sampleRate, bitDepth) {
+    const frameStart = writer.length;
+    writer.write(0b11111111111110, 14);
+    writer.write(0, 1);
+    writer.write(0, 1); // fixed block size stream
+
+    let blockSizeCode;
+    if (block.length === FLAC_BLOCK_SIZE) {
+        blockSizeCode = 12;
+    } else {
+        blockSizeCode = block.length <= 256 ? 6 : 7;
+    }
+    let rateCode = FLAC_SAMPLE_RATE_CODES[sampleRate];
+    if (rateCode === undefined) {
+        if (sampleRate % 1000 === 0 && sampleRate <= 255000) {
+            rateCode = 12;
+        } else if (sampleRate <= 65535) {
+            rateCode = 13;
+        } else {
+            rateCode = 0;
+        }
+    }
+    writer.write(blockSizeCode, 4);
+    writer.write(rateCode, 4);
+    writer.write(0, 4); // mono
+    writer.write(FLAC_BIT_DEPTH_CODES[bitDepth], 3);
+    writer.write(0, 1);
+    writeFrameNumber(writer, frameNumber);
+    if (blockSizeCode === 6) {
+        writer.write(block.length - 1, 8);
+    } else if (blockSizeCode === 7) {
+        writer.write(block.length - 1, 16);
+    }
+    if (rateCode === 12) {
+        writer.write(sampleRate / 1000, 8);
+    } else if (rateCode === 13) {
+        writer.write(sampleRate, 16);
+    }
+    writer.write(crc8(writer.bytes, frameStart, writer.length), 8);
+
+    writeSubframe(writer, block, bitDepth);
+    writer.alignToByte();
+    writer.write(crc16(writer.bytes, frameStart, writer.length), 16);
+}
+
+function vorbisCommentBlock(metadata) {
+    const vendor = textEncoder.encode(metadata.software || 'encoders.js');
+    const comments = Object.entries(VORBIS_NAMES)
+        .filter(([field]) => metadata[field])
+        .map(([field, name]) => textEncoder.encode(`${name}=${metadata[field]}`));
+    const size = 4 + vendor.length + 4 + comments.reduce((sum, c) => sum + 4 + c.length, 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    // Vorbis comment lengths are little-endian, unlike the rest of FLAC
+    view.setUint32(0, vendor.length, true);
+    bytes.set(vendor, 4);
+    let offset = 4 + vendor.length;
+    view.setUint32(offset, comments.length, true);
+    offset += 4;
+    for (const comment of comments) {
+        view.setUint32(offset, comment.length, true);
+        bytes.set(comment, offset + 4);
+        offset += 4 + comment.length;
+    }
+    return bytes;
+}
+
+/**
+ * Encode a mono FLAC file with fixed-predictor subframes
+ * @param {Float32Array|number[]} samples
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {number} [options.bitDepth=16] - 16 or 24
+ * @param {boolean} [options.dither=true]
+ * @param {Object} [options.metadata] - { title, artist, comment, software, date } written as Vorbis comments
+ * @returns {Uint8Array}
+ */
+export function encodeFlac(samples, sampleRate, { bitDepth = 16, metadata = {}, ...options } = {}) {
+    checkAudioFormat('flac', bitDepth);
+    if (!Number.isInteger(sampleRate) || sampleRate < 1 || sampleRate > 655350) {
+        throw new Error(`FLAC cannot store a sample rate of ${sampleRate} Hz`);
+    }
+    const ints = quantize(samples, bitDepth, options);
+    const writer = new BitWriter(Math.max(1024, ints.length * bitDepth / 8 + 1024));
+
+    writer.write(0x664c6143, 32); // 'fLaC'
+
+    // STREAMINFO (the MD5 of the audio is left as zero, meaning unknown)
+    writer.write(0, 1);
+    writer.write(0, 7);
+    writer.write(34, 24);
+    // Block sizes exclude the shorter last block
+    writer.write(FLAC_BLOCK_SIZE, 16);
+    writer.write(FLAC_BLOCK_SIZE, 16);
+    writer.write(0, 24);
+    writer.write(0, 24);
+    writer.write(sampleRate, 20);
+    writer.write(0, 3); // channels - 1
+    writer.write(bitDepth - 1, 5);
+    writer.write(Math.floor(ints.length / 2 ** 32), 4);
+    writer.write(ints.length % 2 ** 32, 32);
+    for (let i = 0; i < 4; i++) {
+        writer.write(0, 32);
+    }
+
+    const comment = vorbisCommentBlock(metadata);
+    writer.write(1, 1);
+    writer.write(4, 7);
+    writer.write(comment.length, 24);
+    for (const byte of comment) {
+        writer.write(byte, 8);
+    }
+
+    for (let start = 0, frame = 0; start < ints.length; start += FLAC_BLOCK_SIZE, frame++) {
+        writeFrame(writer, ints.subarray(start, Math.min(ints.length, start + FLAC_BLOCK_SIZE)), frame, sampleRate, bitDepth);
+    }
+    return writer.toBytes();
+}
+
+/**
+ * Encode samples in any supported format
+ * @param {Float32Array|number[]} samples
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {string} [options.format='wav'] - 'wav', 'pcm' or 'flac'
+ * @param {number} [options.bitDepth=16]
+ * @param {boolean} [options.dither=true]
+ * @param {number} [options.outputSampleRate] - Resample to this rate before encoding
+ * @param {Object} [options.metadata] - Ignored for raw PCM
+ * @returns {Uint8Array}
+ */
+export function encodeAudio(samples, sampleRate, { format = 'wav', outputSampleRate = sampleRate, ...options } = {}) {
+    checkAudioFormat(format, options.bitDepth ?? 16);
+    const output = outputSampleRate === sampleRate ? samples : resample(samples, sampleRate, outputSampleRate);
+    if (format === 'flac') {
+        return encodeFlac(output, outputSampleRate, options);
+    }
+    if (format === 'pcm') {
+        const { metadata, ...pcmOptions } = options;
+        return encodePcm(output, pcmOptions);
+    }
+    return encodeWav(output, outputSampleRate, options);
+}
+
+/**
+ * MIME type and file extension for a format
+ */
+export function audioFormatInfo(format) {
+    const info = {
+        wav: { mimeType: 'audio/wav', extension: 'wav' },
+        pcm: { mimeType: 'application/octet-stream', extension: 'pcm' },
+        flac: { mimeType: 'audio/flac', extension: 'flac' }
+    }[format];
+    if (!info) {
+        throw new Error(`Unknown audio format '${format}'. Available formats: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return info;
+}
+
+/**
+ * Metadata describing a synthesis: the text as title, the voice as artist and the
+ * settings as comment
+ * @param {Object} settings - { text, voice, totalStep, speed, seed, language }
+ * @returns {Object} Metadata for the encoders
+ */
+export function synthesisMetadata({ text, voice, totalStep, speed, seed, language }) {
+    const settings = [
+        totalStep !== undefined && `steps=${totalStep}`,
+        speed !== undefined && `speed=${speed}`,
+        seed !== undefined && seed !== null && `seed=${seed}`,
+        language && `language=${language}`
+    ].filter(Boolean);
+    return {
+        title: text,
+        artist: voice,
+        comment: settings.join(' '),
+        software: 'Supertonic'
+    };
+}
@@ -2,7 +2,9 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-import { loadTextToSpeech, loadVoiceStyle, timer, writeWavFile } from './helper.js';
+import { audioFormatInfo, checkAudioFormat, synthesisMetadata } from './encoders.js';
+import { loadTextToSpeech, loadVoiceStyle, timer, writeAudioFile } from './helper.js';
+import { toSrt, toWebVtt } from './subtitles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,7 +22,21 @@ function parseArgs() {
         voiceStyle: ['assets/voice_styles/M1.json'],
         text: ['This morning, I took a walk in the park, and the sound of the birds and the breeze was so pleasant that I stopped for a long time just to listen.'],
         saveDir: 'results',
-        batch: false
+        batch: false,
+        seed: null,
+        language: 'en',
+        strict: false,
+        batchSize: 4,
+        subtitles: false,
+        format: 'wav',
+        bitDepth: 16,
+        dither: true,
+        sampleRate: null,
+        loudness: null,
+        truePeak: -1,
+        pauses: {},
+        trim: true,
+        crossfade: 0.02
     };
 
     for (let i = 2; i < process.argv.length; i++) {
@@ -29,6 +45,14 @@ function parseArgs() {
             args.useGpu = true;
         } else if (arg === '--batch') {
             args.batch = true;
+        } else if (arg === '--strict') {
+            args.strict = true;
+        } else if (arg === '--subtitles') {
+            args.subtitles = true;
+        } else if (arg === '--no-dither') {
+            args.dither = false;
+        } else if (arg === '--no-trim') {
+            args.trim = false;
         } else if (arg === '--onnx-dir' && i + 1 < process.argv.length) {
             args.onnxDir = process.argv[++i];
         } else if (arg === '--total-step' && i + 1 < process.argv.length) {
@@ -43,6 +67,27 @@ function parseArgs() {
             args.text = process.argv[++i].split('|');
         } else if (arg === '--save-dir' && i + 1 < process.argv.length) {
             args.saveDir = process.argv[++i];
+        } else if (arg === '--language' && i + 1 < process.argv.length) {
+            args.language = process.argv[++i];
+        } else if (arg === '--seed' && i + 1 < process.argv.length) {
+            args.seed = parseInt(process.argv[++i]);
+        } else if (arg === '--batch-size' && i + 1 < process.argv.length) {
+            args.batchSize = parseInt(process.argv[++i]);
+        } else if (arg === '--format' && i + 1 < process.argv.length) {
+            args.format = process.argv[++i];
+        } else if (arg === '--bit-depth' && i + 1 < process.argv.length) {
+            args.bitDepth = parseInt(process.argv[++i]);
+        } else if (arg === '--sample-rate' && i + 1 < process.argv.length) {
+            args.sampleRate = parseInt(process.argv[++i]);
+        } else if (arg === '--loudness' && i + 1 < process.argv.length) {
+            args.loudness = parseFloat(process.argv[++i]);
+        } else if (arg === '--true-peak' && i + 1 < process.argv.length) {
+            args.truePeak = parseFloat(process.argv[++i]);
+        } else if (arg === '--crossfade' && i + 1 < process.argv.length) {
+            args.crossfade = parseFloat(process.argv[++i]);
+        } else if (arg === '--pauses' && i + 1 < process.argv.length) {
+            const [clause, sentence, paragraph] = process.argv[++i].split(',').map(parseFloat);
+            args.pauses = { clause, sentence, paragraph };
         }
     }
 
@@ -64,6 +109,8 @@ async function main() {
     const voiceStylePaths = args.voiceStyle.map(p => path.resolve(__dirname, p));
     const textList = args.text;
     const batch = args.batch;
+    checkAudioFormat(args.format, args.bitDepth);
+    const { extension } = audioFormatInfo(args.format);
 
     if (voiceStylePaths.length !== textList.length) {
         throw new Error(`Number of voice styles (${voiceStylePaths.length}) must match number of texts (${textList.length})`);
@@ -78,16 +125,31 @@ async function main() {
     const style = loadVoiceStyle(voiceStylePaths, true);
 
     // --- 4. Synthesize speech --- //
+    const synthOptions = {
+        seed: args.seed,
+        language: args.language,
+        validation: args.strict ? 'strict' : 'lenient',
+        batchSize: args.batchSize,
+        loudness: args.loudness === null ? null : { target: args.loudness, truePeak: args.truePeak },
+        pauses: args.pauses,
+        trimSilence: args.trim,
+        crossfade: args.crossfade
+    };
     for (let n = 0; n < nTest; n++) {
         console.log(`\n[${n + 1}/${nTest}] Starting synthesis...`);
         
-        const { wav, duration } = await timer('Generating speech from text', async () => {
+        const { wav, duration, seed, timings, loudness } = await timer('Generating speech from text', async () => {
             if (batch) {
-                return await textToSpeech.batch(textList, style, totalStep, speed);
+                return await textToSpeech.batch(textList, style, totalStep, speed, synthOptions);
             } else {
-                return await textToSpeech.call(textList[0], style, totalStep, speed);
+                return await textToSpeech.call(textList[0], style, totalStep, speed, 0.3, synthOptions);
             }
         });
+        console.log(`Seed: ${seed}`);
+        // Loudness normalization is only applied to single-speaker (non-batch) synthesis
+        if (loudness) {
+            console.log(`Loudness: ${loudness.integrated.toFixed(1)} LUFS, true peak ${loudness.truePeak.toFixed(1)} dBTP (gain ${loudness.gain.toFixed(1)} dB)`);
+        }
         
         if (!fs.existsSync(saveDir)) {
             fs.mkdirSync(saveDir, { recursive: true });
@@ -95,13 +157,34 @@ async function main() {
 
         const wavShape = [bsz, wav.length / bsz];
         for (let b = 0; b < bsz; b++) {
-            const fname = `${textList[b].substring(0, 20).replace(/[^a-zA-Z0-9]/g, '_')}_${n + 1}.wav`;
+            const fname = `${textList[b].substring(0, 20).replace(/[^a-zA-Z0-9]/g, '_')}_${n + 1}.${extension}`;
             const wavLen = Math.floor(textToSpeech.sampleRate * duration[b]);
             const wavOut = wav.slice(b * wavShape[1], b * wavShape[1] + wavLen);
             
             const outputPath = path.join(saveDir, fname);
-            writeWavFile(outputPath, wavOut, textToSpeech.sampleRate);
+            writeAudioFile(outputPath, wavOut, textToSpeech.sampleRate, {
+                format: args.format,
+                bitDepth: args.bitDepth,
+                dither: args.dither,
+                outputSampleRate: args.sampleRate ?? textToSpeech.sampleRate,
+                metadata: synthesisMetadata({
+                    text: textList[b],
+                    voice: path.basename(voiceStylePaths[b], '.json'),
+                    totalStep,
+                    speed,
+                    seed,
+                    language: args.language
+                })
+            });
             console.log(`Saved: ${outputPath}`);
+
+            // Timing maps are only available for single-speaker (non-batch) synthesis
+            if (args.subtitles && timings) {
+                const basePath = outputPath.slice(0, -`.${extension}`.length);
+                fs.writeFileSync(`${basePath}.srt`, toSrt(timings));
+                fs.writeFileSync(`${basePath}.vtt`, toWebVtt(timings));
+                console.log(`Saved: ${basePath}.srt, ${basePath}.vtt`);
+            }
         }
     }
 
@@ -3,26 +3,82 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import * as ort from 'onnxruntime-node';
 
+import { findUnsupportedChars, replaceUnsupportedChars } from './charset.js';
+import { ChunkCache, chunkCacheKey } from './cache.js';
+import { appendCrossfaded, fadeIn, fadeOut } from './crossfade.js';
+import { parseDialogue } from './dialogue.js';
+import { DiskCache } from './disk_cache.js';
+import { encodeAudio } from './encoders.js';
+import { getLanguageProfile } from './languages.js';
+import { Lexicon, LexiconError } from './lexicon.js';
+import { normalizeLoudness } from './loudness.js';
+import { boundaryAfter, resolvePauses, trimSilence } from './pauses.js';
+import { ProgressTracker } from './progress.js';
+import { createRng } from './random.js';
+import { resample } from './resampler.js';
+import { parseSsml } from './ssml.js';
+import { estimateWordTimings } from './subtitles.js';
+
 const __filename = fileURLToPath(import.meta.url);
 
+// Long-form chunks run through the models together unless options.batchSize says otherwise
+const DEFAULT_BATCH_SIZE = 4;
+
+/**
+ * Rejection of a synthesis call whose options.signal was aborted. name is 'AbortError',
+ * as for aborted fetches; reason is the signal's reason.
+ */
+export class AbortError extends Error {
+    constructor(reason) {
+        super('Synthesis was aborted');
+        this.name = 'AbortError';
+        this.reason = reason;
+    }
+}
+
+// options.signal is checked between chunks and denoising steps; a running model step finishes first
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw new AbortError(signal.reason);
+    }
+}
+
 /**
  * Unicode text processor
  */
 class UnicodeProcessor {
     constructor(unicodeIndexerJsonPath) {
         this.indexer = JSON.parse(fs.readFileSync(unicodeIndexerJsonPath, 'utf8'));
+        // Pronunciation lexicon applied to every text, see lexicon.js
+        this.lexicon = null;
     }
 
-    _preprocessText(text) {
-        // TODO: Need advanced normalizer for better performance
-        text = text.normalize('NFKD');
-
-        // FIXME: this should be fixed for non-English languages
+    /**
+     * @param {string} text
+     * @param {string} [language='en'] - Preprocessing profile, see languages.js
+     * @param {Lexicon} [lexicon] - Respellings applied before any other preprocessing
+     */
+    _preprocessText(text, language = 'en', lexicon = null) {
+        if (lexicon) {
+            text = lexicon.apply(text).text;
+        }
+        const profile = getLanguageProfile(language);
+        text = text.normalize(profile.unicodeForm);
 
         // Remove emojis (wide Unicode range)
         const emojiPattern = /[\u{1F600}-\u{1F64F}\u{1F300}-\u{1F5FF}\u{1F680}-\u{1F6FF}\u{1F700}-\u{1F77F}\u{1F780}-\u{1F7FF}\u{1F800}-\u{1F8FF}\u{1F900}-\u{1F9FF}\u{1FA00}-\u{1FA6F}\u{1FA70}-\u{1FAFF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}\u{1F1E6}-\u{1F1FF}]+/gu;
         text = text.replace(emojiPattern, '');
 
+        // Verbalize numbers, currency, dates, times and units before symbols are stripped
+        if (profile.normalize) {
+            text = profile.normalize(text);
+        }
+
+        // Language-specific punctuation and quotes
+        for (const [k, v] of Object.entries(profile.replacements)) {
+            text = text.replaceAll(k, v);
+        }
+
         // Replace various dashes and symbols
         const replacements = {
             '–': '-',
@@ -48,19 +104,16 @@ class UnicodeProcessor {
             text = text.replaceAll(k, v);
         }
 
-        // Remove combining diacritics // FIXME: this should be fixed for non-English languages
-        text = text.replace(/[\u0302\u0303\u0304\u0305\u0306\u0307\u0308\u030A\u030B\u030C\u0327\u0328\u0329\u032A\u032B\u032C\u032D\u032E\u032F]/g, '');
+        // Remove combining diacritics the profile does not keep
+        if (profile.stripMarks) {
+            text = text.replace(profile.stripMarks, '');
+        }
 
         // Remove special symbols
         text = text.replace(/[♥☆♡©\\]/g, '');
 
         // Replace known expressions
-        const exprReplacements = {
-            '@': ' at ',
-            'e.g.,': 'for example, ',
-            'i.e.,': 'that is, ',
-        };
-        for (const [k, v] of Object.entries(exprReplacements)) {
+        for (const [k, v] of Object.entries(profile.expressions)) {
             text = text.replaceAll(k, v);
         }
 
@@ -88,38 +141,93 @@ class UnicodeProcessor {
         text = text.replace(/\s+/g, ' ').trim();
 
         // If text doesn't end with punctuation, quotes, or closing brackets, add a period
-        if (!/[.!?;:,'\"')\]}…。」』】〉》›»]$/.test(text)) {
+        if (!profile.sentenceFinal.test(text)) {
             text += '.';
         }
 
         return text;
     }
 
-    _textToUnicodeValues(text) {
-        return Array.from(text).map(char => char.charCodeAt(0));
+    _getTextMask(textIdsLengths) {
+        return lengthToMask(textIdsLengths, Math.max(...textIdsLengths));
     }
 
-    _getTextMask(textIdsLengths) {
-        return lengthToMask(textIdsLengths);
+    /**
+     * The lexicon for one call: options.lexicon (a Lexicon or lexicon JSON data) takes
+     * precedence over the processor's own lexicon, which still covers everything else
+     */
+    _lexicon(options = {}) {
+        if (!options.lexicon) {
+            return this.lexicon;
+        }
+        const lexicon = Lexicon.from(options.lexicon);
+        return this.lexicon ? Lexicon.merge([lexicon, this.lexicon]) : lexicon;
+    }
+
+    /**
+     * Rewrite a text with the lexicon and list the entries that matched
+     * @param {string} text
+     * @param {Object} options
+     * @param {Lexicon|Object|Array} [options.lexicon] - Per-call lexicon, see _lexicon
+     * @returns {{text: string, matches: Array}} see Lexicon.apply in lexicon.js
+     */
+    matchLexicon(text, options = {}) {
+        const lexicon = this._lexicon(options);
+        return lexicon ? lexicon.apply(text) : { text, matches: [] };
     }
 
-    call(textList) {
-        const processedTexts = textList.map(t => this._preprocessText(t));
-        const textIdsLengths = processedTexts.map(t => t.length);
+    /**
+     * Preprocess a text and report the characters the indexer does not cover
+     * @param {string} text
+     * @param {Object} options
+     * @param {string} [options.language='en'] - Preprocessing profile
+     * @param {Lexicon|Object|Array} [options.lexicon] - Per-call lexicon, see _lexicon
+     * @returns {{valid: boolean, text: string, unsupported: Array}} text is the preprocessed text that
+     *   unsupported positions refer to; see findUnsupportedChars in charset.js
+     */
+    validateText(text, options = {}) {
+        const processed = this._preprocessText(text, options.language, this._lexicon(options));
+        const unsupported = findUnsupportedChars(processed, this.indexer);
+        return { valid: unsupported.length === 0, text: processed, unsupported };
+    }
+
+    /**
+     * The text exactly as the model reads it: preprocessed, with the lexicon applied and
+     * unsupported characters handled (see call for the options)
+     */
+    normalizeText(text, options = {}, lexicon = this._lexicon(options)) {
+        return replaceUnsupportedChars(this._preprocessText(text, options.language, lexicon), this.indexer, options);
+    }
+
+    /**
+     * Returns flat row-major buffers: textIds [B, maxLen] and textMask [B, 1, maxLen]
+     * @param {string[]} textList
+     * @param {Object} options
+     * @param {string} [options.language='en'] - Preprocessing profile
+     * @param {string} [options.validation='lenient'] - 'strict' throws UnsupportedCharacterError on
+     *   characters missing from the indexer, 'lenient' transliterates or replaces them
+     * @param {string} [options.fallback=''] - Lenient replacement for characters without a transliteration
+     * @param {Lexicon|Object|Array} [options.lexicon] - Per-call lexicon, see _lexicon
+     */
+    call(textList, options = {}) {
+        const lexicon = this._lexicon(options);
+        const processedTexts = textList.map(t => this.normalizeText(t, options, lexicon));
+        // Index by full code points so astral characters are not split into surrogate halves
+        const codePointLists = processedTexts.map(t => Array.from(t, char => char.codePointAt(0)));
+        const textIdsLengths = codePointLists.map(codePoints => codePoints.length);
         const maxLen = Math.max(...textIdsLengths);
         
-        const textIds = [];
-        for (let i = 0; i < processedTexts.length; i++) {
-            const row = new Array(maxLen).fill(0);
-            const unicodeVals = this._textToUnicodeValues(processedTexts[i]);
-            for (let j = 0; j < unicodeVals.length; j++) {
-                row[j] = this.indexer[unicodeVals[j]];
+        const textIds = new BigInt64Array(processedTexts.length * maxLen);
+        for (let i = 0; i < codePointLists.length; i++) {
+            const codePoints = codePointLists[i];
+            const offset = i * maxLen;
+            for (let j = 0; j < codePoints.length; j++) {
+                textIds[offset + j] = BigInt(this.indexer[codePoints[j]]);
             }
-            textIds.push(row);
         }
         
         const textMask = this._getTextMask(textIdsLengths);
-        return { textIds, textMask };
+        return { textIds, textMask, maxLen };
     }
 }
 
@@ -148,62 +256,62 @@ class TextToSpeech {
         this.baseChunkSize = cfgs.ae.base_chunk_size;
         this.chunkCompressFactor = cfgs.ttl.chunk_compress_factor;
         this.ldim = cfgs.ttl.latent_dim;
+        // Chunk cache used by every call unless options.cache says otherwise, see cache.js
+        this.cache = null;
     }
 
-    sampleNoisyLatent(duration) {
-        const wavLenMax = Math.max(...duration) * this.sampleRate;
+    /**
+     * Sample masked Gaussian noise as a flat [B, latentDim, latentLen] buffer.
+     * Each item draws from its own generator over its own length, so its noise does not
+     * depend on what else is in the batch; padding past an item's length stays zero.
+     * @param {number[]} duration - Duration of each batch item in seconds
+     * @param {Function[]} rngs - Uniform [0, 1) generator for each item (see createRng)
+     */
+    sampleNoisyLatent(duration, rngs = duration.map(() => Math.random)) {
+        const bsz = duration.length;
+        const wavLenMax = Math.floor(Math.max(...duration) * this.sampleRate);
         const wavLengths = duration.map(d => Math.floor(d * this.sampleRate));
         const chunkSize = this.baseChunkSize * this.chunkCompressFactor;
         const latentLen = Math.floor((wavLenMax + chunkSize - 1) / chunkSize);
         const latentDim = this.ldim * this.chunkCompressFactor;
 
-        // Generate random noise
-        const noisyLatent = [];
-        for (let b = 0; b < duration.length; b++) {
-            const batch = [];
-            for (let d = 0; d < latentDim; d++) {
-                const row = [];
-                for (let t = 0; t < latentLen; t++) {
-                    // Box-Muller transform for normal distribution
-                    // Add epsilon to avoid log(0)
-                    const eps = 1e-10;
-                    const u1 = Math.max(eps, Math.random());
-                    const u2 = Math.random();
-                    const randNormal = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-                    row.push(randNormal);
-                }
-                batch.push(row);
-            }
-            noisyLatent.push(batch);
-        }
+        const latentMask = getLatentMask(wavLengths, this.baseChunkSize, this.chunkCompressFactor, latentLen);
+        const noisyLatent = new Float32Array(bsz * latentDim * latentLen);
 
-        const latentMask = getLatentMask(wavLengths, this.baseChunkSize, this.chunkCompressFactor);
-        
-        // Apply mask
-        for (let b = 0; b < noisyLatent.length; b++) {
-            for (let d = 0; d < noisyLatent[b].length; d++) {
-                for (let t = 0; t < noisyLatent[b][d].length; t++) {
-                    noisyLatent[b][d][t] *= latentMask[b][0][t];
-                }
+        for (let b = 0; b < bsz; b++) {
+            const itemLen = Math.floor((wavLengths[b] + chunkSize - 1) / chunkSize);
+            const noise = sampleGaussian(latentDim * itemLen, rngs[b]);
+            for (let d = 0; d < latentDim; d++) {
+                noisyLatent.set(noise.subarray(d * itemLen, (d + 1) * itemLen), (b * latentDim + d) * latentLen);
             }
         }
 
-        return { noisyLatent, latentMask };
+        return { noisyLatent, latentMask, latentDim, latentLen };
     }
 
-    async _infer(textList, style, totalStep, speed = 1.05) {
+    /**
+     * @param {Object} options
+     * @param {number} [options.seed] - Noise seed (uint32); a random one is drawn when omitted
+     * @param {string} [options.language='en'] - Text preprocessing profile (see languages.js)
+     * @param {string} [options.validation='lenient'] - Handling of characters missing from the indexer ('strict' or 'lenient')
+     * @param {string} [options.fallback=''] - Lenient replacement for characters without a transliteration
+     * @param {AbortSignal} [options.signal] - Rejects the call with AbortError once aborted
+     * @param {Function} [report] - Called as report(stage, stepIndex) before each model run (see ProgressTracker.batch)
+     */
+    async _infer(textList, style, totalStep, speed = 1.05, options = {}, report = null) {
         if (textList.length !== style.ttl.dims[0]) {
             throw new Error('Number of texts must match number of style vectors');
         }
+        const seed = resolveSeed(options.seed);
         const bsz = textList.length;
-        const { textIds, textMask } = this.textProcessor.call(textList);
-        const textIdsShape = [bsz, textIds[0].length];
-        const textMaskShape = [bsz, 1, textMask[0][0].length];
+        const { textIds, textMask, maxLen } = this.textProcessor.call(textList, options);
         
-        const textMaskTensor = arrayToTensor(textMask, textMaskShape);
+        const textIdsTensor = new ort.Tensor('int64', textIds, [bsz, maxLen]);
+        const textMaskTensor = new ort.Tensor('float32', textMask, [bsz, 1, maxLen]);
         
+        report?.('duration');
         const dpResult = await this.dpOrt.run({
-            text_ids: intArrayToTensor(textIds, textIdsShape),
+            text_ids: textIdsTensor,
             style_dp: style.dp,
             text_mask: textMaskTensor
         });
@@ -215,100 +323,432 @@ class TextToSpeech {
             durOnnx[i] /= speed;
         }
         
+        report?.('encode');
         const textEncResult = await this.textEncOrt.run({
-            text_ids: intArrayToTensor(textIds, textIdsShape),
+            text_ids: textIdsTensor,
             style_ttl: style.ttl,
             text_mask: textMaskTensor
         });
         
         const textEmbTensor = textEncResult.text_emb;
 
-        let { noisyLatent, latentMask } = this.sampleNoisyLatent(durOnnx);
-        const latentShape = [bsz, noisyLatent[0].length, noisyLatent[0][0].length];
-        const latentMaskShape = [bsz, 1, latentMask[0][0].length];
-        
-        const latentMaskTensor = arrayToTensor(latentMask, latentMaskShape);
+        const rngs = textList.map(() => createRng(seed));
+        const { noisyLatent, latentMask, latentDim, latentLen } = this.sampleNoisyLatent(durOnnx, rngs);
+        const latentShape = [bsz, latentDim, latentLen];
         
-        const totalStepArray = new Array(bsz).fill(totalStep);
-        const scalarShape = [bsz];
-        const totalStepTensor = arrayToTensor(totalStepArray, scalarShape);
+        const latentMaskTensor = new ort.Tensor('float32', latentMask, [bsz, 1, latentLen]);
+        const totalStepTensor = new ort.Tensor('float32', new Float32Array(bsz).fill(totalStep), [bsz]);
 
+        // The denoised output feeds the next step directly, without reshaping
+        let latent = noisyLatent;
         for (let step = 0; step < totalStep; step++) {
-            const currentStepArray = new Array(bsz).fill(step);
-
+            throwIfAborted(options.signal);
+            report?.('denoise', step);
             const vectorEstResult = await this.vectorEstOrt.run({
-                noisy_latent: arrayToTensor(noisyLatent, latentShape),
+                noisy_latent: new ort.Tensor('float32', latent, latentShape),
                 text_emb: textEmbTensor,
                 style_ttl: style.ttl,
                 text_mask: textMaskTensor,
                 latent_mask: latentMaskTensor,
                 total_step: totalStepTensor,
-                current_step: arrayToTensor(currentStepArray, scalarShape)
+                current_step: new ort.Tensor('float32', new Float32Array(bsz).fill(step), [bsz])
             });
 
-            const denoisedLatent = Array.from(vectorEstResult.denoised_latent.data);
-
-            // Update latent with the denoised output
-            let idx = 0;
-            for (let b = 0; b < noisyLatent.length; b++) {
-                for (let d = 0; d < noisyLatent[b].length; d++) {
-                    for (let t = 0; t < noisyLatent[b][d].length; t++) {
-                        noisyLatent[b][d][t] = denoisedLatent[idx++];
-                    }
-                }
-            }
+            latent = vectorEstResult.denoised_latent.data;
         }
 
+        throwIfAborted(options.signal);
+        report?.('vocode');
         const vocoderResult = await this.vocoderOrt.run({
-            latent: arrayToTensor(noisyLatent, latentShape)
+            latent: new ort.Tensor('float32', latent, latentShape)
         });
 
         const wav = Array.from(vocoderResult.wav_tts.data);
-        return { wav, duration: durOnnx };
+        return { wav, duration: durOnnx, seed };
+    }
+
+    /**
+     * Report characters in a text that the model cannot read (see UnicodeProcessor.validateText)
+     */
+    validateText(text, options = {}) {
+        return this.textProcessor.validateText(text, options);
     }
 
-    async call(text, style, totalStep, speed = 1.05, silenceDuration = 0.3) {
+    /**
+     * List the lexicon entries that match a text (see UnicodeProcessor.matchLexicon)
+     */
+    matchLexicon(text, options = {}) {
+        return this.textProcessor.matchLexicon(text, options);
+    }
+
+    /**
+     * Replace the lexicon applied to every call
+     * @param {Lexicon|Object|Array|null} lexicon - A Lexicon, lexicon JSON data, or null to remove it
+     */
+    setLexicon(lexicon) {
+        this.textProcessor.lexicon = lexicon ? Lexicon.from(lexicon) : null;
+    }
+
+    /**
+     * Synthesize long text as a single waveform.
+     * Every chunk is sampled with the same seed, so an identical chunk always yields identical audio.
+     * The result includes a timing map: per-chunk start/end and estimated word timings, in seconds.
+     * options.outputSampleRate resamples the result (e.g. 16000 or 48000); result.sampleRate reports the rate.
+     * options.loudness (true, or { target, truePeak } in LUFS and dBTP) normalizes the result;
+     * result.loudness then reports the measured integrated loudness, true peak and applied gain.
+     * Chunks are separated by silenceDuration after a sentence, half of it at a clause split and twice
+     * it at a paragraph break; options.pauses ({ clause, sentence, paragraph } in seconds) overrides these.
+     * options.trimSilence (default true, or { threshold, padding }) cuts each chunk's leading and trailing silence.
+     * Chunk edges fade in and out over options.fade seconds (default 0.005); chunks joined without a pause
+     * overlap by options.crossfade seconds (default 0.02) with an equal-power crossfade (see crossfade.js).
+     * With a seed and a chunk cache (options.cache, else this.cache; false disables it), chunks synthesized
+     * before are reused; result.cache then reports { hits, misses }.
+     * options.signal (an AbortSignal) stops synthesis between chunks and denoising steps, rejecting with AbortError.
+     * options.onProgress is called with a ProgressEvent before each model run: the stage, chunk and step, the
+     * fraction of the work done, elapsed seconds and estimated seconds remaining (see progress.js); a last
+     * 'done' event with progress 1 follows once the result is complete.
+     */
+    async call(text, style, totalStep, speed = 1.05, silenceDuration = 0.3, options = {}) {
+        const chunks = this._planText(text, style, speed);
+        const tracker = this._progressTracker(chunks, totalStep, options);
+        return await this._render(this._streamChunks(chunks, totalStep, options, tracker), silenceDuration, 0, options, tracker);
+    }
+
+    /**
+     * Synthesize an SSML document (see ssml.js for the supported subset).
+     * <break> inserts explicit silence, <prosody rate> scales the speed of its chunks and
+     * <voice name="..."> switches to the style registered under that name in options.voices.
+     */
+    async callSsml(ssml, style, totalStep, speed = 1.05, silenceDuration = 0.3, options = {}) {
+        const { chunks, trailingPause } = this._planSsml(ssml, style, speed, options.voices || {});
+        const tracker = this._progressTracker(chunks, totalStep, options);
+        return await this._render(this._streamChunks(chunks, totalStep, options, tracker), silenceDuration, trailingPause, options, tracker);
+    }
+
+    /**
+     * Synthesize a multi-speaker dialogue as one timeline (see dialogue.js for the script format).
+     * Each turn is read with the style its speaker maps to in voices; turnGap seconds of silence
+     * separate turns, and options.silenceDuration (default 0.3) separates chunks within a long turn.
+     * @param {string|Array<{speaker: string, text: string}>} script - Script text or parsed turns
+     * @param {Object<string, Style>} voices - Style for each speaker name
+     * @returns {Promise<Object>} call's result plus turns: [{ speaker, text, line, start, end, chunks }],
+     *   where chunks are the turn's entries of the timing map
+     */
+    async callDialogue(script, voices, totalStep, speed = 1.05, turnGap = 0.5, options = {}) {
+        // Only tags naming a voice start a turn, so "Note: ..." inside a turn stays text
+        const turns = typeof script === 'string' ? parseDialogue(script, { speakers: Object.keys(voices) }) : script;
+        const { chunks, turnOfChunk } = this._planDialogue(turns, voices, speed, turnGap);
+        const tracker = this._progressTracker(chunks, totalStep, options);
+        const result = await this._render(this._streamChunks(chunks, totalStep, options, tracker), options.silenceDuration ?? 0.3, 0, options, tracker);
+
+        const turnTimings = turns.map(turn => ({ speaker: turn.speaker, text: turn.text, line: turn.line ?? null, chunks: [] }));
+        result.timings.forEach((timing, i) => turnTimings[turnOfChunk[i]].chunks.push(timing));
+        for (const turn of turnTimings) {
+            turn.start = turn.chunks[0].start;
+            turn.end = turn.chunks[turn.chunks.length - 1].end;
+        }
+        return { ...result, turns: turnTimings };
+    }
+
+    /**
+     * Synthesize long text chunk by chunk, yielding each chunk as soon as it is ready.
+     * Samples are trimmed to the predicted duration and, unless options.trimSilence is false,
+     * to the speech itself; silence between chunks is left to the caller (see pauses.js).
+     * The 'done' progress event follows the last chunk, unless the caller stops early.
+     */
+    async *stream(text, style, totalStep, speed = 1.05, options = {}) {
+        const chunks = this._planText(text, style, speed);
+        const tracker = this._progressTracker(chunks, totalStep, options);
+        yield* this._streamChunks(chunks, totalStep, options, tracker);
+        tracker?.finish();
+    }
+
+    /**
+     * Split single-speaker text into synthesis chunks
+     */
+    _planText(text, style, speed) {
         if (style.ttl.dims[0] !== 1) {
             throw new Error('Single speaker text to speech only supports single style');
         }
-        const textList = chunkText(text);
-        let wavCat = null;
+        return chunkText(text).map(chunk => ({ ...chunk, style, speed }));
+    }
+
+    /**
+     * ProgressTracker for planned chunks, or null without options.onProgress
+     */
+    _progressTracker(chunks, totalStep, options) {
+        return options.onProgress ? new ProgressTracker(chunks.map(chunk => chunk.text.length), totalStep, options.onProgress) : null;
+    }
+
+    /**
+     * Synthesize planned chunks ({ text, style, speed, pauseBefore, boundary }) in order.
+     * pauseBefore is explicit silence in seconds, or null for the default pause of the
+     * chunk's boundary ('clause', 'sentence' or 'paragraph').
+     * Up to options.batchSize (default 4) consecutive chunks with the same speed run as one batch;
+     * each item keeps its own noise, so batching changes speed, not the voice.
+     * Chunks found in the cache (see _chunkCache) are yielded without running the models;
+     * cached is true for those, false for synthesized ones and null without a cache.
+     * tracker (see _progressTracker) reports each model run; finishing it is left to the caller.
+     */
+    async *_streamChunks(chunks, totalStep, options = {}, tracker = null) {
+        const seed = resolveSeed(options.seed);
+        const batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+        const trim = options.trimSilence ?? true;
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new Error(`batchSize must be a positive integer, got ${batchSize}`);
+        }
+        const cache = this._chunkCache(options);
+        const model = cache ? JSON.stringify(this.cfgs) : null;
+
+        // Lookups run ahead of synthesis to find where a batch must stop; each is used once
+        const lookups = new Map();
+        const lookup = (i) => {
+            if (!lookups.has(i)) {
+                const { text, style, speed } = chunks[i];
+                const key = chunkCacheKey({ text: this.textProcessor.normalizeText(text, options), style, totalStep, speed, seed, model });
+                lookups.set(i, cache.get(key).then(entry => ({ key, entry })));
+            }
+            return lookups.get(i);
+        };
+        const isCached = async (i) => cache !== null && (await lookup(i)).entry !== null;
+
+        const piece = (i, wav, duration, cached) => {
+            if (trim) {
+                wav = trimSilence(wav, this.sampleRate, trim === true ? {} : trim);
+                duration = wav.length / this.sampleRate;
+            }
+            return {
+                wav,
+                duration,
+                text: chunks[i].text,
+                index: i,
+                total: chunks.length,
+                seed,
+                pauseBefore: chunks[i].pauseBefore ?? null,
+                boundary: chunks[i].boundary ?? null,
+                cached: cache ? cached : null
+            };
+        };
+
+        for (let start = 0; start < chunks.length;) {
+            throwIfAborted(options.signal);
+            if (await isCached(start)) {
+                const { entry } = await lookup(start);
+                lookups.delete(start);
+                tracker?.skip(start);
+                yield piece(start, Array.from(entry.samples), entry.duration, true);
+                start++;
+                continue;
+            }
+            let end = start + 1;
+            while (end < chunks.length && end - start < batchSize && chunks[end].speed === chunks[start].speed && !(await isCached(end))) {
+                end++;
+            }
+            const group = chunks.slice(start, end);
+            const style = group.length === 1 ? group[0].style : stackStyles(group.map(chunk => chunk.style));
+            const { wav, duration } = await this._infer(group.map(chunk => chunk.text), style, totalStep, group[0].speed, { ...options, seed }, tracker?.batch(start, end));
+
+            // The vocoder output is [B, T]; trim each row to its own predicted duration
+            const rowLen = wav.length / group.length;
+            for (let k = 0; k < group.length; k++) {
+                const wavLen = Math.min(rowLen, Math.floor(duration[k] * this.sampleRate));
+                const chunkWav = wav.slice(k * rowLen, k * rowLen + wavLen);
+                if (cache) {
+                    const { key } = await lookup(start + k);
+                    lookups.delete(start + k);
+                    await cache.set(key, { samples: Float32Array.from(chunkWav), duration: duration[k] });
+                }
+                yield piece(start + k, chunkWav, duration[k], false);
+            }
+            start = end;
+        }
+    }
+
+    /**
+     * The chunk cache for one call: options.cache (a ChunkCache, or false to bypass) or this.cache.
+     * Without a seed every call draws new noise, so there is nothing to reuse and no cache is used.
+     */
+    _chunkCache(options) {
+        const cache = options.cache === undefined ? this.cache : options.cache;
+        if (!cache || options.seed === undefined || options.seed === null) {
+            return null;
+        }
+        if (!(cache instanceof ChunkCache)) {
+            throw new Error('options.cache must be a ChunkCache (see cache.js) or false');
+        }
+        return cache;
+    }
+
+    /**
+     * Concatenate streamed chunks into one waveform with a timing map, resampled to
+     * options.outputSampleRate (see resampler.js) and normalized to options.loudness
+     * (see loudness.js) when given. Chunks are faded at silences and crossfaded where
+     * they meet without one. tracker, when given, reports the end once the result is complete.
+     */
+    async _render(pieces, silenceDuration, trailingPause = 0, options = {}, tracker = null) {
+        const sampleRate = options.outputSampleRate ?? this.sampleRate;
+        if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+            throw new Error(`outputSampleRate must be a positive integer number of Hz, got ${options.outputSampleRate}`);
+        }
+        const pauses = resolvePauses(silenceDuration, options.pauses);
+        const [fadeLen, crossfadeLen] = [['fade', 0.005], ['crossfade', 0.02]].map(([name, fallback]) => {
+            const seconds = options[name] ?? fallback;
+            if (!(seconds >= 0) || !Number.isFinite(seconds)) {
+                throw new Error(`${name} must be a non-negative number of seconds, got ${seconds}`);
+            }
+            return Math.round(seconds * this.sampleRate);
+        });
+        const wavCat = [];
         let durCat = 0;
-        
-        for (const chunk of textList) {
-            const { wav, duration } = await this._infer([chunk], style, totalStep, speed);
-            
-            if (wavCat === null) {
-                wavCat = wav;
-                durCat = duration[0];
-            } else {
-                const silenceLen = Math.floor(silenceDuration * this.sampleRate);
-                const silence = new Array(silenceLen).fill(0);
-                wavCat = [...wavCat, ...silence, ...wav];
-                durCat += duration[0] + silenceDuration;
+        let seed = null;
+        let cacheStats = null;
+        const timings = [];
+        const appendSilence = (seconds) => {
+            const silenceLen = Math.floor(seconds * this.sampleRate);
+            for (let i = 0; i < silenceLen; i++) {
+                wavCat.push(0);
+            }
+            durCat += seconds;
+        };
+
+        // Start of the previous chunk in wavCat; its fade-out waits until we know how the next chunk joins it
+        let previousStart = null;
+        for await (const piece of pieces) {
+            seed = piece.seed;
+            if (piece.cached !== null && piece.cached !== undefined) {
+                cacheStats = cacheStats || { hits: 0, misses: 0 };
+                cacheStats[piece.cached ? 'hits' : 'misses']++;
             }
+            const pause = piece.pauseBefore ?? (piece.index > 0 ? pauses[piece.boundary ?? 'sentence'] : 0);
+            const overlap = previousStart !== null && pause === 0
+                ? Math.min(crossfadeLen, wavCat.length - previousStart, piece.wav.length)
+                : 0;
+            if (overlap === 0) {
+                if (previousStart !== null) {
+                    fadeOut(wavCat, fadeLen, previousStart);
+                }
+                appendSilence(pause);
+            }
+
+            const chunkStart = wavCat.length - overlap;
+            appendCrossfaded(wavCat, piece.wav, overlap);
+            if (overlap === 0) {
+                fadeIn(wavCat, fadeLen, chunkStart);
+            }
+            const start = chunkStart / this.sampleRate;
+            const end = wavCat.length / this.sampleRate;
+            timings.push({ text: piece.text, start, end, words: estimateWordTimings(piece.text, start, end) });
+            durCat += piece.duration - overlap / this.sampleRate;
+            previousStart = chunkStart;
         }
-        
-        return { wav: wavCat, duration: [durCat] };
+        if (previousStart !== null) {
+            fadeOut(wavCat, fadeLen, previousStart);
+        }
+        appendSilence(trailingPause);
+
+        // Timings are in seconds, so only the samples change with the rate
+        const wav = sampleRate === this.sampleRate ? wavCat : Array.from(resample(wavCat, this.sampleRate, sampleRate));
+        let result = { wav, duration: [durCat], seed, timings, sampleRate };
+        if (cacheStats) {
+            result.cache = cacheStats;
+        }
+        if (options.loudness) {
+            const { samples, gain, input, output } = normalizeLoudness(wav, sampleRate, options.loudness === true ? {} : options.loudness);
+            result = { ...result, wav: Array.from(samples), loudness: { ...output, gain, input } };
+        }
+        tracker?.finish();
+        return result;
+    }
+
+    /**
+     * Turn SSML segments into synthesis chunks, carrying explicit breaks as pauseBefore
+     */
+    _planSsml(ssml, style, speed, voices) {
+        const chunks = [];
+        let pending = null;
+
+        for (const segment of parseSsml(ssml)) {
+            if (segment.type === 'pause') {
+                pending = (pending || 0) + segment.duration;
+                continue;
+            }
+
+            const segmentStyle = segment.voice === null ? style : voices[segment.voice];
+            if (!segmentStyle) {
+                throw new Error(`SSML voice '${segment.voice}' is not registered in options.voices`);
+            }
+            if (segmentStyle.ttl.dims[0] !== 1) {
+                throw new Error('Single speaker text to speech only supports single style');
+            }
+            // A segment split without <s> or <p> continues the previous text, so its punctuation decides the pause
+            const segmentBoundary = segment.boundary ?? (chunks.length > 0 ? boundaryAfter(chunks[chunks.length - 1].text) : null);
+            chunkText(segment.text).forEach((chunk, j) => {
+                chunks.push({
+                    text: chunk.text,
+                    style: segmentStyle,
+                    speed: speed * segment.rate,
+                    pauseBefore: j === 0 ? pending : null,
+                    boundary: j === 0 ? segmentBoundary : chunk.boundary
+                });
+            });
+            pending = null;
+        }
+
+        return { chunks, trailingPause: pending || 0 };
     }
 
-    async batch(textList, style, totalStep, speed = 1.05) {
-        return await this._infer(textList, style, totalStep, speed);
+    /**
+     * Turn dialogue turns into synthesis chunks, with turnGap before the first chunk of every turn but the first
+     */
+    _planDialogue(turns, voices, speed, turnGap) {
+        if (turns.length === 0) {
+            throw new Error('Dialogue script has no turns');
+        }
+        if (!(turnGap >= 0)) {
+            throw new Error(`Turn gap must be a non-negative number of seconds, got ${turnGap}`);
+        }
+        const chunks = [];
+        const turnOfChunk = [];
+
+        turns.forEach((turn, t) => {
+            const where = turn.line ? `Line ${turn.line}: ` : '';
+            const style = voices[turn.speaker];
+            if (!style) {
+                throw new Error(`${where}No voice for speaker '${turn.speaker}'. Known speakers: ${Object.keys(voices).join(', ')}`);
+            }
+            if (style.ttl.dims[0] !== 1) {
+                throw new Error('Single speaker text to speech only supports single style');
+            }
+            const turnChunks = chunkText(turn.text);
+            if (turnChunks.length === 0) {
+                throw new Error(`${where}Turn for speaker '${turn.speaker}' has no text`);
+            }
+            turnChunks.forEach((chunk, j) => {
+                chunks.push({ text: chunk.text, style, speed, pauseBefore: j === 0 && t > 0 ? turnGap : null, boundary: chunk.boundary });
+                turnOfChunk.push(t);
+            });
+        });
+
+        return { chunks, turnOfChunk };
+    }
+
+    async batch(textList, style, totalStep, speed = 1.05, options = {}) {
+        // The texts run as one batch, so every event reports chunk 0
+        const tracker = options.onProgress ? new ProgressTracker(textList.map(text => text.length), totalStep, options.onProgress) : null;
+        const result = await this._infer(textList, style, totalStep, speed, options, tracker?.batch(0, textList.length));
+        tracker?.finish();
+        return result;
     }
 }
 
 /**
- * Convert lengths to binary mask
+ * Convert lengths to a flat binary mask of shape [B, 1, maxLen]
  */
 function lengthToMask(lengths, maxLen = null) {
     maxLen = maxLen || Math.max(...lengths);
-    const mask = [];
+    const mask = new Float32Array(lengths.length * maxLen);
     for (let i = 0; i < lengths.length; i++) {
-        const row = [];
-        for (let j = 0; j < maxLen; j++) {
-            row.push(j < lengths[i] ? 1.0 : 0.0);
-        }
-        mask.push([row]); // [B, 1, maxLen]
+        mask.fill(1.0, i * maxLen, i * maxLen + Math.min(lengths[i], maxLen));
     }
     return mask;
 }
@@ -316,12 +756,44 @@ function lengthToMask(lengths, maxLen = null) {
 /**
  * Get latent mask from wav lengths
  */
-function getLatentMask(wavLengths, baseChunkSize, chunkCompressFactor) {
+function getLatentMask(wavLengths, baseChunkSize, chunkCompressFactor, maxLen = null) {
     const latentSize = baseChunkSize * chunkCompressFactor;
     const latentLengths = wavLengths.map(len => 
         Math.floor((len + latentSize - 1) / latentSize)
     );
-    return lengthToMask(latentLengths);
+    return lengthToMask(latentLengths, maxLen);
+}
+
+/**
+ * Standard normal samples via the Box-Muller transform, using both outputs of each pair
+ */
+function sampleGaussian(length, rng) {
+    const out = new Float32Array(length);
+    // Add epsilon to avoid log(0)
+    const eps = 1e-10;
+    for (let i = 0; i < length; i += 2) {
+        const u1 = Math.max(eps, rng());
+        const u2 = rng();
+        const radius = Math.sqrt(-2.0 * Math.log(u1));
+        out[i] = radius * Math.cos(2.0 * Math.PI * u2);
+        if (i + 1 < length) {
+            out[i + 1] = radius * Math.sin(2.0 * Math.PI * u2);
+        }
+    }
+    return out;
+}
+
+/**
+ * Validate a user-supplied seed, or draw a fresh one when none is given
+ */
+function resolveSeed(seed) {
+    if (seed === undefined || seed === null) {
+        return Math.floor(Math.random() * 4294967296);
+    }
+    if (!Number.isInteger(seed) || seed < 0 || seed > 4294967295) {
+        throw new Error(`Seed must be an integer between 0 and 4294967295, got ${seed}`);
+    }
+    return seed;
 }
 
 /**
@@ -413,10 +885,147 @@ export function loadVoiceStyle(voiceStylePaths, verbose = false) {
     return new Style(ttlStyle, dpStyle);
 }
 
+/**
+ * Stack single voice styles along the batch dimension, one per batch item
+ */
+function stackStyles(styles) {
+    const stack = (tensors) => {
+        const [, dim1, dim2] = tensors[0].dims;
+        const flat = new Float32Array(tensors.length * dim1 * dim2);
+        tensors.forEach((tensor, i) => flat.set(tensor.data, i * dim1 * dim2));
+        return new ort.Tensor('float32', flat, [tensors.length, dim1, dim2]);
+    };
+    return new Style(stack(styles.map(s => s.ttl)), stack(styles.map(s => s.dp)));
+}
+
+/**
+ * Check that styles can be combined: single-speaker and of identical shape
+ */
+function checkBlendable(styles) {
+    if (styles.length === 0) {
+        throw new Error('At least one voice style is required');
+    }
+    const [first] = styles;
+    for (const style of styles) {
+        if (style.ttl.dims[0] !== 1 || style.dp.dims[0] !== 1) {
+            throw new Error('Blending requires single voice styles (batch size 1)');
+        }
+        if (style.ttl.dims.join() !== first.ttl.dims.join() || style.dp.dims.join() !== first.dp.dims.join()) {
+            throw new Error('Voice styles must have identical dimensions to be blended');
+        }
+    }
+}
+
+/**
+ * Weighted sum of one tensor component across styles, with weights normalized to sum to 1
+ */
+function blendComponent(tensors, weights) {
+    if (weights.length !== tensors.length) {
+        throw new Error(`Expected ${tensors.length} weights, got ${weights.length}`);
+    }
+    if (!weights.every(Number.isFinite) || weights.some(w => w < 0)) {
+        throw new Error('Blend weights must be finite and non-negative');
+    }
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total === 0) {
+        throw new Error('Blend weights must not all be zero');
+    }
+
+    const out = new Float32Array(tensors[0].data.length);
+    tensors.forEach((tensor, k) => {
+        const w = weights[k] / total;
+        for (let i = 0; i < out.length; i++) {
+            out[i] += w * tensor.data[i];
+        }
+    });
+    return new ort.Tensor('float32', out, tensors[0].dims);
+}
+
+/**
+ * Create a new voice as a weighted blend of existing ones.
+ * The TTL component (timbre and prosody) and the DP component (duration, i.e. pacing)
+ * can be weighted separately; weights are normalized to sum to 1.
+ * @param {Style[]} styles - Single voice styles of identical shape
+ * @param {number[]} ttlWeights - Weight of each style for the TTL component
+ * @param {number[]} [dpWeights] - Weight of each style for the DP component (defaults to ttlWeights)
+ * @returns {Style}
+ */
+export function blendStyles(styles, ttlWeights, dpWeights = ttlWeights) {
+    checkBlendable(styles);
+    return new Style(
+        blendComponent(styles.map(s => s.ttl), ttlWeights),
+        blendComponent(styles.map(s => s.dp), dpWeights)
+    );
+}
+
+/**
+ * Interpolate between two voices: t = 0 gives styleA, t = 1 gives styleB
+ * @param {Style} styleA
+ * @param {Style} styleB
+ * @param {number} t - Position between the voices, in [0, 1]
+ * @param {number} [dpT] - Separate position for the DP component (defaults to t)
+ * @returns {Style}
+ */
+export function interpolateStyles(styleA, styleB, t, dpT = t) {
+    for (const value of [t, dpT]) {
+        if (!(value >= 0 && value <= 1)) {
+            throw new Error(`Interpolation position must be between 0 and 1, got ${value}`);
+        }
+    }
+    return blendStyles([styleA, styleB], [1 - t, t], [1 - dpT, dpT]);
+}
+
+/**
+ * Convert a single voice style to the voice style JSON format read by loadVoiceStyle
+ */
+export function styleToJSON(style) {
+    checkBlendable([style]);
+    const toNested = (tensor) => {
+        const [, rows, cols] = tensor.dims;
+        const data = [];
+        for (let r = 0; r < rows; r++) {
+            data.push(Array.from(tensor.data.subarray(r * cols, (r + 1) * cols)));
+        }
+        return { dims: tensor.dims.slice(), data: [data] };
+    };
+    return { style_ttl: toNested(style.ttl), style_dp: toNested(style.dp) };
+}
+
+/**
+ * Save a single voice style as JSON, e.g. a blend to reuse as a preset
+ */
+export function saveVoiceStyle(filePath, style) {
+    fs.writeFileSync(filePath, JSON.stringify(styleToJSON(style)));
+}
+
+/**
+ * Load pronunciation lexicon files (JSON, see lexicon.js); where several match the
+ * same text, earlier files win
+ * @param {string|string[]} lexiconPaths
+ * @returns {Lexicon}
+ */
+export function loadLexicon(lexiconPaths) {
+    const paths = Array.isArray(lexiconPaths) ? lexiconPaths : [lexiconPaths];
+    const lexicons = paths.map(lexiconPath => {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(lexiconPath, 'utf8'));
+        } catch (err) {
+            throw new LexiconError(`Cannot read lexicon: ${err.message}`, lexiconPath);
+        }
+        return new Lexicon(data, { source: lexiconPath });
+    });
+    return lexicons.length === 1 ? lexicons[0] : Lexicon.merge(lexicons);
+}
+
 /**
  * Load text to speech components
+ * @param {Object} options
+ * @param {string|string[]|Lexicon} [options.lexicon] - Lexicon file path(s) or a Lexicon applied to every call
+ * @param {string|ChunkCache} [options.cache] - Chunk cache applied to every call, or a directory for a DiskCache
+ * @param {number} [options.cacheMaxBytes] - Size limit of the DiskCache made for a directory
  */
-export async function loadTextToSpeech(onnxDir, useGpu = false) {
+export async function loadTextToSpeech(onnxDir, useGpu = false, options = {}) {
     const opts = {};
     if (useGpu) {
         throw new Error('GPU mode is not supported yet');
@@ -427,67 +1036,40 @@ export async function loadTextToSpeech(onnxDir, useGpu = false) {
     const cfgs = loadCfgs(onnxDir);
     const { dpOrt, textEncOrt, vectorEstOrt, vocoderOrt } = await loadOnnxAll(onnxDir, opts);
     const textProcessor = loadTextProcessor(onnxDir);
+    if (options.lexicon) {
+        textProcessor.lexicon = options.lexicon instanceof Lexicon ? options.lexicon : loadLexicon(options.lexicon);
+    }
     const textToSpeech = new TextToSpeech(cfgs, textProcessor, dpOrt, textEncOrt, vectorEstOrt, vocoderOrt);
+    if (options.cache) {
+        textToSpeech.cache = typeof options.cache === 'string'
+            ? new DiskCache(options.cache, { maxBytes: options.cacheMaxBytes })
+            : options.cache;
+    }
     
     return textToSpeech;
 }
 
 /**
- * Convert 3D array to ONNX tensor
+ * Encode audio as a mono WAV buffer (16-bit PCM unless options.bitDepth says otherwise)
+ * @param {Object} options - See encodeWav in encoders.js (bitDepth, dither, metadata)
  */
-function arrayToTensor(array, dims) {
-    // Flatten the array
-    const flat = array.flat(Infinity);
-    return new ort.Tensor('float32', Float32Array.from(flat), dims);
+export function encodeWav(audioData, sampleRate, options = {}) {
+    return Buffer.from(encodeAudio(audioData, sampleRate, { ...options, format: 'wav' }));
 }
 
 /**
- * Convert 2D int array to ONNX tensor
+ * Write audio in any format supported by encoders.js
+ * @param {Object} options - format ('wav', 'flac' or 'pcm'), bitDepth, dither, metadata
  */
-function intArrayToTensor(array, dims) {
-    const flat = array.flat(Infinity);
-    return new ort.Tensor('int64', BigInt64Array.from(flat.map(x => BigInt(x))), dims);
+export function writeAudioFile(filename, audioData, sampleRate, options = {}) {
+    fs.writeFileSync(filename, encodeAudio(audioData, sampleRate, options));
 }
 
 /**
  * Write WAV file
  */
-export function writeWavFile(filename, audioData, sampleRate) {
-    const numChannels = 1;
-    const bitsPerSample = 16;
-    const byteRate = sampleRate * numChannels * bitsPerSample / 8;
-    const blockAlign = numChannels * bitsPerSample / 8;
-    const dataSize = audioData.length * bitsPerSample / 8;
-
-    const buffer = Buffer.alloc(44 + dataSize);
-    
-    // RIFF header
-    buffer.write('RIFF', 0);
-    buffer.writeUInt32LE(36 + dataSize, 4);
-    buffer.write('WAVE', 8);
-    
-    // fmt chunk
-    buffer.write('fmt ', 12);
-    buffer.writeUInt32LE(16, 16); // fmt chunk size
-    buffer.writeUInt16LE(1, 20); // audio format (PCM)
-    buffer.writeUInt16LE(numChannels, 22);
-    buffer.writeUInt32LE(sampleRate, 24);
-    buffer.writeUInt32LE(byteRate, 28);
-    buffer.writeUInt16LE(blockAlign, 32);
-    buffer.writeUInt16LE(bitsPerSample, 34);
-    
-    // data chunk
-    buffer.write('data', 36);
-    buffer.writeUInt32LE(dataSize, 40);
-    
-    // Write audio data
-    for (let i = 0; i < audioData.length; i++) {
-        const sample = Math.max(-1, Math.min(1, audioData[i]));
-        const intSample = Math.floor(sample * 32767);
-        buffer.writeInt16LE(intSample, 44 + i * 2);
-    }
-    
-    fs.writeFileSync(filename, buffer);
+export function writeWavFile(filename, audioData, sampleRate, options = {}) {
+    writeAudioFile(filename, audioData, sampleRate, { ...options, format: 'wav' });
 }
 
 /**
@@ -504,6 +1086,10 @@ export async function timer(name, fn) {
 
 /**
  * Chunk text into manageable segments
+ * Sentences are packed into chunks of up to maxLen characters; a longer sentence is
+ * split at commas, semicolons and colons. Each chunk records the boundary before it
+ * ('clause', 'sentence' or 'paragraph', null for the first) for the pause model.
+ * @returns {Array<{text: string, boundary: string|null}>}
  */
 function chunkText(text, maxLen = 300) {
     if (typeof text !== 'string') {
@@ -523,21 +1109,26 @@ function chunkText(text, maxLen = 300) {
         // But exclude common abbreviations like Mr., Mrs., Dr., etc. and single capital letters like F.
         const sentences = paragraph.split(/(?<!Mr\.|Mrs\.|Ms\.|Dr\.|Prof\.|Sr\.|Jr\.|Ph\.D\.|etc\.|e\.g\.|i\.e\.|vs\.|Inc\.|Ltd\.|Co\.|Corp\.|St\.|Ave\.|Blvd\.)(?<!\b[A-Z]\.)(?<=[.!?])\s+/);
         
+        // Sentences too long for one chunk are read clause by clause
+        const pieces = sentences.flatMap(sentence => (sentence.length > maxLen ? sentence.split(/(?<=[,;:])\s+/) : [sentence]));
+        
         let currentChunk = "";
+        let boundary = chunks.length > 0 ? 'paragraph' : null;
         
-        for (let sentence of sentences) {
-            if (currentChunk.length + sentence.length + 1 <= maxLen) {
-                currentChunk += (currentChunk ? " " : "") + sentence;
+        for (let piece of pieces) {
+            if (currentChunk.length + piece.length + 1 <= maxLen) {
+                currentChunk += (currentChunk ? " " : "") + piece;
             } else {
                 if (currentChunk) {
-                    chunks.push(currentChunk.trim());
+                    chunks.push({ text: currentChunk.trim(), boundary });
+                    boundary = boundaryAfter(currentChunk);
                 }
-                currentChunk = sentence;
+                currentChunk = piece;
             }
         }
         
         if (currentChunk) {
-            chunks.push(currentChunk.trim());
+            chunks.push({ text: currentChunk.trim(), boundary });
         }
     }
     
@@ -0,0 +1,112 @@
+import { normalizeText } from './normalizer.js';
+
+/**
+ * Language profiles for text preprocessing
+ *
+ * Each profile controls the language-dependent steps of UnicodeProcessor preprocessing:
+ *   unicodeForm   - normalization form applied first ('NFKD' decomposes accents, 'NFC' keeps them composed)
+ *   normalize     - verbalizer for numbers, dates, etc. (null when none is available for the language)
+ *   stripMarks    - combining marks removed after normalization (null keeps all of them)
+ *   replacements  - language-specific punctuation and quote handling
+ *   expressions   - abbreviations and symbols read out in the language
+ *   sentenceFinal - text already ending with one of these characters gets no added period
+ */
+
+const SENTENCE_FINAL = /[.!?;:,'"')\]}…。」』】〉》›»]$/;
+
+export const LANGUAGE_PROFILES = {
+    en: {
+        unicodeForm: 'NFKD',
+        normalize: normalizeText,
+        stripMarks: /[\u0302\u0303\u0304\u0305\u0306\u0307\u0308\u030A\u030B\u030C\u0327\u0328\u0329\u032A\u032B\u032C\u032D\u032E\u032F]/g,
+        replacements: {},
+        expressions: {
+            '@': ' at ',
+            'e.g.,': 'for example, ',
+            'i.e.,': 'that is, ',
+        },
+        sentenceFinal: SENTENCE_FINAL
+    },
+    fr: {
+        unicodeForm: 'NFC',
+        normalize: null,
+        stripMarks: null,
+        replacements: {
+            // The (narrow) no-break spaces French typography puts inside guillemets and before ;:!?
+            '\u00A0': ' ',
+            '\u202F': ' ',
+            '« ': '"',
+            ' »': '"',
+            '«': '"',
+            '»': '"',
+        },
+        expressions: {
+            '@': ' arobase ',
+            'p. ex.': 'par exemple',
+            'c.-à-d.': "c'est-à-dire",
+        },
+        sentenceFinal: SENTENCE_FINAL
+    },
+    de: {
+        unicodeForm: 'NFC',
+        normalize: null,
+        stripMarks: null,
+        replacements: {
+            // German opens quotes low („ ‚) and closes them with what English uses to open (“ ‘)
+            '„': '"',
+            '“': '"',
+            '‚': "'",
+            '»': '"',
+            '«': '"',
+        },
+        expressions: {
+            '@': ' at ',
+            'z. B.': 'zum Beispiel',
+            'd. h.': 'das heißt',
+            'usw.': 'und so weiter',
+        },
+        sentenceFinal: SENTENCE_FINAL
+    },
+    es: {
+        unicodeForm: 'NFC',
+        normalize: null,
+        stripMarks: null,
+        replacements: {
+            // Inverted opening marks carry no sound of their own; the closing ? or ! still ends the sentence
+            '¿': '',
+            '¡': '',
+            '«': '"',
+            '»': '"',
+        },
+        expressions: {
+            '@': ' arroba ',
+            'p. ej.': 'por ejemplo',
+        },
+        sentenceFinal: SENTENCE_FINAL
+    },
+    vi: {
+        // Vietnamese stacks tone marks on vowels; every mark is meaningful
+        unicodeForm: 'NFC',
+        normalize: null,
+        stripMarks: null,
+        replacements: {},
+        expressions: {
+            '@': ' a còng ',
+        },
+        sentenceFinal: SENTENCE_FINAL
+    }
+};
+
+/**
+ * Look up a preprocessing profile by language code ('en', 'fr-CA', 'de_DE', ...)
+ * @param {string} language
+ * @returns {Object} Profile from LANGUAGE_PROFILES
+ */
+export function getLanguageProfile(language = 'en') {
+    const code = String(language).toLowerCase().split(/[-_]/)[0];
+    const profile = LANGUAGE_PROFILES[code];
+    if (!profile) {
+        throw new Error(`Unsupported language '${language}'. Available languages: ${Object.keys(LANGUAGE_PROFILES).join(', ')}`);
+    }
+    return profile;
+}
@@ -0,0 +1,183 @@
+/**
+ * Pronunciation lexicon
+ *
+ * A lexicon rewrites words the model mispronounces (brand names, acronyms, domain
+ * terms) into respelled forms before text preprocessing. It is JSON: an array of
+ * entries, or an object with an "entries" array.
+ *
+ *   { "match": "SQL", "replace": "sequel" }               whole word, any case
+ *   { "match": "US", "replace": "U S", "caseSensitive": true }
+ *   { "match": "Wi-Fi", "replace": "why fye", "wholeWord": false }
+ *   { "pattern": "\\bv(\\d+)\\.(\\d+)\\b", "replace": "version $1 point $2" }
+ *
+ * "match" is literal text; "pattern" is a regular expression (Unicode mode) whose
+ * replacement may use $1, $<name>, $& and $$. Matching is case-insensitive unless
+ * caseSensitive is true. Text is scanned once from left to right; at each position
+ * the first entry that matches wins, and replaced text is not matched again.
+ */
+
+const ENTRY_KEYS = ['match', 'pattern', 'replace', 'caseSensitive', 'wholeWord'];
+
+// Letters, marks, digits and underscore count as word characters for whole-word matches
+const WORD_CHAR = /[\p{L}\p{M}\p{N}_]/u;
+
+/**
+ * Invalid lexicon data, reported with the lexicon source and entry number
+ */
+export class LexiconError extends Error {
+    constructor(message, source = null, entry = null) {
+        const where = [source, entry === null ? null : `entry ${entry + 1}`].filter(Boolean).join(', ');
+        super(where ? `${message} (${where})` : message);
+        this.name = 'LexiconError';
+        this.source = source;
+        this.entry = entry;
+    }
+}
+
+// Unicode-mode patterns only allow escaping syntax characters
+const escapeRegExp = text => text.replace(/[\^$\\.*+?()[\]{}|/]/g, '\\$&');
+
+function compileEntry(entry, index, source) {
+    const fail = message => new LexiconError(message, source, index);
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw fail('Lexicon entry must be an object');
+    }
+    const unknown = Object.keys(entry).filter(key => !ENTRY_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw fail(`Unknown lexicon entry field '${unknown[0]}', expected ${ENTRY_KEYS.join(', ')}`);
+    }
+    if ((entry.match === undefined) === (entry.pattern === undefined)) {
+        throw fail("Lexicon entry needs exactly one of 'match' or 'pattern'");
+    }
+    if (typeof entry.replace !== 'string') {
+        throw fail("Lexicon entry needs a 'replace' string");
+    }
+    for (const key of ['caseSensitive', 'wholeWord']) {
+        if (entry[key] !== undefined && typeof entry[key] !== 'boolean') {
+            throw fail(`'${key}' must be true or false`);
+        }
+    }
+    const flags = entry.caseSensitive ? 'uy' : 'iuy';
+
+    if (entry.pattern !== undefined) {
+        if (typeof entry.pattern !== 'string' || !entry.pattern) {
+            throw fail("'pattern' must be a non-empty string");
+        }
+        if (entry.wholeWord !== undefined) {
+            throw fail("'wholeWord' only applies to 'match' entries; use \\b in the pattern");
+        }
+        try {
+            return { regex: new RegExp(entry.pattern, flags), replace: entry.replace, index, source };
+        } catch (err) {
+            throw fail(`Invalid pattern: ${err.message}`);
+        }
+    }
+
+    if (typeof entry.match !== 'string' || !entry.match) {
+        throw fail("'match' must be a non-empty string");
+    }
+    const literal = entry.match.normalize('NFC');
+    let pattern = escapeRegExp(literal);
+    // Only word characters at the edges need a boundary, so "C++" and ".NET" still match
+    if (entry.wholeWord !== false) {
+        const chars = Array.from(literal);
+        if (WORD_CHAR.test(chars[0])) {
+            pattern = `(?<![\\p{L}\\p{M}\\p{N}_])${pattern}`;
+        }
+        if (WORD_CHAR.test(chars[chars.length - 1])) {
+            pattern = `${pattern}(?![\\p{L}\\p{M}\\p{N}_])`;
+        }
+    }
+    return { regex: new RegExp(pattern, flags), replace: entry.replace, literal: true, index, source };
+}
+
+/**
+ * Expand $1, $<name>, $& and $$ in a replacement
+ */
+function expandReplacement(replace, match) {
+    return replace.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+        if (ref === '$') {
+            return '$';
+        }
+        if (ref === '&') {
+            return match[0];
+        }
+        if (name !== undefined) {
+            return match.groups?.[name] ?? '';
+        }
+        return Number(ref) < match.length ? match[Number(ref)] ?? '' : token;
+    });
+}
+
+export class Lexicon {
+    /**
+     * @param {Array|Object} data - Lexicon JSON: an array of entries or { entries: [...] }
+     * @param {Object} options
+     * @param {string} [options.source] - File name or URL, used in error messages and match reports
+     */
+    constructor(data, { source = null } = {}) {
+        const entries = Array.isArray(data) ? data : data?.entries;
+        if (!Array.isArray(entries)) {
+            throw new LexiconError('Lexicon must be an array of entries or an object with an "entries" array', source);
+        }
+        this.source = source;
+        this.entries = entries.map((entry, i) => compileEntry(entry, i, source));
+    }
+
+    /**
+     * A Lexicon as is, or one built from lexicon JSON data
+     */
+    static from(value) {
+        return value instanceof Lexicon ? value : new Lexicon(value);
+    }
+
+    /**
+     * Combine lexicons; where several match at the same position, earlier lexicons win
+     */
+    static merge(lexicons) {
+        const merged = new Lexicon([]);
+        merged.entries = lexicons.flatMap(lexicon => lexicon.entries);
+        return merged;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Rewrite text with the lexicon
+     * @param {string} text
+     * @returns {{text: string, matches: Array<{source: string|null, entry: number, match: string, replacement: string, offset: number}>}}
+     *   entry is the entry's position in its lexicon, offset the match position in the NFC-normalized input
+     */
+    apply(text) {
+        text = text.normalize('NFC');
+        const matches = [];
+        let output = '';
+        let i = 0;
+        while (i < text.length) {
+            let found = null;
+            for (const entry of this.entries) {
+                entry.regex.lastIndex = i;
+                const match = entry.regex.exec(text);
+                // Empty matches would never advance the scan
+                if (match && match[0].length > 0) {
+                    found = { entry, match };
+                    break;
+                }
+            }
+            if (!found) {
+                const step = text.codePointAt(i) > 0xffff ? 2 : 1;
+                output += text.slice(i, i + step);
+                i += step;
+                continue;
+            }
+            const { entry, match } = found;
+            const replacement = entry.literal ? entry.replace : expandReplacement(entry.replace, match);
+            matches.push({ source: entry.source, entry: entry.index, match: match[0], replacement, offset: i });
+            output += replacement;
+            i += match[0].length;
+        }
+        return { text: output, matches };
+    }
+}
@@ -0,0 +1,218 @@
+import { resample } from './resampler.js';
+
+/**
+ * Loudness measurement (ITU-R BS.1770-4 / EBU R128) and normalization
+ *
+ * Integrated loudness is the gated mean square of K-weighted audio over 400 ms
+ * blocks with 75% overlap: blocks below -70 LUFS are dropped, then blocks more
+ * than 10 LU below the remaining mean. True peak is read from a 4x oversampled
+ * copy, which catches the inter-sample peaks a DAC or lossy encoder would produce.
+ * Normalization applies one static gain to reach the target loudness, then a
+ * look-ahead limiter holds true peaks under the ceiling without clicks.
+ */
+
+const BLOCK_SECONDS = 0.4;
+const BLOCK_STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+const OVERSAMPLING = 4;
+
+const toDb = (linear) => 20 * Math.log10(linear);
+const fromDb = (db) => 10 ** (db / 20);
+
+/**
+ * K-weighting (high-shelf pre-filter, then RLB high-pass) as two biquads,
+ * with coefficients derived for any sample rate
+ */
+function kWeightingFilters(sampleRate) {
+    let f0 = 1681.974450955533;
+    let q = 0.7071752369554196;
+    let k = Math.tan(Math.PI * f0 / sampleRate);
+    const vh = 10 ** (3.999843853973347 / 20);
+    const vb = vh ** 0.4996667741545416;
+    let a0 = 1 + k / q + k * k;
+    const shelf = {
+        b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+        a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+    };
+
+    f0 = 38.13547087602444;
+    q = 0.5003270373238773;
+    k = Math.tan(Math.PI * f0 / sampleRate);
+    a0 = 1 + k / q + k * k;
+    const highPass = {
+        b: [1, -2, 1],
+        a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+    };
+    return [shelf, highPass];
+}
+
+function biquad(samples, { b, a }) {
+    const out = new Float64Array(samples.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        out[i] = y;
+    }
+    return out;
+}
+
+function blockLoudness(meanSquare) {
+    return -0.691 + 10 * Math.log10(meanSquare);
+}
+
+/**
+ * Gated integrated loudness in LUFS (-Infinity for silence)
+ */
+function integratedLoudness(samples, sampleRate) {
+    const weighted = kWeightingFilters(sampleRate).reduce(biquad, samples);
+    const squares = new Float64Array(weighted.length + 1);
+    for (let i = 0; i < weighted.length; i++) {
+        squares[i + 1] = squares[i] + weighted[i] * weighted[i];
+    }
+
+    // Clips shorter than one block are measured as a single block
+    const blockLen = Math.min(weighted.length, Math.round(BLOCK_SECONDS * sampleRate));
+    const step = Math.round(BLOCK_STEP_SECONDS * sampleRate);
+    if (blockLen === 0) {
+        return -Infinity;
+    }
+    const blocks = [];
+    for (let start = 0; start + blockLen <= weighted.length; start += step) {
+        blocks.push((squares[start + blockLen] - squares[start]) / blockLen);
+    }
+
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const absolute = blocks.filter(z => blockLoudness(z) > ABSOLUTE_GATE);
+    if (absolute.length === 0) {
+        return -Infinity;
+    }
+    const threshold = blockLoudness(mean(absolute)) + RELATIVE_GATE;
+    return blockLoudness(mean(absolute.filter(z => blockLoudness(z) > threshold)));
+}
+
+/**
+ * Largest absolute value around each input sample, read from the oversampled signal
+ */
+function truePeakEnvelope(samples, sampleRate) {
+    const oversampled = resample(samples, sampleRate, sampleRate * OVERSAMPLING, { quality: 'low' });
+    const envelope = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        let peak = Math.abs(samples[i]);
+        for (let j = i * OVERSAMPLING; j < Math.min(oversampled.length, (i + 1) * OVERSAMPLING); j++) {
+            peak = Math.max(peak, Math.abs(oversampled[j]));
+        }
+        envelope[i] = peak;
+    }
+    return envelope;
+}
+
+/**
+ * Measure loudness
+ * @param {Float32Array|number[]} samples
+ * @param {number} sampleRate
+ * @returns {{integrated: number, truePeak: number, samplePeak: number}} LUFS, dBTP and dBFS
+ */
+export function measureLoudness(samples, sampleRate) {
+    let samplePeak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        samplePeak = Math.max(samplePeak, Math.abs(samples[i]));
+    }
+    const envelope = truePeakEnvelope(samples, sampleRate);
+    const truePeak = envelope.reduce((max, v) => Math.max(max, v), 0);
+    return {
+        integrated: integratedLoudness(samples, sampleRate),
+        truePeak: toDb(truePeak),
+        samplePeak: toDb(samplePeak)
+    };
+}
+
+/**
+ * Minimum of values[i .. i + width - 1] for every i (monotonic deque)
+ */
+function slidingMinimumAhead(values, width) {
+    const out = new Float32Array(values.length);
+    const deque = new Int32Array(values.length);
+    let head = 0;
+    let tail = 0;
+    for (let i = values.length - 1; i >= 0; i--) {
+        while (tail > head && values[deque[tail - 1]] >= values[i]) {
+            tail--;
+        }
+        deque[tail++] = i;
+        while (deque[head] >= i + width) {
+            head++;
+        }
+        out[i] = values[deque[head]];
+    }
+    return out;
+}
+
+/**
+ * Look-ahead limiter: gain drops ahead of every peak over the ceiling (reaching the
+ * required reduction at the peak) and recovers exponentially afterwards
+ */
+function limit(samples, sampleRate, ceiling, lookahead, release) {
+    const envelope = truePeakEnvelope(samples, sampleRate);
+    const required = envelope.map(peak => (peak > ceiling ? ceiling / peak : 1));
+    const width = Math.max(1, Math.round(lookahead * sampleRate));
+    const held = slidingMinimumAhead(required, width);
+
+    // Instant attack on the held target, exponential release
+    const releaseCoef = Math.exp(-1 / Math.max(1, release * sampleRate));
+    const target = new Float32Array(samples.length);
+    let gain = 1;
+    for (let i = 0; i < samples.length; i++) {
+        gain = held[i] < gain ? held[i] : held[i] - (held[i] - gain) * releaseCoef;
+        target[i] = gain;
+    }
+
+    // Averaging over the look-ahead window turns gain steps into ramps that still
+    // reach each peak's reduction, since every window ending at a peak holds it
+    const out = new Float32Array(samples.length);
+    let sum = width;
+    for (let i = 0; i < samples.length; i++) {
+        sum += target[i] - (i >= width ? target[i - width] : 1);
+        out[i] = samples[i] * Math.min(1, sum / width);
+    }
+    return out;
+}
+
+/**
+ * Bring audio to a target loudness with a true-peak ceiling
+ * @param {Float32Array|number[]} samples
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {number} [options.target=-16] - Integrated loudness in LUFS (-23 for EBU R128 broadcast)
+ * @param {number} [options.truePeak=-1] - True-peak ceiling in dBTP
+ * @param {number} [options.lookahead=0.005] - Limiter look-ahead in seconds
+ * @param {number} [options.release=0.05] - Limiter release time constant in seconds
+ * @returns {{samples: Float32Array, gain: number, input: Object, output: Object}} gain in dB;
+ *   input and output are measureLoudness results
+ */
+export function normalizeLoudness(samples, sampleRate, { target = -16, truePeak = -1, lookahead = 0.005, release = 0.05 } = {}) {
+    if (!Number.isFinite(target) || !Number.isFinite(truePeak)) {
+        throw new Error(`Loudness target and true-peak ceiling must be numbers, got ${target} LUFS and ${truePeak} dBTP`);
+    }
+    const input = measureLoudness(samples, sampleRate);
+    // Silence has no loudness to correct
+    const gain = Number.isFinite(input.integrated) ? target - input.integrated : 0;
+    const linear = fromDb(gain);
+    const ceiling = fromDb(truePeak);
+
+    let output = limit(Float32Array.from(samples, s => s * linear), sampleRate, ceiling, lookahead, release);
+    let measured = measureLoudness(output, sampleRate);
+
+    // The limiter works on an estimate of the true peak; trim whatever is left over
+    if (measured.truePeak > truePeak) {
+        const trim = fromDb(truePeak - measured.truePeak);
+        output = output.map(s => s * trim);
+        measured = measureLoudness(output, sampleRate);
+    }
+    return { samples: output, gain, input, output: measured };
+}
@@ -0,0 +1,163 @@
+/**
+ * English number verbalization (cardinals, ordinals, decimals, years, dates)
+ * Numbers are taken as strings so large values keep every digit.
+ */
+
+const ONES = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+    'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion', 'quadrillion'];
+
+const IRREGULAR_ORDINALS = {
+    one: 'first',
+    two: 'second',
+    three: 'third',
+    five: 'fifth',
+    eight: 'eighth',
+    nine: 'ninth',
+    twelve: 'twelfth'
+};
+
+export const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+function belowThousand(n) {
+    const words = [];
+    if (n >= 100) {
+        words.push(`${ONES[Math.floor(n / 100)]} hundred`);
+        n %= 100;
+    }
+    if (n >= 20) {
+        words.push(n % 10 ? `${TENS[Math.floor(n / 10)]}-${ONES[n % 10]}` : TENS[Math.floor(n / 10)]);
+    } else if (n > 0) {
+        words.push(ONES[n]);
+    }
+    return words.join(' ');
+}
+
+/**
+ * Spell out each digit: "407" -> "four zero seven"
+ */
+export function digitsToWords(digits) {
+    return String(digits).split('').filter(d => /\d/.test(d)).map(d => ONES[Number(d)]).join(' ');
+}
+
+/**
+ * Integer to words: "1250" -> "one thousand two hundred fifty".
+ * Accepts an optional sign and thousands separators.
+ */
+export function cardinalToWords(value) {
+    let digits = String(value).trim().replace(/,/g, '');
+    let prefix = '';
+    if (digits.startsWith('-') || digits.startsWith('−')) {
+        prefix = 'minus ';
+        digits = digits.slice(1);
+    } else if (digits.startsWith('+')) {
+        digits = digits.slice(1);
+    }
+    if (!/^\d+$/.test(digits)) {
+        throw new Error(`Not an integer: ${value}`);
+    }
+    digits = digits.replace(/^0+(?=\d)/, '');
+    if (digits === '0') {
+        return `${prefix}zero`;
+    }
+    // Past the largest scale word, reading digit by digit is clearer than inventing names
+    if (digits.length > SCALES.length * 3) {
+        return prefix + digitsToWords(digits);
+    }
+
+    const groups = [];
+    for (let end = digits.length; end > 0; end -= 3) {
+        groups.unshift(Number(digits.slice(Math.max(0, end - 3), end)));
+    }
+    const words = [];
+    groups.forEach((group, i) => {
+        if (group === 0) return;
+        const scale = SCALES[groups.length - 1 - i];
+        words.push(scale ? `${belowThousand(group)} ${scale}` : belowThousand(group));
+    });
+    return prefix + words.join(' ');
+}
+
+/**
+ * Integer to ordinal words: "21" -> "twenty-first"
+ */
+export function ordinalToWords(value) {
+    const cardinal = cardinalToWords(value);
+    const match = cardinal.match(/^(.*?)([a-z]+)$/);
+    const [, head, last] = match;
+    let ordinal;
+    if (IRREGULAR_ORDINALS[last]) {
+        ordinal = IRREGULAR_ORDINALS[last];
+    } else if (last.endsWith('y')) {
+        ordinal = `${last.slice(0, -1)}ieth`;
+    } else {
+        ordinal = `${last}th`;
+    }
+    return head + ordinal;
+}
+
+/**
+ * Decimal to words: "3.14" -> "three point one four"
+ */
+export function decimalToWords(value) {
+    const [intPart, fracPart] = String(value).replace(/,/g, '').split('.');
+    const intWords = intPart === '' || intPart === '-' ? `${intPart === '-' ? 'minus ' : ''}zero` : cardinalToWords(intPart);
+    if (fracPart === undefined || fracPart === '') {
+        return intWords;
+    }
+    return `${intWords} point ${digitsToWords(fracPart)}`;
+}
+
+/**
+ * Year to words the way it is usually read: 1905 -> "nineteen oh five", 2026 -> "twenty twenty-six"
+ */
+export function yearToWords(value) {
+    const year = Number(value);
+    if (!Number.isInteger(year) || year < 1000 || year > 9999 || (year >= 2000 && year < 2010)) {
+        return cardinalToWords(String(value));
+    }
+    const high = Math.floor(year / 100);
+    const low = year % 100;
+    if (low === 0) {
+        return `${belowThousand(high)} hundred`;
+    }
+    if (low < 10) {
+        return `${belowThousand(high)} oh ${ONES[low]}`;
+    }
+    return `${belowThousand(high)} ${belowThousand(low)}`;
+}
+
+/**
+ * Date parts to words: { year: 2026, month: 10, day: 19 } -> "October nineteenth, twenty twenty-six".
+ * Any part may be omitted; order 'dmy' reads the day first ("the nineteenth of October").
+ */
+export function dateToWords({ year, month, day }, order = 'mdy') {
+    if (month !== undefined && (month < 1 || month > 12)) {
+        throw new Error(`Invalid month: ${month}`);
+    }
+    if (day !== undefined && (day < 1 || day > 31)) {
+        throw new Error(`Invalid day: ${day}`);
+    }
+    const monthName = month !== undefined ? MONTHS[month - 1] : null;
+    const dayWords = day !== undefined ? ordinalToWords(String(day)) : null;
+    const dayFirst = order.indexOf('d') < order.indexOf('m');
+
+    let words = '';
+    if (monthName && dayWords) {
+        words = dayFirst ? `the ${dayWords} of ${monthName}` : `${monthName} ${dayWords},`;
+    } else {
+        words = monthName || dayWords || '';
+    }
+    if (year !== undefined) {
+        words = `${words} ${yearToWords(year)}`.trim();
+    }
+    words = words.replace(/,$/, '');
+    return words;
+}
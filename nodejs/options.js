@@ -0,0 +1,124 @@
+import path from 'path';
+
+/**
+ * Command line option parsing shared by cli.js and server.js
+ *
+ * Each option is declared once as a spec that drives parsing, validation and help:
+ * { name, alias, value, flag, repeat, key, type: 'integer'|'number', min, max, choices,
+ * parse, path, default, description }. Invalid command lines throw a UsageError.
+ */
+
+/**
+ * Thrown for invalid command lines; reported with a pointer to --help
+ */
+export class UsageError extends Error {
+    constructor(message, command = null) {
+        super(message);
+        this.name = 'UsageError';
+        this.command = command;
+    }
+}
+
+const camelCase = name => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+function parseValue(spec, raw, command) {
+    const flag = `--${spec.name}`;
+    if (spec.parse) {
+        try {
+            return spec.parse(raw);
+        } catch (err) {
+            throw err instanceof UsageError ? err : new UsageError(`${flag}: ${err.message}`, command);
+        }
+    }
+    let value = raw;
+    if (spec.type === 'integer' || spec.type === 'number') {
+        value = Number(raw);
+        if (!raw.trim() || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+            throw new UsageError(`${flag} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}, got '${raw}'`, command);
+        }
+        if (value < spec.min || value > spec.max) {
+            throw new UsageError(`${flag} must be between ${spec.min} and ${spec.max}, got ${value}`, command);
+        }
+    }
+    if (spec.choices && !spec.choices.includes(value)) {
+        throw new UsageError(`${flag} must be one of ${spec.choices.join(', ')}, got '${raw}'`, command);
+    }
+    return value;
+}
+
+/**
+ * Parse arguments into { options, positionals }. Options sharing a key
+ * (--text and --text-file) collect into one list. Values may follow their
+ * option (--speed 1.2) or be attached (--speed=1.2); everything after '--' is positional.
+ * With settings.positionalKey, positionals join that option's list in command line order.
+ * @param {Object[]} specs - Option specs
+ * @param {string[]} argv
+ * @param {Object} settings
+ * @param {string} [settings.command] - Command named in error messages
+ * @param {string} settings.baseDir - Directory that defaulted paths are relative to; given paths are
+ *   relative to the working directory
+ * @param {string} [settings.positionalKey] - Key of a repeated option that positionals are collected into
+ */
+export function parseOptions(specs, argv, { command = null, baseDir, positionalKey = null }) {
+    const options = {};
+    for (const spec of specs) {
+        options[spec.key ?? camelCase(spec.name)] = spec.repeat ? [] : (spec.flag ? false : spec.default ?? null);
+    }
+    const positionals = positionalKey ? options[positionalKey] : [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+        const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+        const flag = eq === -1 ? arg : arg.slice(0, eq);
+        const spec = specs.find(s => flag === `--${s.name}` || (s.alias && flag === `-${s.alias}`));
+        if (!spec) {
+            throw new UsageError(`Unknown option '${flag}'${command ? ` for '${command}'` : ''}`, command);
+        }
+        const key = spec.key ?? camelCase(spec.name);
+        if (spec.flag) {
+            if (eq !== -1) {
+                throw new UsageError(`--${spec.name} does not take a value`, command);
+            }
+            options[key] = true;
+            continue;
+        }
+        const raw = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+        if (raw === undefined) {
+            throw new UsageError(`--${spec.name} needs a value <${spec.value}>`, command);
+        }
+        const value = parseValue(spec, raw, command);
+        if (spec.repeat) {
+            options[key].push(value);
+        } else {
+            options[key] = value;
+        }
+    }
+
+    for (const spec of specs.filter(s => s.path)) {
+        const key = camelCase(spec.name);
+        options[key] = options[key] === spec.default ? path.join(baseDir, spec.default) : path.resolve(options[key]);
+    }
+    return { options, positionals: positionalKey ? [] : positionals };
+}
+
+/**
+ * Help lines for option specs, one per option with its default
+ * @returns {string[]}
+ */
+export function optionsHelp(specs) {
+    const rows = specs.map(spec => {
+        const names = `${spec.alias ? `-${spec.alias}, ` : '    '}--${spec.name}${spec.flag ? '' : ` <${spec.value}>`}`;
+        const fallback = spec.default !== undefined && !spec.flag ? ` (default: ${spec.default})` : '';
+        return [names, spec.description + fallback];
+    });
+    const width = Math.max(...rows.map(([names]) => names.length)) + 2;
+    return rows.map(([names, description]) => `  ${names.padEnd(width)}${description}`);
+}
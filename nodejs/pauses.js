@@ -0,0 +1,87 @@
+/**
+ * Pause model and silence trimming for long-form synthesis
+ *
+ * Every chunk after the first is preceded by a pause chosen by the kind of boundary
+ * in front of it: 'clause' (a long sentence split at a comma, semicolon or colon),
+ * 'sentence' or 'paragraph'. Explicit breaks (SSML <break>, dialogue turn gaps) are
+ * used as given. Chunks are trimmed of the near-silent lead-in and tail the vocoder
+ * produces, so the pause model alone decides the spacing between them.
+ */
+
+export const BOUNDARIES = ['clause', 'sentence', 'paragraph'];
+
+// Pause lengths relative to the sentence pause
+const PAUSE_RATIOS = { clause: 0.5, sentence: 1, paragraph: 2 };
+
+/**
+ * Pause length in seconds for each boundary kind
+ * @param {number} sentencePause - Pause between sentences in seconds (the silenceDuration argument)
+ * @param {Object} [pauses] - Overrides: { clause, sentence, paragraph } in seconds
+ * @returns {{clause: number, sentence: number, paragraph: number}}
+ */
+export function resolvePauses(sentencePause, pauses = {}) {
+    const unknown = Object.keys(pauses).filter(key => !BOUNDARIES.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown pause kind '${unknown[0]}', expected one of ${BOUNDARIES.join(', ')}`);
+    }
+    const sentence = pauses.sentence ?? sentencePause;
+    const resolved = {};
+    for (const kind of BOUNDARIES) {
+        const seconds = pauses[kind] ?? sentence * PAUSE_RATIOS[kind];
+        if (!(seconds >= 0) || !Number.isFinite(seconds)) {
+            throw new Error(`${kind} pause must be a non-negative number of seconds, got ${seconds}`);
+        }
+        resolved[kind] = seconds;
+    }
+    return resolved;
+}
+
+/**
+ * Kind of boundary that follows a piece of text: 'sentence' when it ends with
+ * terminal punctuation (optionally followed by closing quotes or brackets), else 'clause'
+ */
+export function boundaryAfter(text) {
+    return /[.!?…]["'”’»)\]]*\s*$/.test(text) ? 'sentence' : 'clause';
+}
+
+/**
+ * Cut leading and trailing silence, keeping a little padding around the speech
+ * @param {Float32Array|number[]} samples
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {number} [options.threshold=-40] - Frames quieter than this (dB below the loudest frame) count as silence
+ * @param {number} [options.padding=0.03] - Seconds kept before the first and after the last loud frame
+ * @param {number} [options.frame=0.01] - Analysis frame length in seconds
+ * @returns {Float32Array|number[]} The trimmed samples (same type as the input); silent input is returned whole
+ */
+export function trimSilence(samples, sampleRate, { threshold = -40, padding = 0.03, frame = 0.01 } = {}) {
+    const frameLen = Math.max(1, Math.round(frame * sampleRate));
+    const frameCount = Math.ceil(samples.length / frameLen);
+    const energies = new Float64Array(frameCount);
+    let loudest = 0;
+    for (let f = 0; f < frameCount; f++) {
+        const end = Math.min(samples.length, (f + 1) * frameLen);
+        let sum = 0;
+        for (let i = f * frameLen; i < end; i++) {
+            sum += samples[i] * samples[i];
+        }
+        energies[f] = sum / (end - f * frameLen);
+        loudest = Math.max(loudest, energies[f]);
+    }
+    if (loudest === 0) {
+        return samples;
+    }
+
+    // Compare mean squares, hence the power ratio
+    const gate = loudest * 10 ** (threshold / 10);
+    let first = 0;
+    while (energies[first] < gate) {
+        first++;
+    }
+    let last = frameCount - 1;
+    while (energies[last] < gate) {
+        last--;
+    }
+    const pad = Math.round(padding * sampleRate);
+    return samples.slice(Math.max(0, first * frameLen - pad), Math.min(samples.length, (last + 1) * frameLen + pad));
+}
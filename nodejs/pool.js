@@ -0,0 +1,352 @@
+import os from 'os';
+import { Worker } from 'worker_threads';
+import * as ort from 'onnxruntime-node';
+
+import { ChunkCache } from './cache.js';
+import { UnsupportedCharacterError } from './charset.js';
+import { DiskCache } from './disk_cache.js';
+import { AbortError } from './helper.js';
+import { LexiconError } from './lexicon.js';
+
+/**
+ * Worker-thread pool for concurrent synthesis
+ *
+ * Each worker loads its own sessions with loadTextToSpeech and runs one job at a time.
+ * Jobs wait in a FIFO queue until a worker is free; when maxQueue jobs are already
+ * waiting, new jobs are rejected with QueueFullError instead of piling up.
+ * Voice styles are copied to the workers with each job, and results come back with
+ * wav as a Float32Array. An aborted options.signal removes a queued job, or stops a
+ * running one in its worker between chunks and denoising steps; either rejects with AbortError.
+ * options.onProgress is called in this thread with the worker's progress events.
+ * The chunk cache lives in this thread too: workers look chunks up and store them
+ * through messages, so one index and one size limit cover every worker.
+ */
+
+const WORKER_URL = new URL('./pool_worker.js', import.meta.url);
+
+// Chunk cache methods workers may call on the pool's cache
+const CACHE_METHODS = ['get', 'set'];
+
+/**
+ * Thrown when a job is submitted while maxQueue jobs are already waiting
+ */
+export class QueueFullError extends Error {
+    constructor(maxQueue) {
+        super(`Synthesis queue is full (${maxQueue} jobs waiting)`);
+        this.name = 'QueueFullError';
+        this.maxQueue = maxQueue;
+    }
+}
+
+/**
+ * Replace ort tensors in job arguments with plain { type, dims, data } records that
+ * survive the copy to a worker (see reviveTensors in pool_worker.js)
+ */
+function packTensors(value) {
+    if (value instanceof ort.Tensor) {
+        return { __tensor: true, type: value.type, dims: value.dims.slice(), data: value.data };
+    }
+    if (Array.isArray(value)) {
+        return value.map(packTensors);
+    }
+    if (value && typeof value === 'object' && !ArrayBuffer.isView(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, packTensors(item)]));
+    }
+    return value;
+}
+
+/**
+ * Rebuild an error reported by a worker (see serializeError in pool_worker.js), keeping the
+ * classes callers check for, the worker's stack and the error's own fields. A job aborted from
+ * this thread keeps the caller's abort reason, which may not survive the copy to the worker.
+ */
+function reviveError({ name, message, stack, ...fields }, job) {
+    let error;
+    if (name === 'UnsupportedCharacterError' && fields.unsupported) {
+        error = new UnsupportedCharacterError(fields.unsupported);
+    } else if (name === 'LexiconError') {
+        // The message already names the source and entry
+        error = new LexiconError(message);
+    } else if (name === 'AbortError') {
+        error = new AbortError();
+    } else {
+        error = new Error(message);
+        error.name = name;
+    }
+    Object.assign(error, fields);
+    if (name === 'AbortError' && 'abortReason' in job) {
+        error.reason = job.abortReason;
+    }
+    if (stack !== undefined) {
+        error.stack = stack;
+    }
+    return error;
+}
+
+export class TextToSpeechPool {
+    /**
+     * @param {string} onnxDir - Model directory passed to loadTextToSpeech in every worker
+     * @param {Object} options
+     * @param {number} [options.size] - Number of workers (defaults to the number of CPU cores)
+     * @param {number} [options.maxQueue=64] - Jobs allowed to wait for a worker before new ones are rejected
+     * @param {boolean} [options.useGpu=false]
+     * @param {string|string[]} [options.lexicon] - Lexicon file path(s) every worker loads (see loadLexicon).
+     *   Per-call options.lexicon must be lexicon JSON data, since a Lexicon cannot be sent to a worker
+     * @param {string|ChunkCache} [options.cache] - Chunk cache shared by the workers, or a directory for a DiskCache
+     *   (see disk_cache.js). Per-call options.cache can only be false, to bypass it
+     * @param {number} [options.cacheMaxBytes] - Size limit of the DiskCache made for a directory
+     * @param {URL} [options.workerUrl] - Worker script, pool_worker.js by default
+     */
+    constructor(onnxDir, { size = os.cpus().length, maxQueue = 64, useGpu = false, lexicon = null, cache = null, cacheMaxBytes, workerUrl = WORKER_URL } = {}) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`Pool size must be a positive integer, got ${size}`);
+        }
+        if (!(maxQueue >= 0)) {
+            throw new Error(`maxQueue must be a non-negative number, got ${maxQueue}`);
+        }
+        this.onnxDir = onnxDir;
+        this.useGpu = useGpu;
+        this.lexicon = lexicon;
+        if (cache && typeof cache !== 'string' && !(cache instanceof ChunkCache)) {
+            throw new Error('options.cache must be a directory or a ChunkCache (see cache.js)');
+        }
+        this.cache = typeof cache === 'string' ? new DiskCache(cache, { maxBytes: cacheMaxBytes }) : cache || null;
+        this.workerUrl = workerUrl;
+        this.size = size;
+        this.maxQueue = maxQueue;
+        this.sampleRate = null;
+
+        this.queue = [];
+        this.workers = [];
+        this.nextJobId = 0;
+        this.closed = false;
+        this.drained = null;
+
+        const ready = [];
+        for (let i = 0; i < size; i++) {
+            ready.push(this._spawn());
+        }
+        this.ready = Promise.all(ready).catch(async (err) => {
+            await this.terminate();
+            throw err;
+        });
+    }
+
+    /**
+     * Start a worker; resolves once its sessions are loaded
+     */
+    _spawn() {
+        const workerData = { onnxDir: this.onnxDir, useGpu: this.useGpu, lexicon: this.lexicon, cache: this.cache !== null };
+        const slot = { worker: new Worker(this.workerUrl, { workerData }), job: null, ready: false };
+        this.workers.push(slot);
+
+        return new Promise((resolve, reject) => {
+            slot.worker.on('message', (message) => {
+                if (message.type === 'ready') {
+                    slot.ready = true;
+                    this.sampleRate = message.sampleRate;
+                    resolve();
+                    this._dispatch();
+                    return;
+                }
+                if (message.type === 'progress') {
+                    slot.job?.onProgress?.(message.event);
+                    return;
+                }
+                if (message.type === 'cache') {
+                    this._cacheRequest(slot, message);
+                    return;
+                }
+                const job = slot.job;
+                slot.job = null;
+                if (message.error) {
+                    job.reject(reviveError(message.error, job));
+                } else {
+                    job.resolve(message.result);
+                }
+                this._dispatch();
+            });
+
+            slot.worker.on('error', (err) => {
+                if (!slot.ready) {
+                    reject(err);
+                } else if (slot.job) {
+                    slot.job.reject(err);
+                    slot.job = null;
+                }
+            });
+
+            // A worker that dies while serving is replaced so the pool keeps its size
+            slot.worker.on('exit', (code) => {
+                this.workers.splice(this.workers.indexOf(slot), 1);
+                if (!slot.ready) {
+                    reject(new Error(`Synthesis worker exited with code ${code} while loading`));
+                }
+                if (slot.job) {
+                    slot.job.reject(new Error(`Synthesis worker exited with code ${code}`));
+                    slot.job = null;
+                }
+                if (slot.ready && !this.closed) {
+                    this._spawn().catch(err => console.error('Failed to restart synthesis worker:', err));
+                }
+                this._dispatch();
+            });
+        });
+    }
+
+    /**
+     * Run a worker's { type: 'cache', requestId, method, args } request on the shared cache
+     * and reply with { type: 'cache', requestId, result } or { ..., error }
+     */
+    async _cacheRequest(slot, { requestId, method, args }) {
+        let reply;
+        try {
+            if (!this.cache || !CACHE_METHODS.includes(method)) {
+                throw new Error(`Unknown cache request '${method}'`);
+            }
+            reply = { type: 'cache', requestId, result: await this.cache[method](...args) };
+        } catch (err) {
+            reply = { type: 'cache', requestId, error: err.message };
+        }
+        // The worker may have exited meanwhile
+        if (this.workers.includes(slot)) {
+            slot.worker.postMessage(reply);
+        }
+    }
+
+    /**
+     * Hand queued jobs to idle workers
+     */
+    _dispatch() {
+        for (const slot of this.workers) {
+            if (this.queue.length === 0) {
+                break;
+            }
+            if (slot.ready && !slot.job) {
+                slot.job = this.queue.shift();
+                slot.worker.postMessage({ id: slot.job.id, method: slot.job.method, args: slot.job.args, progress: Boolean(slot.job.onProgress) });
+            }
+        }
+        if (this.drained && this.queue.length === 0 && this.workers.every(slot => !slot.job)) {
+            this.drained();
+        }
+    }
+
+    _submit(method, args) {
+        if (this.closed) {
+            return Promise.reject(new Error('Synthesis pool is closed'));
+        }
+        if (this.queue.length >= this.maxQueue && this.workers.every(slot => !slot.ready || slot.job)) {
+            return Promise.reject(new QueueFullError(this.maxQueue));
+        }
+        // Functions and signals cannot be copied to a worker, so they stay here; the options are always the last argument
+        const { signal, onProgress, ...options } = args[args.length - 1] ?? {};
+        if (signal?.aborted) {
+            return Promise.reject(new AbortError(signal.reason));
+        }
+        let job;
+        const promise = new Promise((resolve, reject) => {
+            job = { id: this.nextJobId++, method, args: packTensors([...args.slice(0, -1), options]), onProgress, resolve, reject };
+        });
+        if (signal) {
+            const onAbort = () => this._abort(job, signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+            const cleanup = () => signal.removeEventListener('abort', onAbort);
+            promise.then(cleanup, cleanup);
+        }
+        this.queue.push(job);
+        this._dispatch();
+        return promise;
+    }
+
+    /**
+     * Drop a queued job, or ask the worker running it to stop
+     */
+    _abort(job, reason) {
+        const queued = this.queue.indexOf(job);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            job.reject(new AbortError(reason));
+            this._dispatch();
+            return;
+        }
+        const slot = this.workers.find(candidate => candidate.job === job);
+        if (slot) {
+            job.abortReason = reason;
+            slot.worker.postMessage({ type: 'abort', id: job.id });
+        }
+    }
+
+    /**
+     * Same as TextToSpeech.call, run on a worker
+     */
+    call(text, style, totalStep, speed = 1.05, silenceDuration = 0.3, options = {}) {
+        return this._submit('call', [text, style, totalStep, speed, silenceDuration, options]);
+    }
+
+    /**
+     * Same as TextToSpeech.callSsml, run on a worker
+     */
+    callSsml(ssml, style, totalStep, speed = 1.05, silenceDuration = 0.3, options = {}) {
+        return this._submit('callSsml', [ssml, style, totalStep, speed, silenceDuration, options]);
+    }
+
+    /**
+     * Same as TextToSpeech.callDialogue, run on a worker
+     */
+    callDialogue(script, voices, totalStep, speed = 1.05, turnGap = 0.5, options = {}) {
+        return this._submit('callDialogue', [script, voices, totalStep, speed, turnGap, options]);
+    }
+
+    /**
+     * Same as TextToSpeech.batch, run on a worker
+     */
+    batch(textList, style, totalStep, speed = 1.05, options = {}) {
+        return this._submit('batch', [textList, style, totalStep, speed, options]);
+    }
+
+    /**
+     * Worker and queue counts, e.g. for health checks
+     */
+    stats() {
+        return {
+            workers: this.workers.length,
+            busy: this.workers.filter(slot => slot.job).length,
+            queued: this.queue.length,
+            maxQueue: this.maxQueue
+        };
+    }
+
+    /**
+     * Stop accepting jobs, finish the queued and running ones, then stop the workers
+     */
+    async close() {
+        this.closed = true;
+        if (this.queue.length > 0 || this.workers.some(slot => slot.job)) {
+            await new Promise(resolve => {
+                this.drained = resolve;
+            });
+        }
+        await this.terminate();
+    }
+
+    /**
+     * Stop the workers immediately, rejecting queued and running jobs
+     */
+    async terminate() {
+        this.closed = true;
+        for (const job of this.queue.splice(0)) {
+            job.reject(new Error('Synthesis pool was terminated'));
+        }
+        await Promise.all(this.workers.map(slot => slot.worker.terminate()));
+    }
+}
+
+/**
+ * Start a pool and wait until every worker has loaded its sessions
+ */
+export async function loadTextToSpeechPool(onnxDir, options = {}) {
+    const pool = new TextToSpeechPool(onnxDir, options);
+    await pool.ready;
+    return pool;
+}
@@ -0,0 +1,141 @@
+import { parentPort, workerData } from 'worker_threads';
+import * as ort from 'onnxruntime-node';
+
+import { ChunkCache } from './cache.js';
+import { loadTextToSpeech } from './helper.js';
+
+/**
+ * Synthesis worker started by TextToSpeechPool (see pool.js)
+ *
+ * Loads its own sessions, then runs one job per message and replies with
+ * { id, result } or { id, error }. { type: 'abort', id } aborts that job's signal.
+ * Jobs sent with progress: true also post { id, type: 'progress', event } messages.
+ * The chunk cache is the pool's, reached with { type: 'cache' } requests (see PoolCache).
+ */
+
+const METHODS = ['call', 'callSsml', 'callDialogue', 'batch'];
+
+/**
+ * Turn the tensor records made by packTensors back into ort tensors
+ */
+function reviveTensors(value) {
+    if (Array.isArray(value)) {
+        return value.map(reviveTensors);
+    }
+    if (value && typeof value === 'object' && !ArrayBuffer.isView(value)) {
+        if (value.__tensor) {
+            return new ort.Tensor(value.type, value.data, value.dims);
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveTensors(item)]));
+    }
+    return value;
+}
+
+/**
+ * Chunk cache that forwards get and set to the pool's cache in the main thread,
+ * so all workers share its index and size limit
+ */
+class PoolCache extends ChunkCache {
+    constructor(port) {
+        super();
+        this.port = port;
+        this.nextRequestId = 0;
+        // Request id -> { resolve, reject }
+        this.pending = new Map();
+        port.on('message', ({ type, requestId, result, error }) => {
+            if (type !== 'cache' || !this.pending.has(requestId)) {
+                return;
+            }
+            const request = this.pending.get(requestId);
+            this.pending.delete(requestId);
+            if (error !== undefined) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(result);
+            }
+        });
+    }
+
+    _request(method, args) {
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(requestId, { resolve, reject });
+            this.port.postMessage({ type: 'cache', requestId, method, args });
+        });
+    }
+
+    // As with any ChunkCache, a failed request is a miss rather than a failed call
+    get(key) {
+        return this._request('get', [key]).catch((err) => {
+            this.lastError = err;
+            return null;
+        });
+    }
+
+    set(key, entry) {
+        return this._request('set', [key, entry]).catch((err) => {
+            this.lastError = err;
+            return false;
+        });
+    }
+}
+
+const textToSpeech = await loadTextToSpeech(workerData.onnxDir, workerData.useGpu, { lexicon: workerData.lexicon });
+if (workerData.cache) {
+    textToSpeech.cache = new PoolCache(parentPort);
+}
+
+/**
+ * Copyable record of an error: name, message, stack and the own fields that survive
+ * structured cloning (reason, source, entry, unsupported, ...); see reviveError in pool.js
+ */
+function serializeError(err) {
+    if (!(err instanceof Error)) {
+        return { name: 'Error', message: String(err) };
+    }
+    const fields = {};
+    for (const [key, value] of Object.entries(err)) {
+        try {
+            fields[key] = structuredClone(value);
+        } catch {
+            // Fields that cannot be copied stay in the worker
+        }
+    }
+    return { ...fields, name: err.name, message: err.message, stack: err.stack };
+}
+
+// Job id -> AbortController of the running job
+const controllers = new Map();
+
+parentPort.on('message', async ({ id, type, method, args, progress }) => {
+    if (type === 'abort') {
+        controllers.get(id)?.abort();
+        return;
+    }
+    if (type === 'cache') {
+        return;
+    }
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    try {
+        if (!METHODS.includes(method)) {
+            throw new Error(`Unknown synthesis method '${method}'`);
+        }
+        const jobArgs = reviveTensors(args);
+        jobArgs[jobArgs.length - 1] = {
+            ...jobArgs[jobArgs.length - 1],
+            signal: controller.signal,
+            ...(progress ? { onProgress: event => parentPort.postMessage({ id, type: 'progress', event }) } : {})
+        };
+        const result = await textToSpeech[method](...jobArgs);
+        // Hand the samples over without copying them
+        const wav = Float32Array.from(result.wav);
+        parentPort.postMessage({ id, result: { ...result, wav } }, [wav.buffer]);
+    } catch (err) {
+        parentPort.postMessage({ id, error: serializeError(err) });
+    } finally {
+        controllers.delete(id);
+    }
+});
+
+parentPort.postMessage({ type: 'ready', sampleRate: textToSpeech.sampleRate });
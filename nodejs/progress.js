@@ -0,0 +1,137 @@
+/**
+ * Progress events for synthesis calls
+ *
+ * Each batch of chunks runs four models: the duration predictor, the text encoder,
+ * the vector estimator once per denoising step, and the vocoder. Before each run an
+ * event reports its stage, the chunk and step it belongs to, the fraction of the call's
+ * work done, the elapsed time and an estimate of the time remaining. Work is counted in
+ * model runs weighted by the length of the text they read, so long chunks count for
+ * more, and the estimate extrapolates the pace so far. A last 'done' event with
+ * progress 1 follows once the call's audio is complete.
+ */
+
+export const STAGES = ['duration', 'encode', 'denoise', 'vocode'];
+
+/**
+ * @typedef {Object} ProgressEvent
+ * @property {string} stage - 'duration', 'encode', 'denoise', 'vocode', or 'done' when the call is complete
+ * @property {number} chunkIndex - First chunk of the running batch (0-based)
+ * @property {number} chunkCount - Chunks in the call
+ * @property {number|null} stepIndex - Denoising step (0-based), null outside 'denoise'
+ * @property {number} stepCount - Denoising steps per chunk
+ * @property {number} progress - Fraction of the call's work done, 0 to 1
+ * @property {number} elapsed - Seconds since the call started
+ * @property {number|null} remaining - Estimated seconds left, null until some work is done
+ */
+
+export class ProgressTracker {
+    /**
+     * @param {number[]} chunkLengths - Text length of each chunk
+     * @param {number} stepCount - Denoising steps per chunk
+     * @param {Function} callback - Called with a ProgressEvent before each model run and once at the end
+     * @param {Object} options
+     * @param {Function} [options.now=Date.now] - Clock in milliseconds
+     */
+    constructor(chunkLengths, stepCount, callback, { now = Date.now } = {}) {
+        // Even an empty chunk runs every model once
+        this.weights = chunkLengths.map(length => Math.max(1, length));
+        this.stepCount = stepCount;
+        this.callback = callback;
+        this.now = now;
+        this.runsPerChunk = stepCount + 3;
+        this.total = this.weights.reduce((sum, weight) => sum + weight, 0) * this.runsPerChunk;
+        this.done = 0;
+        // Work of the run in flight, counted as done when the next one starts
+        this.running = 0;
+        this.startedAt = now();
+    }
+
+    /**
+     * Take a chunk that needs no model runs (e.g. one found in a chunk cache) out of the work
+     */
+    skip(chunkIndex) {
+        this.total -= this.weights[chunkIndex] * this.runsPerChunk;
+    }
+
+    /**
+     * Report the model run about to start
+     * @param {string} stage - One of STAGES
+     * @param {number} chunkIndex - First chunk of the batch
+     * @param {number} chunkEnd - End (exclusive) of the batch
+     * @param {number|null} [stepIndex=null] - Denoising step
+     */
+    start(stage, chunkIndex, chunkEnd, stepIndex = null) {
+        this.done += this.running;
+        this.running = 0;
+        for (let i = chunkIndex; i < chunkEnd; i++) {
+            this.running += this.weights[i];
+        }
+        const elapsed = (this.now() - this.startedAt) / 1000;
+        const left = Math.max(0, this.total - this.done);
+        this.callback({
+            stage,
+            chunkIndex,
+            chunkCount: this.weights.length,
+            stepIndex,
+            stepCount: this.stepCount,
+            progress: this.total > 0 ? Math.min(1, this.done / this.total) : 1,
+            elapsed,
+            remaining: this.done > 0 ? elapsed * left / this.done : null
+        });
+    }
+
+    /**
+     * Report the end of the call with progress 1, once its audio is complete
+     */
+    finish() {
+        this.done = this.total;
+        this.running = 0;
+        this.callback({
+            stage: 'done',
+            chunkIndex: Math.max(0, this.weights.length - 1),
+            chunkCount: this.weights.length,
+            stepIndex: null,
+            stepCount: this.stepCount,
+            progress: 1,
+            elapsed: (this.now() - this.startedAt) / 1000,
+            remaining: 0
+        });
+    }
+
+    /**
+     * Reporter for one batch, called as report(stage, stepIndex)
+     */
+    batch(chunkIndex, chunkEnd) {
+        return (stage, stepIndex = null) => this.start(stage, chunkIndex, chunkEnd, stepIndex);
+    }
+}
+
+const STAGE_LABELS = { duration: 'predicting durations', encode: 'encoding text', denoise: 'denoising', vocode: 'vocoding', done: 'done' };
+
+/**
+ * Short description of an event's position, e.g. "chunk 3/7, denoising 2/5"
+ * @param {ProgressEvent} event
+ * @returns {string}
+ */
+export function describeProgress(event) {
+    const stage = event.stage === 'denoise'
+        ? `${STAGE_LABELS.denoise} ${event.stepIndex + 1}/${event.stepCount}`
+        : STAGE_LABELS[event.stage] ?? event.stage;
+    return `chunk ${event.chunkIndex + 1}/${event.chunkCount}, ${stage}`;
+}
+
+/**
+ * Format an estimated time left, e.g. "8s" or "2m 05s"
+ * @param {number|null} seconds
+ * @returns {string} Empty when there is no estimate yet
+ */
+export function formatRemaining(seconds) {
+    if (seconds === null || !Number.isFinite(seconds)) {
+        return '';
+    }
+    const rounded = Math.ceil(seconds);
+    if (rounded < 60) {
+        return `${rounded}s`;
+    }
+    return `${Math.floor(rounded / 60)}m ${String(rounded % 60).padStart(2, '0')}s`;
+}
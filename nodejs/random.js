@@ -0,0 +1,23 @@
+/**
+ * Deterministic random number generation
+ *
+ * One generator serves the synthesis noise (helper.js) and the export dither
+ * (encoders.js). The module is shared by the Node.js and web builds, so a seed
+ * reproduces the same numbers in both.
+ */
+
+/**
+ * Uniform [0, 1) generator (mulberry32)
+ * @param {number} seed - Seed, taken as a uint32
+ * @returns {Function} Returns the next number on each call
+ */
+export function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
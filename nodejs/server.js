@@ -0,0 +1,354 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { audioFormatInfo, checkAudioFormat, encodeAudio, synthesisMetadata } from './encoders.js';
+import { AbortError, loadTextToSpeech, loadVoiceStyle } from './helper.js';
+import { getLanguageProfile } from './languages.js';
+import { UsageError, optionsHelp, parseOptions } from './options.js';
+import { QueueFullError, loadTextToSpeechPool } from './pool.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error carrying the HTTP status it should be reported with
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const SERVER_OPTIONS = [
+    { name: 'host', value: 'host', default: '127.0.0.1', description: 'Address to listen on' },
+    { name: 'port', value: 'n', type: 'integer', min: 0, max: 65535, default: 8000, description: 'Port to listen on; 0 picks a free one' },
+    { name: 'onnx-dir', value: 'dir', path: true, default: 'assets/onnx', description: 'ONNX model directory' },
+    { name: 'voice-style-dir', value: 'dir', path: true, default: 'assets/voice_styles', description: 'Directory of voice style JSON files' },
+    { name: 'max-text-length', value: 'n', type: 'integer', min: 1, max: 1000000, default: 5000, description: 'Longest text accepted per request, in characters' },
+    { name: 'workers', value: 'n', type: 'integer', min: 0, max: 256, default: 0, description: 'Synthesis worker threads; 0 synthesizes on the main thread' },
+    { name: 'max-queue', value: 'n', type: 'integer', min: 0, max: 100000, default: 64, description: 'Requests allowed to wait for a worker before new ones get 503' },
+    { name: 'lexicon', value: 'path', repeat: true, parse: file => path.resolve(file), description: 'Pronunciation lexicon JSON file applied to every request; repeat for several' },
+    { name: 'cache-dir', value: 'dir', parse: dir => path.resolve(dir), description: 'Chunk cache directory; requests with a seed reuse its chunks' },
+    { name: 'cache-size', value: 'MB', type: 'number', min: 1, max: 1048576, default: 256, description: 'Size limit of the --cache-dir directory' },
+    { name: 'help', alias: 'h', flag: true, description: 'Show this help' }
+];
+
+/**
+ * Parse command line arguments (without node and the script path)
+ * @throws {UsageError} For unknown options, missing or invalid values and unexpected arguments
+ */
+export function parseArgs(argv) {
+    const { options, positionals } = parseOptions(SERVER_OPTIONS, argv, { baseDir: __dirname });
+    if (positionals.length > 0) {
+        throw new UsageError(`Unexpected argument '${positionals[0]}'`);
+    }
+    return options;
+}
+
+function usage() {
+    return ['Usage: node server.js [options]', '', 'Options:', ...optionsHelp(SERVER_OPTIONS)].join('\n');
+}
+
+/**
+ * List voice style names (file names without .json) in a directory
+ */
+function listVoiceStyles(voiceStyleDir) {
+    return fs.readdirSync(voiceStyleDir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => name.slice(0, -'.json'.length))
+        .sort();
+}
+
+/**
+ * Read a request body, rejecting bodies larger than MAX_BODY_BYTES
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Keep draining so the 413 response can still be delivered
+                chunks.length = 0;
+                reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parse a numeric parameter, falling back to a default when absent
+ */
+function parseNumber(value, name, { min, max, integer = false, fallback }) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    const num = Number(value);
+    if (!Number.isFinite(num) || (integer && !Number.isInteger(num))) {
+        throw new HttpError(400, `'${name}' must be ${integer ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}`);
+    }
+    if (num < min || num > max) {
+        throw new HttpError(400, `'${name}' must be between ${min} and ${max}, got ${num}`);
+    }
+    return num;
+}
+
+/**
+ * Validate synthesis parameters from a JSON body or query string
+ */
+function parseSynthesisParams(params, voices, maxTextLength) {
+    const text = params.text;
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new HttpError(400, "'text' must be a non-empty string");
+    }
+    if (text.length > maxTextLength) {
+        throw new HttpError(400, `'text' must be at most ${maxTextLength} characters, got ${text.length}`);
+    }
+
+    const voice = params.voice === undefined ? 'M1' : params.voice;
+    if (!voices.includes(voice)) {
+        throw new HttpError(404, `Unknown voice '${voice}'. Available voices: ${voices.join(', ')}`);
+    }
+
+    const language = params.language === undefined ? 'en' : params.language;
+    try {
+        getLanguageProfile(language);
+    } catch (err) {
+        throw new HttpError(400, err.message);
+    }
+
+    const format = params.format === undefined ? 'wav' : params.format;
+    const bitDepth = parseNumber(params.bitDepth, 'bitDepth', { min: 16, max: 32, integer: true, fallback: 16 });
+    try {
+        checkAudioFormat(format, bitDepth);
+    } catch (err) {
+        throw new HttpError(400, err.message);
+    }
+
+    return {
+        text,
+        voice,
+        language,
+        format,
+        bitDepth,
+        totalStep: parseNumber(params.steps, 'steps', { min: 1, max: 100, integer: true, fallback: 5 }),
+        speed: parseNumber(params.speed, 'speed', { min: 0.5, max: 2.0, fallback: 1.05 }),
+        silenceDuration: parseNumber(params.silence, 'silence', { min: 0, max: 5, fallback: 0.3 }),
+        clausePause: parseNumber(params.clausePause, 'clausePause', { min: 0, max: 5, fallback: null }),
+        paragraphPause: parseNumber(params.paragraphPause, 'paragraphPause', { min: 0, max: 5, fallback: null }),
+        crossfade: parseNumber(params.crossfade, 'crossfade', { min: 0, max: 0.5, fallback: 0.02 }),
+        seed: parseNumber(params.seed, 'seed', { min: 0, max: 4294967295, integer: true, fallback: null }),
+        sampleRate: parseNumber(params.sampleRate, 'sampleRate', { min: 8000, max: 192000, integer: true, fallback: null }),
+        loudness: parseNumber(params.loudness, 'loudness', { min: -70, max: 0, fallback: null }),
+        truePeak: parseNumber(params.truePeak, 'truePeak', { min: -20, max: 0, fallback: -1 })
+    };
+}
+
+function sendJson(res, status, body) {
+    const payload = Buffer.from(JSON.stringify(body));
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': payload.length
+    });
+    res.end(payload);
+}
+
+/**
+ * Create the HTTP server around an already loaded TextToSpeech instance or TextToSpeechPool
+ */
+export function createServer(textToSpeech, { voiceStyleDir, maxTextLength = 5000 }) {
+    const styles = new Map();
+    const startedAt = Date.now();
+
+    // Voice styles are loaded on first use and kept resident like the models
+    const getStyle = voice => {
+        if (!styles.has(voice)) {
+            styles.set(voice, loadVoiceStyle([path.join(voiceStyleDir, `${voice}.json`)]));
+        }
+        return styles.get(voice);
+    };
+
+    const synthesize = async (params, signal) => {
+        const voices = listVoiceStyles(voiceStyleDir);
+        const { text, voice, language, format, bitDepth, totalStep, speed, silenceDuration, clausePause, paragraphPause, crossfade, seed, sampleRate, loudness, truePeak } = parseSynthesisParams(params, voices, maxTextLength);
+        const result = await textToSpeech.call(text, getStyle(voice), totalStep, speed, silenceDuration, {
+            seed,
+            language,
+            outputSampleRate: sampleRate,
+            pauses: { clause: clausePause ?? undefined, paragraph: paragraphPause ?? undefined },
+            crossfade,
+            loudness: loudness === null ? null : { target: loudness, truePeak },
+            signal
+        });
+        const { wav, duration, seed: usedSeed, cache } = result;
+        const audio = encodeAudio(wav, result.sampleRate, {
+            format,
+            bitDepth,
+            metadata: synthesisMetadata({ text, voice, totalStep, speed, seed: usedSeed, language })
+        });
+        return { audio, format, duration: duration[0], seed: usedSeed, sampleRate: result.sampleRate, loudness: result.loudness, cache };
+    };
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/health') {
+            if (req.method !== 'GET') {
+                throw new HttpError(405, `Method ${req.method} not allowed on ${url.pathname}`);
+            }
+            sendJson(res, 200, {
+                status: 'ok',
+                sampleRate: textToSpeech.sampleRate,
+                loadedVoices: [...styles.keys()],
+                uptime: (Date.now() - startedAt) / 1000,
+                ...(textToSpeech.stats ? { pool: textToSpeech.stats() } : {}),
+                ...(textToSpeech.cache ? { cache: await textToSpeech.cache.stats() } : {})
+            });
+        } else if (url.pathname === '/voices') {
+            if (req.method !== 'GET') {
+                throw new HttpError(405, `Method ${req.method} not allowed on ${url.pathname}`);
+            }
+            sendJson(res, 200, { voices: listVoiceStyles(voiceStyleDir) });
+        } else if (url.pathname === '/synthesize') {
+            let params;
+            if (req.method === 'GET') {
+                params = Object.fromEntries(url.searchParams);
+            } else if (req.method === 'POST') {
+                const contentType = req.headers['content-type'] || '';
+                if (!contentType.startsWith('application/json')) {
+                    throw new HttpError(415, 'Request body must be application/json');
+                }
+                try {
+                    params = JSON.parse(await readBody(req));
+                } catch (err) {
+                    if (err instanceof HttpError) throw err;
+                    throw new HttpError(400, `Invalid JSON body: ${err.message}`);
+                }
+                if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+                    throw new HttpError(400, 'Request body must be a JSON object');
+                }
+            } else {
+                throw new HttpError(405, `Method ${req.method} not allowed on ${url.pathname}`);
+            }
+
+            // A client that disconnects stops its synthesis, freeing the models (or pool worker) for others
+            const controller = new AbortController();
+            res.on('close', () => {
+                if (!res.writableFinished) {
+                    controller.abort();
+                }
+            });
+            const { audio, format, duration, seed, sampleRate, loudness, cache } = await synthesize(params, controller.signal);
+            res.writeHead(200, {
+                'Content-Type': audioFormatInfo(format).mimeType,
+                'Content-Length': audio.length,
+                'X-Audio-Duration': duration.toFixed(3),
+                'X-Sample-Rate': String(sampleRate),
+                'X-Seed': String(seed),
+                ...(loudness ? { 'X-Loudness': loudness.integrated.toFixed(1) } : {}),
+                ...(cache ? { 'X-Cache-Hits': String(cache.hits), 'X-Cache-Misses': String(cache.misses) } : {})
+            });
+            res.end(audio);
+        } else {
+            throw new HttpError(404, `Not found: ${url.pathname}`);
+        }
+    };
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch(err => {
+            let status = 500;
+            if (err instanceof HttpError) {
+                status = err.status;
+            } else if (err instanceof QueueFullError) {
+                status = 503;
+                res.setHeader('Retry-After', '1');
+            } else if (err instanceof AbortError) {
+                // The client has disconnected, so there is no one to answer
+                return;
+            } else {
+                console.error('Error handling request:', err);
+            }
+            if (!res.headersSent) {
+                sendJson(res, status, { error: err.message, status });
+            } else {
+                res.destroy(err);
+            }
+        });
+    });
+}
+
+/**
+ * Main server function
+ */
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        if (!(err instanceof UsageError)) {
+            throw err;
+        }
+        console.error(`server.js: ${err.message}`);
+        console.error(`Run 'node server.js --help' for usage.`);
+        process.exit(2);
+    }
+    if (args.help) {
+        console.log(usage());
+        return;
+    }
+    console.log('=== TTS Synthesis Server (Node.js) ===\n');
+
+    const { onnxDir, voiceStyleDir } = args;
+    const lexicon = args.lexicon.length > 0 ? args.lexicon : null;
+    const cacheOptions = { cache: args.cacheDir, cacheMaxBytes: args.cacheSize * 1024 * 1024 };
+    // With --workers 0 every request is synthesized on the main thread
+    const textToSpeech = args.workers > 0
+        ? await loadTextToSpeechPool(onnxDir, { size: args.workers, maxQueue: args.maxQueue, lexicon, ...cacheOptions })
+        : await loadTextToSpeech(onnxDir, false, { lexicon, ...cacheOptions });
+    if (args.workers > 0) {
+        console.log(`Synthesis workers: ${args.workers} (queue limit ${args.maxQueue})`);
+    }
+    if (lexicon) {
+        console.log(`Lexicons: ${lexicon.join(', ')}`);
+    }
+    if (args.cacheDir) {
+        console.log(`Chunk cache: ${args.cacheDir} (up to ${args.cacheSize} MB)`);
+    }
+    console.log(`Voice styles: ${listVoiceStyles(voiceStyleDir).join(', ')}`);
+
+    const server = createServer(textToSpeech, { voiceStyleDir, maxTextLength: args.maxTextLength });
+    server.listen(args.port, args.host, () => {
+        console.log(`Listening on http://${args.host}:${server.address().port}`);
+    });
+
+    const shutdown = () => {
+        console.log('\nShutting down...');
+        // Finish requests already accepted by the pool before stopping its workers
+        server.close(async () => {
+            if (textToSpeech.close) {
+                await textToSpeech.close();
+            }
+            process.exit(0);
+        });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+// Run only when executed directly, so createServer can be imported
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(err => {
+        console.error('Error starting server:', err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,389 @@
+import {
+    cardinalToWords,
+    dateToWords,
+    decimalToWords,
+    digitsToWords,
+    ordinalToWords
+} from './numbers.js';
+
+/**
+ * SSML subset parser
+ *
+ * Supported: <speak>, <p>, <s>, <break time|strength>, <prosody rate>,
+ * <say-as interpret-as="characters|spell-out|cardinal|number|ordinal|digits|date">,
+ * <sub alias> and <voice name>. Anything else is rejected with an SsmlError.
+ *
+ * parseSsml returns a flat list of segments in reading order:
+ *   { type: 'speech', text, rate, voice, boundary }
+ *                                            rate is a multiplier on the base speed,
+ *                                            voice is null for the default style
+ *   { type: 'pause', duration }              explicit silence in seconds
+ * Sentence and paragraph boundaries split speech segments without adding a pause;
+ * boundary ('sentence' or 'paragraph' after <s> or <p>, else null) tells the caller
+ * which default pause applies there.
+ */
+
+const SUPPORTED_TAGS = ['speak', 'p', 's', 'break', 'prosody', 'say-as', 'sub', 'voice'];
+
+const BREAK_STRENGTHS = {
+    'none': 0,
+    'x-weak': 0.1,
+    'weak': 0.2,
+    'medium': 0.4,
+    'strong': 0.7,
+    'x-strong': 1.2
+};
+
+const RATE_KEYWORDS = {
+    'x-slow': 0.6,
+    'slow': 0.8,
+    'medium': 1.0,
+    'default': 1.0,
+    'fast': 1.2,
+    'x-fast': 1.4
+};
+
+const MAX_CODE_POINT = 0x10FFFF;
+
+// Longest pause a <break> (or a run of them) can add, as in most SSML engines
+const MAX_BREAK_SECONDS = 10;
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'"
+};
+
+/**
+ * Error raised for malformed or unsupported SSML, with the offending position
+ */
+export class SsmlError extends Error {
+    constructor(message, source = null, offset = null) {
+        if (source !== null && offset !== null) {
+            const before = source.slice(0, offset).split('\n');
+            message = `${message} (line ${before.length}, column ${before[before.length - 1].length + 1})`;
+        }
+        super(message);
+        this.name = 'SsmlError';
+        this.offset = offset;
+    }
+}
+
+function decodeEntities(text, source, offset) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);?/g, (match, entity) => {
+        if (entity.startsWith('#')) {
+            const codePoint = entity.startsWith('#x') ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            if (!(codePoint <= MAX_CODE_POINT)) {
+                throw new SsmlError(`Invalid character reference &${entity}; (beyond U+10FFFF)`, source, offset);
+            }
+            return String.fromCodePoint(codePoint);
+        }
+        if (!(entity in ENTITIES)) {
+            throw new SsmlError(`Unknown entity &${entity};`, source, offset);
+        }
+        return ENTITIES[entity];
+    });
+}
+
+/**
+ * Parse markup into an element tree: { name, attrs, children, offset } / { text, offset }
+ */
+function parseTree(source) {
+    const root = { name: '#document', attrs: {}, children: [], offset: 0 };
+    const stack = [root];
+    const tagPattern = /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+    let pos = 0;
+
+    while (pos < source.length) {
+        const lt = source.indexOf('<', pos);
+        const textEnd = lt === -1 ? source.length : lt;
+        if (textEnd > pos) {
+            const raw = source.slice(pos, textEnd);
+            stack[stack.length - 1].children.push({ text: decodeEntities(raw, source, pos), offset: pos });
+            pos = textEnd;
+            continue;
+        }
+
+        if (source.startsWith('<!--', pos)) {
+            const end = source.indexOf('-->', pos + 4);
+            if (end === -1) throw new SsmlError('Unterminated comment', source, pos);
+            pos = end + 3;
+            continue;
+        }
+        if (source.startsWith('<?', pos)) {
+            const end = source.indexOf('?>', pos + 2);
+            if (end === -1) throw new SsmlError('Unterminated processing instruction', source, pos);
+            pos = end + 2;
+            continue;
+        }
+
+        tagPattern.lastIndex = pos;
+        const match = tagPattern.exec(source);
+        if (!match) {
+            throw new SsmlError('Malformed tag', source, pos);
+        }
+        const [whole, closing, name, attrText, selfClosing] = match;
+
+        if (closing) {
+            const open = stack[stack.length - 1];
+            if (stack.length === 1 || open.name !== name) {
+                throw new SsmlError(`Unexpected closing tag </${name}>`, source, pos);
+            }
+            stack.pop();
+        } else {
+            const attrs = {};
+            for (const [, key, dq, sq] of attrText.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                attrs[key] = decodeEntities(dq !== undefined ? dq : sq, source, pos);
+            }
+            const element = { name, attrs, children: [], offset: pos };
+            stack[stack.length - 1].children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+        pos += whole.length;
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new SsmlError(`Unclosed tag <${open.name}>`, source, open.offset);
+    }
+    return root;
+}
+
+function parseBreak(attrs, source, offset) {
+    if (attrs.time !== undefined) {
+        const match = attrs.time.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)$/);
+        if (!match) {
+            throw new SsmlError(`Invalid <break> time '${attrs.time}', expected e.g. '500ms' or '1.5s'`, source, offset);
+        }
+        const value = parseFloat(match[1]);
+        return Math.min(match[2] === 'ms' ? value / 1000 : value, MAX_BREAK_SECONDS);
+    }
+    const strength = attrs.strength === undefined ? 'medium' : attrs.strength;
+    if (!(strength in BREAK_STRENGTHS)) {
+        throw new SsmlError(`Invalid <break> strength '${strength}'`, source, offset);
+    }
+    return BREAK_STRENGTHS[strength];
+}
+
+function parseRate(rate, source, offset) {
+    const value = rate.trim();
+    if (value in RATE_KEYWORDS) {
+        return RATE_KEYWORDS[value];
+    }
+    let multiplier = null;
+    let match = value.match(/^([+-])(\d+(?:\.\d+)?)%$/);
+    if (match) {
+        const delta = parseFloat(match[2]) / 100;
+        multiplier = match[1] === '+' ? 1 + delta : 1 - delta;
+    }
+    match = value.match(/^(\d+(?:\.\d+)?)(%?)$/);
+    if (match) {
+        multiplier = match[2] ? parseFloat(match[1]) / 100 : parseFloat(match[1]);
+    }
+    if (multiplier === null) {
+        throw new SsmlError(`Invalid <prosody> rate '${rate}'`, source, offset);
+    }
+    // Durations are divided by the rate, so it must stay above zero
+    if (!(multiplier > 0 && Number.isFinite(multiplier))) {
+        throw new SsmlError(`Invalid <prosody> rate '${rate}', the rate must be positive`, source, offset);
+    }
+    return multiplier;
+}
+
+function spellCharacters(text) {
+    return Array.from(text)
+        .filter(c => /[\p{L}\p{N}]/u.test(c))
+        .map(c => (/\d/.test(c) ? digitsToWords(c) : c.toUpperCase()))
+        .join(' ');
+}
+
+function parseDate(text, format) {
+    const parts = text.trim().split(/[-/.\s]+/).filter(p => p);
+    if (!parts.every(p => /^\d+$/.test(p))) {
+        return null;
+    }
+    const order = format || (parts[0].length === 4 ? 'ymd' : 'mdy');
+    if (!/^[dmy]{1,3}$/.test(order) || order.length !== parts.length) {
+        return null;
+    }
+    const date = {};
+    for (let i = 0; i < order.length; i++) {
+        const key = { d: 'day', m: 'month', y: 'year' }[order[i]];
+        date[key] = Number(parts[i]);
+    }
+    return { date, order };
+}
+
+function interpretSayAs(attrs, text, source, offset) {
+    const kind = attrs['interpret-as'];
+    const content = text.trim();
+    try {
+        switch (kind) {
+            case 'characters':
+            case 'spell-out':
+                return spellCharacters(content);
+            case 'cardinal':
+            case 'number':
+                if (/^[-+−]?\d[\d,]*\.\d+$/.test(content)) {
+                    return decimalToWords(content);
+                }
+                return cardinalToWords(content);
+            case 'ordinal':
+                return ordinalToWords(content.replace(/(st|nd|rd|th)$/i, ''));
+            case 'digits':
+                return digitsToWords(content);
+            case 'date': {
+                const parsed = parseDate(content, attrs.format);
+                if (!parsed) {
+                    throw new Error(`cannot read '${content}' as a date${attrs.format ? ` in format '${attrs.format}'` : ''}`);
+                }
+                return dateToWords(parsed.date, parsed.order);
+            }
+            default:
+                throw new SsmlError(
+                    `Unsupported <say-as> interpret-as '${kind}', expected characters, spell-out, cardinal, number, ordinal, digits or date`,
+                    source, offset
+                );
+        }
+    } catch (err) {
+        if (err instanceof SsmlError) throw err;
+        throw new SsmlError(`Invalid <say-as interpret-as="${kind}"> content: ${err.message}`, source, offset);
+    }
+}
+
+function textContent(element, source) {
+    return element.children.map(child => {
+        if (child.text === undefined) {
+            throw new SsmlError(`<${child.name}> is not allowed inside <${element.name}>`, source, child.offset);
+        }
+        return child.text;
+    }).join('');
+}
+
+/**
+ * Parse an SSML document into speech and pause segments
+ * @param {string} source - SSML markup with a <speak> root
+ * @returns {Array<Object>} Segments (see module comment)
+ */
+export function parseSsml(source) {
+    if (typeof source !== 'string') {
+        throw new SsmlError(`parseSsml expects a string, got ${typeof source}`);
+    }
+    const tree = parseTree(source);
+    const roots = tree.children.filter(c => c.text === undefined || c.text.trim());
+    if (roots.length !== 1 || roots[0].name !== 'speak') {
+        throw new SsmlError('SSML must have a single <speak> root element', source, roots.length ? roots[0].offset : 0);
+    }
+
+    const segments = [];
+    let buffer = null;
+    let boundary = null;
+
+    const flush = () => {
+        if (buffer) {
+            const text = buffer.text.replace(/\s+/g, ' ').replace(/ ([,.!?;:])/g, '$1').trim();
+            if (text) {
+                segments.push({ type: 'speech', text, rate: buffer.rate, voice: buffer.voice, boundary });
+                boundary = null;
+            }
+            buffer = null;
+        }
+    };
+    // A paragraph boundary outranks a sentence boundary at the same position
+    const markBoundary = (kind) => {
+        flush();
+        if (segments.length > 0 && boundary !== 'paragraph') {
+            boundary = kind;
+        }
+    };
+    const emitText = (text, ctx) => {
+        if (buffer && (buffer.rate !== ctx.rate || buffer.voice !== ctx.voice)) {
+            flush();
+        }
+        if (!buffer) {
+            buffer = { text: '', rate: ctx.rate, voice: ctx.voice };
+        }
+        buffer.text += text;
+    };
+    const emitPause = (duration) => {
+        flush();
+        const last = segments[segments.length - 1];
+        if (last && last.type === 'pause') {
+            last.duration = Math.min(last.duration + duration, MAX_BREAK_SECONDS);
+        } else {
+            segments.push({ type: 'pause', duration });
+        }
+    };
+
+    const walk = (node, ctx) => {
+        if (node.text !== undefined) {
+            emitText(node.text, ctx);
+            return;
+        }
+        const { name, attrs, offset } = node;
+        if (!SUPPORTED_TAGS.includes(name)) {
+            throw new SsmlError(`Unsupported SSML tag <${name}>, supported tags are ${SUPPORTED_TAGS.map(t => `<${t}>`).join(', ')}`, source, offset);
+        }
+
+        switch (name) {
+            case 'speak':
+                if (node !== roots[0]) {
+                    throw new SsmlError('<speak> may only appear as the root element', source, offset);
+                }
+                node.children.forEach(child => walk(child, ctx));
+                break;
+            case 'p':
+            case 's': {
+                const kind = name === 'p' ? 'paragraph' : 'sentence';
+                markBoundary(kind);
+                node.children.forEach(child => walk(child, ctx));
+                markBoundary(kind);
+                break;
+            }
+            case 'break':
+                if (node.children.length > 0) {
+                    throw new SsmlError('<break> must be empty', source, offset);
+                }
+                emitPause(parseBreak(attrs, source, offset));
+                break;
+            case 'prosody': {
+                const unsupported = Object.keys(attrs).filter(key => key !== 'rate');
+                if (unsupported.length > 0) {
+                    throw new SsmlError(`Unsupported <prosody> attribute '${unsupported[0]}', only 'rate' is supported`, source, offset);
+                }
+                const rate = attrs.rate === undefined ? 1 : parseRate(attrs.rate, source, offset);
+                node.children.forEach(child => walk(child, { ...ctx, rate: ctx.rate * rate }));
+                break;
+            }
+            case 'say-as':
+                if (attrs['interpret-as'] === undefined) {
+                    throw new SsmlError("<say-as> requires an 'interpret-as' attribute", source, offset);
+                }
+                emitText(` ${interpretSayAs(attrs, textContent(node, source), source, offset)} `, ctx);
+                break;
+            case 'sub':
+                if (attrs.alias === undefined) {
+                    throw new SsmlError("<sub> requires an 'alias' attribute", source, offset);
+                }
+                textContent(node, source);
+                emitText(attrs.alias, ctx);
+                break;
+            case 'voice':
+                if (!attrs.name) {
+                    throw new SsmlError("<voice> requires a 'name' attribute", source, offset);
+                }
+                flush();
+                node.children.forEach(child => walk(child, { ...ctx, voice: attrs.name }));
+                flush();
+                break;
+        }
+    };
+
+    walk(roots[0], { rate: 1, voice: null });
+    flush();
+    return segments;
+}
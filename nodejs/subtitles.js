@@ -0,0 +1,141 @@
+/**
+ * Timing estimation and subtitle export (SRT / WebVTT)
+ *
+ * A timing map is an array of chunk entries as returned by TextToSpeech.call:
+ *   { text, start, end, words: [{ word, start, end }] }
+ * with all times in seconds from the start of the waveform.
+ */
+
+// Extra weight, in characters, for the pause that follows trailing punctuation
+const PAUSE_WEIGHTS = [
+    { pattern: /[.!?…]["')\]]*$/, weight: 3 },
+    { pattern: /[,;:]["')\]]*$/, weight: 2 }
+];
+
+/**
+ * Estimate word boundaries inside a chunk by spreading its duration over the words.
+ * Each word gets time proportional to its spoken characters; trailing punctuation
+ * adds a short pause after the word that belongs to no word.
+ * @param {string} text - Chunk text
+ * @param {number} start - Chunk start time in seconds
+ * @param {number} end - Chunk end time in seconds
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+export function estimateWordTimings(text, start, end) {
+    const words = text.trim().split(/\s+/).filter(w => w);
+    if (words.length === 0) {
+        return [];
+    }
+
+    const spans = words.map(word => {
+        const spoken = word.replace(/[^\p{L}\p{N}]/gu, '').length;
+        const pause = PAUSE_WEIGHTS.find(p => p.pattern.test(word));
+        return { word, weight: Math.max(1, spoken), pause: pause ? pause.weight : 0 };
+    });
+
+    // The pause after the last word is part of the chunk tail, not a gap before anything
+    spans[spans.length - 1].pause = 0;
+    // One character worth of gap between words
+    const totalWeight = spans.reduce((sum, s) => sum + s.weight + s.pause, 0) + (spans.length - 1);
+    const scale = (end - start) / totalWeight;
+
+    const timings = [];
+    let cursor = start;
+    for (const span of spans) {
+        const wordEnd = cursor + span.weight * scale;
+        timings.push({ word: span.word, start: cursor, end: wordEnd });
+        cursor = wordEnd + (span.pause + 1) * scale;
+    }
+    timings[timings.length - 1].end = end;
+    return timings;
+}
+
+/**
+ * Flatten a timing map into subtitle cues
+ * @param {Array} timings - Timing map
+ * @param {Object} options
+ * @param {string} [options.level='chunk'] - 'chunk' for one cue per chunk, 'word' for one cue per word
+ * @param {number} [options.maxCharsPerCue] - Split chunk cues at word boundaries to stay under this length
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function timingsToCues(timings, { level = 'chunk', maxCharsPerCue = null } = {}) {
+    if (level !== 'chunk' && level !== 'word') {
+        throw new Error(`Unknown subtitle level '${level}', expected 'chunk' or 'word'`);
+    }
+
+    const cues = [];
+    for (const chunk of timings) {
+        if (level === 'word') {
+            for (const w of chunk.words) {
+                cues.push({ start: w.start, end: w.end, text: w.word });
+            }
+            continue;
+        }
+
+        if (!maxCharsPerCue || chunk.text.length <= maxCharsPerCue || chunk.words.length === 0) {
+            cues.push({ start: chunk.start, end: chunk.end, text: chunk.text });
+            continue;
+        }
+
+        let group = [];
+        const flush = () => {
+            if (group.length > 0) {
+                cues.push({
+                    start: group[0].start,
+                    end: group[group.length - 1].end,
+                    text: group.map(w => w.word).join(' ')
+                });
+                group = [];
+            }
+        };
+        for (const w of chunk.words) {
+            const length = group.reduce((sum, g) => sum + g.word.length + 1, 0) + w.word.length;
+            if (group.length > 0 && length > maxCharsPerCue) {
+                flush();
+            }
+            group.push(w);
+        }
+        flush();
+    }
+    return cues;
+}
+
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const ms = totalMs % 1000;
+    const totalSec = Math.floor(totalMs / 1000);
+    const s = totalSec % 60;
+    const m = Math.floor(totalSec / 60) % 60;
+    const h = Math.floor(totalSec / 3600);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Export a timing map as SubRip (.srt) text
+ * @param {Array} timings - Timing map
+ * @param {Object} options - See timingsToCues
+ * @returns {string}
+ */
+export function toSrt(timings, options = {}) {
+    return timingsToCues(timings, options)
+        .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+        .join('\n');
+}
+
+// WebVTT cue text is markup: & and < start entities and tags, and --> would end the cue
+function escapeVttText(text) {
+    return text.replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[c]));
+}
+
+/**
+ * Export a timing map as WebVTT (.vtt) text
+ * @param {Array} timings - Timing map
+ * @param {Object} options - See timingsToCues
+ * @returns {string}
+ */
+export function toWebVtt(timings, options = {}) {
+    const cues = timingsToCues(timings, options)
+        .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${escapeVttText(cue.text)}\n`);
+    return ['WEBVTT\n', ...cues].join('\n');
+}
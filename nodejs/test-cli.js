@@ -0,0 +1,128 @@
+/**
+ * Simple test suite for cli.js option parsing and usage errors (no models needed)
+ * Run with: node test-cli.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { runCli } from './cli.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+/**
+ * Run the CLI, capturing what it prints
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+async function run(...argv) {
+    const stdout = [];
+    const stderr = [];
+    const { log, error } = console;
+    console.log = (...parts) => stdout.push(parts.join(' '));
+    console.error = (...parts) => stderr.push(parts.join(' '));
+    try {
+        const code = await runCli(argv);
+        return { code, stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+}
+
+// Expect exit code 2 with the message and a pointer to the command's help
+async function assertUsageError(argv, fragment, message, command = 'synth') {
+    const { code, stderr } = await run(...argv);
+    assert(code === 2 && stderr.includes(fragment) && stderr.includes(`Run 'supertonic ${command} --help' for usage.`), `${message} (${stderr.split('\n')[0]})`);
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+const voiceDir = path.join(tempDir, 'voices');
+fs.mkdirSync(voiceDir);
+for (const name of ['M1', 'F1']) {
+    fs.writeFileSync(path.join(voiceDir, `${name}.json`), '{}');
+}
+const lexiconFile = path.join(tempDir, 'names.json');
+fs.writeFileSync(lexiconFile, JSON.stringify({ entries: [{ match: 'SQL', replace: 'sequel' }] }));
+const voices = ['--voice-style-dir', voiceDir];
+
+console.log('🧪 Testing the command line interface\n');
+
+// Test 1: Help
+console.log('Test 1: Help');
+{
+    const main = await run('--help');
+    assert(main.code === 0 && main.stdout.includes('Commands:') && main.stdout.includes('synth'), '--help lists the commands');
+    const synth = await run('synth', '--help');
+    assert(synth.code === 0 && synth.stdout.includes('--total-step <n>') && synth.stdout.includes('(default: 5)'), 'synth --help lists options with defaults');
+    const shorthand = await run('help', 'voices');
+    assert(shorthand.code === 0 && shorthand.stdout.startsWith('Usage: supertonic voices'), "'help <command>' shows that command's help");
+}
+
+// Test 2: Option syntax
+console.log('\nTest 2: Option syntax');
+{
+    const { code, stderr } = await run('frobnicate');
+    assert(code === 2 && stderr.includes("Unknown command 'frobnicate'") && stderr.includes("Run 'supertonic --help' for usage."), 'Unknown commands are usage errors');
+    const text = await run('Hello there');
+    assert(text.code === 2 && text.stderr.includes(`run 'supertonic synth "<text>"'`), 'Text without a command points to synth');
+    await assertUsageError(['--sped', '1'], "Unknown option '--sped' for 'synth'", 'Options without a command belong to synth');
+    await assertUsageError(['voices', '--speed', '1'], "Unknown option '--speed' for 'voices'", 'Options are checked per command', 'voices');
+    await assertUsageError(['synth', '--speed'], '--speed needs a value <x>', 'A missing value is reported');
+    await assertUsageError(['synth', '--ssml=yes'], '--ssml does not take a value', 'Flags take no value');
+}
+
+// Test 3: Values
+console.log('\nTest 3: Values');
+await assertUsageError(['synth', '--speed', 'fast'], "--speed must be a number, got 'fast'", 'Numbers are validated');
+await assertUsageError(['synth', '--speed=3'], '--speed must be between 0.5 and 2, got 3', 'Attached values are range-checked');
+await assertUsageError(['synth', '--total-step', '2.5'], "--total-step must be an integer, got '2.5'", 'Integers are validated');
+await assertUsageError(['synth', '--speed', ' '], "--speed must be a number, got ' '", 'Blank numbers are rejected');
+await assertUsageError(['synth', '--language', 'xx'], "--language must be one of", 'Languages are checked');
+await assertUsageError(['synth', '--bit-depth', '20'], "--bit-depth must be one of 16, 24, 32, got '20'", 'Bit depths are checked');
+await assertUsageError(['synth', '--pauses', '0.1,0.2'], '--pauses: expected 3 non-negative seconds', 'Pauses need all three boundaries');
+await assertUsageError(['synth', '-f', path.join(tempDir, 'missing.txt')], 'Cannot read text from', 'Unreadable text files are usage errors');
+
+// Test 4: Synthesis requests checked before loading the models
+console.log('\nTest 4: Synthesis requests');
+await assertUsageError(['synth', ...voices, '-t', ' '], 'Text to synthesize must not be empty', 'Empty texts are rejected');
+await assertUsageError(['synth', ...voices, '-t', 'a', '-t', 'b', '-v', 'M1', '-v', 'F1', '-v', 'M1'], 'Got 3 voices for 2 texts', 'Voices must match the texts');
+await assertUsageError(['synth', ...voices, '-v', 'X9', 'Hi.'], 'Available voices: F1, M1', 'Unknown voices list the available ones');
+await assertUsageError(['synth', ...voices, '-t', 'a', '-t', 'b', '-o', 'a.wav'], 'Got 1 --output paths for 2 texts', 'Outputs must match the texts');
+await assertUsageError(['synth', ...voices, '-o', 'a.flac', '--bit-depth', '32', 'Hi.'], 'flac', 'The output extension picks a format that must support the bit depth');
+await assertUsageError(['synth', ...voices, '--batch', '--ssml', 'Hi.'], '--ssml is not available with --batch', 'Batch mode rejects per-chunk features');
+await assertUsageError(['synth', ...voices, '--cache', tempDir, 'Hi.'], '--cache needs --seed', 'The cache needs a seed');
+await assertUsageError(['synth', ...voices, '-l', path.join(tempDir, 'missing.json'), 'Hi.'], 'missing.json', 'Unreadable lexicons are usage errors');
+
+// Test 5: Commands without models
+console.log('\nTest 5: Commands without models');
+{
+    const list = await run('voices', ...voices, '--json');
+    assert(list.code === 0 && JSON.parse(list.stdout).voices.join() === 'F1,M1', 'voices --json lists the voice styles');
+    await assertUsageError(['voices', ...voices, 'extra'], "Unexpected argument 'extra'", 'voices takes no arguments', 'voices');
+
+    const lexicon = await run('lexicon', '-l', lexiconFile, '--json', 'Learn SQL');
+    const result = JSON.parse(lexicon.stdout);
+    assert(lexicon.code === 0 && result.text === 'Learn sequel' && result.matches[0].offset === 6, 'lexicon rewrites a text and reports its matches');
+    const dashed = await run('lexicon', '-l', lexiconFile, '--json', '--', '--SQL');
+    assert(dashed.code === 0 && JSON.parse(dashed.stdout).input === '--SQL', "Arguments after '--' are texts");
+    const mixed = await run('lexicon', '-l', lexiconFile, '--json', '-t', 'A', 'B', '-t', 'C', 'D');
+    assert(JSON.parse(mixed.stdout).map(result => result.input).join() === 'A,B,C,D', 'Positional and --text texts keep their command line order');
+    await assertUsageError(['lexicon', 'SQL'], 'Give at least one --lexicon file', 'lexicon needs a lexicon file', 'lexicon');
+
+    const info = await run('info', '--onnx-dir', tempDir, ...voices, '--json');
+    assert(info.code === 1 && info.stderr.includes('Missing model files'), 'info fails when model files are missing');
+    assert(JSON.parse(info.stdout).voices.join() === 'F1,M1', 'info still reports what it found');
+}
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n✨ All tests passed! ✨\n');
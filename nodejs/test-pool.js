@@ -0,0 +1,270 @@
+/**
+ * Simple test suite for pool.js, with stub workers instead of the models
+ * Run with: node test-pool.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as ort from 'onnxruntime-node';
+
+import { UnsupportedCharacterError } from './charset.js';
+import { DiskCache } from './disk_cache.js';
+import { AbortError } from './helper.js';
+import { LexiconError } from './lexicon.js';
+import { QueueFullError, TextToSpeechPool } from './pool.js';
+import { createServer } from './server.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+/**
+ * Worker script from the body of a message handler, which gets (message, parentPort)
+ * and a cache(method, args) helper speaking the pool's cache protocol
+ */
+function stubWorker(handler) {
+    const source = `
+        import { parentPort } from 'worker_threads';
+        const pending = new Map();
+        let nextRequestId = 0;
+        const cache = (method, args) => new Promise((resolve) => {
+            const requestId = nextRequestId++;
+            pending.set(requestId, resolve);
+            parentPort.postMessage({ type: 'cache', requestId, method, args });
+        });
+        const handler = ${handler};
+        parentPort.on('message', (message) => {
+            if (message.type === 'cache') {
+                pending.get(message.requestId)(message);
+                pending.delete(message.requestId);
+                return;
+            }
+            handler(message, parentPort, cache);
+        });
+        parentPort.postMessage({ type: 'ready', sampleRate: 44100 });
+    `;
+    return new URL(`data:text/javascript,${encodeURIComponent(source)}`);
+}
+
+// Looks the text up in the pool's cache, stores it on a miss and reports which it was
+const cachingWorker = stubWorker(`async ({ id, args }, port, cache) => {
+    const key = args[0];
+    const { result: entry } = await cache('get', [key]);
+    if (!entry) {
+        await cache('set', [key, { samples: new Float32Array(4), duration: 1 }]);
+    }
+    port.postMessage({ id, result: { wav: new Float32Array(0), cached: entry !== null } });
+}`);
+
+// Holds every job until it is aborted, then fails it like pool_worker.js does
+const stallingWorker = stubWorker(`({ id, type }, port) => {
+    if (type === 'abort') {
+        port.postMessage({ id, error: { name: 'AbortError', message: 'Synthesis was aborted' } });
+    } else {
+        port.postMessage({ type: 'progress', id, event: { started: id } });
+    }
+}`);
+
+// Replies with the job as the worker received it; text starting with 'fail:' names an error to report
+const echoWorker = stubWorker(`({ id, method, args, progress }, port) => {
+    const text = typeof args[0] === 'string' ? args[0] : '';
+    if (text.startsWith('fail:')) {
+        const unsupported = [{ char: '☃', codePoint: 0x2603, index: 0 }];
+        const fields = { source: 'words.json', entry: 2, code: 'E_WORKER', stack: 'Worker failure\\n    at worker.js:1:1' };
+        port.postMessage({ id, error: { name: text.slice(5), message: 'Worker failure', unsupported, ...fields } });
+        return;
+    }
+    port.postMessage({ id, result: { wav: new Float32Array(0), method, args, progress } });
+}`);
+
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+async function getJson(server, pathname) {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${pathname}`);
+        return { status: response.status, body: await response.json() };
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+console.log('🧪 Testing the synthesis pool\n');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-test-'));
+
+// Test 1: Shared chunk cache
+console.log('Test 1: Shared chunk cache');
+{
+    const cacheDir = path.join(tempDir, 'cache');
+    const pool = new TextToSpeechPool('unused', { size: 2, cache: cacheDir, cacheMaxBytes: 1024, workerUrl: cachingWorker });
+    await pool.ready;
+    assert(pool.cache instanceof DiskCache && pool.cache.dir === cacheDir, 'A cache directory becomes one DiskCache in the main thread');
+    const first = await Promise.all([pool.call('a', null, 5, 1, 0.3, {}), pool.call('b', null, 5, 1, 0.3, {})]);
+    assert(first.every(result => !result.cached), 'New chunks are misses');
+    const second = await Promise.all([pool.call('b', null, 5, 1, 0.3, {}), pool.call('a', null, 5, 1, 0.3, {})]);
+    assert(second.every(result => result.cached), 'Chunks stored by one worker are hits in the others');
+    const stats = await pool.cache.stats();
+    assert(stats.entries === 2 && stats.hits === 2 && stats.misses === 2, 'One index counts the entries and hits of every worker');
+
+    const { status, body } = await getJson(createServer(pool, { voiceStyleDir: tempDir }), '/health');
+    assert(status === 200, '/health answers with a pool and a cache directory');
+    assert(body.cache.entries === 2 && body.pool.workers === 2, '/health reports the pool cache and the workers');
+    await pool.terminate();
+
+    let message = '';
+    try {
+        new TextToSpeechPool('unused', { size: 1, cache: {}, workerUrl: cachingWorker });
+    } catch (err) {
+        message = err.message;
+    }
+    assert(message.includes('must be a directory or a ChunkCache'), 'Other cache values are rejected');
+}
+
+// Test 2: Leftover temporary files
+console.log('\nTest 2: Leftover temporary files');
+{
+    const cacheDir = path.join(tempDir, 'temp');
+    fs.mkdirSync(path.join(cacheDir, 'ab'), { recursive: true });
+    const stale = path.join(cacheDir, 'ab', 'stale.chunk.1.x.tmp');
+    const fresh = path.join(cacheDir, 'ab', 'fresh.chunk.2.y.tmp');
+    fs.writeFileSync(stale, '');
+    fs.writeFileSync(fresh, '');
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(stale, hourAgo, hourAgo);
+    await new DiskCache(cacheDir).stats();
+    assert(!fs.existsSync(stale), 'Old temporary files are removed on open');
+    assert(fs.existsSync(fresh), 'Recent temporary files, possibly still being written, are kept');
+}
+
+// Test 3: Aborting jobs
+console.log('\nTest 3: Aborting jobs');
+{
+    const pool = new TextToSpeechPool('unused', { size: 1, workerUrl: stallingWorker });
+    await pool.ready;
+    const slot = pool.workers[0];
+    const sent = [];
+    const postMessage = slot.worker.postMessage.bind(slot.worker);
+    slot.worker.postMessage = (message) => {
+        sent.push(message);
+        postMessage(message);
+    };
+
+    const aborted = new AbortController();
+    aborted.abort('too late');
+    const early = await rejection(pool.call('a', null, 5, 1, 0.3, { signal: aborted.signal }));
+    assert(early instanceof AbortError && early.reason === 'too late', 'An already aborted signal rejects with AbortError and its reason');
+    assert(sent.length === 0, 'An already aborted job never reaches a worker');
+
+    const running = new AbortController();
+    const queued = new AbortController();
+    const started = [];
+    const runningJob = pool.call('b', null, 5, 1, 0.3, { signal: running.signal, onProgress: event => started.push(event.started) });
+    const queuedJob = pool.call('c', null, 5, 1, 0.3, { signal: queued.signal });
+    assert(pool.stats().busy === 1 && pool.stats().queued === 1, 'The second job waits for the busy worker');
+    assert(sent[0].args[5].signal === undefined && sent[0].args[5].onProgress === undefined && sent[0].progress === true,
+        'The signal and progress callback stay in the main thread');
+
+    queued.abort();
+    const queuedError = await rejection(queuedJob);
+    assert(queuedError instanceof AbortError, 'Aborting a queued job rejects it with AbortError');
+    assert(pool.stats().queued === 0 && sent.length === 1, 'A queued job is dropped without reaching the worker');
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    running.abort('user cancelled');
+    const runningError = await rejection(runningJob);
+    assert(sent[1].type === 'abort' && sent[1].id === sent[0].id, 'Aborting a running job asks its worker to stop it');
+    assert(runningError instanceof AbortError, 'The running job rejects with the AbortError its worker reports');
+    assert(runningError.reason === 'user cancelled', 'The AbortError of a running job keeps the caller\'s reason');
+    assert(started.length === 1, 'Progress events reach the job that asked for them');
+    assert(pool.stats().busy === 0, 'The worker is free again');
+    await pool.terminate();
+}
+
+// Test 4: Job arguments
+console.log('\nTest 4: Job arguments');
+{
+    const pool = new TextToSpeechPool('unused', { size: 1, workerUrl: echoWorker });
+    await pool.ready;
+    assert(pool.sampleRate === 44100, 'The sample rate comes from the ready message');
+
+    // Shaped like a Style from loadVoiceStyle
+    const style = {
+        ttl: new ort.Tensor('float32', new Float32Array([1, 2, 3, 4]), [1, 2, 2]),
+        dp: new ort.Tensor('float32', new Float32Array([5, 6]), [1, 1, 2])
+    };
+    const signal = new AbortController().signal;
+    const call = await pool.call('Hello.', style, 3, 1.2, 0.4, { seed: 7, signal, onProgress: () => {} });
+    assert(call.method === 'call' && call.args.length === 6, 'call sends its six arguments');
+    assert(call.args.slice(2, 5).join() === '3,1.2,0.4', 'Positional arguments arrive unchanged');
+    const { ttl, dp } = call.args[1];
+    assert(ttl.__tensor && ttl.type === 'float32' && ttl.dims.join() === '1,2,2' && ttl.data instanceof Float32Array,
+        'Tensors travel as { type, dims, data } records');
+    assert(Array.from(ttl.data).join() === '1,2,3,4' && Array.from(dp.data).join() === '5,6', 'Tensor data is kept');
+    assert(JSON.stringify(call.args[5]) === '{"seed":7}' && call.progress === true, 'Options lose the signal and callback, and progress is flagged');
+
+    const plain = await pool.call('Hello.', style);
+    assert(plain.args[3] === 1.05 && plain.args[4] === 0.3 && JSON.stringify(plain.args[5]) === '{}' && plain.progress === false,
+        'Defaults fill the omitted arguments');
+    const voices = { M1: style };
+    const dialogue = await pool.callDialogue([{ speaker: 'M1', text: 'Hi.' }], voices, 5, 1, 0.5, {});
+    assert(dialogue.method === 'callDialogue' && dialogue.args[1].M1.ttl.__tensor, 'Voice maps are packed too');
+    const ssml = await pool.callSsml('<speak>Hi.</speak>', style, 5);
+    assert(ssml.method === 'callSsml' && ssml.args.length === 6, 'callSsml sends its six arguments');
+    const batch = await pool.batch(['A.', 'B.'], style, 5, 1, { seed: 1 });
+    assert(batch.method === 'batch' && batch.args.length === 5 && batch.args[0].join() === 'A.,B.', 'batch sends its five arguments');
+
+    const lexiconError = await rejection(pool.call('fail:LexiconError', style));
+    assert(lexiconError instanceof LexiconError && lexiconError.message === 'Worker failure', 'LexiconError keeps its class');
+    assert(lexiconError.source === 'words.json' && lexiconError.entry === 2, 'LexiconError keeps its source and entry');
+    const charsetError = await rejection(pool.call('fail:UnsupportedCharacterError', style));
+    assert(charsetError instanceof UnsupportedCharacterError && charsetError.unsupported[0].char === '☃',
+        'UnsupportedCharacterError keeps its class and characters');
+    const otherError = await rejection(pool.call('fail:TypeError', style));
+    assert(otherError.constructor === Error && otherError.message === 'Worker failure', 'Other errors become plain errors');
+    assert(otherError.name === 'TypeError' && otherError.stack === 'Worker failure\n    at worker.js:1:1', 'Other errors keep their name and the worker stack');
+    assert(otherError.code === 'E_WORKER', 'Other errors keep their own fields');
+    await pool.terminate();
+
+    let sizeError = '';
+    try {
+        new TextToSpeechPool('unused', { size: 0, workerUrl: echoWorker });
+    } catch (err) {
+        sizeError = err.message;
+    }
+    assert(sizeError === 'Pool size must be a positive integer, got 0', 'Pool sizes are validated');
+}
+
+// Test 5: Queue limit and shutdown
+console.log('\nTest 5: Queue limit and shutdown');
+{
+    const pool = new TextToSpeechPool('unused', { size: 1, maxQueue: 1, workerUrl: stallingWorker });
+    await pool.ready;
+    const running = rejection(pool.call('a', null, 5));
+    const queued = rejection(pool.call('b', null, 5));
+    const full = await rejection(pool.call('c', null, 5));
+    assert(full instanceof QueueFullError && full.maxQueue === 1, 'Jobs beyond maxQueue are rejected with QueueFullError');
+    await pool.terminate();
+    const [runningError, queuedError] = [await running, await queued];
+    assert(queuedError.message === 'Synthesis pool was terminated', 'terminate rejects queued jobs');
+    assert(runningError instanceof Error, 'terminate fails running jobs');
+    assert((await rejection(pool.call('d', null, 5))).message === 'Synthesis pool is closed', 'A terminated pool takes no jobs');
+}
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n✨ All tests passed! ✨\n');
@@ -0,0 +1,173 @@
+/**
+ * Simple test suite for server.js request handling and options, with a stand-in for the models
+ * Run with: node test-server.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { QueueFullError } from './pool.js';
+import { UsageError } from './options.js';
+import { createServer, parseArgs } from './server.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+const style = { dims: [1, 1, 2], data: [[[0, 0]]] };
+for (const name of ['M1', 'F2']) {
+    fs.writeFileSync(path.join(tempDir, `${name}.json`), JSON.stringify({ style_ttl: style, style_dp: style }));
+}
+
+// Records each call; text naming a failure makes the call fail that way
+const calls = [];
+const textToSpeech = {
+    sampleRate: 8000,
+    async call(text, voiceStyle, totalStep, speed, silenceDuration, options) {
+        if (text === 'busy') {
+            throw new QueueFullError(4);
+        }
+        if (text === 'crash') {
+            throw new Error('Session failed');
+        }
+        calls.push({ text, voiceStyle, totalStep, speed, silenceDuration, options });
+        const sampleRate = options.outputSampleRate ?? 8000;
+        return { wav: new Float32Array(sampleRate / 10), duration: [0.1], seed: options.seed ?? 1234, sampleRate, loudness: null, cache: null };
+    }
+};
+
+const server = createServer(textToSpeech, { voiceStyleDir: tempDir, maxTextLength: 50 });
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+async function request(pathname, init = {}) {
+    const response = await fetch(`${baseUrl}${pathname}`, init);
+    const isJson = (response.headers.get('content-type') || '').startsWith('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? await response.json() : new Uint8Array(await response.arrayBuffer()) };
+}
+
+function post(params, contentType = 'application/json') {
+    return request('/synthesize', {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body: typeof params === 'string' ? params : JSON.stringify(params)
+    });
+}
+
+// Expect a JSON error with this status and message
+async function assertError(responsePromise, status, fragment, message) {
+    const { status: actual, body } = await responsePromise;
+    assert(actual === status && body.status === status && body.error.includes(fragment), `${message} (${actual}: ${body.error})`);
+}
+
+console.log('🧪 Testing the synthesis server\n');
+
+// Test 1: Synthesis
+console.log('Test 1: Synthesis');
+{
+    const { status, headers, body } = await request('/synthesize?text=Hello%20there.');
+    assert(status === 200 && headers.get('content-type') === 'audio/wav', 'GET returns WAV audio');
+    assert(String.fromCharCode(...body.slice(0, 4)) === 'RIFF' && Number(headers.get('content-length')) === body.length, 'The body is a complete WAV file');
+    assert(headers.get('x-seed') === '1234' && headers.get('x-sample-rate') === '8000' && headers.get('x-audio-duration') === '0.100', 'Seed, rate and duration are reported in headers');
+    const { totalStep, speed, silenceDuration, options, voiceStyle } = calls[0];
+    assert(totalStep === 5 && speed === 1.05 && silenceDuration === 0.3 && options.language === 'en' && options.crossfade === 0.02, 'Omitted parameters take their defaults');
+    assert(voiceStyle.ttl.dims.join() === '1,1,2', 'The default voice M1 is loaded');
+
+    const posted = await post({ text: 'Hi.', voice: 'F2', steps: 8, speed: 1.2, silence: 0.5, seed: 7, clausePause: 0.1, sampleRate: 16000, format: 'flac', bitDepth: 24 });
+    assert(posted.status === 200 && posted.headers.get('content-type') === 'audio/flac', 'POST takes a JSON body and the format picks the type');
+    const last = calls[calls.length - 1];
+    assert(last.totalStep === 8 && last.speed === 1.2 && last.silenceDuration === 0.5 && last.options.seed === 7, 'JSON parameters reach the synthesis call');
+    assert(last.options.pauses.clause === 0.1 && last.options.outputSampleRate === 16000 && posted.headers.get('x-seed') === '7', 'Pauses and output rate are passed on');
+    const query = await request('/synthesize?text=Hi.&steps=3&seed=9&loudness=-16');
+    assert(query.status === 200 && calls[calls.length - 1].totalStep === 3 && calls[calls.length - 1].options.loudness.target === -16, 'Query parameters are parsed as numbers');
+}
+
+// Test 2: Parameter validation
+console.log('\nTest 2: Parameter validation');
+await assertError(post({}), 400, "'text' must be a non-empty string", 'Text is required');
+await assertError(post({ text: '   ' }), 400, "'text' must be a non-empty string", 'Blank text is rejected');
+await assertError(post({ text: 42 }), 400, "'text' must be a non-empty string", 'Text must be a string');
+await assertError(post({ text: 'x'.repeat(51) }), 400, "'text' must be at most 50 characters, got 51", 'Text length is limited');
+await assertError(post({ text: 'Hi.', voice: 'Z9' }), 404, "Unknown voice 'Z9'. Available voices: F2, M1", 'Unknown voices are 404 with the list');
+await assertError(post({ text: 'Hi.', speed: 3 }), 400, "'speed' must be between 0.5 and 2, got 3", 'Ranges are checked');
+await assertError(post({ text: 'Hi.', steps: 2.5 }), 400, "'steps' must be an integer, got 2.5", 'Integers are checked');
+await assertError(request('/synthesize?text=Hi.&speed=fast'), 400, `'speed' must be a number, got "fast"`, 'Query numbers are checked');
+await assertError(post({ text: 'Hi.', seed: -1 }), 400, "'seed' must be between 0 and 4294967295", 'Seeds are uint32');
+await assertError(post({ text: 'Hi.', sampleRate: 1000 }), 400, "'sampleRate' must be between 8000 and 192000", 'Sample rates are checked');
+await assertError(post({ text: 'Hi.', loudness: 3 }), 400, "'loudness' must be between -70 and 0", 'Loudness targets are checked');
+await assertError(post({ text: 'Hi.', language: 'xx' }), 400, 'xx', 'Unknown languages are rejected');
+await assertError(post({ text: 'Hi.', format: 'mp3' }), 400, 'mp3', 'Unknown formats are rejected');
+await assertError(post({ text: 'Hi.', format: 'flac', bitDepth: 32 }), 400, 'flac does not support 32-bit', 'Formats must support the bit depth');
+
+// Test 3: Request bodies
+console.log('\nTest 3: Request bodies');
+await assertError(post({ text: 'Hi.' }, 'text/plain'), 415, 'Request body must be application/json', 'Bodies must be JSON');
+await assertError(post('{"text": '), 400, 'Invalid JSON body', 'Malformed JSON is rejected');
+await assertError(post('["Hi."]'), 400, 'Request body must be a JSON object', 'JSON bodies must be objects');
+await assertError(post('null'), 400, 'Request body must be a JSON object', 'A null body is rejected');
+await assertError(post(JSON.stringify({ text: 'Hi.', padding: 'x'.repeat(1024 * 1024) })), 413, 'Request body exceeds 1048576 bytes', 'Bodies over 1 MB are rejected');
+const afterLarge = await post({ text: 'Still here.' });
+assert(afterLarge.status === 200, 'The server keeps serving after a rejected body');
+
+// Test 4: Routes and failures
+console.log('\nTest 4: Routes and failures');
+{
+    const voices = await request('/voices');
+    assert(voices.status === 200 && voices.body.voices.join() === 'F2,M1', '/voices lists the voice styles');
+    const health = await request('/health');
+    assert(health.status === 200 && health.body.status === 'ok' && health.body.sampleRate === 8000, '/health reports the status');
+    assert(health.body.loadedVoices.join() === 'M1,F2' && health.body.pool === undefined && health.body.cache === undefined, '/health lists loaded voices, without pool or cache');
+    await assertError(request('/health', { method: 'POST' }), 405, 'Method POST not allowed on /health', 'Routes check the method');
+    await assertError(request('/synthesize', { method: 'PUT' }), 405, 'Method PUT not allowed on /synthesize', '/synthesize takes GET and POST only');
+    await assertError(request('/speak'), 404, 'Not found: /speak', 'Unknown paths are 404');
+
+    const busy = await request('/synthesize?text=busy');
+    assert(busy.status === 503 && busy.headers.get('retry-after') === '1', 'A full queue is 503 with Retry-After');
+    const { error } = console;
+    console.error = () => {};
+    const crash = await request('/synthesize?text=crash').finally(() => {
+        console.error = error;
+    });
+    assert(crash.status === 500 && crash.body.error === 'Session failed', 'Other failures are 500 with the message');
+}
+
+await new Promise(resolve => server.close(resolve));
+
+// Test 5: Command line
+console.log('\nTest 5: Command line');
+{
+    const defaults = parseArgs([]);
+    assert(defaults.port === 8000 && defaults.maxTextLength === 5000 && defaults.workers === 0 && defaults.maxQueue === 64 && defaults.cacheSize === 256, 'Options default when not given');
+    assert(path.isAbsolute(defaults.onnxDir) && defaults.onnxDir.endsWith(path.join('assets', 'onnx')) && defaults.cacheDir === null, 'Default directories are resolved');
+    const args = parseArgs(['--port=0', '--max-text-length', '100', '--workers', '2', '--lexicon', 'a.json', '--lexicon', 'b.json', '--cache-dir', 'chunks']);
+    assert(args.port === 0 && args.maxTextLength === 100 && args.workers === 2, 'Numbers are parsed');
+    assert(args.lexicon.join() === [path.resolve('a.json'), path.resolve('b.json')].join() && args.cacheDir === path.resolve('chunks'), 'Paths are resolved against the working directory');
+
+    const usageError = (argv) => {
+        try {
+            parseArgs(argv);
+        } catch (err) {
+            return err instanceof UsageError ? err.message : `not a UsageError: ${err.message}`;
+        }
+        return '';
+    };
+    assert(usageError(['--max-text-length', 'abc']) === "--max-text-length must be an integer, got 'abc'", 'Values must be numbers');
+    assert(usageError(['--port', '70000']) === '--port must be between 0 and 65535, got 70000', 'Ports are range-checked');
+    assert(usageError(['--workers', '-3']) === '--workers must be between 0 and 256, got -3', 'Worker counts are range-checked');
+    assert(usageError(['--max-queue', 'foo']) === "--max-queue must be an integer, got 'foo'", 'Queue limits are checked');
+    assert(usageError(['--cache-size', '0']) === '--cache-size must be between 1 and 1048576, got 0', 'Cache sizes are checked');
+    assert(usageError(['--port']) === '--port needs a value <n>', 'A missing value is reported');
+    assert(usageError(['--prot', '80']) === "Unknown option '--prot'", 'Unknown options are reported');
+    assert(usageError(['8000']) === "Unexpected argument '8000'", 'Stray arguments are reported');
+}
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n✨ All tests passed! ✨\n');
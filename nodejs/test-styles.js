@@ -0,0 +1,105 @@
+/**
+ * Simple test suite for voice style blending, interpolation and saving in helper.js
+ * Run with: node test-styles.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { blendStyles, interpolateStyles, loadVoiceStyle, saveVoiceStyle, styleToJSON } from './helper.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+function thrown(fn) {
+    try {
+        fn();
+    } catch (err) {
+        return err.message;
+    }
+    return '';
+}
+
+const values = tensor => Array.from(tensor.data).join();
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'styles-test-'));
+
+// Write a voice style file with a [1, 2, 3] TTL and a [1, 1, 2] DP component
+function writeStyle(name, ttl, dp, ttlDims = [1, 2, 3]) {
+    const file = path.join(tempDir, `${name}.json`);
+    const rows = Array.from({ length: ttlDims[1] }, (_, r) => ttl.slice(r * ttlDims[2], (r + 1) * ttlDims[2]));
+    fs.writeFileSync(file, JSON.stringify({ style_ttl: { dims: ttlDims, data: [rows] }, style_dp: { dims: [1, 1, 2], data: [[dp]] } }));
+    return file;
+}
+
+const fileA = writeStyle('A', [0, 1, 2, 3, 4, 5], [1, -1]);
+const fileB = writeStyle('B', [4, 5, 6, 7, 8, 9], [3, 1]);
+const fileC = writeStyle('C', [1, 1, 1, 1], [0, 0], [1, 2, 2]);
+const styleA = loadVoiceStyle([fileA]);
+const styleB = loadVoiceStyle([fileB]);
+
+console.log('🧪 Testing voice style blending\n');
+
+// Test 1: Blending
+console.log('Test 1: Blending');
+{
+    const blend = blendStyles([styleA, styleB], [1, 3]);
+    assert(values(blend.ttl) === '3,4,5,6,7,8' && values(blend.dp) === '2.5,0.5', 'Weights are normalized to sum to 1');
+    assert(values(blendStyles([styleA, styleB], [2, 6]).ttl) === values(blend.ttl), 'Only the ratio of the weights matters');
+    assert(blend.ttl.dims.join() === '1,2,3' && blend.dp.dims.join() === '1,1,2', 'The blend keeps the shape of its inputs');
+    const split = blendStyles([styleA, styleB], [0, 1], [1, 0]);
+    assert(values(split.ttl) === values(styleB.ttl) && values(split.dp) === values(styleA.dp), 'TTL and DP can be weighted separately');
+    assert(values(blendStyles([styleA], [5]).ttl) === values(styleA.ttl), 'A single style blends to itself');
+}
+
+// Test 2: Invalid blends
+console.log('\nTest 2: Invalid blends');
+assert(thrown(() => blendStyles([], [])) === 'At least one voice style is required', 'At least one style is needed');
+assert(thrown(() => blendStyles([styleA, styleB], [1])) === 'Expected 2 weights, got 1', 'One weight per style is needed');
+assert(thrown(() => blendStyles([styleA, styleB], [1, -1])) === 'Blend weights must be finite and non-negative', 'Negative weights are rejected');
+assert(thrown(() => blendStyles([styleA, styleB], [1, NaN])) === 'Blend weights must be finite and non-negative', 'NaN weights are rejected');
+assert(thrown(() => blendStyles([styleA, styleB], [0, 0])) === 'Blend weights must not all be zero', 'All-zero weights are rejected');
+assert(thrown(() => blendStyles([styleA, loadVoiceStyle([fileC])], [1, 1])) === 'Voice styles must have identical dimensions to be blended', 'Styles of different shapes are rejected');
+assert(thrown(() => blendStyles([loadVoiceStyle([fileA, fileB])], [1])) === 'Blending requires single voice styles (batch size 1)', 'Batched styles are rejected');
+
+// Test 3: Interpolation
+console.log('\nTest 3: Interpolation');
+{
+    const start = interpolateStyles(styleA, styleB, 0);
+    const end = interpolateStyles(styleA, styleB, 1);
+    assert(values(start.ttl) === values(styleA.ttl) && values(start.dp) === values(styleA.dp), 't = 0 gives the first style');
+    assert(values(end.ttl) === values(styleB.ttl) && values(end.dp) === values(styleB.dp), 't = 1 gives the second style');
+    const middle = interpolateStyles(styleA, styleB, 0.5, 0);
+    assert(values(middle.ttl) === '2,3,4,5,6,7' && values(middle.dp) === values(styleA.dp), 'The DP position can differ from the TTL position');
+    assert(thrown(() => interpolateStyles(styleA, styleB, 1.5)) === 'Interpolation position must be between 0 and 1, got 1.5', 'Positions past the voices are rejected');
+    assert(thrown(() => interpolateStyles(styleA, styleB, 0.5, -0.1)).includes('got -0.1'), 'DP positions are checked too');
+}
+
+// Test 4: Saving
+console.log('\nTest 4: Saving');
+{
+    const json = styleToJSON(styleA);
+    assert(JSON.stringify(json.style_ttl) === '{"dims":[1,2,3],"data":[[[0,1,2],[3,4,5]]]}', 'styleToJSON writes the nested voice style format');
+    assert(JSON.stringify(json.style_dp) === '{"dims":[1,1,2],"data":[[[1,-1]]]}', 'Both components are written');
+
+    const blend = interpolateStyles(styleA, styleB, 0.3);
+    const file = path.join(tempDir, 'blend.json');
+    saveVoiceStyle(file, blend);
+    const loaded = loadVoiceStyle([file]);
+    assert(values(loaded.ttl) === values(blend.ttl) && values(loaded.dp) === values(blend.dp), 'A saved blend loads back with the same values');
+    assert(loaded.ttl.dims.join() === '1,2,3' && loaded.dp.dims.join() === '1,1,2', 'A saved blend loads back with the same shape');
+    assert(values(loadVoiceStyle([file, fileA]).ttl) === `${values(blend.ttl)},${values(styleA.ttl)}`, 'A saved blend loads alongside preset styles');
+    assert(thrown(() => styleToJSON(loadVoiceStyle([fileA, fileB]))).includes('single voice styles'), 'Only single styles can be saved');
+}
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n✨ All tests passed! ✨\n');
@@ -0,0 +1,54 @@
+/**
+ * Dialogue script parser
+ *
+ * A script has one turn per line, tagged with its speaker:
+ *   M1: Welcome to the show.
+ *   F2: Thanks for having me.
+ *       Untagged lines continue the previous turn.
+ * Blank lines and lines starting with '#' are ignored. Given the cast, a line whose tag
+ * names no one in it ("Note: bring the keys") continues the previous turn as well.
+ */
+
+const TURN_PATTERN = /^([\p{L}\p{N}_][\p{L}\p{N}_ .'-]{0,39}):\s*(.*)$/u;
+
+/**
+ * Parse a dialogue script into turns
+ * @param {string} script
+ * @param {Object} options
+ * @param {string[]} [options.speakers] - Names of the cast; without it, any tag starts a turn
+ * @returns {Array<{speaker: string, text: string, line: number}>} line is the 1-based line the turn starts on
+ */
+export function parseDialogue(script, options = {}) {
+    if (typeof script !== 'string') {
+        throw new Error(`parseDialogue expects a string, got ${typeof script}`);
+    }
+    const speakers = options.speakers ? new Set(options.speakers) : null;
+
+    const turns = [];
+    script.split(/\r?\n/).forEach((raw, i) => {
+        const content = raw.trim();
+        if (!content || content.startsWith('#')) {
+            return;
+        }
+
+        const match = content.match(TURN_PATTERN);
+        const speaker = match ? match[1].trim() : null;
+        if (match && (!speakers || speakers.has(speaker))) {
+            turns.push({ speaker, text: match[2].trim(), line: i + 1 });
+        } else if (turns.length > 0) {
+            const turn = turns[turns.length - 1];
+            turn.text = turn.text ? `${turn.text} ${content}` : content;
+        } else if (match) {
+            throw new Error(`Line ${i + 1}: unknown speaker '${speaker}', expected one of ${[...speakers].join(', ')}`);
+        } else {
+            throw new Error(`Line ${i + 1}: expected 'Speaker: text', got '${content}'`);
+        }
+    });
+
+    for (const turn of turns) {
+        if (!turn.text) {
+            throw new Error(`Line ${turn.line}: turn for speaker '${turn.speaker}' has no text`);
+        }
+    }
+    return turns;
+}
@@ -1,42 +1,164 @@
 import * as ort from 'onnxruntime-web';
 
+import { findUnsupportedChars, replaceUnsupportedChars } from './charset.js';
+import { ChunkCache, chunkCacheKey } from './cache.js';
+import { appendCrossfaded, fadeIn, fadeOut } from './crossfade.js';
+import { parseDialogue } from './dialogue.js';
+import { encodeAudio } from './encoders.js';
+import { IndexedDbCache } from './idb_cache.js';
+import { getLanguageProfile } from './languages.js';
+import { Lexicon, LexiconError } from './lexicon.js';
+import { normalizeLoudness } from './loudness.js';
+import { fetchWithProgress, ModelCache } from './model_cache.js';
+import { boundaryAfter, resolvePauses, trimSilence } from './pauses.js';
+import { ProgressTracker } from './progress.js';
+import { createRng } from './random.js';
+import { resample } from './resampler.js';
+import { parseSsml } from './ssml.js';
+import { estimateWordTimings } from './subtitles.js';
+
+// Long-form chunks run through the models together unless options.batchSize says otherwise
+const DEFAULT_BATCH_SIZE = 4;
+
+/**
+ * Rejection of a synthesis call whose options.signal was aborted. name is 'AbortError',
+ * as for aborted fetches; reason is the signal's reason.
+ */
+export class AbortError extends Error {
+    constructor(reason) {
+        super('Synthesis was aborted');
+        this.name = 'AbortError';
+        this.reason = reason;
+    }
+}
+
+// options.signal is checked between chunks and denoising steps; a running model step finishes first.
+// WebAssembly sessions finish runs without giving the event loop a turn, so each check yields first:
+// otherwise an abort requested by a message (e.g. to tts_worker.js) would only arrive after the call.
+async function throwIfAborted(signal) {
+    if (!signal) {
+        return;
+    }
+    await new Promise(resolve => setTimeout(resolve));
+    if (signal.aborted) {
+        throw new AbortError(signal.reason);
+    }
+}
+
 /**
  * Unicode Text Processor
  */
 export class UnicodeProcessor {
     constructor(indexer) {
         this.indexer = indexer;
+        // Pronunciation lexicon applied to every text, see lexicon.js
+        this.lexicon = null;
+    }
+
+    /**
+     * The lexicon for one call: options.lexicon (a Lexicon or lexicon JSON data) takes
+     * precedence over the processor's own lexicon, which still covers everything else
+     */
+    getLexicon(options = {}) {
+        if (!options.lexicon) {
+            return this.lexicon;
+        }
+        const lexicon = Lexicon.from(options.lexicon);
+        return this.lexicon ? Lexicon.merge([lexicon, this.lexicon]) : lexicon;
+    }
+
+    /**
+     * Rewrite a text with the lexicon and list the entries that matched
+     * @param {string} text
+     * @param {Object} options
+     * @param {Lexicon|Object|Array} [options.lexicon] - Per-call lexicon, see getLexicon
+     * @returns {{text: string, matches: Array}} see Lexicon.apply in lexicon.js
+     */
+    matchLexicon(text, options = {}) {
+        const lexicon = this.getLexicon(options);
+        return lexicon ? lexicon.apply(text) : { text, matches: [] };
+    }
+
+    /**
+     * Preprocess a text and report the characters the indexer does not cover
+     * @param {string} text
+     * @param {Object} options
+     * @param {string} [options.language='en'] - Preprocessing profile
+     * @param {Lexicon|Object|Array} [options.lexicon] - Per-call lexicon, see getLexicon
+     * @returns {{valid: boolean, text: string, unsupported: Array}} text is the preprocessed text that
+     *   unsupported positions refer to; see findUnsupportedChars in charset.js
+     */
+    validateText(text, options = {}) {
+        const processed = this.preprocessText(text, options.language, this.getLexicon(options));
+        const unsupported = findUnsupportedChars(processed, this.indexer);
+        return { valid: unsupported.length === 0, text: processed, unsupported };
+    }
+
+    /**
+     * The text exactly as the model reads it: preprocessed, with the lexicon applied and
+     * unsupported characters handled (see call for the options)
+     */
+    normalizeText(text, options = {}, lexicon = this.getLexicon(options)) {
+        return replaceUnsupportedChars(this.preprocessText(text, options.language, lexicon), this.indexer, options);
     }
 
-    call(textList) {
-        const processedTexts = textList.map(text => this.preprocessText(text));
+    /**
+     * Returns flat row-major buffers: textIds [B, maxLen] and textMask [B, 1, maxLen]
+     * @param {string[]} textList
+     * @param {Object} options
+     * @param {string} [options.language='en'] - Preprocessing profile
+     * @param {string} [options.validation='lenient'] - 'strict' throws UnsupportedCharacterError on
+     *   characters missing from the indexer, 'lenient' transliterates or replaces them
+     * @param {string} [options.fallback=''] - Lenient replacement for characters without a transliteration
+     * @param {Lexicon|Object|Array} [options.lexicon] - Per-call lexicon, see getLexicon
+     */
+    call(textList, options = {}) {
+        const lexicon = this.getLexicon(options);
+        const processedTexts = textList.map(text => this.normalizeText(text, options, lexicon));
         
-        const textIdsLengths = processedTexts.map(text => text.length);
+        // Index by full code points so astral characters are not split into surrogate halves
+        const codePointLists = processedTexts.map(text => Array.from(text, char => char.codePointAt(0)));
+        const textIdsLengths = codePointLists.map(codePoints => codePoints.length);
         const maxLen = Math.max(...textIdsLengths);
         
-        const textIds = processedTexts.map(text => {
-            const row = new Array(maxLen).fill(0);
-            for (let j = 0; j < text.length; j++) {
-                const codePoint = text.codePointAt(j);
-                row[j] = (codePoint < this.indexer.length) ? this.indexer[codePoint] : -1;
+        const textIds = new BigInt64Array(processedTexts.length * maxLen);
+        codePointLists.forEach((codePoints, i) => {
+            const offset = i * maxLen;
+            for (let j = 0; j < codePoints.length; j++) {
+                textIds[offset + j] = BigInt(this.indexer[codePoints[j]]);
             }
-            return row;
         });
         
         const textMask = this.getTextMask(textIdsLengths);
-        return { textIds, textMask };
+        return { textIds, textMask, maxLen };
     }
 
-    preprocessText(text) {
-        // TODO: Need advanced normalizer for better performance
-        text = text.normalize('NFKD');
-
-        // FIXME: this should be fixed for non-English languages
+    /**
+     * @param {string} text
+     * @param {string} [language='en'] - Preprocessing profile, see languages.js
+     * @param {Lexicon} [lexicon] - Respellings applied before any other preprocessing
+     */
+    preprocessText(text, language = 'en', lexicon = null) {
+        if (lexicon) {
+            text = lexicon.apply(text).text;
+        }
+        const profile = getLanguageProfile(language);
+        text = text.normalize(profile.unicodeForm);
 
         // Remove emojis (wide Unicode range)
         const emojiPattern = /[\u{1F600}-\u{1F64F}\u{1F300}-\u{1F5FF}\u{1F680}-\u{1F6FF}\u{1F700}-\u{1F77F}\u{1F780}-\u{1F7FF}\u{1F800}-\u{1F8FF}\u{1F900}-\u{1F9FF}\u{1FA00}-\u{1FA6F}\u{1FA70}-\u{1FAFF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}\u{1F1E6}-\u{1F1FF}]+/gu;
         text = text.replace(emojiPattern, '');
 
+        // Verbalize numbers, currency, dates, times and units before symbols are stripped
+        if (profile.normalize) {
+            text = profile.normalize(text);
+        }
+
+        // Language-specific punctuation and quotes
+        for (const [k, v] of Object.entries(profile.replacements)) {
+            text = text.replaceAll(k, v);
+        }
+
         // Replace various dashes and symbols
         const replacements = {
             '–': '-',
@@ -62,19 +184,16 @@ export class UnicodeProcessor {
             text = text.replaceAll(k, v);
         }
 
-        // Remove combining diacritics // FIXME: this should be fixed for non-English languages
-        text = text.replace(/[\u0302\u0303\u0304\u0305\u0306\u0307\u0308\u030A\u030B\u030C\u0327\u0328\u0329\u032A\u032B\u032C\u032D\u032E\u032F]/g, '');
+        // Remove combining diacritics the profile does not keep
+        if (profile.stripMarks) {
+            text = text.replace(profile.stripMarks, '');
+        }
 
         // Remove special symbols
         text = text.replace(/[♥☆♡©\\]/g, '');
 
         // Replace known expressions
-        const exprReplacements = {
-            '@': ' at ',
-            'e.g.,': 'for example, ',
-            'i.e.,': 'that is, ',
-        };
-        for (const [k, v] of Object.entries(exprReplacements)) {
+        for (const [k, v] of Object.entries(profile.expressions)) {
             text = text.replaceAll(k, v);
         }
 
@@ -102,7 +221,7 @@ export class UnicodeProcessor {
         text = text.replace(/\s+/g, ' ').trim();
 
         // If text doesn't end with punctuation, quotes, or closing brackets, add a period
-        if (!/[.!?;:,'\"')\]}…。」』】〉》›»]$/.test(text)) {
+        if (!profile.sentenceFinal.test(text)) {
             text += '.';
         }
 
@@ -115,14 +234,7 @@ export class UnicodeProcessor {
     }
 
     lengthToMask(lengths, maxLen = null) {
-        const actualMaxLen = maxLen || Math.max(...lengths);
-        return lengths.map(len => {
-            const row = new Array(actualMaxLen).fill(0.0);
-            for (let j = 0; j < Math.min(len, actualMaxLen); j++) {
-                row[j] = 1.0;
-            }
-            return [row];
-        });
+        return lengthToMask(lengths, maxLen);
     }
 }
 
@@ -148,23 +260,31 @@ export class TextToSpeech {
         this.vectorEstOrt = vectorEstOrt;
         this.vocoderOrt = vocoderOrt;
         this.sampleRate = cfgs.ae.sample_rate;
+        // Chunk cache used by every call unless options.cache says otherwise, see cache.js
+        this.cache = null;
     }
 
-    async _infer(textList, style, totalStep, speed = 1.05, progressCallback = null) {
+    /**
+     * @param {Object} options
+     * @param {number} [options.seed] - Noise seed (uint32); a random one is drawn when omitted
+     * @param {string} [options.language='en'] - Text preprocessing profile (see languages.js)
+     * @param {string} [options.validation='lenient'] - Handling of characters missing from the indexer ('strict' or 'lenient')
+     * @param {string} [options.fallback=''] - Lenient replacement for characters without a transliteration
+     * @param {AbortSignal} [options.signal] - Rejects the call with AbortError once aborted
+     * @param {Function} [report] - Called as report(stage, stepIndex) before each model run (see ProgressTracker.batch)
+     */
+    async _infer(textList, style, totalStep, speed = 1.05, report = null, options = {}) {
         const bsz = textList.length;
+        const seed = resolveSeed(options.seed);
         
         // Process text
-        const { textIds, textMask } = this.textProcessor.call(textList);
-        
-        const textIdsFlat = new BigInt64Array(textIds.flat().map(x => BigInt(x)));
-        const textIdsShape = [bsz, textIds[0].length];
-        const textIdsTensor = new ort.Tensor('int64', textIdsFlat, textIdsShape);
+        const { textIds, textMask, maxLen } = this.textProcessor.call(textList, options);
         
-        const textMaskFlat = new Float32Array(textMask.flat(2));
-        const textMaskShape = [bsz, 1, textMask[0][0].length];
-        const textMaskTensor = new ort.Tensor('float32', textMaskFlat, textMaskShape);
+        const textIdsTensor = new ort.Tensor('int64', textIds, [bsz, maxLen]);
+        const textMaskTensor = new ort.Tensor('float32', textMask, [bsz, 1, maxLen]);
         
         // Predict duration
+        report?.('duration');
         const dpOutputs = await this.dpOrt.run({
             text_ids: textIdsTensor,
             style_dp: style.dp,
@@ -178,6 +298,7 @@ export class TextToSpeech {
         }
         
         // Encode text
+        report?.('encode');
         const textEncOutputs = await this.textEncOrt.run({
             text_ids: textIdsTensor,
             style_ttl: style.ttl,
@@ -186,37 +307,33 @@ export class TextToSpeech {
         const textEmb = textEncOutputs.text_emb;
         
         // Sample noisy latent
-        let { xt, latentMask } = this.sampleNoisyLatent(
+        const { xt, latentMask, latentDim, latentLen } = this.sampleNoisyLatent(
             duration,
             this.sampleRate,
             this.cfgs.ae.base_chunk_size,
             this.cfgs.ttl.chunk_compress_factor,
-            this.cfgs.ttl.latent_dim
+            this.cfgs.ttl.latent_dim,
+            textList.map(() => createRng(seed))
         );
+        const xtShape = [bsz, latentDim, latentLen];
         
-        const latentMaskFlat = new Float32Array(latentMask.flat(2));
-        const latentMaskShape = [bsz, 1, latentMask[0][0].length];
-        const latentMaskTensor = new ort.Tensor('float32', latentMaskFlat, latentMaskShape);
+        const latentMaskTensor = new ort.Tensor('float32', latentMask, [bsz, 1, latentLen]);
         
         // Prepare constant arrays
         const totalStepArray = new Float32Array(bsz).fill(totalStep);
         const totalStepTensor = new ort.Tensor('float32', totalStepArray, [bsz]);
         
-        // Denoising loop
+        // Denoising loop: the flat output feeds the next step directly
+        let latent = xt;
         for (let step = 0; step < totalStep; step++) {
-            if (progressCallback) {
-                progressCallback(step + 1, totalStep);
-            }
+            await throwIfAborted(options.signal);
+            report?.('denoise', step);
             
             const currentStepArray = new Float32Array(bsz).fill(step);
             const currentStepTensor = new ort.Tensor('float32', currentStepArray, [bsz]);
             
-            const xtFlat = new Float32Array(xt.flat(2));
-            const xtShape = [bsz, xt[0].length, xt[0][0].length];
-            const xtTensor = new ort.Tensor('float32', xtFlat, xtShape);
-            
             const vectorEstOutputs = await this.vectorEstOrt.run({
-                noisy_latent: xtTensor,
+                noisy_latent: new ort.Tensor('float32', latent, xtShape),
                 text_emb: textEmb,
                 style_ttl: style.ttl,
                 latent_mask: latentMaskTensor,
@@ -225,70 +342,400 @@ export class TextToSpeech {
                 total_step: totalStepTensor
             });
             
-            const denoised = Array.from(vectorEstOutputs.denoised_latent.data);
-            
-            // Reshape to 3D
-            const latentDim = xt[0].length;
-            const latentLen = xt[0][0].length;
-            xt = [];
-            let idx = 0;
-            for (let b = 0; b < bsz; b++) {
-                const batch = [];
-                for (let d = 0; d < latentDim; d++) {
-                    const row = [];
-                    for (let t = 0; t < latentLen; t++) {
-                        row.push(denoised[idx++]);
-                    }
-                    batch.push(row);
-                }
-                xt.push(batch);
-            }
+            latent = vectorEstOutputs.denoised_latent.data;
         }
         
         // Generate waveform
-        const finalXtFlat = new Float32Array(xt.flat(2));
-        const finalXtShape = [bsz, xt[0].length, xt[0][0].length];
-        const finalXtTensor = new ort.Tensor('float32', finalXtFlat, finalXtShape);
-        
+        await throwIfAborted(options.signal);
+        report?.('vocode');
         const vocoderOutputs = await this.vocoderOrt.run({
-            latent: finalXtTensor
+            latent: new ort.Tensor('float32', latent, xtShape)
         });
         
         const wav = Array.from(vocoderOutputs.wav_tts.data);
         
-        return { wav, duration };
+        return { wav, duration, seed };
     }
 
-    async call(text, style, totalStep, speed = 1.05, silenceDuration = 0.3, progressCallback = null) {
+    /**
+     * Report characters in a text that the model cannot read (see UnicodeProcessor.validateText)
+     */
+    validateText(text, options = {}) {
+        return this.textProcessor.validateText(text, options);
+    }
+
+    /**
+     * List the lexicon entries that match a text (see UnicodeProcessor.matchLexicon)
+     */
+    matchLexicon(text, options = {}) {
+        return this.textProcessor.matchLexicon(text, options);
+    }
+
+    /**
+     * Replace the lexicon applied to every call
+     * @param {Lexicon|Object|Array|null} lexicon - A Lexicon, lexicon JSON data, or null to remove it
+     */
+    setLexicon(lexicon) {
+        this.textProcessor.lexicon = lexicon ? Lexicon.from(lexicon) : null;
+    }
+
+    /**
+     * Synthesize long text as a single waveform.
+     * Every chunk is sampled with the same seed, so an identical chunk always yields identical audio.
+     * The result includes a timing map: per-chunk start/end and estimated word timings, in seconds.
+     * options.outputSampleRate resamples the result (e.g. 16000 or 48000); result.sampleRate reports the rate.
+     * options.loudness (true, or { target, truePeak } in LUFS and dBTP) normalizes the result;
+     * result.loudness then reports the measured integrated loudness, true peak and applied gain.
+     * Chunks are separated by silenceDuration after a sentence, half of it at a clause split and twice
+     * it at a paragraph break; options.pauses ({ clause, sentence, paragraph } in seconds) overrides these.
+     * options.trimSilence (default true, or { threshold, padding }) cuts each chunk's leading and trailing silence.
+     * Chunk edges fade in and out over options.fade seconds (default 0.005); chunks joined without a pause
+     * overlap by options.crossfade seconds (default 0.02) with an equal-power crossfade (see crossfade.js).
+     * With a seed and a chunk cache (options.cache, else this.cache; false disables it), chunks synthesized
+     * before are reused; result.cache then reports { hits, misses }.
+     * options.signal (an AbortSignal) stops synthesis between chunks and denoising steps, rejecting with AbortError.
+     * progressCallback is called with a ProgressEvent before each model run: the stage, chunk and step, the
+     * fraction of the work done, elapsed seconds and estimated seconds remaining (see progress.js); a last
+     * 'done' event with progress 1 follows once the result is complete.
+     */
+    async call(text, style, totalStep, speed = 1.05, silenceDuration = 0.3, progressCallback = null, options = {}) {
+        const chunks = this._planText(text, style, speed);
+        const tracker = this._progressTracker(chunks, totalStep, progressCallback);
+        return await this._render(this._streamChunks(chunks, totalStep, tracker, options), silenceDuration, 0, options, tracker);
+    }
+
+    /**
+     * Synthesize an SSML document (see ssml.js for the supported subset).
+     * <break> inserts explicit silence, <prosody rate> scales the speed of its chunks and
+     * <voice name="..."> switches to the style registered under that name in options.voices.
+     */
+    async callSsml(ssml, style, totalStep, speed = 1.05, silenceDuration = 0.3, progressCallback = null, options = {}) {
+        const { chunks, trailingPause } = this._planSsml(ssml, style, speed, options.voices || {});
+        const tracker = this._progressTracker(chunks, totalStep, progressCallback);
+        return await this._render(this._streamChunks(chunks, totalStep, tracker, options), silenceDuration, trailingPause, options, tracker);
+    }
+
+    /**
+     * Synthesize a multi-speaker dialogue as one timeline (see dialogue.js for the script format).
+     * Each turn is read with the style its speaker maps to in voices; turnGap seconds of silence
+     * separate turns, and options.silenceDuration (default 0.3) separates chunks within a long turn.
+     * @param {string|Array<{speaker: string, text: string}>} script - Script text or parsed turns
+     * @param {Object<string, Style>} voices - Style for each speaker name
+     * @returns {Promise<Object>} call's result plus turns: [{ speaker, text, line, start, end, chunks }],
+     *   where chunks are the turn's entries of the timing map
+     */
+    async callDialogue(script, voices, totalStep, speed = 1.05, turnGap = 0.5, progressCallback = null, options = {}) {
+        // Only tags naming a voice start a turn, so "Note: ..." inside a turn stays text
+        const turns = typeof script === 'string' ? parseDialogue(script, { speakers: Object.keys(voices) }) : script;
+        const { chunks, turnOfChunk } = this._planDialogue(turns, voices, speed, turnGap);
+        const tracker = this._progressTracker(chunks, totalStep, progressCallback);
+        const result = await this._render(this._streamChunks(chunks, totalStep, tracker, options), options.silenceDuration ?? 0.3, 0, options, tracker);
+
+        const turnTimings = turns.map(turn => ({ speaker: turn.speaker, text: turn.text, line: turn.line ?? null, chunks: [] }));
+        result.timings.forEach((timing, i) => turnTimings[turnOfChunk[i]].chunks.push(timing));
+        for (const turn of turnTimings) {
+            turn.start = turn.chunks[0].start;
+            turn.end = turn.chunks[turn.chunks.length - 1].end;
+        }
+        return { ...result, turns: turnTimings };
+    }
+
+    /**
+     * Synthesize long text chunk by chunk, yielding each chunk as soon as it is ready.
+     * Samples are trimmed to the predicted duration and, unless options.trimSilence is false,
+     * to the speech itself; silence between chunks is left to the caller (see pauses.js).
+     * The 'done' progress event follows the last chunk, unless the caller stops early.
+     */
+    async *stream(text, style, totalStep, speed = 1.05, progressCallback = null, options = {}) {
+        const chunks = this._planText(text, style, speed);
+        const tracker = this._progressTracker(chunks, totalStep, progressCallback);
+        yield* this._streamChunks(chunks, totalStep, tracker, options);
+        tracker?.finish();
+    }
+
+    /**
+     * Split single-speaker text into synthesis chunks
+     */
+    _planText(text, style, speed) {
         if (style.ttl.dims[0] !== 1) {
             throw new Error('Single speaker text to speech only supports single style');
         }
-        const textList = chunkText(text);
-        let wavCat = [];
+        return chunkText(text).map(chunk => ({ ...chunk, style, speed }));
+    }
+
+    /**
+     * ProgressTracker for planned chunks, or null without a progressCallback
+     */
+    _progressTracker(chunks, totalStep, progressCallback) {
+        return progressCallback ? new ProgressTracker(chunks.map(chunk => chunk.text.length), totalStep, progressCallback) : null;
+    }
+
+    /**
+     * Synthesize planned chunks ({ text, style, speed, pauseBefore, boundary }) in order.
+     * pauseBefore is explicit silence in seconds, or null for the default pause of the
+     * chunk's boundary ('clause', 'sentence' or 'paragraph').
+     * Up to options.batchSize (default 4) consecutive chunks with the same speed run as one batch;
+     * each item keeps its own noise, so batching changes speed, not the voice.
+     * Chunks found in the cache (see _chunkCache) are yielded without running the models;
+     * cached is true for those, false for synthesized ones and null without a cache.
+     * tracker (see _progressTracker) reports each model run; finishing it is left to the caller.
+     */
+    async *_streamChunks(chunks, totalStep, tracker = null, options = {}) {
+        const seed = resolveSeed(options.seed);
+        const batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+        const trim = options.trimSilence ?? true;
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new Error(`batchSize must be a positive integer, got ${batchSize}`);
+        }
+        const cache = this._chunkCache(options);
+        const model = cache ? JSON.stringify(this.cfgs) : null;
+
+        // Lookups run ahead of synthesis to find where a batch must stop; each is used once
+        const lookups = new Map();
+        const lookup = (i) => {
+            if (!lookups.has(i)) {
+                const { text, style, speed } = chunks[i];
+                const key = chunkCacheKey({ text: this.textProcessor.normalizeText(text, options), style, totalStep, speed, seed, model });
+                lookups.set(i, cache.get(key).then(entry => ({ key, entry })));
+            }
+            return lookups.get(i);
+        };
+        const isCached = async (i) => cache !== null && (await lookup(i)).entry !== null;
+
+        const piece = (i, wav, duration, cached) => {
+            if (trim) {
+                wav = trimSilence(wav, this.sampleRate, trim === true ? {} : trim);
+                duration = wav.length / this.sampleRate;
+            }
+            return {
+                wav,
+                duration,
+                text: chunks[i].text,
+                index: i,
+                total: chunks.length,
+                seed,
+                pauseBefore: chunks[i].pauseBefore ?? null,
+                boundary: chunks[i].boundary ?? null,
+                cached: cache ? cached : null
+            };
+        };
+
+        for (let start = 0; start < chunks.length;) {
+            await throwIfAborted(options.signal);
+            if (await isCached(start)) {
+                const { entry } = await lookup(start);
+                lookups.delete(start);
+                tracker?.skip(start);
+                yield piece(start, Array.from(entry.samples), entry.duration, true);
+                start++;
+                continue;
+            }
+            let end = start + 1;
+            while (end < chunks.length && end - start < batchSize && chunks[end].speed === chunks[start].speed && !(await isCached(end))) {
+                end++;
+            }
+            const group = chunks.slice(start, end);
+            const style = group.length === 1 ? group[0].style : stackStyles(group.map(chunk => chunk.style));
+            const { wav, duration } = await this._infer(group.map(chunk => chunk.text), style, totalStep, group[0].speed, tracker?.batch(start, end) ?? null, { ...options, seed });
+
+            // The vocoder output is [B, T]; trim each row to its own predicted duration
+            const rowLen = wav.length / group.length;
+            for (let k = 0; k < group.length; k++) {
+                const wavLen = Math.min(rowLen, Math.floor(duration[k] * this.sampleRate));
+                const chunkWav = wav.slice(k * rowLen, k * rowLen + wavLen);
+                if (cache) {
+                    const { key } = await lookup(start + k);
+                    lookups.delete(start + k);
+                    await cache.set(key, { samples: Float32Array.from(chunkWav), duration: duration[k] });
+                }
+                yield piece(start + k, chunkWav, duration[k], false);
+            }
+            start = end;
+        }
+    }
+
+    /**
+     * The chunk cache for one call: options.cache (a ChunkCache, or false to bypass) or this.cache.
+     * Without a seed every call draws new noise, so there is nothing to reuse and no cache is used.
+     */
+    _chunkCache(options) {
+        const cache = options.cache === undefined ? this.cache : options.cache;
+        if (!cache || options.seed === undefined || options.seed === null) {
+            return null;
+        }
+        if (!(cache instanceof ChunkCache)) {
+            throw new Error('options.cache must be a ChunkCache (see cache.js) or false');
+        }
+        return cache;
+    }
+
+    /**
+     * Concatenate streamed chunks into one waveform with a timing map, resampled to
+     * options.outputSampleRate (see resampler.js) and normalized to options.loudness
+     * (see loudness.js) when given. Chunks are faded at silences and crossfaded where
+     * they meet without one. tracker, when given, reports the end once the result is complete.
+     */
+    async _render(pieces, silenceDuration, trailingPause = 0, options = {}, tracker = null) {
+        const sampleRate = options.outputSampleRate ?? this.sampleRate;
+        if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+            throw new Error(`outputSampleRate must be a positive integer number of Hz, got ${options.outputSampleRate}`);
+        }
+        const pauses = resolvePauses(silenceDuration, options.pauses);
+        const [fadeLen, crossfadeLen] = [['fade', 0.005], ['crossfade', 0.02]].map(([name, fallback]) => {
+            const seconds = options[name] ?? fallback;
+            if (!(seconds >= 0) || !Number.isFinite(seconds)) {
+                throw new Error(`${name} must be a non-negative number of seconds, got ${seconds}`);
+            }
+            return Math.round(seconds * this.sampleRate);
+        });
+        const wavCat = [];
         let durCat = 0;
+        let seed = null;
+        let cacheStats = null;
+        const timings = [];
+        const appendSilence = (seconds) => {
+            const silenceLen = Math.floor(seconds * this.sampleRate);
+            for (let i = 0; i < silenceLen; i++) {
+                wavCat.push(0);
+            }
+            durCat += seconds;
+        };
         
-        for (const chunk of textList) {
-            const { wav, duration } = await this._infer([chunk], style, totalStep, speed, progressCallback);
-            
-            if (wavCat.length === 0) {
-                wavCat = wav;
-                durCat = duration[0];
-            } else {
-                const silenceLen = Math.floor(silenceDuration * this.sampleRate);
-                const silence = new Array(silenceLen).fill(0);
-                wavCat = [...wavCat, ...silence, ...wav];
-                durCat += duration[0] + silenceDuration;
+        // Start of the previous chunk in wavCat; its fade-out waits until we know how the next chunk joins it
+        let previousStart = null;
+        for await (const piece of pieces) {
+            seed = piece.seed;
+            if (piece.cached !== null && piece.cached !== undefined) {
+                cacheStats = cacheStats || { hits: 0, misses: 0 };
+                cacheStats[piece.cached ? 'hits' : 'misses']++;
             }
+            const pause = piece.pauseBefore ?? (piece.index > 0 ? pauses[piece.boundary ?? 'sentence'] : 0);
+            const overlap = previousStart !== null && pause === 0
+                ? Math.min(crossfadeLen, wavCat.length - previousStart, piece.wav.length)
+                : 0;
+            if (overlap === 0) {
+                if (previousStart !== null) {
+                    fadeOut(wavCat, fadeLen, previousStart);
+                }
+                appendSilence(pause);
+            }
+        
+            const chunkStart = wavCat.length - overlap;
+            appendCrossfaded(wavCat, piece.wav, overlap);
+            if (overlap === 0) {
+                fadeIn(wavCat, fadeLen, chunkStart);
+            }
+            const start = chunkStart / this.sampleRate;
+            const end = wavCat.length / this.sampleRate;
+            timings.push({ text: piece.text, start, end, words: estimateWordTimings(piece.text, start, end) });
+            durCat += piece.duration - overlap / this.sampleRate;
+            previousStart = chunkStart;
+        }
+        if (previousStart !== null) {
+            fadeOut(wavCat, fadeLen, previousStart);
         }
+        appendSilence(trailingPause);
         
-        return { wav: wavCat, duration: [durCat] };
+        // Timings are in seconds, so only the samples change with the rate
+        const wav = sampleRate === this.sampleRate ? wavCat : Array.from(resample(wavCat, this.sampleRate, sampleRate));
+        let result = { wav, duration: [durCat], seed, timings, sampleRate };
+        if (cacheStats) {
+            result.cache = cacheStats;
+        }
+        if (options.loudness) {
+            const { samples, gain, input, output } = normalizeLoudness(wav, sampleRate, options.loudness === true ? {} : options.loudness);
+            result = { ...result, wav: Array.from(samples), loudness: { ...output, gain, input } };
+        }
+        tracker?.finish();
+        return result;
     }
 
-    async batch(textList, style, totalStep, speed = 1.05, progressCallback = null) {
-        return await this._infer(textList, style, totalStep, speed, progressCallback);
+    /**
+     * Turn SSML segments into synthesis chunks, carrying explicit breaks as pauseBefore
+     */
+    _planSsml(ssml, style, speed, voices) {
+        const chunks = [];
+        let pending = null;
+        
+        for (const segment of parseSsml(ssml)) {
+            if (segment.type === 'pause') {
+                pending = (pending || 0) + segment.duration;
+                continue;
+            }
+        
+            const segmentStyle = segment.voice === null ? style : voices[segment.voice];
+            if (!segmentStyle) {
+                throw new Error(`SSML voice '${segment.voice}' is not registered in options.voices`);
+            }
+            if (segmentStyle.ttl.dims[0] !== 1) {
+                throw new Error('Single speaker text to speech only supports single style');
+            }
+            // A segment split without <s> or <p> continues the previous text, so its punctuation decides the pause
+            const segmentBoundary = segment.boundary ?? (chunks.length > 0 ? boundaryAfter(chunks[chunks.length - 1].text) : null);
+            chunkText(segment.text).forEach((chunk, j) => {
+                chunks.push({
+                    text: chunk.text,
+                    style: segmentStyle,
+                    speed: speed * segment.rate,
+                    pauseBefore: j === 0 ? pending : null,
+                    boundary: j === 0 ? segmentBoundary : chunk.boundary
+                });
+            });
+            pending = null;
+        }
+        
+        return { chunks, trailingPause: pending || 0 };
     }
 
-    sampleNoisyLatent(duration, sampleRate, baseChunkSize, chunkCompress, latentDim) {
+    /**
+     * Turn dialogue turns into synthesis chunks, with turnGap before the first chunk of every turn but the first
+     */
+    _planDialogue(turns, voices, speed, turnGap) {
+        if (turns.length === 0) {
+            throw new Error('Dialogue script has no turns');
+        }
+        if (!(turnGap >= 0)) {
+            throw new Error(`Turn gap must be a non-negative number of seconds, got ${turnGap}`);
+        }
+        const chunks = [];
+        const turnOfChunk = [];
+
+        turns.forEach((turn, t) => {
+            const where = turn.line ? `Line ${turn.line}: ` : '';
+            const style = voices[turn.speaker];
+            if (!style) {
+                throw new Error(`${where}No voice for speaker '${turn.speaker}'. Known speakers: ${Object.keys(voices).join(', ')}`);
+            }
+            if (style.ttl.dims[0] !== 1) {
+                throw new Error('Single speaker text to speech only supports single style');
+            }
+            const turnChunks = chunkText(turn.text);
+            if (turnChunks.length === 0) {
+                throw new Error(`${where}Turn for speaker '${turn.speaker}' has no text`);
+            }
+            turnChunks.forEach((chunk, j) => {
+                chunks.push({ text: chunk.text, style, speed, pauseBefore: j === 0 && t > 0 ? turnGap : null, boundary: chunk.boundary });
+                turnOfChunk.push(t);
+            });
+        });
+
+        return { chunks, turnOfChunk };
+    }
+
+    async batch(textList, style, totalStep, speed = 1.05, progressCallback = null, options = {}) {
+        // The texts run as one batch, so every event reports chunk 0
+        const tracker = progressCallback ? new ProgressTracker(textList.map(text => text.length), totalStep, progressCallback) : null;
+        const result = await this._infer(textList, style, totalStep, speed, tracker?.batch(0, textList.length) ?? null, options);
+        tracker?.finish();
+        return result;
+    }
+
+    /**
+     * Sample masked Gaussian noise as a flat [B, latentDim, latentLen] buffer.
+     * Each item draws from its own generator over its own length, so its noise does not
+     * depend on what else is in the batch; padding past an item's length stays zero.
+     */
+    sampleNoisyLatent(duration, sampleRate, baseChunkSize, chunkCompress, latentDim, rngs = duration.map(() => Math.random)) {
         const bsz = duration.length;
         const maxDur = Math.max(...duration);
         
@@ -299,48 +746,68 @@ export class TextToSpeech {
         const latentLen = Math.floor((wavLenMax + chunkSize - 1) / chunkSize);
         const latentDimVal = latentDim * chunkCompress;
         
-        const xt = [];
-        for (let b = 0; b < bsz; b++) {
-            const batch = [];
-            for (let d = 0; d < latentDimVal; d++) {
-                const row = [];
-                for (let t = 0; t < latentLen; t++) {
-                    // Box-Muller transform
-                    const u1 = Math.max(0.0001, Math.random());
-                    const u2 = Math.random();
-                    const val = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-                    row.push(val);
-                }
-                batch.push(row);
-            }
-            xt.push(batch);
-        }
-        
         const latentLengths = wavLengths.map(len => Math.floor((len + chunkSize - 1) / chunkSize));
         const latentMask = this.lengthToMask(latentLengths, latentLen);
         
-        // Apply mask
+        const xt = new Float32Array(bsz * latentDimVal * latentLen);
         for (let b = 0; b < bsz; b++) {
+            const itemLen = latentLengths[b];
+            const noise = sampleGaussian(latentDimVal * itemLen, rngs[b]);
             for (let d = 0; d < latentDimVal; d++) {
-                for (let t = 0; t < latentLen; t++) {
-                    xt[b][d][t] *= latentMask[b][0][t];
-                }
+                xt.set(noise.subarray(d * itemLen, (d + 1) * itemLen), (b * latentDimVal + d) * latentLen);
             }
         }
         
-        return { xt, latentMask };
+        return { xt, latentMask, latentDim: latentDimVal, latentLen };
     }
 
     lengthToMask(lengths, maxLen = null) {
-        const actualMaxLen = maxLen || Math.max(...lengths);
-        return lengths.map(len => {
-            const row = new Array(actualMaxLen).fill(0.0);
-            for (let j = 0; j < Math.min(len, actualMaxLen); j++) {
-                row[j] = 1.0;
-            }
-            return [row];
-        });
+        return lengthToMask(lengths, maxLen);
+    }
+}
+
+/**
+ * Convert lengths to a flat binary mask of shape [B, 1, maxLen]
+ */
+function lengthToMask(lengths, maxLen = null) {
+    const actualMaxLen = maxLen || Math.max(...lengths);
+    const mask = new Float32Array(lengths.length * actualMaxLen);
+    lengths.forEach((len, i) => {
+        mask.fill(1.0, i * actualMaxLen, i * actualMaxLen + Math.min(len, actualMaxLen));
+    });
+    return mask;
+}
+
+/**
+ * Standard normal samples via the Box-Muller transform, using both outputs of each pair
+ */
+function sampleGaussian(length, rng) {
+    const out = new Float32Array(length);
+    // Add epsilon to avoid log(0)
+    const eps = 1e-10;
+    for (let i = 0; i < length; i += 2) {
+        const u1 = Math.max(eps, rng());
+        const u2 = rng();
+        const radius = Math.sqrt(-2.0 * Math.log(u1));
+        out[i] = radius * Math.cos(2.0 * Math.PI * u2);
+        if (i + 1 < length) {
+            out[i + 1] = radius * Math.sin(2.0 * Math.PI * u2);
+        }
+    }
+    return out;
+}
+
+/**
+ * Validate a user-supplied seed, or draw a fresh one when none is given
+ */
+function resolveSeed(seed) {
+    if (seed === undefined || seed === null) {
+        return Math.floor(Math.random() * 4294967296);
+    }
+    if (!Number.isInteger(seed) || seed < 0 || seed > 4294967295) {
+        throw new Error(`Seed must be an integer between 0 and 4294967295, got ${seed}`);
     }
+    return seed;
 }
 
 /**
@@ -396,10 +863,120 @@ export async function loadVoiceStyle(voiceStylePaths, verbose = false) {
     return new Style(ttlTensor, dpTensor);
 }
 
+/**
+ * Stack single voice styles along the batch dimension, one per batch item
+ */
+function stackStyles(styles) {
+    const stack = (tensors) => {
+        const [, dim1, dim2] = tensors[0].dims;
+        const flat = new Float32Array(tensors.length * dim1 * dim2);
+        tensors.forEach((tensor, i) => flat.set(tensor.data, i * dim1 * dim2));
+        return new ort.Tensor('float32', flat, [tensors.length, dim1, dim2]);
+    };
+    return new Style(stack(styles.map(s => s.ttl)), stack(styles.map(s => s.dp)));
+}
+
+/**
+ * Check that styles can be combined: single-speaker and of identical shape
+ */
+function checkBlendable(styles) {
+    if (styles.length === 0) {
+        throw new Error('At least one voice style is required');
+    }
+    const [first] = styles;
+    for (const style of styles) {
+        if (style.ttl.dims[0] !== 1 || style.dp.dims[0] !== 1) {
+            throw new Error('Blending requires single voice styles (batch size 1)');
+        }
+        if (style.ttl.dims.join() !== first.ttl.dims.join() || style.dp.dims.join() !== first.dp.dims.join()) {
+            throw new Error('Voice styles must have identical dimensions to be blended');
+        }
+    }
+}
+
+/**
+ * Weighted sum of one tensor component across styles, with weights normalized to sum to 1
+ */
+function blendComponent(tensors, weights) {
+    if (weights.length !== tensors.length) {
+        throw new Error(`Expected ${tensors.length} weights, got ${weights.length}`);
+    }
+    if (!weights.every(Number.isFinite) || weights.some(w => w < 0)) {
+        throw new Error('Blend weights must be finite and non-negative');
+    }
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total === 0) {
+        throw new Error('Blend weights must not all be zero');
+    }
+
+    const out = new Float32Array(tensors[0].data.length);
+    tensors.forEach((tensor, k) => {
+        const w = weights[k] / total;
+        for (let i = 0; i < out.length; i++) {
+            out[i] += w * tensor.data[i];
+        }
+    });
+    return new ort.Tensor('float32', out, tensors[0].dims);
+}
+
+/**
+ * Create a new voice as a weighted blend of existing ones.
+ * The TTL component (timbre and prosody) and the DP component (duration, i.e. pacing)
+ * can be weighted separately; weights are normalized to sum to 1.
+ * @param {Style[]} styles - Single voice styles of identical shape
+ * @param {number[]} ttlWeights - Weight of each style for the TTL component
+ * @param {number[]} [dpWeights] - Weight of each style for the DP component (defaults to ttlWeights)
+ * @returns {Style}
+ */
+export function blendStyles(styles, ttlWeights, dpWeights = ttlWeights) {
+    checkBlendable(styles);
+    return new Style(
+        blendComponent(styles.map(s => s.ttl), ttlWeights),
+        blendComponent(styles.map(s => s.dp), dpWeights)
+    );
+}
+
+/**
+ * Interpolate between two voices: t = 0 gives styleA, t = 1 gives styleB
+ * @param {Style} styleA
+ * @param {Style} styleB
+ * @param {number} t - Position between the voices, in [0, 1]
+ * @param {number} [dpT] - Separate position for the DP component (defaults to t)
+ * @returns {Style}
+ */
+export function interpolateStyles(styleA, styleB, t, dpT = t) {
+    for (const value of [t, dpT]) {
+        if (!(value >= 0 && value <= 1)) {
+            throw new Error(`Interpolation position must be between 0 and 1, got ${value}`);
+        }
+    }
+    return blendStyles([styleA, styleB], [1 - t, t], [1 - dpT, dpT]);
+}
+
+/**
+ * Convert a single voice style to the voice style JSON format read by loadVoiceStyle
+ */
+export function styleToJSON(style) {
+    checkBlendable([style]);
+    const toNested = (tensor) => {
+        const [, rows, cols] = tensor.dims;
+        const data = [];
+        for (let r = 0; r < rows; r++) {
+            data.push(Array.from(tensor.data.subarray(r * cols, (r + 1) * cols)));
+        }
+        return { dims: tensor.dims.slice(), data: [data] };
+    };
+    return { style_ttl: toNested(style.ttl), style_dp: toNested(style.dp) };
+}
+
 /**
  * Load configuration from JSON
+ * @param {ModelCache} [modelCache] - Selects the cache for this config's version (see model_cache.js)
  */
-export async function loadCfgs(onnxDir) {
+export async function loadCfgs(onnxDir, modelCache = null) {
+    if (modelCache) {
+        return JSON.parse(new TextDecoder().decode(await modelCache.loadConfig(`${onnxDir}/tts.json`)));
+    }
     const response = await fetch(`${onnxDir}/tts.json`);
     const cfgs = await response.json();
     return cfgs;
@@ -407,15 +984,45 @@ export async function loadCfgs(onnxDir) {
 
 /**
  * Load text processor
+ * @param {ModelCache} [modelCache] - Cache the indexer is loaded from and stored in
  */
-export async function loadTextProcessor(onnxDir) {
+export async function loadTextProcessor(onnxDir, modelCache = null) {
+    if (modelCache) {
+        const indexer = JSON.parse(new TextDecoder().decode(await modelCache.load(`${onnxDir}/unicode_indexer.json`)));
+        return new UnicodeProcessor(indexer);
+    }
     const response = await fetch(`${onnxDir}/unicode_indexer.json`);
     const indexer = await response.json();
     return new UnicodeProcessor(indexer);
 }
 
+/**
+ * Fetch pronunciation lexicon files (JSON, see lexicon.js); where several match the
+ * same text, earlier files win
+ * @param {string|string[]} lexiconUrls
+ * @returns {Promise<Lexicon>}
+ */
+export async function loadLexicon(lexiconUrls) {
+    const urls = Array.isArray(lexiconUrls) ? lexiconUrls : [lexiconUrls];
+    const lexicons = await Promise.all(urls.map(async (url) => {
+        let data;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            data = await response.json();
+        } catch (err) {
+            throw new LexiconError(`Cannot load lexicon: ${err.message}`, url);
+        }
+        return new Lexicon(data, { source: url });
+    }));
+    return lexicons.length === 1 ? lexicons[0] : Lexicon.merge(lexicons);
+}
+
 /**
  * Load ONNX model
+ * @param {string|Uint8Array} onnxPath - Model URL, or the model file's bytes
  */
 export async function loadOnnx(onnxPath, options) {
     const session = await ort.InferenceSession.create(onnxPath, options);
@@ -424,11 +1031,25 @@ export async function loadOnnx(onnxPath, options) {
 
 /**
  * Load all TTS components
+ *
+ * Model files are kept in the browser's Cache API (see model_cache.js), so later page
+ * loads read them locally; a changed tts.json replaces the cached files.
+ * progressCallback(modelName, current, total, bytes) is called as each model downloads,
+ * bytes being { loaded, total, cached } for that file (total null when unknown).
+ * @param {Object} options
+ * @param {string|ModelCache|false} [options.modelCache='supertonic-models'] - Cache name or ModelCache for model files; false always downloads them
+ * @param {string} [options.modelVersion] - Model version for the cache, instead of the hash of tts.json
+ * @param {string|string[]|Lexicon} [options.lexicon] - Lexicon URL(s) or a Lexicon applied to every call
+ * @param {string|ChunkCache} [options.cache] - Chunk cache applied to every call, or an IndexedDB database name for an IndexedDbCache
+ * @param {number} [options.cacheMaxBytes] - Size limit of the IndexedDbCache made for a database name
  */
-export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCallback = null) {
+export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCallback = null, options = {}) {
     console.log('Using WebAssembly/WebGPU for inference');
     
-    const cfgs = await loadCfgs(onnxDir);
+    const modelCache = options.modelCache === false ? null
+        : options.modelCache instanceof ModelCache ? options.modelCache
+            : new ModelCache(options.modelCache ?? 'supertonic-models', { version: options.modelVersion });
+    const cfgs = await loadCfgs(onnxDir, modelCache);
     
     const dpPath = `${onnxDir}/duration_predictor.onnx`;
     const textEncPath = `${onnxDir}/text_encoder.onnx`;
@@ -444,23 +1065,40 @@ export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCal
     
     const sessions = [];
     for (let i = 0; i < modelPaths.length; i++) {
-        if (progressCallback) {
-            progressCallback(modelPaths[i].name, i + 1, modelPaths.length);
-        }
-        const session = await loadOnnx(modelPaths[i].path, sessionOptions);
+        const onProgress = bytes => {
+            if (progressCallback) {
+                progressCallback(modelPaths[i].name, i + 1, modelPaths.length, bytes);
+            }
+        };
+        const model = modelCache
+            ? await modelCache.load(modelPaths[i].path, onProgress)
+            : (await fetchWithProgress(modelPaths[i].path, progress => onProgress({ ...progress, cached: false }))).data;
+        const session = await loadOnnx(model, sessionOptions);
         sessions.push(session);
     }
     
     const [dpOrt, textEncOrt, vectorEstOrt, vocoderOrt] = sessions;
     
-    const textProcessor = await loadTextProcessor(onnxDir);
+    const textProcessor = await loadTextProcessor(onnxDir, modelCache);
+    if (options.lexicon) {
+        textProcessor.lexicon = options.lexicon instanceof Lexicon ? options.lexicon : await loadLexicon(options.lexicon);
+    }
     const textToSpeech = new TextToSpeech(cfgs, textProcessor, dpOrt, textEncOrt, vectorEstOrt, vocoderOrt);
+    if (options.cache) {
+        textToSpeech.cache = typeof options.cache === 'string'
+            ? new IndexedDbCache(options.cache, { maxBytes: options.cacheMaxBytes })
+            : options.cache;
+    }
     
     return { textToSpeech, cfgs };
 }
 
 /**
  * Chunk text into manageable segments
+ * Sentences are packed into chunks of up to maxLen characters; a longer sentence is
+ * split at commas, semicolons and colons. Each chunk records the boundary before it
+ * ('clause', 'sentence' or 'paragraph', null for the first) for the pause model.
+ * @returns {Array<{text: string, boundary: string|null}>}
  */
 function chunkText(text, maxLen = 300) {
     if (typeof text !== 'string') {
@@ -480,21 +1118,26 @@ function chunkText(text, maxLen = 300) {
         // But exclude common abbreviations like Mr., Mrs., Dr., etc. and single capital letters like F.
         const sentences = paragraph.split(/(?<!Mr\.|Mrs\.|Ms\.|Dr\.|Prof\.|Sr\.|Jr\.|Ph\.D\.|etc\.|e\.g\.|i\.e\.|vs\.|Inc\.|Ltd\.|Co\.|Corp\.|St\.|Ave\.|Blvd\.)(?<!\b[A-Z]\.)(?<=[.!?])\s+/);
         
+        // Sentences too long for one chunk are read clause by clause
+        const pieces = sentences.flatMap(sentence => (sentence.length > maxLen ? sentence.split(/(?<=[,;:])\s+/) : [sentence]));
+        
         let currentChunk = "";
+        let boundary = chunks.length > 0 ? 'paragraph' : null;
         
-        for (let sentence of sentences) {
-            if (currentChunk.length + sentence.length + 1 <= maxLen) {
-                currentChunk += (currentChunk ? " " : "") + sentence;
+        for (let piece of pieces) {
+            if (currentChunk.length + piece.length + 1 <= maxLen) {
+                currentChunk += (currentChunk ? " " : "") + piece;
             } else {
                 if (currentChunk) {
-                    chunks.push(currentChunk.trim());
+                    chunks.push({ text: currentChunk.trim(), boundary });
+                    boundary = boundaryAfter(currentChunk);
                 }
-                currentChunk = sentence;
+                currentChunk = piece;
             }
         }
         
         if (currentChunk) {
-            chunks.push(currentChunk.trim());
+            chunks.push({ text: currentChunk.trim(), boundary });
         }
     }
     
@@ -502,49 +1145,10 @@ function chunkText(text, maxLen = 300) {
 }
 
 /**
- * Write WAV file to ArrayBuffer
+ * Encode audio as a mono WAV file (16-bit PCM unless options.bitDepth says otherwise)
+ * @param {Object} options - See encodeWav in encoders.js (bitDepth, dither, metadata)
+ * @returns {ArrayBuffer}
  */
-export function writeWavFile(audioData, sampleRate) {
-    const numChannels = 1;
-    const bitsPerSample = 16;
-    const byteRate = sampleRate * numChannels * bitsPerSample / 8;
-    const blockAlign = numChannels * bitsPerSample / 8;
-    const dataSize = audioData.length * 2;
-    
-    // Create ArrayBuffer
-    const buffer = new ArrayBuffer(44 + dataSize);
-    const view = new DataView(buffer);
-    
-    // Write WAV header
-    const writeString = (offset, string) => {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
-        }
-    };
-    
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + dataSize, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true); // PCM
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, byteRate, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, bitsPerSample, true);
-    writeString(36, 'data');
-    view.setUint32(40, dataSize, true);
-    
-    // Write audio data
-    const int16Data = new Int16Array(audioData.length);
-    for (let i = 0; i < audioData.length; i++) {
-        const clamped = Math.max(-1.0, Math.min(1.0, audioData[i]));
-        int16Data[i] = Math.floor(clamped * 32767);
-    }
-    
-    const dataView = new Uint8Array(buffer, 44);
-    dataView.set(new Uint8Array(int16Data.buffer));
-    
-    return buffer;
+export function writeWavFile(audioData, sampleRate, options = {}) {
+    return encodeAudio(audioData, sampleRate, { ...options, format: 'wav' }).buffer;
 }
@@ -0,0 +1,90 @@
+import { ChunkCache } from './cache.js';
+
+/**
+ * Chunk cache in IndexedDB (see cache.js)
+ *
+ * Samples and bookkeeping live in separate object stores, so opening the cache reads
+ * only the small { key, size, usedAt } records, oldest first through the usedAt index.
+ * Tabs of the same origin share the database; each keeps its own size estimate.
+ */
+
+const DB_VERSION = 1;
+const ENTRIES = 'entries';
+const SAMPLES = 'samples';
+
+// Resolve with an IDBRequest's result
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Resolve once a transaction has committed
+function done(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+}
+
+export class IndexedDbCache extends ChunkCache {
+    /**
+     * @param {string} [name='supertonic-chunks'] - Database name
+     * @param {Object} options - See ChunkCache (maxBytes, maxEntries)
+     */
+    constructor(name = 'supertonic-chunks', options = {}) {
+        super(options);
+        this.name = name;
+        this.db = null;
+    }
+
+    async _load() {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available');
+        }
+        const open = indexedDB.open(this.name, DB_VERSION);
+        open.onupgradeneeded = () => {
+            const db = open.result;
+            db.createObjectStore(ENTRIES, { keyPath: 'key' }).createIndex('usedAt', 'usedAt');
+            db.createObjectStore(SAMPLES);
+        };
+        this.db = await request(open);
+
+        const records = await request(this.db.transaction(ENTRIES).objectStore(ENTRIES).index('usedAt').getAll());
+        return records.map(({ key, size }) => [key, size]);
+    }
+
+    async _read(key) {
+        const entry = await request(this.db.transaction(SAMPLES).objectStore(SAMPLES).get(key));
+        return entry ?? null;
+    }
+
+    async _write(key, { samples, duration }) {
+        const transaction = this.db.transaction([ENTRIES, SAMPLES], 'readwrite');
+        transaction.objectStore(SAMPLES).put({ samples: Float32Array.from(samples), duration }, key);
+        transaction.objectStore(ENTRIES).put({ key, size: samples.length * 4 + 8, usedAt: Date.now() });
+        await done(transaction);
+    }
+
+    async _remove(key) {
+        const transaction = this.db.transaction([ENTRIES, SAMPLES], 'readwrite');
+        transaction.objectStore(SAMPLES).delete(key);
+        transaction.objectStore(ENTRIES).delete(key);
+        await done(transaction);
+    }
+
+    async _touch(key) {
+        const transaction = this.db.transaction(ENTRIES, 'readwrite');
+        transaction.objectStore(ENTRIES).put({ key, size: this.index.get(key), usedAt: Date.now() });
+        await done(transaction);
+    }
+
+    async _clear() {
+        const transaction = this.db.transaction([ENTRIES, SAMPLES], 'readwrite');
+        transaction.objectStore(SAMPLES).clear();
+        transaction.objectStore(ENTRIES).clear();
+        await done(transaction);
+    }
+}
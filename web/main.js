@@ -1,47 +1,79 @@
+import { TtsWorkerClient } from './tts_client.js';
+
+import { Lexicon } from './lexicon.js';
+
+import { audioFormatInfo } from './encoders.js';
+
 import {
-    loadTextToSpeech,
-    loadVoiceStyle,
-    writeWavFile
-} from './helper.js';
+    describeProgress,
+    formatRemaining
+} from './progress.js';
 
 import {
-    VoiceMixer,
-    applyPreset
-} from './mixer.js';
+    toSrt,
+    toWebVtt
+} from './subtitles.js';
 
 // Configuration
-const DEFAULT_VOICE_STYLE_PATH = 'assets/voice_styles/M1.json';
+const ONNX_DIR = 'assets/onnx';
+const VOICE_STYLE_DIR = 'assets/voice_styles';
+const DEFAULT_VOICE_STYLE_PATH = `${VOICE_STYLE_DIR}/M1.json`;
 
 // Helper function to extract filename from path
 function getFilenameFromPath(path) {
     return path.split('/').pop();
 }
 
-// Global state
-let textToSpeech = null;
-let cfgs = null;
+// The worker resolves URLs against its own script, so paths are made absolute on the page
+function assetUrl(path) {
+    return new URL(path, location.href).href;
+}
+
+// Global state: models, voices and synthesis live in the worker (tts_worker.js)
+let ttsClient = null;
+let sampleRate = null;
 
-// Pre-computed style
-let currentStyle = null;
 let currentStylePath = DEFAULT_VOICE_STYLE_PATH;
 
+// Aborts the running generation when Cancel is clicked
+let generationController = null;
+
+// Lexicon chosen with the file input, applied per call; its JSON is sent to the worker
+let pronunciationLexicon = null;
+let lexiconData = null;
+
 // UI Elements
 const textInput = document.getElementById('text');
 const voiceStyleSelect = document.getElementById('voiceStyleSelect');
 const voiceStyleInfo = document.getElementById('voiceStyleInfo');
+const blendStyleSelect = document.getElementById('blendStyleSelect');
+const blendAmountInput = document.getElementById('blendAmount');
 const totalStepInput = document.getElementById('totalStep');
 const speedInput = document.getElementById('speed');
+const languageSelect = document.getElementById('language');
+const exportFormatSelect = document.getElementById('exportFormat');
+const exportSampleRateSelect = document.getElementById('exportSampleRate');
+const loudnessSelect = document.getElementById('loudness');
+const lexiconFileInput = document.getElementById('lexiconFile');
+const seedInput = document.getElementById('seed');
+const chunkCacheSelect = document.getElementById('chunkCache');
 const singingPresetSelect = document.getElementById('singingPreset');
 const personaPresetSelect = document.getElementById('personaPreset');
 const generateBtn = document.getElementById('generateBtn');
+const cancelBtn = document.getElementById('cancelBtn');
+const progressBar = document.getElementById('progressBar');
+const progressFill = document.getElementById('progressFill');
 const statusBox = document.getElementById('statusBox');
 const statusText = document.getElementById('statusText');
 const backendBadge = document.getElementById('backendBadge');
 const resultsContainer = document.getElementById('results');
 const errorBox = document.getElementById('error');
 
-function showStatus(message, type = 'info') {
+// A progress fraction (0-1) shows the progress bar under the message; any other status hides it
+function showStatus(message, type = 'info', progress = null) {
     statusText.innerHTML = message;
+    progressBar.hidden = progress === null;
+    progressFill.style.width = `${Math.round((progress ?? 0) * 100)}%`;
     statusBox.className = 'status-box';
     if (type === 'success') {
         statusBox.classList.add('success');
@@ -63,15 +95,28 @@ function showBackendBadge() {
     backendBadge.classList.add('visible');
 }
 
-// Load voice style from JSON
-async function loadStyleFromJSON(stylePath) {
-    try {
-        const style = await loadVoiceStyle([stylePath], true);
-        return style;
-    } catch (error) {
-        console.error('Error loading voice style:', error);
-        throw error;
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatMegabytes(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(1);
+}
+
+// Model download progress; cached models load without a download
+function showModelProgress(modelName, current, total, bytes) {
+    let detail = '';
+    // Files count equally; a download with a known size fills its share as it arrives
+    const fileProgress = bytes?.total ? bytes.loaded / bytes.total : 0;
+    if (bytes?.cached) {
+        detail = ' (cached)';
+    } else if (bytes?.total) {
+        detail = ` ${formatMegabytes(bytes.loaded)} / ${formatMegabytes(bytes.total)} MB (${Math.floor(bytes.loaded / bytes.total * 100)}%)`;
+    } else if (bytes) {
+        detail = ` ${formatMegabytes(bytes.loaded)} MB`;
     }
+    showStatus(`ℹ️ <strong>Loading ONNX models (${current}/${total}):</strong> ${modelName}...${detail}`, 'info',
+        (current - 1 + fileProgress) / total);
 }
 
 // Load models on page load
@@ -79,42 +124,16 @@ async function initializeModels() {
     try {
         showStatus('ℹ️ <strong>Loading configuration...</strong>');
         
-        const basePath = 'assets/onnx';
-        
-        // Try WebGPU first, fallback to WASM
-        let executionProvider = 'wasm';
-        try {
-            const result = await loadTextToSpeech(basePath, {
-                executionProviders: ['webgpu'],
-                graphOptimizationLevel: 'all'
-            }, (modelName, current, total) => {
-                showStatus(`ℹ️ <strong>Loading ONNX models (${current}/${total}):</strong> ${modelName}...`);
-            });
-            
-            textToSpeech = result.textToSpeech;
-            cfgs = result.cfgs;
-            
-            executionProvider = 'webgpu';
+        // The worker tries WebGPU first and falls back to WASM
+        ttsClient = new TtsWorkerClient();
+        const { executionProvider, sampleRate: modelSampleRate } = await ttsClient.load(assetUrl(ONNX_DIR), ({ modelName, current, total, bytes }) => {
+            showModelProgress(modelName, current, total, bytes);
+        }, { voiceStyleDir: assetUrl(VOICE_STYLE_DIR) });
+        sampleRate = modelSampleRate;
+        if (executionProvider === 'webgpu') {
             backendBadge.textContent = 'WebGPU';
             backendBadge.style.background = '#4caf50';
-        } catch (webgpuError) {
-            console.log('WebGPU not available, falling back to WebAssembly');
-            
-            const result = await loadTextToSpeech(basePath, {
-                executionProviders: ['wasm'],
-                graphOptimizationLevel: 'all'
-            }, (modelName, current, total) => {
-                showStatus(`ℹ️ <strong>Loading ONNX models (${current}/${total}):</strong> ${modelName}...`);
-            });
-            
-            textToSpeech = result.textToSpeech;
-            cfgs = result.cfgs;
         }
-        
-        showStatus('ℹ️ <strong>Loading default voice style...</strong>');
-        
-        // Load default voice style
-        currentStyle = await loadStyleFromJSON(currentStylePath);
         voiceStyleInfo.textContent = `${getFilenameFromPath(currentStylePath)} (default)`;
         
         showStatus(`✅ <strong>Models loaded!</strong> Using ${executionProvider.toUpperCase()}. You can now generate speech.`, 'success');
@@ -128,39 +147,36 @@ async function initializeModels() {
     }
 }
 
-// Handle voice style selection
-voiceStyleSelect.addEventListener('change', async (e) => {
-    const selectedValue = e.target.value;
-    
-    if (!selectedValue) return;
+// Handle lexicon selection; an invalid file leaves no lexicon selected
+lexiconFileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    pronunciationLexicon = null;
+    lexiconData = null;
+    if (!file) return;
     
     try {
-        generateBtn.disabled = true;
-        showStatus(`ℹ️ <strong>Loading voice style...</strong>`, 'info');
-        
-        currentStylePath = selectedValue;
-        currentStyle = await loadStyleFromJSON(currentStylePath);
-        voiceStyleInfo.textContent = getFilenameFromPath(currentStylePath);
-        
-        showStatus(`✅ <strong>Voice style loaded:</strong> ${getFilenameFromPath(currentStylePath)}`, 'success');
-        generateBtn.disabled = false;
+        hideError();
+        const data = JSON.parse(await file.text());
+        // Validated here so a bad file is reported at once
+        pronunciationLexicon = new Lexicon(data, { source: file.name });
+        lexiconData = { data, source: file.name };
+        showStatus(`✅ <strong>Lexicon loaded:</strong> ${escapeHtml(file.name)} (${pronunciationLexicon.size} entries)`, 'success');
     } catch (error) {
-        showError(`Error loading voice style: ${error.message}`);
-        
-        // Restore default style
-        currentStylePath = DEFAULT_VOICE_STYLE_PATH;
-        voiceStyleSelect.value = currentStylePath;
-        try {
-            currentStyle = await loadStyleFromJSON(currentStylePath);
-            voiceStyleInfo.textContent = `${getFilenameFromPath(currentStylePath)} (default)`;
-        } catch (styleError) {
-            console.error('Error restoring default style:', styleError);
-        }
-        
-        generateBtn.disabled = false;
+        showError(`Error loading lexicon: ${error.message}`);
+        lexiconFileInput.value = '';
     }
 });
 
+// Handle voice style selection; the worker loads the style with the next generation
+voiceStyleSelect.addEventListener('change', (e) => {
+    const selectedValue = e.target.value;
+    
+    if (!selectedValue) return;
+    
+    currentStylePath = selectedValue;
+    voiceStyleInfo.textContent = getFilenameFromPath(currentStylePath);
+});
+
 // Main synthesis function
 async function generateSpeech() {
     const text = textInput.value.trim();
@@ -169,20 +185,18 @@ async function generateSpeech() {
         return;
     }
     
-    if (!textToSpeech || !cfgs) {
+    if (!ttsClient || !sampleRate) {
         showError('Models are still loading. Please wait.');
         return;
     }
     
-    if (!currentStyle) {
-        showError('Voice style is not ready. Please wait.');
-        return;
-    }
-    
     const startTime = Date.now();
     
     try {
         generateBtn.disabled = true;
+        generationController = new AbortController();
+        cancelBtn.hidden = false;
+        cancelBtn.disabled = false;
         hideError();
         
         // Clear results and show placeholder
@@ -195,68 +209,80 @@ async function generateSpeech() {
         
         const totalStep = parseInt(totalStepInput.value);
         const speed = parseFloat(speedInput.value);
+        const singingPreset = singingPresetSelect.value;
+        const personaPreset = personaPresetSelect.value;
+        
+        // Cached sentences are keyed on the seed, so the cache fixes one and keeps it in the field for the next run
+        if (chunkCacheSelect.value && !seedInput.value) {
+            seedInput.value = String(Math.floor(Math.random() * 4294967296));
+        }
+        const [format, bitDepth] = exportFormatSelect.value.split('-');
+        const request = {
+            text,
+            voice: assetUrl(currentStylePath),
+            blend: blendStyleSelect.value ? { voice: assetUrl(blendStyleSelect.value), amount: parseFloat(blendAmountInput.value) } : null,
+            totalStep,
+            speed,
+            language: languageSelect.value,
+            seed: seedInput.value ? Number(seedInput.value) : undefined,
+            cache: Boolean(chunkCacheSelect.value),
+            lexicon: lexiconData,
+            loudness: loudnessSelect.value ? { target: Number(loudnessSelect.value) } : null,
+            effects: { singing: singingPreset, persona: personaPreset },
+            download: { format, bitDepth: Number(bitDepth), outputSampleRate: Number(exportSampleRateSelect.value) || sampleRate }
+        };
         
         showStatus('ℹ️ <strong>Generating speech from text...</strong>');
         const tic = Date.now();
         
-        const { wav, duration } = await textToSpeech.call(
-            text, 
-            currentStyle, 
-            totalStep,
-            speed,
-            0.3,
-            (step, total) => {
-                showStatus(`ℹ️ <strong>Denoising (${step}/${total})...</strong>`);
+        const result = await ttsClient.synthesize(request, (progress) => {
+            if (progress.stage === 'effects') {
+                showStatus('ℹ️ <strong>Applying voice effects...</strong>', 'info', 1);
+            } else if (progress.stage === 'export') {
+                showStatus('ℹ️ <strong>Creating audio file...</strong>', 'info', 1);
+            } else {
+                const remaining = formatRemaining(progress.remaining);
+                showStatus(`ℹ️ <strong>Generating speech (${Math.floor(progress.progress * 100)}%):</strong> ` +
+                    `${describeProgress(progress)}${remaining ? `, about ${remaining} left` : ''}`, 'info', progress.progress);
             }
-        );
+        }, { signal: generationController.signal });
+        const { duration, timings, loudness, blendLabel } = result;
         
         const toc = Date.now();
         console.log(`Text-to-speech synthesis: ${((toc - tic) / 1000).toFixed(2)}s`);
         
-        // Apply voice effects if selected
-        let processedWav = wav;
-        const singingPreset = singingPresetSelect.value;
-        const personaPreset = personaPresetSelect.value;
+        // The player always gets 16-bit WAV at the model rate; the download uses the selected format and rate
+        const url = URL.createObjectURL(new Blob([result.playback], { type: 'audio/wav' }));
+        const { mimeType, extension } = audioFormatInfo(format);
+        const downloadUrl = result.download ? URL.createObjectURL(new Blob([result.download], { type: mimeType })) : url;
+        const downloadLabel = exportFormatSelect.options[exportFormatSelect.selectedIndex].text;
         
-        if (singingPreset || personaPreset) {
-            showStatus('ℹ️ <strong>Applying voice effects...</strong>');
-            const mixer = new VoiceMixer(textToSpeech.sampleRate);
-            mixer.setBuffer(wav);
-            
-            // Apply singing preset first if selected
-            if (singingPreset) {
-                const presetMethod = `preset${singingPreset}`;
-                if (typeof mixer[presetMethod] === 'function') {
-                    mixer[presetMethod]();
-                    console.log(`Applied singing preset: ${singingPreset}`);
-                }
-            }
-            
-            // Apply persona preset if selected (can combine with singing)
-            if (personaPreset) {
-                const presetMethod = `preset${personaPreset}`;
-                if (typeof mixer[presetMethod] === 'function') {
-                    mixer[presetMethod]();
-                    console.log(`Applied persona preset: ${personaPreset}`);
-                }
-            }
-            
-            processedWav = mixer.getBuffer();
-        }
-        
-        showStatus('ℹ️ <strong>Creating audio file...</strong>');
-        const wavLen = Math.floor(textToSpeech.sampleRate * duration[0]);
-        const wavOut = processedWav.slice(0, wavLen);
-        
-        // Create WAV file
-        const wavBuffer = writeWavFile(wavOut, textToSpeech.sampleRate);
-        const blob = new Blob([wavBuffer], { type: 'audio/wav' });
-        const url = URL.createObjectURL(blob);
+        // Captions from the timing map
+        const srtUrl = URL.createObjectURL(new Blob([toSrt(timings)], { type: 'application/x-subrip' }));
+        const vttUrl = URL.createObjectURL(new Blob([toWebVtt(timings)], { type: 'text/vtt' }));
         
         // Calculate total time and audio duration
         const endTime = Date.now();
         const totalTimeSec = ((endTime - startTime) / 1000).toFixed(2);
-        const audioDurationSec = duration[0].toFixed(2);
+        const audioDurationSec = duration.toFixed(2);
+        
+        // Blended voices can be saved and loaded later like the bundled ones
+        let voiceInfo = '';
+        let voiceButton = '';
+        if (blendLabel) {
+            const voiceUrl = URL.createObjectURL(new Blob([JSON.stringify(result.blendedStyle)], { type: 'application/json' }));
+            voiceInfo = `
+                <div class="info-item">
+                    <span>🎙️ Voice Blend</span>
+                    <strong>${blendLabel}</strong>
+                </div>
+            `;
+            voiceButton = `
+                    <button onclick="downloadAudio('${voiceUrl}', 'blended_voice.json')">
+                        <span>🎙️</span>
+                        <span>Download Voice</span>
+                    </button>`;
+        }
         
         // Build effects info
         let effectsInfo = '';
@@ -278,12 +304,34 @@ async function generateSpeech() {
             `;
         }
         
+        const cacheInfo = result.cache ? `
+                <div class="info-item">
+                    <span>♻️ Reused Sentences</span>
+                    <strong>${result.cache.hits} of ${result.cache.hits + result.cache.misses}</strong>
+                </div>
+            ` : '';
+        
+        const lexiconMatches = result.lexiconMatches;
+        const lexiconInfo = lexiconMatches.length > 0 ? `
+                <div class="info-item" title="${escapeHtml(lexiconMatches.map(match => `${match.match} → ${match.replacement}`).join('\n'))}">
+                    <span>📖 Lexicon</span>
+                    <strong>${lexiconMatches.length} replaced</strong>
+                </div>
+            ` : '';
+        
+        const loudnessInfo = loudness ? `
+                <div class="info-item">
+                    <span>🔊 Loudness</span>
+                    <strong>${loudness.integrated.toFixed(1)} LUFS / ${loudness.truePeak.toFixed(1)} dBTP</strong>
+                </div>
+            ` : '';
+        
         // Display result with full text
         resultsContainer.innerHTML = `
             <div class="result-item">
                 <div class="result-text-container">
                     <div class="result-text-label">Input Text</div>
-                    <div class="result-text">${text}</div>
+                    <div class="result-text">${escapeHtml(text)}</div>
                 </div>
                 <div class="result-info">
                     <div class="info-item">
@@ -294,7 +342,11 @@ async function generateSpeech() {
                         <span>⏱️ Generation Time</span>
                         <strong>${totalTimeSec}s</strong>
                     </div>
+                    ${voiceInfo}
                     ${effectsInfo}
+                    ${lexiconInfo}
+                    ${cacheInfo}
+                    ${loudnessInfo}
                 </div>
                 <div class="result-player">
                     <audio controls>
@@ -302,10 +354,18 @@ async function generateSpeech() {
                     </audio>
                 </div>
                 <div class="result-actions">
-                    <button onclick="downloadAudio('${url}', 'synthesized_speech.wav')">
+                    <button onclick="downloadAudio('${downloadUrl}', 'synthesized_speech.${extension}')">
                         <span>⬇️</span>
-                        <span>Download WAV</span>
+                        <span>Download ${downloadLabel}</span>
                     </button>
+                    <button onclick="downloadAudio('${srtUrl}', 'synthesized_speech.srt')">
+                        <span>💬</span>
+                        <span>Download SRT</span>
+                    </button>
+                    <button onclick="downloadAudio('${vttUrl}', 'synthesized_speech.vtt')">
+                        <span>💬</span>
+                        <span>Download WebVTT</span>
+                    </button>${voiceButton}
                 </div>
             </div>
         `;
@@ -313,9 +373,13 @@ async function generateSpeech() {
         showStatus('✅ <strong>Speech synthesis completed successfully!</strong>', 'success');
         
     } catch (error) {
-        console.error('Error during synthesis:', error);
-        showStatus(`❌ <strong>Error during synthesis:</strong> ${error.message}`, 'error');
-        showError(`Error during synthesis: ${error.message}`);
+        if (error.name === 'AbortError') {
+            showStatus('ℹ️ <strong>Generation cancelled.</strong>');
+        } else {
+            console.error('Error during synthesis:', error);
+            showStatus(`❌ <strong>Error during synthesis:</strong> ${error.message}`, 'error');
+            showError(`Error during synthesis: ${error.message}`);
+        }
         
         // Restore placeholder
         resultsContainer.innerHTML = `
@@ -326,6 +390,8 @@ async function generateSpeech() {
         `;
     } finally {
         generateBtn.disabled = false;
+        cancelBtn.hidden = true;
+        generationController = null;
     }
 }
 
@@ -340,8 +406,21 @@ window.downloadAudio = function(url, filename) {
 // Attach generate function to button
 generateBtn.addEventListener('click', generateSpeech);
 
+// The worker stops at the next chunk or denoising step
+cancelBtn.addEventListener('click', () => {
+    if (generationController) {
+        cancelBtn.disabled = true;
+        showStatus('ℹ️ <strong>Cancelling...</strong>');
+        generationController.abort();
+    }
+});
+
 // Initialize on load
 window.addEventListener('load', async () => {
     generateBtn.disabled = true;
+    // Makes the demo work offline after this visit; only available on HTTPS and localhost
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('./sw.js').catch(error => console.warn('Service worker not registered:', error));
+    }
     await initializeModels();
 });
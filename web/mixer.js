@@ -1,5 +1,7 @@
 import FFT from 'fft.js';
 
+import { normalizeLoudness } from './loudness.js';
+
 /**
  * VoiceMixer - DSP effects for voice manipulation and singing emulation
  * Provides various audio effects including pitch shifting, tremolo, echo, and persona presets
@@ -8,6 +10,7 @@ export class VoiceMixer {
     constructor(sampleRate = 24000) {
         this.sampleRate = sampleRate;
         this.audioBuffer = null;
+        this.loudness = null;
     }
 
     /**
@@ -403,6 +406,21 @@ export class VoiceMixer {
         return this;
     }
 
+    /**
+     * Normalize to a target loudness with a true-peak ceiling (see loudness.js).
+     * Meant as the last stage of a chain; the measurement is kept in this.loudness.
+     * @param {Object} options - { target (LUFS, default -16), truePeak (dBTP, default -1) }
+     * @returns {VoiceMixer} this for chaining
+     */
+    dspNormalizeLoudness(options = {}) {
+        if (!this.audioBuffer) return this;
+        
+        const { samples, gain, input, output } = normalizeLoudness(this.audioBuffer, this.sampleRate, options);
+        this.audioBuffer = Array.from(samples);
+        this.loudness = { ...output, gain, input };
+        return this;
+    }
+
     // ============================================================
     // SINGING PRESETS
     // ============================================================
@@ -0,0 +1,159 @@
+import { sha256 } from './cache.js';
+
+/**
+ * Persistent cache of model files (ONNX models, tts.json, unicode_indexer.json)
+ *
+ * Files are kept with the Cache API in one cache per model version, named
+ * `<name>-<version>`. The version is the SHA-256 of tts.json unless given explicitly, so
+ * tts.json is always fetched from the network first: when it changes, the next load
+ * fills a new cache and the old ones are deleted. Offline, the cached tts.json selects
+ * the cache to load from. Where the Cache API is unavailable (e.g. plain HTTP off
+ * localhost) files are fetched on every load. Downloads report byte-level progress.
+ */
+
+/**
+ * Fetch a file, reporting progress as chunks arrive
+ * @param {string} url
+ * @param {Function} [onProgress] - Called with { loaded, total } (total is null when the size is unknown)
+ * @returns {Promise<{data: Uint8Array, contentType: string|null}>}
+ */
+export async function fetchWithProgress(url, onProgress = null) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Cannot load ${url}: HTTP ${response.status}`);
+    }
+    const contentType = response.headers.get('Content-Type');
+    // Content-Length counts compressed bytes when the server compresses, so it is no total then
+    const encoding = response.headers.get('Content-Encoding');
+    const length = Number(response.headers.get('Content-Length'));
+    const total = length > 0 && (!encoding || encoding === 'identity') ? length : null;
+    if (!response.body) {
+        const data = new Uint8Array(await response.arrayBuffer());
+        onProgress?.({ loaded: data.length, total: data.length });
+        return { data, contentType };
+    }
+
+    onProgress?.({ loaded: 0, total });
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        chunks.push(value);
+        loaded += value.length;
+        onProgress?.({ loaded, total: total !== null && loaded <= total ? total : null });
+    }
+    const data = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return { data, contentType };
+}
+
+export class ModelCache {
+    /**
+     * @param {string} [name='supertonic-models'] - Cache name prefix
+     * @param {Object} options
+     * @param {string} [options.version] - Model version; defaults to the SHA-256 of tts.json
+     */
+    constructor(name = 'supertonic-models', options = {}) {
+        this.name = name;
+        this.version = options.version ?? null;
+        this.cacheName = null;
+        this.available = typeof caches !== 'undefined';
+    }
+
+    // Caches of this name, whatever their version
+    async _ownCaches() {
+        return (await caches.keys()).filter(key => key.startsWith(`${this.name}-`));
+    }
+
+    /**
+     * Fetch the model config from the network (falling back to the cached copy offline)
+     * and select the cache for its version, deleting caches of other versions
+     * @param {string} url - URL of tts.json
+     * @returns {Promise<Uint8Array>}
+     */
+    async loadConfig(url) {
+        if (!this.available) {
+            return (await fetchWithProgress(url)).data;
+        }
+        let data;
+        try {
+            data = (await fetchWithProgress(url)).data;
+        } catch (err) {
+            for (const key of await this._ownCaches()) {
+                const cached = await (await caches.open(key)).match(url);
+                if (cached && (this.version === null || key === `${this.name}-${this.version}`)) {
+                    this.cacheName = key;
+                    return new Uint8Array(await cached.arrayBuffer());
+                }
+            }
+            throw err;
+        }
+
+        this.cacheName = `${this.name}-${this.version ?? sha256([data]).slice(0, 16)}`;
+        for (const key of await this._ownCaches()) {
+            if (key !== this.cacheName) {
+                await caches.delete(key);
+            }
+        }
+        await this._put(url, data, 'application/json');
+        return data;
+    }
+
+    /**
+     * Load a file from the cache, or download and cache it
+     * @param {string} url
+     * @param {Function} [onProgress] - Called with { loaded, total, cached }
+     * @returns {Promise<Uint8Array>}
+     */
+    async load(url, onProgress = null) {
+        if (this.available && this.cacheName === null) {
+            throw new Error('ModelCache.loadConfig must be called before load');
+        }
+        if (this.available) {
+            const cached = await (await caches.open(this.cacheName)).match(url);
+            if (cached) {
+                const data = new Uint8Array(await cached.arrayBuffer());
+                onProgress?.({ loaded: data.length, total: data.length, cached: true });
+                return data;
+            }
+        }
+        const { data, contentType } = await fetchWithProgress(url, progress => onProgress?.({ ...progress, cached: false }));
+        if (this.available) {
+            await this._put(url, data, contentType);
+        }
+        return data;
+    }
+
+    // A full quota only costs the next load a download
+    async _put(url, data, contentType) {
+        try {
+            const headers = { 'Content-Length': String(data.length) };
+            if (contentType) {
+                headers['Content-Type'] = contentType;
+            }
+            await (await caches.open(this.cacheName)).put(url, new Response(data, { headers }));
+        } catch (err) {
+            console.warn(`Cannot cache ${url}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Delete every cached version
+     */
+    async clear() {
+        if (this.available) {
+            for (const key of await this._ownCaches()) {
+                await caches.delete(key);
+            }
+        }
+        this.cacheName = null;
+    }
+}
@@ -0,0 +1,336 @@
+import {
+    MONTHS,
+    cardinalToWords,
+    dateToWords,
+    decimalToWords,
+    digitsToWords,
+    ordinalToWords,
+    yearToWords
+} from './numbers.js';
+
+/**
+ * Rule-based English text normalizer
+ *
+ * Verbalizes cardinals, ordinals, decimals, currency, percentages, dates, times,
+ * units and ranges so the model reads words instead of digits and symbols:
+ *   "$1,250.50" -> "one thousand two hundred fifty dollars and fifty cents"
+ *   "3:45 PM"   -> "three forty-five P M"
+ *   "10km"      -> "ten kilometers"
+ *
+ * Rules run in order, most specific first, so "2026-10-19" is read as a date
+ * before the range rule or the plain number rule can see it.
+ */
+
+// A written number: 1250, 1,250, 1,250.50, 3.14 or .5
+const NUM = String.raw`(?:\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?|\.\d+)(?!\d)`;
+// Hyphen, or an en dash with optional spaces around it
+const DASH = String.raw`(?:-|\s?–\s?)`;
+const MERIDIEM = String.raw`[aApP]\.?\s?[mM]\.?(?!\w)`;
+
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sept?', 'Oct', 'Nov', 'Dec'];
+const MONTH = `(${MONTHS.join('|')}|(?:${MONTH_ABBREVIATIONS.join('|')})\\.?)`;
+
+const CURRENCIES = {
+    '$': { unit: ['dollar', 'dollars'], minor: ['cent', 'cents'] },
+    '€': { unit: ['euro', 'euros'], minor: ['cent', 'cents'] },
+    '£': { unit: ['pound', 'pounds'], minor: ['penny', 'pence'] },
+    '¥': { unit: ['yen', 'yen'], minor: null },
+    '₩': { unit: ['won', 'won'], minor: null },
+    '₹': { unit: ['rupee', 'rupees'], minor: ['paisa', 'paise'] }
+};
+
+const SCALES = {
+    k: 'thousand',
+    K: 'thousand',
+    thousand: 'thousand',
+    m: 'million',
+    M: 'million',
+    mn: 'million',
+    million: 'million',
+    b: 'billion',
+    B: 'billion',
+    bn: 'billion',
+    billion: 'billion',
+    T: 'trillion',
+    tn: 'trillion',
+    trillion: 'trillion'
+};
+
+// Unit symbols as written after a number, with singular and plural readings
+const UNITS = {
+    'mm': ['millimeter', 'millimeters'],
+    'cm': ['centimeter', 'centimeters'],
+    'm': ['meter', 'meters'],
+    'km': ['kilometer', 'kilometers'],
+    'ft': ['foot', 'feet'],
+    'yd': ['yard', 'yards'],
+    'mi': ['mile', 'miles'],
+    'm2': ['square meter', 'square meters'],
+    'km2': ['square kilometer', 'square kilometers'],
+    'sq ft': ['square foot', 'square feet'],
+    'mg': ['milligram', 'milligrams'],
+    'g': ['gram', 'grams'],
+    'kg': ['kilogram', 'kilograms'],
+    'lb': ['pound', 'pounds'],
+    'lbs': ['pound', 'pounds'],
+    'oz': ['ounce', 'ounces'],
+    'ml': ['milliliter', 'milliliters'],
+    'mL': ['milliliter', 'milliliters'],
+    'L': ['liter', 'liters'],
+    'km/h': ['kilometer per hour', 'kilometers per hour'],
+    'kph': ['kilometer per hour', 'kilometers per hour'],
+    'mph': ['mile per hour', 'miles per hour'],
+    'm/s': ['meter per second', 'meters per second'],
+    '°C': ['degree Celsius', 'degrees Celsius'],
+    '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+    '°': ['degree', 'degrees'],
+    'KB': ['kilobyte', 'kilobytes'],
+    'MB': ['megabyte', 'megabytes'],
+    'GB': ['gigabyte', 'gigabytes'],
+    'TB': ['terabyte', 'terabytes'],
+    'Mbps': ['megabit per second', 'megabits per second'],
+    'Gbps': ['gigabit per second', 'gigabits per second'],
+    'Hz': ['hertz', 'hertz'],
+    'kHz': ['kilohertz', 'kilohertz'],
+    'MHz': ['megahertz', 'megahertz'],
+    'GHz': ['gigahertz', 'gigahertz'],
+    'W': ['watt', 'watts'],
+    'kW': ['kilowatt', 'kilowatts'],
+    'kWh': ['kilowatt hour', 'kilowatt hours'],
+    'V': ['volt', 'volts'],
+    'mAh': ['milliamp hour', 'milliamp hours'],
+    'ms': ['millisecond', 'milliseconds'],
+    'sec': ['second', 'seconds'],
+    'min': ['minute', 'minutes'],
+    'mins': ['minute', 'minutes'],
+    'hr': ['hour', 'hours'],
+    'hrs': ['hour', 'hours'],
+    'h': ['hour', 'hours']
+};
+
+// Words after which a bare four-digit number is read as a year
+const YEAR_CONTEXT = ['in', 'since', 'from', 'until', 'till', 'by', 'before', 'after', 'during', 'circa', 'year', 'of', 'to', 'and', 'between', ...MONTHS];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Longest symbols first so "km/h" wins over "km" and "m"
+const UNIT = `(${Object.keys(UNITS).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`;
+
+function numberToWords(num) {
+    return num.includes('.') ? decimalToWords(num) : cardinalToWords(num);
+}
+
+function isOne(num) {
+    return /^0*1$/.test(num);
+}
+
+function isYear(num) {
+    return /^\d{4}$/.test(num) && Number(num) >= 1100 && Number(num) < 2100;
+}
+
+function pluralize(words) {
+    return words.endsWith('y') ? `${words.slice(0, -1)}ies` : `${words}s`;
+}
+
+function monthNumber(name) {
+    const prefix = name.replace('.', '').slice(0, 3);
+    return MONTHS.findIndex(m => m.startsWith(prefix)) + 1;
+}
+
+function currencyToWords(symbol, amount) {
+    const { unit, minor } = CURRENCIES[symbol];
+    const [whole, fraction = ''] = amount.replace(/,/g, '').split('.');
+    // Sub-cent precision, or a currency without minor units, is read as a plain decimal
+    if (fraction.length > 2 || (fraction && !minor)) {
+        return `${decimalToWords(amount)} ${unit[1]}`;
+    }
+
+    const cents = fraction ? Number(fraction.padEnd(2, '0')) : 0;
+    const parts = [];
+    if (!/^0*$/.test(whole) || cents === 0) {
+        parts.push(`${cardinalToWords(whole || '0')} ${isOne(whole) ? unit[0] : unit[1]}`);
+    }
+    if (cents > 0) {
+        parts.push(`${cardinalToWords(String(cents))} ${cents === 1 ? minor[0] : minor[1]}`);
+    }
+    return parts.join(' and ');
+}
+
+function timeToWords(hours, minutes, seconds, meridiem) {
+    const hour = Number(hours);
+    const minute = Number(minutes);
+    let words = cardinalToWords(String(hour));
+    if (minute === 0) {
+        if (!meridiem) {
+            words += hour <= 12 ? " o'clock" : ' hundred';
+        }
+    } else {
+        words += minute < 10 ? ` oh ${cardinalToWords(String(minute))}` : ` ${cardinalToWords(String(minute))}`;
+    }
+    if (seconds) {
+        const second = Number(seconds);
+        words += ` and ${cardinalToWords(String(second))} ${second === 1 ? 'second' : 'seconds'}`;
+    }
+    if (meridiem) {
+        words += /^a/i.test(meridiem) ? ' A M' : ' P M';
+    }
+    return words;
+}
+
+// "p.m." at the end of a sentence also carries the sentence's full stop
+function meridiemFullStop(meridiem, text, end) {
+    return meridiem && meridiem.endsWith('.') && /^(\s+[A-Z]|\s*$)/.test(text.slice(end)) ? '.' : '';
+}
+
+function dateOrMatch(match, parts, order) {
+    try {
+        return dateToWords(parts, order);
+    } catch {
+        return match;
+    }
+}
+
+function fractionToWords(numerator, denominator) {
+    const n = Number(numerator);
+    let name;
+    if (denominator === '2') {
+        name = n === 1 ? 'half' : 'halves';
+    } else if (denominator === '4') {
+        name = n === 1 ? 'quarter' : 'quarters';
+    } else {
+        const ordinal = ordinalToWords(denominator);
+        name = n === 1 ? ordinal : `${ordinal}s`;
+    }
+    return `${cardinalToWords(numerator)} ${name}`;
+}
+
+const RULES = [
+    // Signs: "-5" -> "minus 5", only where the sign cannot be a hyphen or a range dash
+    [/(^|[\s(\[{"'])[-−](?=[$€£¥₩₹]?\.?\d)/g, (m, before) => `${before}minus `],
+    [/(^|[\s(\[{"'])\+(?=[$€£¥₩₹]?\.?\d)/g, (m, before) => `${before}plus `],
+
+    // ISO dates: 2026-10-19
+    [/(?<![\w-])(\d{4})-(\d{2})-(\d{2})(?![\w-])/g,
+        (m, year, month, day) => dateOrMatch(m, { year: Number(year), month: Number(month), day: Number(day) }, 'ymd')],
+    // Numeric dates: 10/19/2026 (month first unless the first field cannot be a month), 19.10.2026
+    [/(?<![\w/.])(\d{1,2})([/.-])(\d{1,2})\2(\d{4})(?![\w/])/g, (m, first, sep, second, year) => {
+        const dayFirst = sep === '.' || Number(first) > 12;
+        const [month, day] = dayFirst ? [second, first] : [first, second];
+        return dateOrMatch(m, { year: Number(year), month: Number(month), day: Number(day) }, dayFirst ? 'dmy' : 'mdy');
+    }],
+    // October 19, 2026 / Oct. 19th
+    [new RegExp(String.raw`\b${MONTH} (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?(?![\w:])`, 'g'), (m, month, day, year) => {
+        const parts = { month: monthNumber(month), day: Number(day) };
+        if (year) parts.year = Number(year);
+        return dateOrMatch(m, parts, 'mdy');
+    }],
+    // 19 October 2026 / the 19th of October
+    [new RegExp(String.raw`(?<!\w)([Tt]he )?(\d{1,2})(?:st|nd|rd|th)? (?:of )?${MONTH}(?:,? (\d{4}))?(?!\w)`, 'g'), (m, the, day, month, year) => {
+        const parts = { month: monthNumber(month), day: Number(day) };
+        if (year) parts.year = Number(year);
+        const words = dateOrMatch(m, parts, 'dmy');
+        return the === 'The ' && words !== m ? `T${words.slice(1)}` : words;
+    }],
+
+    // Times: 3:45 PM, 15:30, 9:05:30 a.m., 3pm
+    [new RegExp(String.raw`(?<![\w:.])([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?(?!\d)(?:\s?(${MERIDIEM}))?`, 'g'),
+        (m, hours, minutes, seconds, meridiem, offset, text) =>
+            timeToWords(hours, minutes, seconds, meridiem) + meridiemFullStop(meridiem, text, offset + m.length)],
+    [new RegExp(String.raw`(?<![\w:.])(1[0-2]|0?[1-9])\s?(${MERIDIEM})`, 'g'),
+        (m, hours, meridiem, offset, text) =>
+            timeToWords(hours, '00', undefined, meridiem) + meridiemFullStop(meridiem, text, offset + m.length)],
+
+    // Currency: $1,250.50, €5-10, $2.5 million, $5M
+    [new RegExp(String.raw`([$€£¥₩₹])(${NUM})(?:${DASH}\1?(${NUM}))?(?: (thousand|million|billion|trillion)|(bn|mn|tn|[kKmMbBT]))?(?!\w)`, 'g'),
+        (m, symbol, amount, upper, scaleWord, scaleSuffix) => {
+            const scale = SCALES[scaleWord || scaleSuffix];
+            const plural = CURRENCIES[symbol].unit[1];
+            if (scale) {
+                const amounts = upper ? `${numberToWords(amount)} to ${numberToWords(upper)}` : numberToWords(amount);
+                return `${amounts} ${scale} ${plural}`;
+            }
+            if (upper) {
+                // Whole amounts share one unit: "ten to twenty dollars"
+                return /[.]/.test(amount + upper)
+                    ? `${currencyToWords(symbol, amount)} to ${currencyToWords(symbol, upper)}`
+                    : `${cardinalToWords(amount)} to ${cardinalToWords(upper)} ${plural}`;
+            }
+            return currencyToWords(symbol, amount);
+        }],
+
+    // Percentages: 45%, 3.5%, 10-20%
+    [new RegExp(String.raw`(?<![\w.])(${NUM})(?:%?${DASH}(${NUM}))?\s?%`, 'g'),
+        (m, value, upper) => upper
+            ? `${numberToWords(value)} to ${numberToWords(upper)} percent`
+            : `${numberToWords(value)} percent`],
+
+    // Fractions: 1/2, 3/4, 2/3 (NFKD turns ½ into 1⁄2)
+    [/(?<![\w/.])(\d) (\d)[/⁄](\d)(?![\w/])/g, (m, whole, numerator, denominator) => Number(numerator) < Number(denominator)
+        ? `${cardinalToWords(whole)} and ${fractionToWords(numerator, denominator)}`
+        : m],
+    [/(?<![\w/.])(\d)[/⁄](\d{1,2})(?![\w/])/g, (m, numerator, denominator) => Number(numerator) < Number(denominator)
+        ? fractionToWords(numerator, denominator)
+        : m],
+
+    // Units: 10km, 2.5 kg, 5-10 km, 20 °C
+    [new RegExp(String.raw`(?<![\w.])(${NUM})(?:${DASH}(${NUM}))? ?${UNIT}(?![\w/])`, 'g'), (m, value, upper, unit) => {
+        const [singular, plural] = UNITS[unit];
+        if (upper) {
+            return `${numberToWords(value)} to ${numberToWords(upper)} ${plural}`;
+        }
+        return `${numberToWords(value)} ${isOne(value) ? singular : plural}`;
+    }],
+
+    // Ordinals: 1st, 22nd, 103rd, 1,000th
+    [/(?<!\w)(\d{1,3}(?:,\d{3})+|\d+)(?:st|nd|rd|th)(?!\w)/g, (m, num) => ordinalToWords(num)],
+
+    // Decades: 1990s, '90s, 80s
+    [/(?<!\w)['’]?(\d{3}0|[2-9]0)s(?!\w)/g,
+        (m, decade) => pluralize(decade.length === 4 ? yearToWords(decade) : cardinalToWords(decade))],
+
+    // Hyphenated digit groups such as phone numbers are read digit by digit
+    [/(?<![\w-])\d+(?:-\d+){2,}(?![\w-])/g, m => m.split('-').map(digitsToWords).join(', ')],
+    // Version numbers: 1.2.3, v2.0.1
+    [/(?<![\w.])(v?)(\d+(?:\.\d+){2,})(?!\.?\w)/g,
+        (m, v, version) => (v ? 'version ' : '') + version.split('.').map(part => cardinalToWords(part)).join(' point ')],
+
+    // Ranges: 10-20, 1990–2000
+    [new RegExp(String.raw`(?<![\w.,:-])(${NUM})${DASH}(${NUM})(?![\w-])`, 'g'), (m, lower, upper) => {
+        if (Number(lower.replace(/,/g, '')) >= Number(upper.replace(/,/g, ''))) {
+            return m;
+        }
+        if (isYear(lower) && isYear(upper)) {
+            return `${yearToWords(lower)} to ${yearToWords(upper)}`;
+        }
+        return `${numberToWords(lower)} to ${numberToWords(upper)}`;
+    }],
+
+    // Years: "in 1999", "since 2010", "44 BC"
+    [new RegExp(String.raw`(?<=\b(?:${YEAR_CONTEXT.join('|')}) )(\d{4})(?!\w|[.,]\d)`, 'gi'), (m, year) => isYear(year) ? yearToWords(year) : m],
+    [/(?<![\w.])(\d{1,4}) ?(BCE|BC|CE|AD)\b/g, (m, year, era) => `${yearToWords(year)} ${era.split('').join(' ')}`],
+
+    // Numbered items: #1
+    [/#(?=\d)/g, () => 'number '],
+
+    // Everything numeric that is left, including digits glued to letters (MP3 -> MP three)
+    [new RegExp(NUM, 'g'), (m, offset, text) => {
+        let words = numberToWords(m);
+        if (/\p{L}/u.test(text[offset - 1] ?? '')) words = ` ${words}`;
+        if (/\p{L}/u.test(text[offset + m.length] ?? '')) words = `${words} `;
+        return words;
+    }]
+];
+
+/**
+ * Verbalize numbers and numeric expressions in English text
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    for (const [pattern, replace] of RULES) {
+        text = text.replace(pattern, replace);
+    }
+    return text;
+}
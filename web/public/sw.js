@@ -0,0 +1,82 @@
+/**
+ * Service worker that keeps the demo usable offline after the first visit
+ *
+ * Page, scripts, styles, WebAssembly and voice styles are served network first and
+ * copied into the app cache, so updates arrive when online and the last copy is
+ * served offline. Model files are cached by the page itself (model_cache.js) and only
+ * passed through here, falling back to that cache offline, so they are stored once.
+ *
+ * The first visit loads the scripts, the synthesis worker and the WebAssembly before this
+ * worker controls the page, so install precaches them from precache-manifest.json, which
+ * the build writes (see vite.config.js). The dev server has no manifest; there only the
+ * page is precached. Voice styles are deployed with the models and precached when present.
+ */
+
+const APP_CACHE = 'supertonic-app-v2';
+const VOICE_STYLES = ['M1', 'M2', 'F1', 'F2'].map(name => `./assets/voice_styles/${name}.json`);
+
+// Build output listed in the manifest, or an empty list without one
+async function buildFiles() {
+    try {
+        const response = await fetch('./precache-manifest.json', { cache: 'no-store' });
+        return response.ok ? (await response.json()).map(file => `./${file}`) : [];
+    } catch {
+        return [];
+    }
+}
+
+async function precache() {
+    const cache = await caches.open(APP_CACHE);
+    await cache.addAll(['./', './index.html', ...await buildFiles()]);
+    await Promise.all(VOICE_STYLES.map(url => cache.add(url).catch(() => {})));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        for (const key of await caches.keys()) {
+            if (key.startsWith('supertonic-app-') && key !== APP_CACHE) {
+                await caches.delete(key);
+            }
+        }
+        await self.clients.claim();
+    })());
+});
+
+// Any cache of this origin, including the page's model cache
+async function fromCache(request) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (!cached) {
+        throw new Error(`${request.url} is not cached`);
+    }
+    return cached;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === 'basic') {
+            const copy = response.clone();
+            caches.open(APP_CACHE).then(cache => cache.put(request, copy)).catch(() => {});
+        }
+        return response;
+    } catch (err) {
+        return fromCache(request).catch(() => Promise.reject(err));
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+    if (url.pathname.includes('/assets/onnx/')) {
+        event.respondWith(fetch(request).catch(err => fromCache(request).catch(() => Promise.reject(err))));
+        return;
+    }
+    event.respondWith(networkFirst(request));
+});
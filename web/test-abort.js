@@ -0,0 +1,105 @@
+/**
+ * Simple test suite for cancelling synthesis (AbortError in helper.js)
+ * Run with: node test-abort.js
+ */
+
+import { AbortError, Style, TextToSpeech, UnicodeProcessor } from './helper.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+/**
+ * TextToSpeech over stand-in sessions that, like WebAssembly ones, finish each run
+ * without giving the event loop a turn
+ */
+function makeTextToSpeech() {
+    const cfgs = { ae: { sample_rate: 100, base_chunk_size: 4 }, ttl: { chunk_compress_factor: 2, latent_dim: 3 } };
+    const runs = { denoise: 0 };
+    const dpOrt = { run: async feeds => ({ duration: { data: new Float32Array(feeds.text_ids.dims[0]).fill(0.5) } }) };
+    const textEncOrt = { run: async () => ({ text_emb: null }) };
+    const vectorEstOrt = {
+        run: async (feeds) => {
+            runs.denoise++;
+            runs.onDenoise?.();
+            return { denoised_latent: { data: feeds.noisy_latent.data } };
+        }
+    };
+    const vocoderOrt = {
+        run: async (feeds) => {
+            const [batch, , length] = feeds.latent.dims;
+            return { wav_tts: { data: new Float32Array(batch * length * 8) } };
+        }
+    };
+    const textProcessor = new UnicodeProcessor(Array.from({ length: 0x3000 }, (_, i) => i));
+    return { textToSpeech: new TextToSpeech(cfgs, textProcessor, dpOrt, textEncOrt, vectorEstOrt, vocoderOrt), runs };
+}
+
+// Only the batch size of the style tensors matters to the stand-in sessions
+const style = new Style({ dims: [1, 1, 1], data: new Float32Array(1) }, { dims: [1, 1, 1], data: new Float32Array(1) });
+const text = 'One sentence here. Two sentence here. Three sentence here.';
+
+console.log('🧪 Testing synthesis cancellation\n');
+
+// Test 1: AbortError
+console.log('Test 1: AbortError');
+const error = new AbortError('stop');
+assert(error instanceof Error && error.name === 'AbortError', 'AbortError is an Error named like an aborted fetch');
+assert(error.reason === 'stop' && error.message === 'Synthesis was aborted', 'AbortError keeps the signal reason');
+
+// Test 2: Signals
+console.log('\nTest 2: Signals');
+{
+    const { textToSpeech, runs } = makeTextToSpeech();
+    const result = await textToSpeech.call(text, style, 3, 1, 0.3, null, { signal: new AbortController().signal });
+    assert(result.wav.length > 0 && runs.denoise > 0 && runs.denoise % 3 === 0, 'A signal that is never aborted does not stop the call');
+
+    const controller = new AbortController();
+    controller.abort('no longer needed');
+    runs.denoise = 0;
+    const err = await rejection(textToSpeech.call(text, style, 3, 1, 0.3, null, { signal: controller.signal }));
+    assert(err instanceof AbortError && err.reason === 'no longer needed', 'An aborted signal rejects with AbortError and its reason');
+    assert(runs.denoise === 0, 'An aborted signal stops the call before any model run');
+}
+
+// Test 3: Abort requested while synthesizing
+console.log('\nTest 3: Abort requested while synthesizing');
+{
+    const { textToSpeech, runs } = makeTextToSpeech();
+    await textToSpeech.call(text, style, 20, 1, 0.3, null, {});
+    const fullRuns = runs.denoise;
+    runs.denoise = 0;
+    const controller = new AbortController();
+    // Like an abort message to the synthesis worker, the abort arrives as a task of its own
+    runs.onDenoise = () => {
+        if (runs.denoise === 5) {
+            setTimeout(() => controller.abort());
+        }
+    };
+    const err = await rejection(textToSpeech.call(text, style, 20, 1, 0.3, null, { signal: controller.signal }));
+    assert(err instanceof AbortError, 'An abort from another task stops sessions that never yield');
+    assert(runs.denoise === 5, `The call stops at the next denoising step (${runs.denoise} of ${fullRuns} run)`);
+    runs.onDenoise = null;
+
+    const batchController = new AbortController();
+    setTimeout(() => batchController.abort());
+    assert(await rejection(textToSpeech.batch(['A.', 'B.'], style, 20, 1, null, { signal: batchController.signal })) instanceof AbortError,
+        'Batches stop between denoising steps too');
+}
+
+console.log('\n✨ All tests passed! ✨\n');
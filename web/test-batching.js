@@ -0,0 +1,103 @@
+/**
+ * Simple test suite for long-form batching in helper.js, with a stand-in for the model runs
+ * Run with: node test-batching.js
+ */
+
+import { Style, TextToSpeech, UnicodeProcessor } from './helper.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+const SAMPLE_RATE = 100;
+const ROW_LENGTH = 50;
+
+/**
+ * TextToSpeech whose _infer records each batch and returns rows of ROW_LENGTH samples.
+ * Chunk "c<i>" fills its row with i + 1 and predicts 0.1 + 0.05 i seconds, so trimming
+ * and ordering show in the samples; predictions past the row are cut to the row.
+ */
+function makeTextToSpeech() {
+    const cfgs = { ae: { sample_rate: SAMPLE_RATE, base_chunk_size: 4 }, ttl: { chunk_compress_factor: 2, latent_dim: 3 } };
+    const textToSpeech = new TextToSpeech(cfgs, new UnicodeProcessor([]), null, null, null, null);
+    const batches = [];
+    textToSpeech._infer = async (textList, style, totalStep, speed, report, options) => {
+        batches.push({ texts: textList, ttlDims: style.ttl.dims, ttl: Array.from(style.ttl.data), dp: Array.from(style.dp.data), speed, seed: options.seed });
+        const wav = new Array(textList.length * ROW_LENGTH);
+        const duration = textList.map((text, k) => {
+            const i = Number(text.slice(1));
+            wav.fill(i + 1, k * ROW_LENGTH, (k + 1) * ROW_LENGTH);
+            return 0.1 + 0.05 * i;
+        });
+        return { wav, duration, seed: options.seed };
+    };
+    return { textToSpeech, batches };
+}
+
+// Style of chunk i holds i in its ttl vector and -i in its dp vector
+function chunkStyle(i) {
+    return new Style({ dims: [1, 1, 1], data: new Float32Array([i]) }, { dims: [1, 1, 1], data: new Float32Array([-i]) });
+}
+
+function planChunks(count, speedOf = () => 1) {
+    return Array.from({ length: count }, (_, i) => ({ text: `c${i}`, style: chunkStyle(i), speed: speedOf(i), pauseBefore: null, boundary: 'sentence' }));
+}
+
+async function collect(pieces) {
+    const result = [];
+    for await (const piece of pieces) {
+        result.push(piece);
+    }
+    return result;
+}
+
+console.log('🧪 Testing long-form batching\n');
+
+// Test 1: Batches
+console.log('Test 1: Batches');
+{
+    const { textToSpeech, batches } = makeTextToSpeech();
+    await collect(textToSpeech._streamChunks(planChunks(7), 5, null, { seed: 3, trimSilence: false }));
+    assert(batches.map(batch => batch.texts.join('+')).join() === 'c0+c1+c2+c3,c4+c5+c6', 'Chunks run 4 at a time by default, the rest in a final smaller batch');
+
+    const custom = makeTextToSpeech();
+    await collect(custom.textToSpeech._streamChunks(planChunks(7), 5, null, { seed: 3, trimSilence: false, batchSize: 3 }));
+    assert(custom.batches.map(batch => batch.texts.length).join() === '3,3,1', 'batchSize sets the batch size');
+    const [first, , last] = custom.batches;
+    assert(first.ttlDims.join() === '3,1,1' && first.ttl.join() === '0,1,2' && first.dp.join() === '0,-1,-2', 'Styles are stacked in chunk order, one row per chunk');
+    assert(last.ttlDims.join() === '1,1,1' && last.ttl.join() === '6', 'A single chunk keeps its own style');
+    assert(custom.batches.every(batch => batch.seed === 3), 'Every batch uses the call seed');
+
+    const single = makeTextToSpeech();
+    await collect(single.textToSpeech._streamChunks(planChunks(3), 5, null, { seed: 3, trimSilence: false, batchSize: 1 }));
+    assert(single.batches.length === 3, 'batchSize 1 runs chunks one by one');
+
+    const rates = makeTextToSpeech();
+    await collect(rates.textToSpeech._streamChunks(planChunks(6, i => (i === 2 ? 1.2 : 1)), 5, null, { seed: 3, trimSilence: false }));
+    assert(rates.batches.map(batch => `${batch.texts.join('+')}@${batch.speed}`).join() === 'c0+c1@1,c2@1.2,c3+c4+c5@1', 'A change of speed starts a new batch');
+}
+
+// Test 2: Trimming and order
+console.log('\nTest 2: Trimming and order');
+{
+    const { textToSpeech } = makeTextToSpeech();
+    const pieces = await collect(textToSpeech._streamChunks(planChunks(10), 5, null, { seed: 3, trimSilence: false, batchSize: 4 }));
+    assert(pieces.map(piece => piece.index).join() === '0,1,2,3,4,5,6,7,8,9', 'Chunks are yielded in order across uneven batches');
+    assert(pieces.every((piece, i) => piece.text === `c${i}` && piece.total === 10), 'Each piece carries its own text');
+    assert(pieces.every((piece, i) => piece.wav.every(value => value === i + 1)), "Each piece holds only its own row's samples");
+    const expected = pieces.map((_, i) => Math.min(ROW_LENGTH, Math.floor((0.1 + 0.05 * i) * SAMPLE_RATE)));
+    assert(pieces.map(piece => piece.wav.length).join() === expected.join(), 'Rows are trimmed to their own predicted duration');
+    assert(pieces[9].wav.length === ROW_LENGTH, 'A prediction longer than the row is cut at the row');
+
+    const result = await textToSpeech._render(textToSpeech._streamChunks(planChunks(5), 5, null, { seed: 3, trimSilence: false }), 0, 0, { fade: 0, crossfade: 0 });
+    const order = result.wav.filter((value, i, wav) => i === 0 || value !== wav[i - 1]);
+    assert(order.join() === '1,2,3,4,5', 'Stitched audio keeps the chunk order');
+}
+
+console.log('\n✨ All tests passed! ✨\n');
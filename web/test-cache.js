@@ -0,0 +1,113 @@
+/**
+ * Simple test suite for cache.js
+ * Run with: node test-cache.js
+ */
+
+import { sha256, styleDigest, chunkCacheKey, entryBytes, MemoryCache } from './cache.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+const utf8 = text => new TextEncoder().encode(text);
+
+function makeStyle(value) {
+    return {
+        ttl: { dims: [1, 2, 2], data: new Float32Array([value, 1, 2, 3]) },
+        dp: { dims: [1, 1, 2], data: new Float32Array([4, 5]) }
+    };
+}
+
+function entry(length, fill = 0.5) {
+    return { samples: new Float32Array(length).fill(fill), duration: length / 100 };
+}
+
+console.log('🧪 Testing the chunk cache\n');
+
+// Test 1: SHA-256
+console.log('Test 1: SHA-256');
+assert(sha256([]) === 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855', 'Hashes the empty message');
+assert(sha256([utf8('abc')]) === 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad', 'Hashes "abc"');
+assert(sha256([utf8('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq')]) === '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1', 'Hashes a two-block message');
+assert(sha256([utf8('ab'), utf8(''), utf8('c')]) === sha256([utf8('abc')]), 'Parts hash as if concatenated');
+
+// Test 2: Keys
+console.log('\nTest 2: Keys');
+const style = makeStyle(0);
+const base = { text: 'Hello there.', style, totalStep: 5, speed: 1.05, seed: 42 };
+const key = chunkCacheKey(base);
+assert(/^[0-9a-f]{64}$/.test(key), 'Keys are hex SHA-256 digests');
+assert(chunkCacheKey({ ...base, style: makeStyle(0) }) === key, 'Styles with the same content share keys');
+assert(styleDigest(style) === styleDigest(makeStyle(0)), 'Style digests depend only on content');
+const variants = [
+    { text: 'Hello there!' },
+    { style: makeStyle(1) },
+    { totalStep: 6 },
+    { speed: 1.1 },
+    { seed: 43 },
+    { model: 'other' }
+];
+for (const variant of variants) {
+    assert(chunkCacheKey({ ...base, ...variant }) !== key, `Changing ${Object.keys(variant)[0]} changes the key`);
+}
+
+// Test 3: Hits, misses and copies
+console.log('\nTest 3: Hits, misses and copies');
+const cache = new MemoryCache();
+assert(await cache.get(key) === null, 'Unknown keys miss');
+assert(await cache.set(key, entry(10)), 'Entries are stored');
+const hit = await cache.get(key);
+assert(hit && hit.samples.length === 10 && hit.duration === 0.1, 'Stored entries are returned');
+hit.samples[0] = 9;
+assert((await cache.get(key)).samples[0] === 0.5, 'Changing a returned entry leaves the cache untouched');
+const stats = await cache.stats();
+assert(stats.entries === 1 && stats.bytes === entryBytes(entry(10)), 'Stats count entries and bytes');
+assert(stats.hits === 2 && stats.misses === 1, 'Stats count hits and misses');
+
+// Test 4: Limits and eviction
+console.log('\nTest 4: Limits and eviction');
+const small = new MemoryCache({ maxBytes: 3 * entryBytes(entry(10)) });
+await small.set('a', entry(10));
+await small.set('b', entry(10));
+await small.set('c', entry(10));
+await small.get('a');
+await small.set('d', entry(10));
+assert(await small.get('b') === null, 'The least recently used entry is evicted first');
+assert(await small.get('a') && await small.get('c') && await small.get('d'), 'Recently used entries are kept');
+assert(await small.set('huge', entry(100)) === false, 'Entries larger than the cache are not stored');
+assert((await small.stats()).entries === 3, 'Rejected entries evict nothing');
+const few = new MemoryCache({ maxEntries: 2 });
+await few.set('a', entry(1));
+await few.set('b', entry(1));
+await few.set('c', entry(1));
+assert((await few.stats()).entries === 2 && await few.get('a') === null, 'maxEntries limits the entry count');
+await few.set('c', entry(5));
+assert((await few.stats()).bytes === entryBytes(entry(1)) + entryBytes(entry(5)), 'Replacing an entry updates the size');
+
+// Test 5: Delete, clear and failures
+console.log('\nTest 5: Delete, clear and failures');
+await few.delete('c');
+assert(await few.get('c') === null, 'Deleted entries miss');
+await few.clear();
+assert((await few.stats()).bytes === 0 && await few.get('b') === null, 'Clearing empties the cache');
+const broken = new MemoryCache();
+broken._write = async () => {
+    throw new Error('disk full');
+};
+assert(await broken.set('a', entry(1)) === false, 'Failed writes are skipped');
+assert(broken.lastError?.message === 'disk full' && (await broken.stats()).entries === 0, 'Failed writes are recorded in lastError');
+let threw = false;
+try {
+    new MemoryCache({ maxBytes: 0 });
+} catch {
+    threw = true;
+}
+assert(threw, 'Invalid limits are rejected');
+
+console.log('\n✨ All tests passed! ✨\n');
@@ -0,0 +1,67 @@
+/**
+ * Simple test suite for charset.js
+ * Run with: node test-charset.js
+ */
+
+import {
+    UnsupportedCharacterError,
+    findUnsupportedChars,
+    isSupported,
+    replaceUnsupportedChars,
+    transliterate
+} from './charset.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+// An indexer covering ASCII only, the way unicode_indexer.json marks gaps with -1
+const indexer = Array.from({ length: 0x300 }, (_, i) => (i < 128 ? i : -1));
+
+console.log('🧪 Testing character coverage\n');
+
+// Test 1: Supported code points
+console.log('Test 1: Supported code points');
+assert(isSupported(indexer, 'a'.codePointAt(0)), 'ASCII letters are supported');
+assert(!isSupported(indexer, 'é'.codePointAt(0)), 'Code points mapped to -1 are unsupported');
+assert(!isSupported(indexer, 0x1D4B3), 'Code points past the end of the indexer are unsupported');
+
+// Test 2: Positions by code point
+console.log('\nTest 2: Positions by code point');
+const found = findUnsupportedChars('a𝒳é', indexer);
+assert(found.length === 2, 'An astral character is reported once, not as two surrogate halves');
+assert(found[0].char === '𝒳' && found[0].codePoint === 0x1D4B3 && found[0].index === 1, 'Astral character position and code point');
+assert(found[1].char === 'é' && found[1].index === 2, 'Positions count code points, not UTF-16 units');
+
+// Test 3: Transliteration
+console.log('\nTest 3: Transliteration');
+assert(transliterate('é', indexer) === 'e', 'Accents are removed');
+assert(transliterate('ß', indexer) === 'ss', 'Known transliterations are used');
+assert(transliterate('𝒳', indexer) === 'X', 'Compatibility characters fold to their base letter');
+assert(transliterate('Ω', indexer) === null, 'Characters without a supported spelling return null');
+
+// Test 4: Lenient mode
+console.log('\nTest 4: Lenient mode');
+assert(replaceUnsupportedChars('Straße café', indexer) === 'Strasse cafe', 'Unsupported characters are transliterated');
+assert(replaceUnsupportedChars('x Ω y', indexer) === 'x  y', 'Untransliterable characters are dropped by default');
+assert(replaceUnsupportedChars('x Ω y', indexer, { fallback: '?' }) === 'x ? y', 'Fallback replaces untransliterable characters');
+assert(replaceUnsupportedChars('plain', indexer, { validation: 'strict' }) === 'plain', 'Supported text passes strict mode unchanged');
+
+// Test 5: Strict mode
+console.log('\nTest 5: Strict mode');
+try {
+    replaceUnsupportedChars('Straße Ω', indexer, { validation: 'strict' });
+    assert(false, 'Strict mode should throw');
+} catch (err) {
+    assert(err instanceof UnsupportedCharacterError, 'Strict mode throws UnsupportedCharacterError');
+    assert(err.unsupported.length === 2, 'Error lists every unsupported character');
+    assert(err.message.includes("'ß' (U+00DF) at 4"), `Message reports character, code point and position (${err.message})`);
+}
+
+console.log('\n✨ All tests passed! ✨\n');
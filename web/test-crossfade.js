@@ -0,0 +1,57 @@
+/**
+ * Simple test suite for crossfade.js
+ * Run with: node test-crossfade.js
+ */
+
+import { appendCrossfaded, fadeIn, fadeOut } from './crossfade.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+console.log('🧪 Testing chunk fades and crossfades\n');
+
+// Test 1: Fades
+console.log('Test 1: Fades');
+const ones = new Float32Array(100).fill(1);
+fadeIn(ones, 10);
+assert(ones[0] < 0.05 && ones[9] > 0.95 && ones[10] === 1, 'Fade-in ramps the first 10 samples from near zero to near one');
+for (let i = 1; i < 10; i++) {
+    assert(ones[i] > ones[i - 1], `Fade-in rises monotonically (sample ${i})`);
+}
+fadeOut(ones, 10);
+assert(ones[99] < 0.05 && ones[90] > 0.95 && ones[89] === 1, 'Fade-out ramps the last 10 samples down to near zero');
+const region = new Array(20).fill(1);
+fadeOut(region, 50, 5, 10);
+assert(region[4] === 1 && region[10] === 1 && region[9] < 0.1, 'Fades stay inside their region, even when longer than it');
+
+// Test 2: Equal-power crossfade
+console.log('\nTest 2: Equal-power crossfade');
+const target = new Array(50).fill(1);
+appendCrossfaded(target, new Float32Array(30).fill(1), 10);
+assert(target.length === 70, 'Overlapping 10 samples shortens the join by 10');
+let steady = true;
+for (let i = 40; i < 50; i++) {
+    const angle = Math.PI / 2 * (i - 40 + 0.5) / 10;
+    steady = steady && Math.abs(target[i] - (Math.cos(angle) + Math.sin(angle))) < 1e-9;
+}
+assert(steady, 'Overlap mixes cosine and sine weighted samples');
+assert(target[69] === 1 && target[39] === 1, 'Samples outside the overlap are untouched');
+const plain = [1, 2];
+appendCrossfaded(plain, [3, 4], 0);
+assert(plain.join() === '1,2,3,4', 'Zero overlap simply appends');
+let threw = false;
+try {
+    appendCrossfaded([1], [1, 2], 2);
+} catch (err) {
+    threw = err.message.includes('longer than the audio');
+}
+assert(threw, 'Overlaps longer than either side are rejected');
+
+console.log('\n✨ All tests passed! ✨\n');
@@ -0,0 +1,72 @@
+/**
+ * Simple test suite for dialogue.js
+ * Run with: node test-dialogue.js
+ */
+
+import { parseDialogue } from './dialogue.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+function assertThrows(fn, fragment, message) {
+    try {
+        fn();
+    } catch (err) {
+        assert(err.message.includes(fragment), `${message} (${err.message})`);
+        return;
+    }
+    assert(false, `${message} (no error thrown)`);
+}
+
+console.log('🧪 Testing dialogue script parser\n');
+
+// Test 1: Tagged turns
+console.log('Test 1: Tagged turns');
+const turns = parseDialogue('M1: Hello there.\nF2:   Hi!  ');
+assert(turns.length === 2, 'Each tagged line is a turn');
+assert(turns[0].speaker === 'M1' && turns[0].text === 'Hello there.' && turns[0].line === 1, 'Speaker, text and line of the first turn');
+assert(turns[1].speaker === 'F2' && turns[1].text === 'Hi!' && turns[1].line === 2, 'Whitespace around the text is trimmed');
+
+// Test 2: Continuations, comments and blank lines
+console.log('\nTest 2: Continuations, comments and blank lines');
+const script = [
+    '# Episode 1',
+    '',
+    'Host: Welcome back.',
+    '      Today we talk about voices.',
+    '',
+    'Dr. Smith: Thanks for having me.'
+].join('\n');
+const parsed = parseDialogue(script);
+assert(parsed.length === 2, 'Comments and blank lines are skipped');
+assert(parsed[0].text === 'Welcome back. Today we talk about voices.', 'Untagged lines continue the previous turn');
+assert(parsed[0].line === 3, 'Line numbers count skipped lines');
+assert(parsed[1].speaker === 'Dr. Smith', 'Speaker names may contain spaces and periods');
+
+// Test 3: Cast
+console.log('\nTest 3: Cast');
+const notes = [
+    'M1: Pack for the trip.',
+    'Note: bring the keys.',
+    'Step 2: lock the door.',
+    'F2: Got it.'
+].join('\n');
+const withCast = parseDialogue(notes, { speakers: ['M1', 'F2'] });
+assert(withCast.length === 2 && withCast[0].text === 'Pack for the trip. Note: bring the keys. Step 2: lock the door.', 'With a cast, a tag naming no one continues the turn');
+assert(withCast[1].speaker === 'F2' && withCast[1].line === 4, 'Cast members still start turns');
+assert(parseDialogue(notes).map(turn => turn.speaker).join() === 'M1,Note,Step 2,F2', 'Without a cast, every tag starts a turn');
+assertThrows(() => parseDialogue('Note: hi\nM1: Hello', { speakers: ['M1'] }), "Line 1: unknown speaker 'Note', expected one of M1", 'A first line naming no one in the cast is rejected');
+
+// Test 4: Errors
+console.log('\nTest 4: Errors');
+assertThrows(() => parseDialogue('Hello there.'), "Line 1: expected 'Speaker: text'", 'Untagged first line is rejected');
+assertThrows(() => parseDialogue('M1: Hi\nF1:'), "Line 2: turn for speaker 'F1' has no text", 'Empty turns are rejected');
+
+console.log('\n✨ All tests passed! ✨\n');
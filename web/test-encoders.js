@@ -0,0 +1,97 @@
+/**
+ * Simple test suite for encoders.js
+ * Run with: node test-encoders.js
+ */
+
+import {
+    checkAudioFormat,
+    encodeAudio,
+    encodeFlac,
+    encodePcm,
+    encodeWav,
+    quantize,
+    synthesisMetadata
+} from './encoders.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+function ascii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+const samples = Float32Array.from({ length: 1000 }, (_, i) => 0.5 * Math.sin(i / 10));
+
+console.log('🧪 Testing audio encoders\n');
+
+// Test 1: Quantization
+console.log('Test 1: Quantization');
+const exact = quantize([0, 1, -1, 2, 0.25], 16, { dither: false });
+assert(exact[0] === 0 && exact[1] === 32767 && exact[2] === -32767, 'Full scale maps to the largest 16-bit values');
+assert(exact[3] === 32767, 'Samples beyond full scale are clipped');
+assert(exact[4] === 8192, 'Samples are rounded, not truncated');
+const dithered = quantize(samples, 16);
+assert(dithered.every((v, i) => Math.abs(v - samples[i] * 32767) <= 2), 'TPDF dither stays within two LSB of the signal');
+assert(quantize(samples, 16).every((v, i) => v === dithered[i]), 'Default dither is reproducible');
+
+// Test 2: WAV layout
+console.log('\nTest 2: WAV layout');
+for (const bitDepth of [16, 24, 32]) {
+    const wav = encodeWav(samples, 24000, { bitDepth });
+    const view = new DataView(wav.buffer);
+    const dataOffset = wav.length - samples.length * bitDepth / 8;
+    assert(ascii(wav, 0, 4) === 'RIFF' && view.getUint32(4, true) === wav.length - 8, `${bitDepth}-bit: RIFF size covers the file`);
+    assert(view.getUint16(20, true) === (bitDepth === 32 ? 3 : 1) && view.getUint16(34, true) === bitDepth, `${bitDepth}-bit: format tag and bit depth`);
+    assert(ascii(wav, dataOffset - 8, 4) === 'data', `${bitDepth}-bit: samples follow the data chunk header`);
+}
+const float = encodeWav([0.25], 24000, { bitDepth: 32 });
+assert(new DataView(float.buffer).getFloat32(float.length - 4, true) === 0.25, '32-bit WAV stores samples as floats');
+
+// Test 3: Metadata
+console.log('\nTest 3: Metadata');
+const metadata = synthesisMetadata({ text: 'Hello.', voice: 'M1', totalStep: 5, speed: 1.05, seed: 42, language: 'en' });
+assert(metadata.comment === 'steps=5 speed=1.05 seed=42 language=en', 'Settings are summarized in the comment');
+const tagged = encodeWav(samples, 24000, { metadata });
+const list = ascii(tagged, 0, tagged.length).indexOf('LIST');
+assert(list > 0 && ascii(tagged, list + 8, 4) === 'INFO', 'WAV carries a LIST/INFO chunk');
+assert(ascii(tagged, list + 12, 4) === 'INAM' && ascii(tagged, list + 20, 6) === 'Hello.', 'Title is stored as INAM');
+assert(ascii(tagged, 0, tagged.length).includes('ICMT'), 'Comment is stored as ICMT');
+
+// Test 4: Raw PCM
+console.log('\nTest 4: Raw PCM');
+assert(encodePcm(samples).length === samples.length * 2, '16-bit PCM has two bytes per sample and no header');
+assert(encodePcm([1], { bitDepth: 24, dither: false }).join() === '255,255,127', '24-bit PCM is little-endian');
+assert(encodeAudio(samples, 24000, { format: 'pcm', bitDepth: 32, metadata }).length === samples.length * 4, 'Metadata is ignored for raw PCM');
+
+// Test 5: FLAC
+console.log('\nTest 5: FLAC');
+const flac = encodeFlac(samples, 24000, { metadata });
+const flacView = new DataView(flac.buffer);
+assert(ascii(flac, 0, 4) === 'fLaC', 'FLAC stream marker');
+assert(flac[4] === 0 && flacView.getUint32(4) === 34, 'STREAMINFO comes first');
+assert((flacView.getUint32(18) >>> 12) === 24000, 'STREAMINFO sample rate');
+assert(flacView.getUint32(22) === samples.length, 'STREAMINFO sample count');
+assert(ascii(flac, 0, flac.length).includes('TITLE=Hello.'), 'Metadata is stored as Vorbis comments');
+assert(flac.length < samples.length * 2, 'A smooth signal compresses below 16-bit PCM size');
+const silence = encodeFlac(new Float32Array(8192), 24000, { dither: false });
+assert(silence.length < 200, 'Silence encodes as constant subframes');
+
+// Test 6: Format checks
+console.log('\nTest 6: Format checks');
+for (const [format, bitDepth, fragment] of [['flac', 32, 'does not support 32-bit'], ['mp3', 16, "Unknown audio format 'mp3'"]]) {
+    try {
+        checkAudioFormat(format, bitDepth);
+        assert(false, `${format} ${bitDepth}-bit should be rejected`);
+    } catch (err) {
+        assert(err.message.includes(fragment), `${format} ${bitDepth}-bit is rejected (${err.message})`);
+    }
+}
+
+console.log('\n✨ All tests passed! ✨\n');
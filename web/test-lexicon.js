@@ -0,0 +1,93 @@
+/**
+ * Simple test suite for lexicon.js
+ * Run with: node test-lexicon.js
+ */
+
+import { Lexicon, LexiconError } from './lexicon.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+function rejects(data, expected, message) {
+    try {
+        new Lexicon(data, { source: 'test.json' });
+    } catch (err) {
+        assert(err instanceof LexiconError && err.message.includes(expected), `${message} (${err.message})`);
+        return;
+    }
+    assert(false, message);
+}
+
+console.log('🧪 Testing pronunciation lexicons\n');
+
+// Test 1: Whole-word literal entries
+console.log('Test 1: Whole-word literal entries');
+const names = new Lexicon([
+    { match: 'SQL', replace: 'sequel' },
+    { match: 'C++', replace: 'C plus plus' },
+    { match: '.NET', replace: 'dot net' }
+]);
+assert(names.apply('SQL, sql and MySQL').text === 'sequel, sequel and MySQL', 'Matches any case, but only whole words');
+assert(names.apply('C++ and .NET.').text === 'C plus plus and dot net.', 'Entries with symbols at their edges still match');
+assert(names.apply('NoSQL_db').text === 'NoSQL_db', 'Underscores and digits count as word characters');
+const loose = new Lexicon([{ match: 'Wi-Fi', replace: 'why fye', wholeWord: false }]);
+assert(loose.apply('Wi-Fiber').text === 'why fyeber', 'wholeWord false matches inside words');
+
+// Test 2: Case-sensitive entries
+console.log('\nTest 2: Case-sensitive entries');
+const us = new Lexicon([{ match: 'US', replace: 'U S', caseSensitive: true }]);
+assert(us.apply('The US and us').text === 'The U S and us', 'caseSensitive entries skip other casings');
+
+// Test 3: Pattern entries
+console.log('\nTest 3: Pattern entries');
+const versions = new Lexicon([
+    { pattern: '\\bv(\\d+)\\.(\\d+)\\b', replace: 'version $1 point $2' },
+    { pattern: '(?<user>\\w+)@example\\.com', replace: '$<user> at example dot com' },
+    { pattern: 'ACME', replace: '$& ($$)', caseSensitive: true }
+]);
+assert(versions.apply('Update to v2.10 now').text === 'Update to version 2 point 10 now', 'Numbered groups are substituted');
+assert(versions.apply('Mail ann@example.com').text === 'Mail ann at example dot com', 'Named groups are substituted');
+assert(versions.apply('ACME acme').text === 'ACME ($) acme', '$& inserts the match and $$ a dollar sign');
+const dollars = new Lexicon([{ match: 'USD', replace: 'US $1' }]);
+assert(dollars.apply('USD').text === 'US $1', 'Literal entries insert their replacement as is');
+
+// Test 4: Precedence and match reports
+console.log('\nTest 4: Precedence and match reports');
+const first = new Lexicon([{ match: 'SQL', replace: 'S Q L' }], { source: 'team.json' });
+const merged = Lexicon.merge([first, names]);
+assert(merged.size === 4, 'Merged lexicons keep every entry');
+const { text, matches } = merged.apply('Use SQL with C++');
+assert(text === 'Use S Q L with C plus plus', 'Earlier lexicons win where both match');
+assert(matches.length === 2, 'Every replacement is reported');
+assert(matches[0].source === 'team.json' && matches[0].entry === 0 && matches[0].offset === 4, 'Reports name the source, entry and offset');
+assert(matches[1].match === 'C++' && matches[1].replacement === 'C plus plus', 'Reports give the matched text and its replacement');
+const chained = new Lexicon([{ match: 'a', replace: 'b' }, { match: 'b', replace: 'c' }]);
+assert(chained.apply('a b').text === 'b c', 'Replaced text is not matched again');
+assert(names.apply('Nothing here').matches.length === 0, 'Text without matches is reported as such');
+
+// Test 5: Unicode
+console.log('\nTest 5: Unicode');
+const cafe = new Lexicon([{ match: 'café', replace: 'kaffay' }]);
+assert(cafe.apply('Le cafe\u0301 est ouvert').text === 'Le kaffay est ouvert', 'Decomposed input matches composed entries');
+assert(cafe.apply('cafés').text === 'cafés', 'Accented letters count as word characters');
+assert(Lexicon.from({ entries: [{ match: 'x', replace: 'y' }] }).size === 1, 'Lexicon.from accepts { entries } objects');
+assert(Lexicon.from(cafe) === cafe, 'Lexicon.from returns lexicons as is');
+
+// Test 6: Validation
+console.log('\nTest 6: Validation');
+rejects({ words: [] }, 'array of entries', 'Data without entries is rejected');
+rejects([{ match: 'a' }], "'replace' string", 'Entries need a replacement');
+rejects([{ match: 'a', pattern: 'a', replace: '' }], "exactly one of 'match' or 'pattern'", 'Entries need exactly one of match and pattern');
+rejects([{ pattern: '(', replace: '' }], 'Invalid pattern', 'Invalid patterns are rejected');
+rejects([{ pattern: 'a', replace: '', wholeWord: true }], "'wholeWord' only applies", 'wholeWord is rejected on patterns');
+rejects([{ match: 'a', replace: '', casesensitive: true }], "Unknown lexicon entry field 'casesensitive'", 'Unknown fields are rejected');
+rejects([{ match: 'a', replace: 'b' }, { match: 'a', replace: 'b', caseSensitive: 'yes' }], 'test.json, entry 2', 'Errors name the source and entry');
+
+console.log('\n✨ All tests passed! ✨\n');
@@ -0,0 +1,67 @@
+/**
+ * Simple test suite for loudness.js
+ * Run with: node test-loudness.js
+ */
+
+import { measureLoudness, normalizeLoudness } from './loudness.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+function tone(frequency, sampleRate, seconds, amplitude = 1, phase = 0) {
+    return Float32Array.from({ length: Math.round(sampleRate * seconds) }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate + phase));
+}
+
+console.log('🧪 Testing loudness meter and normalization\n');
+
+// Test 1: BS.1770 reference level
+console.log('Test 1: BS.1770 reference level');
+for (const sampleRate of [48000, 44100, 24000]) {
+    const { integrated } = measureLoudness(tone(997, sampleRate, 5), sampleRate);
+    assert(Math.abs(integrated + 3.01) < 0.05, `A full-scale 997 Hz sine reads -3.01 LUFS at ${sampleRate} Hz (${integrated.toFixed(2)})`);
+}
+const quiet = measureLoudness(tone(1000, 48000, 5, 0.1), 48000);
+assert(Math.abs(quiet.integrated + 23) < 0.05, 'A -20 dBFS sine reads -23 LUFS');
+
+// Test 2: Gating
+console.log('\nTest 2: Gating');
+const gapped = new Float32Array(48000 * 10);
+gapped.set(tone(997, 48000, 5, 0.1));
+// Ungated, five seconds of silence would pull the reading down by 3 LU
+assert(Math.abs(measureLoudness(gapped, 48000).integrated + 23) < 0.2, 'Silence is gated out of the integrated loudness');
+assert(measureLoudness(new Float32Array(48000), 48000).integrated === -Infinity, 'Silence has no loudness');
+
+// Test 3: True peak
+console.log('\nTest 3: True peak');
+const interSample = tone(12000, 48000, 1, 1, Math.PI / 4);
+const measured = measureLoudness(interSample, 48000);
+assert(Math.abs(measured.samplePeak + 3.01) < 0.05, 'Samples of a quarter-rate sine at 45 degrees peak at -3 dBFS');
+assert(measured.truePeak > -0.5, `Oversampling finds the peak between samples (${measured.truePeak.toFixed(2)} dBTP)`);
+
+// Test 4: Normalization
+console.log('\nTest 4: Normalization');
+const source = tone(440, 24000, 3, 0.05);
+const normalized = normalizeLoudness(source, 24000, { target: -16 });
+assert(Math.abs(normalized.output.integrated + 16) < 0.1, 'Output reaches the target loudness');
+assert(Math.abs(normalized.gain - (-16 - normalized.input.integrated)) < 1e-9, 'Reported gain is target minus input loudness');
+assert(normalized.samples.length === source.length, 'Length is preserved');
+
+// Test 5: Limiting
+console.log('\nTest 5: Limiting');
+const spiky = tone(440, 24000, 3, 0.1);
+for (let i = 1200; i < spiky.length; i += 4800) {
+    spiky[i] = 0.3;
+}
+const limited = normalizeLoudness(spiky, 24000, { target: -14, truePeak: -2 });
+assert(limited.output.truePeak <= -2 + 1e-6, `True peak stays under the ceiling (${limited.output.truePeak.toFixed(2)} dBTP)`);
+assert(Math.abs(limited.output.integrated + 14) < 0.5, 'Limiting short peaks barely changes loudness');
+assert(normalizeLoudness(new Float32Array(100), 24000).gain === 0, 'Silence gets no gain');
+
+console.log('\n✨ All tests passed! ✨\n');
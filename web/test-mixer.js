@@ -211,9 +211,18 @@ for (const preset of personaPresets) {
     assert(typeof personaSampler[method] === 'function', `Persona preset ${preset} should exist`);
 }
 
+// Test 21: Loudness normalization at the end of a chain
+console.log('\nTest 21: Loudness normalization');
+const loudMixer = new VoiceMixer(24000);
+const speechLike = generateTestSignal(24000, 220).map(s => 0.05 * s);
+loudMixer.setBuffer(speechLike).dspEcho(100, 0.4, 2).dspNormalizeLoudness({ target: -20 });
+assertArrayLength(loudMixer.getBuffer(), 24000, 'Loudness normalization should preserve length');
+assert(Math.abs(loudMixer.loudness.integrated + 20) < 0.1, 'Chain output should reach the target loudness');
+assert(loudMixer.loudness.truePeak <= -1 + 1e-6, 'True peak should stay under the default ceiling');
+
 console.log('\n✨ All tests passed! ✨\n');
 console.log('Summary:');
-console.log('- 20 test suites executed');
+console.log('- 21 test suites executed');
 console.log('- All DSP effects working correctly');
 console.log('- All 8 singing presets available');
 console.log('- All 12 persona presets available');
@@ -0,0 +1,181 @@
+/**
+ * Simple test suite for model_cache.js, with stand-ins for fetch and the Cache API
+ * Run with: node test-model-cache.js
+ */
+
+import { sha256 } from './cache.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+const utf8 = text => new TextEncoder().encode(text);
+
+// Served files by URL: { chunks, headers }; every request is logged, and offline fails them all
+const server = {
+    files: new Map(),
+    requests: [],
+    offline: false,
+    serve(url, chunks, headers = {}) {
+        this.files.set(url, { chunks, headers });
+    }
+};
+
+globalThis.fetch = async (url) => {
+    server.requests.push(url);
+    if (server.offline) {
+        throw new TypeError('fetch failed');
+    }
+    const file = server.files.get(url);
+    if (!file) {
+        return new Response('Not found', { status: 404 });
+    }
+    const chunks = [...file.chunks];
+    const body = new ReadableStream({
+        pull(controller) {
+            if (chunks.length > 0) {
+                controller.enqueue(chunks.shift());
+            } else {
+                controller.close();
+            }
+        }
+    });
+    return new Response(body, { headers: file.headers });
+};
+
+// CacheStorage keeping responses in memory
+class FakeCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async match(url) {
+        return this.entries.get(url)?.clone();
+    }
+
+    async put(url, response) {
+        this.entries.set(url, response);
+    }
+}
+
+const stores = new Map();
+globalThis.caches = {
+    async open(name) {
+        if (!stores.has(name)) {
+            stores.set(name, new FakeCache());
+        }
+        return stores.get(name);
+    },
+    async keys() {
+        return [...stores.keys()];
+    },
+    async delete(name) {
+        return stores.delete(name);
+    }
+};
+
+// Imported after the stand-ins are in place, as ModelCache checks for the Cache API when constructed
+const { fetchWithProgress, ModelCache } = await import('./model_cache.js');
+
+console.log('🧪 Testing the model cache\n');
+
+// Test 1: Download progress
+console.log('Test 1: Download progress');
+{
+    server.serve('model.onnx', [utf8('abcd'), utf8('efgh'), utf8('ij')], { 'Content-Length': '10', 'Content-Type': 'application/octet-stream' });
+    const events = [];
+    const { data, contentType } = await fetchWithProgress('model.onnx', event => events.push(event));
+    assert(new TextDecoder().decode(data) === 'abcdefghij' && contentType === 'application/octet-stream', 'Chunks are joined into the file');
+    assert(events.map(event => event.loaded).join() === '0,4,8,10', 'Progress is reported from zero and after every chunk');
+    assert(events.every(event => event.total === 10), 'Content-Length is the total');
+
+    server.serve('gzipped.onnx', [utf8('abcd'), utf8('efgh')], { 'Content-Length': '5', 'Content-Encoding': 'gzip' });
+    const compressed = [];
+    await fetchWithProgress('gzipped.onnx', event => compressed.push(event));
+    assert(compressed.every(event => event.total === null), 'A compressed length is not taken as the total');
+
+    server.serve('short.onnx', [utf8('abcd'), utf8('efgh')], { 'Content-Length': '6' });
+    const overrun = [];
+    await fetchWithProgress('short.onnx', event => overrun.push(event));
+    assert(overrun[1].total === 6 && overrun[2].total === null, 'The total is dropped once more bytes arrive than announced');
+
+    const missing = await rejection(fetchWithProgress('missing.onnx'));
+    assert(missing?.message === 'Cannot load missing.onnx: HTTP 404', 'HTTP errors are thrown');
+}
+
+// Test 2: Versions
+console.log('\nTest 2: Versions');
+{
+    const configV1 = utf8('{"version": 1}');
+    server.serve('tts.json', [configV1]);
+    server.serve('model.onnx', [utf8('weights-1')], { 'Content-Length': '9' });
+    const cache = new ModelCache('models');
+    const config = await cache.loadConfig('tts.json');
+    const v1Name = `models-${sha256([configV1]).slice(0, 16)}`;
+    assert(new TextDecoder().decode(config) === '{"version": 1}' && cache.cacheName === v1Name, 'The cache is named after the hash of tts.json');
+
+    const first = [];
+    await cache.load('model.onnx', event => first.push(event));
+    server.requests.length = 0;
+    const second = [];
+    const cached = await cache.load('model.onnx', event => second.push(event));
+    assert(first.at(-1).cached === false && first.at(-1).loaded === 9, 'A first load downloads with byte progress');
+    assert(new TextDecoder().decode(cached) === 'weights-1' && server.requests.length === 0, 'A second load comes from the cache');
+    assert(second.length === 1 && second[0].cached === true && second[0].loaded === 9, 'A cached load reports its size once');
+
+    const configV2 = utf8('{"version": 2}');
+    server.serve('tts.json', [configV2]);
+    server.serve('model.onnx', [utf8('weights-2')]);
+    const updated = new ModelCache('models');
+    await updated.loadConfig('tts.json');
+    assert(updated.cacheName === `models-${sha256([configV2]).slice(0, 16)}`, 'A changed tts.json selects a new cache');
+    assert(!stores.has(v1Name), 'Caches of other versions are deleted');
+    assert(new TextDecoder().decode(await updated.load('model.onnx')) === 'weights-2', 'Models are downloaded again for the new version');
+
+    server.offline = true;
+    const offline = new ModelCache('models');
+    assert(new TextDecoder().decode(await offline.loadConfig('tts.json')) === '{"version": 2}', 'Offline, the cached tts.json is used');
+    assert(offline.cacheName === updated.cacheName && new TextDecoder().decode(await offline.load('model.onnx')) === 'weights-2', 'Offline, models load from the cached version');
+    const pinned = new ModelCache('models', { version: 'v9' });
+    assert((await rejection(pinned.loadConfig('tts.json')))?.message === 'fetch failed', 'Offline, a cache of another version is not used');
+    server.offline = false;
+
+    await pinned.loadConfig('tts.json');
+    assert(pinned.cacheName === 'models-v9', 'An explicit version names the cache');
+    const early = await rejection(new ModelCache('models').load('model.onnx'));
+    assert(early?.message === 'ModelCache.loadConfig must be called before load', 'load needs loadConfig first');
+
+    await pinned.clear();
+    assert((await caches.keys()).every(key => !key.startsWith('models-')) && pinned.cacheName === null, 'clear deletes every version');
+}
+
+// Test 3: Without the Cache API
+console.log('\nTest 3: Without the Cache API');
+{
+    const storage = globalThis.caches;
+    delete globalThis.caches;
+    const cache = new ModelCache('models');
+    globalThis.caches = storage;
+    await cache.loadConfig('tts.json');
+    server.requests.length = 0;
+    await cache.load('model.onnx');
+    await cache.load('model.onnx');
+    assert(!cache.available && server.requests.length === 2 && stores.size === 0, 'Files are downloaded on every load and nothing is stored');
+}
+
+console.log('\n✨ All tests passed! ✨\n');
@@ -0,0 +1,118 @@
+/**
+ * Table-driven tests for normalizer.js
+ * Run with: node test-normalizer.js
+ */
+
+import { normalizeText } from './normalizer.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+const CASES = {
+    'Cardinals and decimals': [
+        ['Room 101', 'Room one hundred one'],
+        ['1,000,000 people', 'one million people'],
+        ['pi is 3.14', 'pi is three point one four'],
+        ['-5 degrees', 'minus five degrees'],
+        ['MP3 and 4K', 'MP three and four K'],
+        ['#1 hit', 'number one hit']
+    ],
+    'Ordinals': [
+        ['21st', 'twenty-first'],
+        ['the 2nd and 3rd rows', 'the second and third rows'],
+        ['1,000th visitor', 'one thousandth visitor']
+    ],
+    'Currency': [
+        ['$1,250.50', 'one thousand two hundred fifty dollars and fifty cents'],
+        ['It costs $0.99.', 'It costs ninety-nine cents.'],
+        ['$1', 'one dollar'],
+        ['£3.01', 'three pounds and one penny'],
+        ['¥1000', 'one thousand yen'],
+        ['$2.5 million', 'two point five million dollars'],
+        ['a $5M deal', 'a five million dollars deal'],
+        ['$10-20', 'ten to twenty dollars'],
+        ['-$5', 'minus five dollars']
+    ],
+    'Percentages': [
+        ['45%', 'forty-five percent'],
+        ['3.5 %', 'three point five percent'],
+        ['10-20%', 'ten to twenty percent']
+    ],
+    'Dates': [
+        ['2026-10-19', 'October nineteenth, twenty twenty-six'],
+        ['10/19/2026', 'October nineteenth, twenty twenty-six'],
+        ['19/10/2026', 'the nineteenth of October twenty twenty-six'],
+        ['19.10.2026', 'the nineteenth of October twenty twenty-six'],
+        ['October 19, 2026', 'October nineteenth, twenty twenty-six'],
+        ['Oct. 19th', 'October nineteenth'],
+        ['19 October 2026', 'the nineteenth of October twenty twenty-six'],
+        ['The 4th of July', 'The fourth of July'],
+        ['2026-13-45', 'two zero two six, one three, four five']
+    ],
+    'Years and decades': [
+        ['born in 1980', 'born in nineteen eighty'],
+        ['since 2005', 'since two thousand five'],
+        ['We sold 1500 units', 'We sold one thousand five hundred units'],
+        ['the 1990s', 'the nineteen nineties'],
+        ["the '80s", 'the eighties'],
+        ['44 BC', 'forty-four B C']
+    ],
+    'Times': [
+        ['3:45 PM', 'three forty-five P M'],
+        ['3:05', 'three oh five'],
+        ['12:00', "twelve o'clock"],
+        ['15:30', 'fifteen thirty'],
+        ['9:05:30 a.m.', 'nine oh five and thirty seconds A M.'],
+        ['at 3pm', 'at three P M'],
+        ['at 3 p.m. tomorrow', 'at three P M tomorrow'],
+        ['at 3 p.m. Then', 'at three P M. Then']
+    ],
+    'Units': [
+        ['10km', 'ten kilometers'],
+        ['1 kg', 'one kilogram'],
+        ['2.5 kg', 'two point five kilograms'],
+        ['20°C', 'twenty degrees Celsius'],
+        ['100 mph', 'one hundred miles per hour'],
+        ['60 km/h', 'sixty kilometers per hour'],
+        ['in 5 min', 'in five minutes'],
+        ['16 GB', 'sixteen gigabytes'],
+        ['5 minutes', 'five minutes']
+    ],
+    'Ranges': [
+        ['pages 10-20', 'pages ten to twenty'],
+        ['5-10 km', 'five to ten kilometers'],
+        ['from 2020–2024', 'from twenty twenty to twenty twenty-four'],
+        ['score 3-2', 'score three-two']
+    ],
+    'Fractions and other groups': [
+        ['1⁄2 cup', 'one half cup'],
+        ['1 1/2 cups', 'one and one half cups'],
+        ['2/3', 'two thirds'],
+        ['Call 555-123-4567', 'Call five five five, one two three, four five six seven'],
+        ['v1.2.3.', 'version one point two point three.'],
+        ['COVID-19', 'COVID-nineteen']
+    ],
+    'Text without numbers': [
+        ['Hello, world!', 'Hello, world!'],
+        ['I am here at 5', 'I am here at five']
+    ]
+};
+
+console.log('🧪 Testing text normalizer\n');
+
+for (const [group, cases] of Object.entries(CASES)) {
+    console.log(`\n${group}`);
+    for (const [input, expected] of cases) {
+        const actual = normalizeText(input);
+        assert(actual === expected, `"${input}" -> "${expected}"${actual === expected ? '' : ` (got "${actual}")`}`);
+    }
+}
+
+console.log('\n✨ All tests passed! ✨\n');
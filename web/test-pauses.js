@@ -0,0 +1,64 @@
+/**
+ * Simple test suite for pauses.js
+ * Run with: node test-pauses.js
+ */
+
+import { boundaryAfter, resolvePauses, trimSilence } from './pauses.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+function assertThrows(fn, fragment, message) {
+    try {
+        fn();
+    } catch (err) {
+        assert(err.message.includes(fragment), `${message} (${err.message})`);
+        return;
+    }
+    assert(false, `${message} (no error thrown)`);
+}
+
+console.log('🧪 Testing pause model and silence trimming\n');
+
+// Test 1: Pause lengths
+console.log('Test 1: Pause lengths');
+const defaults = resolvePauses(0.3);
+assert(defaults.sentence === 0.3 && defaults.clause === 0.15 && defaults.paragraph === 0.6, 'Clause and paragraph pauses scale with the sentence pause');
+const custom = resolvePauses(0.3, { sentence: 0.5, paragraph: 0.8 });
+assert(custom.clause === 0.25 && custom.sentence === 0.5 && custom.paragraph === 0.8, 'Overrides replace single pauses, the rest follow the sentence pause');
+assert(resolvePauses(0).paragraph === 0, 'Zero silence gives zero pauses');
+assertThrows(() => resolvePauses(0.3, { comma: 0.1 }), "Unknown pause kind 'comma'", 'Unknown pause kinds are rejected');
+assertThrows(() => resolvePauses(0.3, { clause: -1 }), 'clause pause must be a non-negative number', 'Negative pauses are rejected');
+
+// Test 2: Boundaries
+console.log('\nTest 2: Boundaries');
+assert(boundaryAfter('It ended.') === 'sentence', 'A period ends a sentence');
+assert(boundaryAfter('Really?”') === 'sentence', 'Closing quotes after a question mark still end a sentence');
+assert(boundaryAfter('and then, ') === 'clause', 'A comma is a clause boundary');
+assert(boundaryAfter('mid sentence') === 'clause', 'Text without punctuation is a clause boundary');
+
+// Test 3: Trimming
+console.log('\nTest 3: Trimming');
+const sampleRate = 1000;
+const padded = new Float32Array(1000);
+for (let i = 300; i < 700; i++) {
+    padded[i] = Math.sin(i / 3) * 0.5;
+}
+padded[100] = 0.001;
+const trimmed = trimSilence(padded, sampleRate);
+assert(trimmed.length === 460, `Trimmed to the speech plus 30 ms padding on each side (${trimmed.length} samples)`);
+assert(trimmed[30] === padded[300], 'Speech starts right after the leading padding');
+assert(trimSilence(padded, sampleRate, { padding: 0 }).length === 400, 'Zero padding keeps only the speech');
+assert(trimSilence(padded, sampleRate, { threshold: -80 }).length === 660, 'A lower threshold keeps quiet sounds');
+const silent = new Float32Array(500);
+assert(trimSilence(silent, sampleRate) === silent, 'Silent input is returned whole');
+assert(Array.isArray(trimSilence(Array.from(padded), sampleRate)), 'Arrays stay arrays');
+
+console.log('\n✨ All tests passed! ✨\n');
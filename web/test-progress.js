@@ -0,0 +1,174 @@
+/**
+ * Simple test suite for progress.js and the progress events of synthesis calls
+ * Run with: node test-progress.js
+ */
+
+import { Style, TextToSpeech, UnicodeProcessor } from './helper.js';
+import { ProgressTracker, STAGES, describeProgress, formatRemaining } from './progress.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+function close(a, b) {
+    return Math.abs(a - b) < 1e-9;
+}
+
+// Tracker with a manual clock, collecting its events
+function makeTracker(chunkLengths, stepCount) {
+    const clock = { ms: 0 };
+    const events = [];
+    const tracker = new ProgressTracker(chunkLengths, stepCount, event => events.push(event), { now: () => clock.ms });
+    return { tracker, events, clock };
+}
+
+// Run one batch through every stage, advancing the clock a second per model run
+function runBatch(tracker, clock, start, end, stepCount) {
+    const report = tracker.batch(start, end);
+    report('duration');
+    clock.ms += 1000;
+    report('encode');
+    clock.ms += 1000;
+    for (let step = 0; step < stepCount; step++) {
+        report('denoise', step);
+        clock.ms += 1000;
+    }
+    report('vocode');
+    clock.ms += 1000;
+}
+
+// TextToSpeech whose _infer reports every model run and returns 10 samples per text
+function makeTextToSpeech() {
+    const cfgs = { ae: { sample_rate: 100, base_chunk_size: 4 }, ttl: { chunk_compress_factor: 2, latent_dim: 3 } };
+    const textToSpeech = new TextToSpeech(cfgs, new UnicodeProcessor([]), null, null, null, null);
+    textToSpeech._infer = async (textList, style, totalStep, speed, report, options) => {
+        report?.('duration');
+        report?.('encode');
+        for (let step = 0; step < totalStep; step++) {
+            report?.('denoise', step);
+        }
+        report?.('vocode');
+        return { wav: new Array(textList.length * 10).fill(0.5), duration: textList.map(() => 0.1), seed: options.seed };
+    };
+    return textToSpeech;
+}
+
+const style = new Style({ dims: [1, 1, 1], data: new Float32Array(1) }, { dims: [1, 1, 1], data: new Float32Array(1) });
+// Three chunks, one per paragraph
+const text = 'The first one.\n\nThen a second.\n\nAnd a third.';
+
+console.log('🧪 Testing progress events\n');
+
+// Test 1: Event fields
+console.log('Test 1: Event fields');
+{
+    const { tracker, events, clock } = makeTracker([10, 10], 2);
+    runBatch(tracker, clock, 0, 1, 2);
+    assert(events.length === 5, 'One event per model run (duration, encode, two steps, vocode)');
+    assert(events.map(event => event.stage).join() === 'duration,encode,denoise,denoise,vocode', 'Stages come in model order');
+    assert(events.every(event => STAGES.includes(event.stage)), 'Every stage is one of STAGES');
+    assert(events[2].stepIndex === 0 && events[3].stepIndex === 1 && events[3].stepCount === 2, 'Denoise events carry the 0-based step');
+    assert(events[0].stepIndex === null && events[4].stepIndex === null, 'Other stages have no step');
+    assert(events.every(event => event.chunkIndex === 0 && event.chunkCount === 2), 'Events carry the chunk and the chunk count');
+    assert(events[0].progress === 0 && events[0].remaining === null, 'The first event has no progress and no estimate');
+    assert(events[1].elapsed === 1, 'Elapsed time is in seconds');
+}
+
+// Test 2: Progress and estimate
+console.log('\nTest 2: Progress and estimate');
+{
+    const { tracker, events, clock } = makeTracker([10, 30], 1);
+    runBatch(tracker, clock, 0, 1, 1);
+    runBatch(tracker, clock, 1, 2, 1);
+    for (let i = 1; i < events.length; i++) {
+        assert(events[i].progress >= events[i - 1].progress, `Progress never goes back (event ${i})`);
+    }
+    // The first chunk is a quarter of the text, so it is a quarter of the work
+    const secondChunk = events.find(event => event.chunkIndex === 1);
+    assert(close(secondChunk.progress, 0.25), 'Work is weighted by chunk length');
+    assert(close(secondChunk.remaining, 4 * 3), 'The estimate extrapolates the pace so far');
+    assert(events[events.length - 1].progress < 1, 'The last run is not counted before it finishes');
+}
+
+// Test 3: Batches and skipped chunks
+console.log('\nTest 3: Batches and skipped chunks');
+{
+    const { tracker, events, clock } = makeTracker([5, 5, 10], 1);
+    tracker.skip(0);
+    runBatch(tracker, clock, 1, 3, 1);
+    assert(events.every(event => event.chunkIndex === 1 && event.chunkCount === 3), 'A batch reports its first chunk');
+    assert(close(events[1].progress, 0.25), 'A batch counts the work of all its chunks');
+    assert(close(events[3].progress, 0.75), 'A skipped chunk is taken out of the total');
+
+    const empty = makeTracker([0], 1);
+    runBatch(empty.tracker, empty.clock, 0, 1, 1);
+    assert(empty.events[1].progress > 0, 'An empty chunk still counts as work');
+
+    const allSkipped = makeTracker([4], 1);
+    allSkipped.tracker.skip(0);
+    allSkipped.tracker.start('duration', 0, 1);
+    assert(allSkipped.events[0].progress === 1, 'A call with no work left is complete');
+}
+
+// Test 4: Completion
+console.log('\nTest 4: Completion');
+{
+    const { tracker, events, clock } = makeTracker([10, 30], 1);
+    runBatch(tracker, clock, 0, 2, 1);
+    tracker.finish();
+    const done = events[events.length - 1];
+    assert(done.stage === 'done' && done.progress === 1 && done.remaining === 0, 'finish reports progress 1 with nothing remaining');
+    assert(done.chunkIndex === 1 && done.chunkCount === 2 && done.stepIndex === null && done.elapsed === 4, 'The done event carries the last chunk and the elapsed time');
+
+    const textToSpeech = makeTextToSpeech();
+    const callEvents = [];
+    const result = await textToSpeech.call(text, style, 2, 1, 0.1, event => callEvents.push(event), { seed: 1, batchSize: 1, trimSilence: false });
+    const last = callEvents[callEvents.length - 1];
+    assert(result.timings.length === 3 && last.stage === 'done' && last.progress === 1, 'call ends with a done event at progress 1');
+    assert(callEvents.filter(event => event.stage === 'done').length === 1 && callEvents.length === 3 * 5 + 1, 'The done event comes once, after every model run');
+    assert(callEvents.slice(0, -1).every(event => event.progress < 1), 'Only the done event reaches 1');
+
+    const loudEvents = [];
+    await textToSpeech.call(text, style, 2, 1, 0.1, event => loudEvents.push(event), { seed: 1, trimSilence: false, loudness: true, outputSampleRate: 200 });
+    assert(loudEvents[loudEvents.length - 1].stage === 'done', 'Resampled and normalized calls end with done too');
+
+    const ssmlEvents = [];
+    await textToSpeech.callSsml('<speak>Hi.<break time="1s"/>There.</speak>', style, 2, 1, 0.1, event => ssmlEvents.push(event), { seed: 1 });
+    const dialogueEvents = [];
+    await textToSpeech.callDialogue('M1: Hi.\nF1: Hello.', { M1: style, F1: style }, 2, 1, 0.2, event => dialogueEvents.push(event), { seed: 1 });
+    const batchEvents = [];
+    await textToSpeech.batch(['A.', 'B.'], new Style({ dims: [2, 1, 1] }, { dims: [2, 1, 1] }), 2, 1, event => batchEvents.push(event), { seed: 1 });
+    assert([ssmlEvents, dialogueEvents, batchEvents].every(list => list[list.length - 1].stage === 'done' && list.filter(event => event.stage === 'done').length === 1),
+        'SSML, dialogue and batch calls end with one done event');
+
+    const streamEvents = [];
+    const seen = [];
+    for await (const piece of textToSpeech.stream(text, style, 2, 1, event => streamEvents.push(event), { seed: 1, batchSize: 1 })) {
+        seen.push(streamEvents.some(event => event.stage === 'done'));
+    }
+    assert(seen.every(done => !done) && streamEvents[streamEvents.length - 1].stage === 'done', 'A stream reports done after its last chunk');
+    const stoppedEvents = [];
+    for await (const piece of textToSpeech.stream(text, style, 2, 1, event => stoppedEvents.push(event), { seed: 1, batchSize: 1 })) {
+        break;
+    }
+    assert(!stoppedEvents.some(event => event.stage === 'done'), 'A stream stopped early never reports done');
+    assert(describeProgress(last) === 'chunk 3/3, done', 'The done event describes itself');
+}
+
+// Test 5: Formatting
+console.log('\nTest 5: Formatting');
+const base = { chunkIndex: 2, chunkCount: 7, stepIndex: null, stepCount: 5 };
+assert(describeProgress({ ...base, stage: 'denoise', stepIndex: 1 }) === 'chunk 3/7, denoising 2/5', 'Denoise events show the 1-based step');
+assert(describeProgress({ ...base, stage: 'vocode' }) === 'chunk 3/7, vocoding', 'Other stages show their name');
+assert(formatRemaining(null) === '', 'No estimate formats as an empty string');
+assert(formatRemaining(7.2) === '8s', 'Seconds round up');
+assert(formatRemaining(125) === '2m 05s', 'Minutes pad the seconds');
+assert(formatRemaining(Infinity) === '', 'An infinite estimate is no estimate');
+
+console.log('\n✨ All tests passed! ✨\n');
@@ -0,0 +1,39 @@
+/**
+ * Simple test suite for random.js
+ * Run with: node test-random.js
+ */
+
+import { createRng } from './random.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+function draw(rng, count) {
+    return Array.from({ length: count }, () => rng());
+}
+
+console.log('🧪 Testing the seeded generator\n');
+
+// Test 1: Reproducibility
+console.log('Test 1: Reproducibility');
+const first = draw(createRng(42), 3);
+assert(first.join() === '0.6011037519201636,0.44829055899754167,0.8524657934904099', 'Seed 42 gives the reference mulberry32 sequence');
+assert(draw(createRng(42), 100).join() === draw(createRng(42), 100).join(), 'The same seed gives the same sequence');
+assert(draw(createRng(42), 3).join() !== draw(createRng(43), 3).join(), 'Different seeds give different sequences');
+assert(draw(createRng(2 ** 32 + 42), 3).join() === first.join(), 'Seeds are taken as uint32');
+
+// Test 2: Range
+console.log('\nTest 2: Range');
+const values = draw(createRng(7), 10000);
+assert(values.every(value => value >= 0 && value < 1), 'Values are in [0, 1)');
+const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+assert(Math.abs(mean - 0.5) < 0.02, `Values are spread evenly (mean ${mean.toFixed(3)})`);
+
+console.log('\n✨ All tests passed! ✨\n');
@@ -0,0 +1,69 @@
+/**
+ * Simple test suite for resampler.js
+ * Run with: node test-resampler.js
+ */
+
+import { resample } from './resampler.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+function tone(frequency, sampleRate, length) {
+    return Float32Array.from({ length }, (_, i) => Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+// Level in dB relative to a full-scale sine, ignoring filter edge effects
+function levelDb(samples) {
+    const margin = Math.floor(samples.length / 10);
+    let sum = 0;
+    for (let i = margin; i < samples.length - margin; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return 10 * Math.log10(sum / (samples.length - 2 * margin) / 0.5);
+}
+
+console.log('🧪 Testing resampler\n');
+
+// Test 1: Lengths
+console.log('Test 1: Lengths');
+assert(resample(new Float32Array(24000), 24000, 48000).length === 48000, 'Upsampling doubles the length');
+assert(resample(new Float32Array(44100), 44100, 16000).length === 16000, 'Downsampling by a non-integer ratio');
+assert(resample([0.1, 0.2], 16000, 16000).join() === Float32Array.from([0.1, 0.2]).join(), 'Equal rates return a copy');
+
+// Test 2: Passband accuracy
+console.log('\nTest 2: Passband accuracy');
+for (const [from, to] of [[24000, 44100], [44100, 48000], [44100, 16000]]) {
+    const output = resample(tone(1000, from, from), from, to);
+    const expected = tone(1000, to, output.length);
+    const error = output.map((s, i) => s - expected[i]);
+    assert(levelDb(error) < -80, `${from} -> ${to}: a 1 kHz tone is reproduced (error ${levelDb(error).toFixed(1)} dB)`);
+}
+const dc = resample(new Float32Array(2000).fill(0.5), 24000, 44100);
+assert(Math.abs(dc[1800] - 0.5) < 1e-6, 'DC gain is one');
+
+// Test 3: Anti-aliasing
+console.log('\nTest 3: Anti-aliasing');
+for (const to of [8000, 16000]) {
+    const alias = resample(tone(to * 0.6, 44100, 44100), 44100, to);
+    assert(levelDb(alias) < -80, `Tones above ${to / 2} Hz are removed before downsampling to ${to} Hz (${levelDb(alias).toFixed(1)} dB)`);
+}
+
+// Test 4: Errors
+console.log('\nTest 4: Errors');
+for (const [args, fragment] of [[[[0], 24000, 0], 'toRate must be'], [[[0], 24000, 16000, { quality: 'best' }], "Unknown resampling quality 'best'"]]) {
+    try {
+        resample(...args);
+        assert(false, `${fragment} should throw`);
+    } catch (err) {
+        assert(err.message.includes(fragment), `Invalid arguments are rejected (${err.message})`);
+    }
+}
+
+console.log('\n✨ All tests passed! ✨\n');
@@ -0,0 +1,103 @@
+/**
+ * Simple test suite for ssml.js
+ * Run with: node test-ssml.js
+ */
+
+import { parseSsml, SsmlError } from './ssml.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+function assertThrowsSsml(source, fragment, message) {
+    try {
+        parseSsml(source);
+    } catch (err) {
+        assert(err instanceof SsmlError && err.message.includes(fragment), `${message} (${err.message})`);
+        return;
+    }
+    assert(false, `${message} (no error thrown)`);
+}
+
+function speechTexts(segments) {
+    return segments.filter(s => s.type === 'speech').map(s => s.text);
+}
+
+console.log('🧪 Testing SSML parser\n');
+
+// Test 1: Plain speak document
+console.log('Test 1: Plain speak document');
+const plain = parseSsml('<speak>Hello   world.</speak>');
+assert(plain.length === 1, 'Should produce one segment');
+assert(plain[0].text === 'Hello world.' && plain[0].rate === 1 && plain[0].voice === null, 'Whitespace collapsed with default rate and voice');
+
+// Test 2: Sentences and paragraphs split segments
+console.log('\nTest 2: Sentences and paragraphs');
+const paras = parseSsml('<speak><p><s>One.</s><s>Two.</s></p><p>Three.</p></speak>');
+assert(speechTexts(paras).join('|') === 'One.|Two.|Three.', 'Each <s> and <p> becomes its own segment');
+assert(paras.every(s => s.type === 'speech'), 'Boundaries do not add explicit pauses');
+assert(paras.map(s => s.boundary).join('|') === '|sentence|paragraph', 'Segments record the boundary before them, paragraphs outranking sentences');
+
+// Test 3: Breaks
+console.log('\nTest 3: Breaks');
+const breaks = parseSsml('<speak>A.<break time="500ms"/><break time="1.5s"/>B.<break strength="strong"/>C.<break/></speak>');
+assert(breaks[1].type === 'pause' && Math.abs(breaks[1].duration - 2.0) < 1e-9, 'Consecutive breaks are merged (0.5s + 1.5s)');
+assert(breaks[3].type === 'pause' && breaks[3].duration === 0.7, 'Strength "strong" maps to 0.7s');
+assert(breaks[breaks.length - 1].type === 'pause' && breaks[breaks.length - 1].duration === 0.4, 'Bare <break/> defaults to medium');
+assert(parseSsml('<speak>A.<break time="99999s"/>B.</speak>')[1].duration === 10, 'Long breaks are capped at 10s');
+assert(parseSsml('<speak>A.<break time="8s"/><break time="8000ms"/>B.</speak>')[1].duration === 10, 'Merged breaks are capped at 10s too');
+
+// Test 4: Prosody rate
+console.log('\nTest 4: Prosody rate');
+const prosody = parseSsml('<speak><prosody rate="slow">Slow <prosody rate="+50%">faster</prosody></prosody> <prosody rate="120%">Quick</prosody></speak>');
+assert(prosody[0].rate === 0.8, 'Keyword "slow" maps to 0.8');
+assert(Math.abs(prosody[1].rate - 1.2) < 1e-9, 'Nested relative rate multiplies (0.8 * 1.5)');
+assert(prosody[2].rate === 1.2, 'Percentage rate "120%" maps to 1.2');
+
+// Test 5: say-as
+console.log('\nTest 5: say-as');
+const sayAs = [
+    ['<say-as interpret-as="characters">NASA</say-as>', 'N A S A'],
+    ['<say-as interpret-as="characters">a1</say-as>', 'A one'],
+    ['<say-as interpret-as="cardinal">1,250</say-as>', 'one thousand two hundred fifty'],
+    ['<say-as interpret-as="cardinal">-3.5</say-as>', 'minus three point five'],
+    ['<say-as interpret-as="ordinal">21st</say-as>', 'twenty-first'],
+    ['<say-as interpret-as="date">2026-10-19</say-as>', 'October nineteenth, twenty twenty-six'],
+    ['<say-as interpret-as="date" format="dmy">19/10/2026</say-as>', 'the nineteenth of October twenty twenty-six'],
+    ['<say-as interpret-as="date" format="md">3/2</say-as>', 'March second']
+];
+for (const [markup, expected] of sayAs) {
+    const text = speechTexts(parseSsml(`<speak>${markup}</speak>`))[0];
+    assert(text === expected, `${markup} -> "${expected}" (got "${text}")`);
+}
+
+// Test 6: sub, voice and entities
+console.log('\nTest 6: sub, voice and entities');
+const misc = parseSsml('<speak><sub alias="World Wide Web">WWW</sub> &amp; <voice name="F2">Hi &lt;there&gt;</voice></speak>');
+assert(misc[0].text === 'World Wide Web &', 'Alias replaces content and entities are decoded');
+assert(misc[1].voice === 'F2' && misc[1].text === 'Hi <there>', 'Voice switch starts a new segment');
+assert(parseSsml('<speak>&#x1F600;&#10175;&#x10FFFF;</speak>')[0].text === '\u{1F600}\u27BF\u{10FFFF}', 'Character references up to U+10FFFF are decoded');
+
+// Test 7: Errors
+console.log('\nTest 7: Errors');
+assertThrowsSsml('Hello', 'single <speak> root', 'Missing <speak> root is rejected');
+assertThrowsSsml('<speak><emphasis>x</emphasis></speak>', 'Unsupported SSML tag <emphasis>', 'Unsupported tags are rejected');
+assertThrowsSsml('<speak><prosody pitch="high">x</prosody></speak>', "attribute 'pitch'", 'Unsupported prosody attributes are rejected');
+assertThrowsSsml('<speak><break time="soon"/></speak>', "Invalid <break> time 'soon'", 'Invalid break time is rejected');
+assertThrowsSsml('<speak><prosody rate="0">x</prosody></speak>', "Invalid <prosody> rate '0', the rate must be positive", 'A zero rate is rejected');
+assertThrowsSsml('<speak><prosody rate="-100%">x</prosody></speak>', "rate '-100%', the rate must be positive", 'A rate lowered by 100% is rejected');
+assertThrowsSsml('<speak>\n<prosody rate="-150%">x</prosody></speak>', 'line 2, column 1', 'A negative rate is rejected with its position');
+assertThrowsSsml(`<speak><prosody rate="${'9'.repeat(400)}">x</prosody></speak>`, 'the rate must be positive', 'An infinite rate is rejected');
+assertThrowsSsml('<speak>&#x110000;</speak>', 'Invalid character reference &#x110000;', 'Hex character references beyond Unicode are rejected');
+assertThrowsSsml('<speak>\n  <sub alias="&#99999999;">x</sub></speak>', 'line 2, column 3', 'Decimal character references beyond Unicode are rejected with their position');
+assertThrowsSsml('<speak><say-as interpret-as="telephone">1</say-as></speak>', "interpret-as 'telephone'", 'Unsupported say-as is rejected');
+assertThrowsSsml('<speak><p>x</speak>', 'Unexpected closing tag </speak>', 'Mismatched tags are rejected');
+assertThrowsSsml('<speak>\n  <s>x</speak>', 'line 2, column 7', 'Errors report line and column');
+
+console.log('\n✨ All tests passed! ✨\n');
@@ -0,0 +1,79 @@
+/**
+ * Simple test suite for subtitles.js
+ * Run with: node test-subtitles.js
+ */
+
+import { estimateWordTimings, timingsToCues, toSrt, toWebVtt } from './subtitles.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+function close(a, b) {
+    return Math.abs(a - b) < 1e-9;
+}
+
+function chunk(text, start, end) {
+    return { text, start, end, words: estimateWordTimings(text, start, end) };
+}
+
+console.log('🧪 Testing timing estimation and subtitle export\n');
+
+// Test 1: Word timings
+console.log('Test 1: Word timings');
+const words = estimateWordTimings('I am here', 1, 3);
+assert(words.map(w => w.word).join() === 'I,am,here', 'Words are split on whitespace');
+assert(words[0].start === 1 && words[2].end === 3, 'Words span the chunk from start to end');
+// Weights 1 + 2 + 4 plus two one-character gaps: 9 units over 2 seconds
+assert(close(words[1].end - words[1].start, 2 * 2 / 9) && close(words[2].start - words[1].end, 2 / 9), 'Time follows spoken characters with a gap between words');
+// 'Hi,' weighs 2 plus a pause of 2, 'you' 3, plus one gap: the pause and gap take 3 of 8 units
+const paused = estimateWordTimings('Hi, you', 0, 1);
+assert(close(paused[1].start - paused[0].end, 3 / 8), 'Trailing punctuation adds a pause after the word');
+assert(close(estimateWordTimings('Done.', 0, 1)[0].end, 1), 'The last word takes no pause of its own');
+assert(estimateWordTimings('   ', 0, 1).length === 0, 'Blank text has no words');
+for (let i = 1; i < words.length; i++) {
+    assert(words[i].start >= words[i - 1].end, `Word ${i} starts after the previous one ends`);
+}
+
+// Test 2: Cues
+console.log('\nTest 2: Cues');
+const timings = [chunk('The quick brown fox jumps.', 0, 2), chunk('Over the dog.', 2.5, 3.5)];
+const chunkCues = timingsToCues(timings);
+assert(chunkCues.length === 2 && chunkCues[1].text === 'Over the dog.' && chunkCues[1].start === 2.5, 'One cue per chunk by default');
+assert(timingsToCues(timings, { level: 'word' }).length === 8, 'One cue per word at word level');
+const split = timingsToCues(timings, { maxCharsPerCue: 15 });
+assert(split.map(cue => cue.text).join('|') === 'The quick brown|fox jumps.|Over the dog.', 'Long chunks are split at word boundaries');
+assert(split.every(cue => cue.text.length <= 15), 'Split cues stay within maxCharsPerCue');
+assert(split[0].start === 0 && split[1].end === 2 && split[0].end === timings[0].words[2].end, 'Split cues take the times of their words');
+const longWord = timingsToCues([chunk('Supercalifragilistic word', 0, 1)], { maxCharsPerCue: 5 });
+assert(longWord[0].text === 'Supercalifragilistic', 'A word longer than the limit gets a cue of its own');
+let levelError = '';
+try {
+    timingsToCues(timings, { level: 'line' });
+} catch (err) {
+    levelError = err.message;
+}
+assert(levelError.includes("Unknown subtitle level 'line'"), 'Unknown levels are rejected');
+
+// Test 3: SRT
+console.log('\nTest 3: SRT');
+const srt = toSrt([{ text: 'Hello.', start: 0, end: 1.5, words: [] }, { text: 'Later.', start: 3725.0424, end: 3726, words: [] }]);
+assert(srt === '1\n00:00:00,000 --> 00:00:01,500\nHello.\n\n2\n01:02:05,042 --> 01:02:06,000\nLater.\n', 'Numbered cues with comma-separated milliseconds');
+assert(toSrt([{ text: 'x', start: -0.2, end: 0.1, words: [] }]).includes('00:00:00,000 --> 00:00:00,100'), 'Negative times are clamped to zero');
+
+// Test 4: WebVTT
+console.log('\nTest 4: WebVTT');
+const vtt = toWebVtt([{ text: 'Hello.', start: 0, end: 1.5, words: [] }]);
+assert(vtt === 'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nHello.\n', 'Header and cues with dot-separated milliseconds');
+const markup = toWebVtt([{ text: 'Tom & Jerry <3 cats.', start: 0, end: 1, words: [] }]);
+assert(markup.endsWith('\nTom &amp; Jerry &lt;3 cats.\n'), 'Ampersands and angle brackets are escaped');
+const arrow = toWebVtt([{ text: 'A --> B', start: 0, end: 1, words: [] }]);
+assert(arrow.endsWith('\nA --&gt; B\n') && arrow.split('-->').length === 2, 'An arrow in the text cannot end the cue');
+
+console.log('\n✨ All tests passed! ✨\n');
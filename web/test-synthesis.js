@@ -0,0 +1,188 @@
+/**
+ * Simple test suite for the synthesis pipeline in helper.js, with stand-ins for the ONNX sessions
+ * Run with: node test-synthesis.js
+ */
+
+import { Style, TextToSpeech, UnicodeProcessor } from './helper.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+const SAMPLE_RATE = 100;
+// Samples per latent frame: base_chunk_size * chunk_compress_factor
+const FRAME = 8;
+// latent_dim * chunk_compress_factor
+const LATENT_DIM = 6;
+
+/**
+ * TextToSpeech over stand-in sessions that record their feeds. Each text lasts 0.25 s
+ * per character; every denoising step adds 1 to the latent, and the vocoder repeats the
+ * first latent channel of each frame, so the audio follows the sampled noise.
+ */
+function makeTextToSpeech() {
+    const cfgs = { ae: { sample_rate: SAMPLE_RATE, base_chunk_size: 4 }, ttl: { chunk_compress_factor: 2, latent_dim: 3 } };
+    const runs = { duration: [], encode: [], denoise: [], vocode: [] };
+    const dpOrt = {
+        run: async (feeds) => {
+            runs.duration.push(feeds);
+            const [batch, , length] = feeds.text_mask.dims;
+            const duration = new Float32Array(batch);
+            for (let b = 0; b < batch; b++) {
+                duration[b] = 0.25 * feeds.text_mask.data.subarray(b * length, (b + 1) * length).reduce((sum, x) => sum + x, 0);
+            }
+            return { duration: { data: duration } };
+        }
+    };
+    const textEncOrt = {
+        run: async (feeds) => {
+            runs.encode.push(feeds);
+            return { text_emb: { dims: [feeds.text_ids.dims[0], 4, feeds.text_ids.dims[1]] } };
+        }
+    };
+    const vectorEstOrt = {
+        run: async (feeds) => {
+            runs.denoise.push({ ...feeds, noisyData: Float32Array.from(feeds.noisy_latent.data) });
+            return { denoised_latent: { data: feeds.noisy_latent.data.map(x => x + 1) } };
+        }
+    };
+    const vocoderOrt = {
+        run: async (feeds) => {
+            runs.vocode.push(feeds);
+            const [batch, dim, length] = feeds.latent.dims;
+            const wav = new Float32Array(batch * length * FRAME);
+            for (let b = 0; b < batch; b++) {
+                for (let i = 0; i < length * FRAME; i++) {
+                    wav[b * length * FRAME + i] = feeds.latent.data[b * dim * length + Math.floor(i / FRAME)];
+                }
+            }
+            return { wav_tts: { data: wav } };
+        }
+    };
+    const textProcessor = new UnicodeProcessor(Array.from({ length: 0x3000 }, (_, i) => i));
+    return { textToSpeech: new TextToSpeech(cfgs, textProcessor, dpOrt, textEncOrt, vectorEstOrt, vocoderOrt), runs };
+}
+
+// The stand-in sessions only read the batch size of the style tensors
+const style = new Style({ dims: [1, 1, 1], data: new Float32Array(1) }, { dims: [1, 1, 1], data: new Float32Array(1) });
+// One chunk per paragraph
+const text = 'The first one.\n\nThen a second.\n\nAnd a third.';
+
+console.log('🧪 Testing the synthesis pipeline\n');
+
+// Test 1: Streaming
+console.log('Test 1: Streaming');
+{
+    const { textToSpeech, runs } = makeTextToSpeech();
+    const stream = textToSpeech.stream(text, style, 2, 1, null, { seed: 1, batchSize: 1, trimSilence: false });
+    const first = await stream.next();
+    assert(!first.done && first.value.index === 0 && first.value.text === 'The first one.', 'The first chunk is yielded first');
+    assert(runs.vocode.length === 1, 'A chunk is yielded before the next one is synthesized');
+    const rest = [];
+    for await (const piece of stream) {
+        rest.push(piece);
+    }
+    assert(rest.map(piece => piece.index).join() === '1,2' && rest.every(piece => piece.total === 3), 'The remaining chunks follow in order');
+    assert(rest.map(piece => piece.text).join('|') === 'Then a second.|And a third.', 'Each chunk carries its text');
+    assert((await stream.next()).done && runs.vocode.length === 3, 'The stream ends after the last chunk without further runs');
+    assert([first.value, ...rest].every(piece => piece.wav.length === Math.floor(piece.text.length * 0.25 * SAMPLE_RATE)), 'Each chunk is trimmed to its predicted duration');
+    assert([first.value, ...rest].every(piece => piece.duration === piece.wav.length / SAMPLE_RATE && piece.seed === 1), 'Each chunk reports its duration and seed');
+
+    const { textToSpeech: early, runs: earlyRuns } = makeTextToSpeech();
+    for await (const piece of early.stream(text, style, 2, 1, null, { seed: 1, batchSize: 1 })) {
+        if (piece.index === 0) {
+            break;
+        }
+    }
+    assert(earlyRuns.vocode.length === 1, 'Stopping early runs no further chunks');
+
+    let error = '';
+    try {
+        await textToSpeech.stream(text, new Style({ dims: [2, 1, 1] }, { dims: [2, 1, 1] }), 2).next();
+    } catch (err) {
+        error = err.message;
+    }
+    assert(error === 'Single speaker text to speech only supports single style', 'Streaming needs a single style');
+}
+
+// Test 2: Tensor shapes
+console.log('\nTest 2: Tensor shapes');
+{
+    const { textToSpeech, runs } = makeTextToSpeech();
+    const batchStyle = new Style({ dims: [2, 1, 1], data: new Float32Array(2) }, { dims: [2, 1, 1], data: new Float32Array(2) });
+    const { wav, duration } = await textToSpeech.batch(['Hi.', 'A longer text.'], batchStyle, 3, 1, null, { seed: 5 });
+    const [dp] = runs.duration;
+    assert(dp.text_ids.dims.join() === '2,14' && dp.text_ids.data.length === 28, 'Text ids are [batch, longest text]');
+    assert(dp.text_mask.dims.join() === '2,1,14' && Array.from(dp.text_mask.data.subarray(0, 4)).join() === '1,1,1,0', 'The text mask is [batch, 1, longest text], zero past each text');
+    assert(runs.encode[0].text_ids === dp.text_ids && runs.encode[0].text_mask === dp.text_mask, 'Both text models get the same tensors');
+
+    // 'A longer text.' lasts 3.5 s: 350 samples, 44 frames of 8
+    const latentLen = 44;
+    const shape = [2, LATENT_DIM, latentLen].join();
+    assert(runs.denoise.length === 3 && runs.denoise.every(feeds => feeds.noisy_latent.dims.join() === shape), 'The latent is [batch, latent dim, frames] at every step');
+    assert(runs.denoise.every(feeds => feeds.noisy_latent.data.length === 2 * LATENT_DIM * latentLen), 'The latent buffer is flat and exactly that size');
+    assert(runs.denoise.every(feeds => feeds.latent_mask.dims.join() === `2,1,${latentLen}`), 'The latent mask is [batch, 1, frames]');
+    assert(runs.denoise.every((feeds, step) => feeds.current_step.dims.join() === '2' && feeds.current_step.data.every(x => x === step)), 'The step tensor is [batch] and counts the steps');
+    assert(runs.denoise.every(feeds => feeds.total_step.data.every(x => x === 3)), 'The total step count is passed along');
+    assert(runs.denoise.slice(1).every((feeds, step) => feeds.noisyData.every((x, i) => x === Math.fround(runs.denoise[step].noisyData[i] + 1))), 'Each step continues from the previous output');
+    assert(runs.vocode[0].latent.dims.join() === shape && runs.vocode[0].latent.data.every((x, i) => x === Math.fround(runs.denoise[2].noisyData[i] + 1)), 'The vocoder gets the last output in the same shape');
+
+    // 'Hi.' lasts 0.75 s: 75 samples, 10 frames; its noise and mask stop there
+    const { noisyData } = runs.denoise[0];
+    const mask = runs.denoise[0].latent_mask.data;
+    assert(Array.from(mask.subarray(0, latentLen)).join() === `${'1,'.repeat(10)}${'0,'.repeat(latentLen - 10)}`.slice(0, -1), 'The latent mask covers each item up to its own length');
+    const padding = [];
+    for (let d = 0; d < LATENT_DIM; d++) {
+        padding.push(...noisyData.subarray(d * latentLen + 10, (d + 1) * latentLen));
+    }
+    assert(padding.every(x => x === 0) && noisyData.subarray(0, 10).every(x => x !== 0), 'Noise past a shorter item stays zero');
+    assert(wav.length === 2 * latentLen * FRAME && duration.join() === '0.75,3.5', 'The waveform is [batch, frames * 8] with per-item durations');
+}
+
+// Test 3: Seeds
+console.log('\nTest 3: Seeds');
+{
+    const { textToSpeech, runs } = makeTextToSpeech();
+    const first = await textToSpeech.call(text, style, 2, 1, 0.3, null, { seed: 42 });
+    const again = await textToSpeech.call(text, style, 2, 1, 0.3, null, { seed: 42 });
+    assert(first.seed === 42 && again.seed === 42, 'The result reports the seed');
+    assert(first.wav.length === again.wav.length && first.wav.every((x, i) => x === again.wav[i]), 'Equal seeds give identical audio');
+    const other = await textToSpeech.call(text, style, 2, 1, 0.3, null, { seed: 43 });
+    assert(other.wav.some((x, i) => x !== first.wav[i]), 'Different seeds give different audio');
+
+    const unseeded = await textToSpeech.call(text, style, 2, 1, 0.3, null, {});
+    assert(Number.isInteger(unseeded.seed) && unseeded.seed >= 0 && unseeded.seed <= 4294967295, 'Without a seed one is drawn and reported');
+    const replayed = await textToSpeech.call(text, style, 2, 1, 0.3, null, { seed: unseeded.seed });
+    assert(replayed.wav.every((x, i) => x === unseeded.wav[i]), 'The reported seed reproduces an unseeded call');
+
+    const batched = await textToSpeech.call(text, style, 2, 1, 0.3, null, { seed: 42, batchSize: 1 });
+    assert(batched.wav.length === first.wav.length && batched.wav.every((x, i) => x === first.wav[i]), 'The batch size does not change the audio');
+
+    runs.denoise.length = 0;
+    await textToSpeech.batch(['Same text.'], style, 1, 1, null, { seed: 7 });
+    await textToSpeech.batch(['Same text.', 'A much longer second text.'], new Style({ dims: [2, 1, 1] }, { dims: [2, 1, 1] }), 1, 1, null, { seed: 7 });
+    const [alone, paired] = runs.denoise.map(feeds => feeds.noisyData);
+    const frames = alone.length / LATENT_DIM;
+    const pairedLen = paired.length / (2 * LATENT_DIM);
+    let same = true;
+    for (let d = 0; d < LATENT_DIM; d++) {
+        same &&= alone.subarray(d * frames, (d + 1) * frames).every((x, i) => x === paired[d * pairedLen + i]);
+    }
+    assert(same, "An item's noise does not depend on the rest of the batch");
+
+    let error = '';
+    try {
+        await textToSpeech.call(text, style, 2, 1, 0.3, null, { seed: -1 });
+    } catch (err) {
+        error = err.message;
+    }
+    assert(error === 'Seed must be an integer between 0 and 4294967295, got -1', 'Invalid seeds are rejected');
+}
+
+console.log('\n✨ All tests passed! ✨\n');
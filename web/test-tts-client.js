@@ -0,0 +1,119 @@
+/**
+ * Simple test suite for tts_client.js, with a stub in place of the synthesis worker
+ * Run with: node test-tts-client.js
+ */
+
+import { TtsWorkerClient } from './tts_client.js';
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ FAIL: ${message}`);
+        process.exit(1);
+    } else {
+        console.log(`✅ PASS: ${message}`);
+    }
+}
+
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+// Records what the client posts; reply() plays the worker's side
+function stubWorker() {
+    const worker = {
+        sent: [],
+        terminated: false,
+        postMessage(message) {
+            this.sent.push(message);
+        },
+        terminate() {
+            this.terminated = true;
+        },
+        reply(data) {
+            this.onmessage({ data });
+        }
+    };
+    return worker;
+}
+
+console.log('🧪 Testing the synthesis worker client\n');
+
+// Test 1: Requests and replies
+console.log('Test 1: Requests and replies');
+{
+    const worker = stubWorker();
+    const client = new TtsWorkerClient(worker);
+    const events = [];
+    const loading = client.load('assets/onnx', event => events.push(event));
+    const synthesis = client.synthesize({ text: 'Hi.' });
+    assert(worker.sent[0].type === 'load' && worker.sent[0].onnxDir === 'assets/onnx', 'load sends a load request');
+    assert(worker.sent[1].type === 'synthesize' && worker.sent[1].text === 'Hi.', 'synthesize sends the request fields');
+    assert(worker.sent[0].id !== worker.sent[1].id, 'Every request gets its own id');
+
+    worker.reply({ id: worker.sent[0].id, type: 'progress', progress: { stage: 'model', current: 1 } });
+    worker.reply({ id: worker.sent[1].id, type: 'result', result: { duration: 2 } });
+    worker.reply({ id: worker.sent[0].id, type: 'result', result: { sampleRate: 44100 } });
+    assert(events.length === 1 && events[0].stage === 'model', 'Progress goes to the request it belongs to');
+    assert((await synthesis).duration === 2 && (await loading).sampleRate === 44100, 'Results settle their own requests, in any order');
+
+    const failing = client.synthesize({ text: '' });
+    worker.reply({ id: worker.sent[2].id, type: 'error', error: { name: 'SsmlError', message: 'Malformed tag' } });
+    const err = await rejection(failing);
+    assert(err instanceof Error && err.name === 'SsmlError' && err.message === 'Malformed tag', 'Worker errors keep their name and message');
+    worker.reply({ id: 999, type: 'result', result: {} });
+    assert(client.pending.size === 0, 'Replies to unknown ids are ignored');
+}
+
+// Test 2: Aborting requests
+console.log('\nTest 2: Aborting requests');
+{
+    const worker = stubWorker();
+    const client = new TtsWorkerClient(worker);
+
+    const aborted = new AbortController();
+    aborted.abort();
+    const early = await rejection(client.synthesize({ text: 'Hi.' }, null, { signal: aborted.signal }));
+    assert(early.name === 'AbortError', 'An already aborted signal rejects with AbortError');
+    assert(worker.sent.length === 0, 'An already aborted request is never sent');
+
+    const controller = new AbortController();
+    const synthesis = client.synthesize({ text: 'Hi.' }, null, { signal: controller.signal });
+    const { id } = worker.sent[0];
+    controller.abort();
+    assert(worker.sent[1].type === 'abort' && worker.sent[1].id === id, 'Aborting sends an abort message for the request id');
+    worker.reply({ id, type: 'error', error: { name: 'AbortError', message: 'Synthesis was aborted' } });
+    assert((await rejection(synthesis)).name === 'AbortError', 'The request rejects with the AbortError the worker reports');
+
+    const finished = new AbortController();
+    const done = client.synthesize({ text: 'Hi.' }, null, { signal: finished.signal });
+    worker.reply({ id: worker.sent[2].id, type: 'result', result: {} });
+    await done;
+    finished.abort();
+    assert(worker.sent.length === 3, 'Aborting after the result sends nothing');
+}
+
+// Test 3: Worker failures
+console.log('\nTest 3: Worker failures');
+{
+    const worker = stubWorker();
+    const client = new TtsWorkerClient(worker);
+    const first = client.synthesize({ text: 'A.' });
+    const second = client.synthesize({ text: 'B.' });
+    let prevented = false;
+    worker.onerror({ message: 'out of memory', preventDefault: () => { prevented = true; } });
+    const errors = [await rejection(first), await rejection(second)];
+    assert(errors.every(err => err.message === 'Synthesis worker failed: out of memory'), 'A crashed worker fails every open request');
+    assert(prevented && client.pending.size === 0, 'The crash is handled and nothing stays pending');
+
+    const open = client.synthesize({ text: 'C.' });
+    client.terminate();
+    assert(worker.terminated && (await rejection(open)).message === 'Synthesis worker was terminated', 'terminate stops the worker and fails open requests');
+}
+
+console.log('\n✨ All tests passed! ✨\n');
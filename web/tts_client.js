@@ -0,0 +1,109 @@
+/**
+ * Page side of the synthesis worker (see tts_worker.js)
+ *
+ * Each request gets an id; progress messages go to the request's onProgress callback
+ * and its promise settles with the worker's result or error. Aborting a request's
+ * signal asks the worker to stop; the promise then rejects with an error named 'AbortError'.
+ */
+
+function abortError() {
+    const err = new Error('Synthesis was aborted');
+    err.name = 'AbortError';
+    return err;
+}
+
+export class TtsWorkerClient {
+    /**
+     * @param {Worker} [worker] - Defaults to a new module worker running tts_worker.js
+     */
+    constructor(worker = new Worker(new URL('./tts_worker.js', import.meta.url), { type: 'module' })) {
+        this.worker = worker;
+        this.nextId = 1;
+        // Request id -> { resolve, reject, onProgress }
+        this.pending = new Map();
+
+        this.worker.onmessage = ({ data: { id, type, progress, result, error } }) => {
+            const request = this.pending.get(id);
+            if (!request) {
+                return;
+            }
+            if (type === 'progress') {
+                request.onProgress?.(progress);
+                return;
+            }
+            this.pending.delete(id);
+            if (type === 'result') {
+                request.resolve(result);
+            } else {
+                const err = new Error(error.message);
+                err.name = error.name;
+                request.reject(err);
+            }
+        };
+        // A worker that fails to start or crashes fails every open request
+        this.worker.onerror = (event) => {
+            event.preventDefault?.();
+            const err = new Error(`Synthesis worker failed: ${event.message || 'unknown error'}`);
+            for (const request of this.pending.values()) {
+                request.reject(err);
+            }
+            this.pending.clear();
+        };
+    }
+
+    _request(type, request, onProgress, signal = null) {
+        if (signal?.aborted) {
+            return Promise.reject(abortError());
+        }
+        const id = this.nextId++;
+        const promise = new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+            this.worker.postMessage({ ...request, id, type });
+        });
+        if (signal) {
+            const onAbort = () => this.worker.postMessage({ id, type: 'abort' });
+            signal.addEventListener('abort', onAbort, { once: true });
+            const cleanup = () => signal.removeEventListener('abort', onAbort);
+            promise.then(cleanup, cleanup);
+        }
+        return promise;
+    }
+
+    /**
+     * Load the models, trying WebGPU first and falling back to WebAssembly
+     *
+     * The worker resolves relative URLs against its own script, so pass absolute ones,
+     * e.g. new URL('assets/onnx', location.href).href
+     * @param {string} onnxDir - URL of the model directory
+     * @param {Function} [onProgress] - Called with { stage: 'model', modelName, current, total, bytes }
+     * @param {Object} options
+     * @param {string} [options.voiceStyleDir] - URL of the preset voice styles used by SSML and dialogues
+     * @returns {Promise<{executionProvider: string, sampleRate: number}>}
+     */
+    load(onnxDir, onProgress = null, options = {}) {
+        return this._request('load', { onnxDir, voiceStyleDir: options.voiceStyleDir }, onProgress);
+    }
+
+    /**
+     * Synthesize text, apply effects and encode the result (see synthesize in tts_worker.js)
+     * @param {Object} request
+     * @param {Function} [onProgress] - Called with a ProgressEvent (see progress.js) before each model run,
+     *   then { stage: 'effects' } and { stage: 'export' }
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] - Stops the synthesis between chunks and denoising steps
+     * @returns {Promise<Object>} wav (Float32Array), playback (16-bit WAV ArrayBuffer), download (Uint8Array, null when
+     *   playback is already the requested format), duration, timings, seed, loudness, cache, lexiconMatches, blendLabel, blendedStyle
+     */
+    synthesize(request, onProgress = null, options = {}) {
+        return this._request('synthesize', request, onProgress, options.signal);
+    }
+
+    terminate() {
+        this.worker.terminate();
+        const err = new Error('Synthesis worker was terminated');
+        for (const request of this.pending.values()) {
+            request.reject(err);
+        }
+        this.pending.clear();
+    }
+}
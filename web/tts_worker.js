@@ -0,0 +1,270 @@
+import {
+    AbortError,
+    interpolateStyles,
+    loadTextToSpeech,
+    loadVoiceStyle,
+    styleToJSON,
+    writeWavFile
+} from './helper.js';
+
+import { VoiceMixer } from './mixer.js';
+
+import { parseDialogue } from './dialogue.js';
+
+import { Lexicon } from './lexicon.js';
+
+import { IndexedDbCache } from './idb_cache.js';
+
+import {
+    encodeAudio,
+    synthesisMetadata
+} from './encoders.js';
+
+/**
+ * Web Worker that loads the models and runs synthesis, voice effects and encoding,
+ * so the page stays responsive (see tts_client.js for the page side)
+ *
+ * Requests are { id, type: 'load' | 'synthesize', ... }. While one runs, the worker
+ * posts { id, type: 'progress', progress } messages, then { id, type: 'result', result }
+ * or { id, type: 'error', error: { name, message } }. Sample and file buffers in
+ * results are transferred, not copied. { id, type: 'abort' } stops a running synthesis,
+ * which then fails with an AbortError.
+ *
+ * Relative URLs would resolve against this script, which the build puts under assets/,
+ * so the page sends absolute URLs for the models and voice styles.
+ */
+
+const CHUNK_CACHE_BYTES = 128 * 1024 * 1024;
+const PRESET_VOICES = ['M1', 'M2', 'F1', 'F2'];
+
+let textToSpeech = null;
+
+// Directory of the preset voice styles, set by the load request
+let voiceStyleDir = null;
+
+// Voice styles by URL, loaded once
+const styles = new Map();
+
+// Opened when a request first asks for the sentence cache
+let chunkCache = null;
+
+// Request id -> AbortController of the running request
+const controllers = new Map();
+
+function getFilenameFromPath(path) {
+    return path.split('/').pop();
+}
+
+function loadStyle(url) {
+    if (!styles.has(url)) {
+        const style = loadVoiceStyle([url], true);
+        // A failed load is retried next time
+        style.catch(() => styles.delete(url));
+        styles.set(url, style);
+    }
+    return styles.get(url);
+}
+
+// Load voice styles by preset name, e.g. "F1" -> <voiceStyleDir>/F1.json
+async function loadVoicesByName(names) {
+    if (!voiceStyleDir) {
+        throw new Error('Models are not loaded');
+    }
+    const voices = {};
+    for (const name of names) {
+        if (!voices[name]) {
+            voices[name] = await loadStyle(`${voiceStyleDir}/${name}.json`);
+        }
+    }
+    return voices;
+}
+
+// Yields first, so an abort message that arrived meanwhile is handled (see throwIfAborted in helper.js)
+async function throwIfAborted(signal) {
+    await new Promise(resolve => setTimeout(resolve));
+    if (signal.aborted) {
+        throw new AbortError(signal.reason);
+    }
+}
+
+function isSsml(text) {
+    return /^(<\?xml[^>]*\?>\s*)?<speak[\s>]/.test(text);
+}
+
+// Text whose every turn is tagged with a preset voice ("M1: Hello") is read as a dialogue
+function parseDialogueScript(text) {
+    try {
+        const turns = parseDialogue(text, { speakers: PRESET_VOICES });
+        return turns.length > 0 ? turns : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Load the models, trying each execution provider in turn
+ * @param {Object} request - { onnxDir, voiceStyleDir, executionProviders }, with absolute URLs
+ */
+async function load({ onnxDir, voiceStyleDir: styleDir, executionProviders = ['webgpu', 'wasm'] }, progress) {
+    voiceStyleDir = styleDir;
+    let lastError = null;
+    for (const executionProvider of executionProviders) {
+        try {
+            const result = await loadTextToSpeech(onnxDir, {
+                executionProviders: [executionProvider],
+                graphOptimizationLevel: 'all'
+            }, (modelName, current, total, bytes) => {
+                progress({ stage: 'model', modelName, current, total, bytes });
+            });
+            textToSpeech = result.textToSpeech;
+            return { result: { executionProvider, sampleRate: textToSpeech.sampleRate } };
+        } catch (error) {
+            console.log(`${executionProvider} not available: ${error.message}`);
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Synthesize text and apply effects
+ * @param {Object} request
+ * @param {string} request.text - Plain text, SSML (<speak>) or a dialogue of preset voices ("M1: ...")
+ * @param {string} request.voice - Absolute voice style URL
+ * @param {{voice: string, amount: number}} [request.blend] - Absolute voice style URL to blend in and its weight (0-1)
+ * @param {number} request.totalStep
+ * @param {number} request.speed
+ * @param {string} request.language
+ * @param {number} [request.seed]
+ * @param {boolean} [request.cache] - Reuse unchanged sentences from IndexedDB (needs a seed)
+ * @param {{data: Object, source: string}} [request.lexicon] - Lexicon JSON and its file name
+ * @param {{target: number}} [request.loudness] - Loudness target, applied after the effects
+ * @param {{singing: string, persona: string}} [request.effects] - Mixer preset names, e.g. 'Opera'
+ * @param {{format: string, bitDepth: number, outputSampleRate: number}} request.download - Format of the download file
+ */
+async function synthesize(request, progress, signal) {
+    if (!textToSpeech) {
+        throw new Error('Models are not loaded');
+    }
+    const { text, totalStep, speed, language, effects = {} } = request;
+    const hasEffects = Boolean(effects.singing || effects.persona);
+    const sampleRate = textToSpeech.sampleRate;
+
+    let style = await loadStyle(request.voice);
+    let blendLabel = null;
+    if (request.blend) {
+        const amount = request.blend.amount;
+        if (!(amount >= 0 && amount <= 1)) {
+            throw new Error('Blend amount must be between 0 and 1');
+        }
+        style = interpolateStyles(style, await loadStyle(request.blend.voice), amount);
+        const baseName = getFilenameFromPath(request.voice).replace('.json', '');
+        const targetName = getFilenameFromPath(request.blend.voice).replace('.json', '');
+        blendLabel = `${baseName} ${Math.round((1 - amount) * 100)}% + ${targetName} ${Math.round(amount * 100)}%`;
+    }
+
+    if (request.cache && !chunkCache) {
+        chunkCache = new IndexedDbCache('supertonic-chunks', { maxBytes: CHUNK_CACHE_BYTES });
+    }
+    const lexicon = request.lexicon ? new Lexicon(request.lexicon.data, { source: request.lexicon.source }) : null;
+    // Loudness is normalized last: by the mixer when effects follow synthesis, otherwise during synthesis
+    const synthOptions = {
+        language,
+        seed: request.seed,
+        lexicon,
+        cache: request.cache ? chunkCache : false,
+        loudness: hasEffects ? null : request.loudness,
+        signal
+    };
+    // Model runs report ProgressEvents (see progress.js); the stages after synthesis report only their name
+
+    // Input starting with <speak> is treated as SSML, "M1: ..." / "F2: ..." lines as a dialogue
+    let result;
+    const turns = isSsml(text) ? null : parseDialogueScript(text);
+    if (isSsml(text)) {
+        const names = Array.from(text.matchAll(/<voice\s[^>]*name\s*=\s*["']([\w-]+)["']/g), match => match[1]);
+        const voices = await loadVoicesByName(names);
+        result = await textToSpeech.callSsml(text, style, totalStep, speed, 0.3, progress, { ...synthOptions, voices });
+    } else if (turns) {
+        const voices = await loadVoicesByName(turns.map(turn => turn.speaker));
+        result = await textToSpeech.callDialogue(turns, voices, totalStep, speed, 0.5, progress, synthOptions);
+    } else {
+        result = await textToSpeech.call(text, style, totalStep, speed, 0.3, progress, synthOptions);
+    }
+    const { duration, timings, seed } = result;
+    let { wav, loudness } = result;
+
+    await throwIfAborted(signal);
+    if (hasEffects) {
+        progress({ stage: 'effects' });
+        const mixer = new VoiceMixer(sampleRate);
+        mixer.setBuffer(wav);
+        // Singing first, then persona; the two can be combined
+        for (const preset of [effects.singing, effects.persona]) {
+            if (preset && typeof mixer[`preset${preset}`] === 'function') {
+                mixer[`preset${preset}`]();
+                console.log(`Applied preset: ${preset}`);
+            }
+        }
+        if (request.loudness) {
+            mixer.dspNormalizeLoudness(request.loudness);
+            loudness = mixer.loudness;
+        }
+        wav = mixer.getBuffer();
+    }
+    const samples = Float32Array.from(wav.slice(0, Math.floor(sampleRate * duration[0])));
+    await throwIfAborted(signal);
+
+    progress({ stage: 'export' });
+    const voiceName = turns
+        ? [...new Set(turns.map(turn => turn.speaker))].join(', ')
+        : blendLabel || getFilenameFromPath(request.voice).replace('.json', '');
+    const metadata = synthesisMetadata({ text, voice: voiceName, totalStep, speed, seed, language });
+    // The player always gets 16-bit WAV at the model rate; the download uses the requested format and rate
+    const playback = writeWavFile(samples, sampleRate, { metadata });
+    const { format, bitDepth, outputSampleRate = sampleRate } = request.download;
+    const download = format === 'wav' && bitDepth === 16 && outputSampleRate === sampleRate
+        ? null
+        : encodeAudio(samples, sampleRate, { format, bitDepth, outputSampleRate, metadata });
+
+    return {
+        result: {
+            wav: samples,
+            sampleRate,
+            duration: duration[0],
+            timings,
+            seed,
+            loudness,
+            cache: result.cache ?? null,
+            lexiconMatches: lexicon ? textToSpeech.matchLexicon(text, synthOptions).matches : [],
+            blendLabel,
+            blendedStyle: blendLabel ? styleToJSON(style) : null,
+            playback,
+            download
+        },
+        transfer: [samples.buffer, playback, ...(download ? [download.buffer] : [])]
+    };
+}
+
+const HANDLERS = { load, synthesize };
+
+self.onmessage = async ({ data: { id, type, ...request } }) => {
+    if (type === 'abort') {
+        controllers.get(id)?.abort();
+        return;
+    }
+    const progress = value => self.postMessage({ id, type: 'progress', progress: value });
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    try {
+        if (!HANDLERS[type]) {
+            throw new Error(`Unknown request type '${type}'`);
+        }
+        const { result, transfer = [] } = await HANDLERS[type](request, progress, controller.signal);
+        self.postMessage({ id, type: 'result', result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: { name: error.name, message: error.message } });
+    } finally {
+        controllers.delete(id);
+    }
+};
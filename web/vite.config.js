@@ -1,5 +1,18 @@
 import { defineConfig } from 'vite';
 
+// Lists the build output in precache-manifest.json, which the service worker (public/sw.js) caches on install
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const files = Object.keys(bundle).filter(fileName => !fileName.endsWith('.map')).sort();
+      this.emitFile({ type: 'asset', fileName: 'precache-manifest.json', source: JSON.stringify(files, null, 2) });
+    }
+  };
+}
+
 export default defineConfig({
   server: {
     port: 3000,
@@ -8,6 +21,11 @@ export default defineConfig({
   build: {
     target: 'esnext'
   },
+  plugins: [precacheManifest()],
+  // The synthesis worker (tts_worker.js) imports onnxruntime-web, which needs code splitting
+  worker: {
+    format: 'es'
+  },
   optimizeDeps: {
     exclude: ['onnxruntime-web']
   }